@@ -10,6 +10,7 @@ export const projectData = {
       level: "Intermediate",
       price: 29.99,
       currency: "USD",
+      prices: { EGP: 999, SAR: 99 },
       language: ["en", "ar"],
       shortDescription: {
         en: "Build modern UIs with React and Tailwind.",
@@ -69,6 +70,13 @@ export const projectData = {
       level: "Advanced",
       price: 39.99,
       currency: "USD",
+      prices: { EGP: 1299, SAR: 149 },
+      sale: {
+        price: 24.99,
+        prices: { EGP: 799, SAR: 94 },
+        startsAt: "2026-10-01T00:00:00.000Z",
+        endsAt: "2026-12-01T00:00:00.000Z",
+      },
       language: ["en"],
       shortDescription: {
         en: "Build robust RESTful APIs and connect them to a frontend.",
@@ -164,6 +172,7 @@ export const projectData = {
       level: "Intermediate",
       price: 34.99,
       currency: "USD",
+      sale: { price: 24.99, startsAt: "2026-11-27T00:00:00.000Z", endsAt: "2026-12-01T00:00:00.000Z" }, // Black Friday
       language: ["en", "ar"],
       shortDescription: {
         en: "Make SEO-friendly, fast React apps with Next.js.",
@@ -638,6 +647,8 @@ export const projectData = {
       email: "mostafa@example.com",
       role: "student",
       purchasedCourseIds: [1, 10],
+      // how far through each course they are (0–1); refunds need 30% or less
+      courseProgress: { 1: 0.45, 10: 0.1 },
       locale: "ar",
       avatar: "/imgs/instructorsImgs/in1.jpeg",
     },
@@ -681,6 +692,15 @@ export const projectData = {
       avatar:
         "https://images.unsplash.com/photo-1541534401786-9e5f2a3f9b6b?auto=format&fit=crop&w=600&q=80",
     },
+    {
+      id: 6,
+      name: "Laila Hassan",
+      email: "admin@example.com",
+      role: "admin",
+      purchasedCourseIds: [],
+      locale: "en",
+      avatar: null,
+    },
   ],
 
   categories: [
@@ -736,12 +756,24 @@ export const projectData = {
       currency: "USD",
       status: "completed",
       createdAt: "2025-04-01T10:30:00Z",
+      paidAt: "2025-04-01T10:30:00Z",
+      invoiceNumber: "SV-2025-000001",
     },
   ],
   settings: {
     siteName: { en: "Skillverse", ar: "Skillverse" },
     supportedLocales: ["en", "ar"],
     currency: "USD",
+    // who issues the invoices (Utils/invoicePdf.js)
+    seller: {
+      name: { en: "Skillverse Learning LLC", ar: "شركة سكيلفيرس للتعليم ذ.م.م" },
+      address: {
+        en: "12 Tahrir Square, Downtown, Cairo 11511, Egypt",
+        ar: "١٢ ميدان التحرير، وسط البلد، القاهرة ١١٥١١، مصر",
+      },
+      email: "billing@skillverse.dev",
+      taxId: "EG-123-456-789",
+    },
   },
   faqs: [
     {
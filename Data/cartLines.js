@@ -0,0 +1,52 @@
+// cartLines.js
+// Cart line types, shared by the app (cart slice, cart views) and the API
+// (server/checkout.js prices orders with them).
+// - "self": the buyer's own licence — one per course, and not for a course they already own.
+// - "gift": one licence for someone else, sent to `gift.email` with an optional `gift.message`.
+// - "team": `quantity` seats for a team, with volume discounts (TEAM_SEAT_TIERS).
+// A cart holds one self and one team line per course, and one gift per course and recipient.
+
+export const LINE_TYPES = ["self", "gift", "team"];
+
+export const MIN_TEAM_SEATS = 2;
+export const MAX_TEAM_SEATS = 500;
+export const MAX_GIFT_MESSAGE = 500;
+
+// Volume discount on every seat of a team line; the highest tier reached applies.
+export const TEAM_SEAT_TIERS = [
+  { minSeats: 5, discount: 0.1 },
+  { minSeats: 10, discount: 0.15 },
+  { minSeats: 25, discount: 0.2 },
+  { minSeats: 50, discount: 0.25 },
+];
+
+export const isLineType = (type) => LINE_TYPES.includes(type);
+
+/** Key of a cart line, e.g. "self:1", "team:1", "gift:1:sara@example.com". */
+export function lineKey({ type = "self", courseId, gift }) {
+  const id = String(courseId);
+  return type === "gift" ? `gift:${id}:${String(gift?.email || "").trim().toLowerCase()}` : `${type}:${id}`;
+}
+
+/** Seats a team line may have: whole numbers between MIN_TEAM_SEATS and MAX_TEAM_SEATS. */
+export const clampSeats = (seats) =>
+  Math.min(MAX_TEAM_SEATS, Math.max(MIN_TEAM_SEATS, Math.floor(Number(seats) || MIN_TEAM_SEATS)));
+
+/** The volume tier `seats` reach ({ minSeats, discount }), or null. */
+export function seatTier(seats) {
+  return TEAM_SEAT_TIERS.reduce((found, tier) => (seats >= tier.minSeats ? tier : found), null);
+}
+
+/** The next tier after `seats`, to tell the buyer how many more seats they need, or null. */
+export const nextSeatTier = (seats) => TEAM_SEAT_TIERS.find((tier) => seats < tier.minSeats) || null;
+
+/**
+ * Price of one unit of a line, from the course's price in the cart's currency:
+ * team seats get their tier's discount, rounded to cents.
+ */
+export function unitPriceFor(line, coursePrice) {
+  const price = Number(coursePrice) || 0;
+  if (line?.type !== "team") return price;
+  const tier = seatTier(Number(line.quantity) || 0);
+  return tier ? Math.round(price * (1 - tier.discount) * 100) / 100 : price;
+}
@@ -0,0 +1,49 @@
+// currencies.js
+// Currencies the store sells in and the local exchange-rate table used to
+// convert catalog prices (server/checkout.js prices orders with it, the app
+// displays prices with it).
+// - Catalog prices are in the course's `currency` (BASE_CURRENCY for every seed course).
+// - A course can override the converted price with `prices: { EGP: 1499, ... }`.
+// - While a course's sale is running (Data/sales.js) coursePrice is the sale price
+//   and regularPrice the price without it.
+// - `rate` is units of the currency per 1 USD. The rates are fixed for the demo
+//   store; update them here.
+
+import { activeSale } from "./sales.js";
+
+export const BASE_CURRENCY = "USD";
+
+export const CURRENCIES = {
+  USD: { rate: 1 },
+  EGP: { rate: 48.5 },
+  SAR: { rate: 3.75 },
+  AED: { rate: 3.6725 },
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+export const isSupportedCurrency = (currency) => Object.hasOwn(CURRENCIES, currency);
+
+/** Converts `amount` from one currency to another, rounded to cents. */
+export function convertAmount(amount, to, from = BASE_CURRENCY) {
+  const value = Number(amount) || 0;
+  if (to === from || !isSupportedCurrency(to) || !isSupportedCurrency(from)) return value;
+  return Math.round((value / CURRENCIES[from].rate) * CURRENCIES[to].rate * 100) / 100;
+}
+
+// price in `currency` of something priced like a course ({ price, prices? })
+const priceIn = (priced, currency, from) => {
+  const override = priced?.prices?.[currency];
+  if (override != null) return Number(override);
+  return convertAmount(priced?.price, currency, from);
+};
+
+/** A course's regular price in `currency`: its override for that currency, or the converted catalog price. */
+export const regularPrice = (course, currency = BASE_CURRENCY) =>
+  priceIn(course, currency, course?.currency || BASE_CURRENCY);
+
+/** What a course sells for in `currency` at `now`: the sale price while its sale runs, else regularPrice. */
+export function coursePrice(course, currency = BASE_CURRENCY, now = Date.now()) {
+  const sale = activeSale(course, now);
+  return sale ? priceIn(sale, currency, course.currency || BASE_CURRENCY) : regularPrice(course, currency);
+}
@@ -0,0 +1,39 @@
+// entitlements.js
+// Who can take which course — the one place the app (course page, dashboard) and
+// the API answer it.
+// - A course is unlocked by buying it (users[].purchasedCourseIds) or by a running
+//   Skillverse Pro subscription whose plan covers it (users[].subscription, Data/plans.js).
+// - A subscription gives access while it is trialing or active and its period hasn't
+//   ended. Renewals are charged by the API shortly after the period ends, so a
+//   renewing subscription keeps access for RENEWAL_GRACE_MS past the end; one that
+//   was cancelled stops exactly at the end.
+
+import { findPlan, planCovers } from "./plans.js";
+
+export const SUBSCRIPTION_STATUSES = ["incomplete", "trialing", "active", "past_due", "canceled"];
+
+export const RENEWAL_GRACE_MS = 24 * 60 * 60 * 1000;
+
+/** Whether `subscription` unlocks courses at `now`. */
+export function subscriptionActive(subscription, now = Date.now()) {
+  if (!subscription || !["trialing", "active"].includes(subscription.status)) return false;
+  const end = new Date(subscription.currentPeriodEnd).getTime();
+  return now < end + (subscription.cancelAtPeriodEnd ? 0 : RENEWAL_GRACE_MS);
+}
+
+/**
+ * @param {{ purchasedCourseIds?: string[], subscription?: object } | null} user
+ * @param {{ id: string, tags?: string[] } | null} course
+ * @returns {{ access: boolean, via: "purchase"|"subscription"|null, planId?: string }}
+ */
+export function courseAccess(user, course, now = Date.now()) {
+  if (!user || !course) return { access: false, via: null };
+  if ((user.purchasedCourseIds || []).map(String).includes(String(course.id))) return { access: true, via: "purchase" };
+
+  const subscription = user.subscription;
+  const plan = subscriptionActive(subscription, now) ? findPlan(subscription.planId) : null;
+  if (plan && planCovers(plan, course)) return { access: true, via: "subscription", planId: plan.id };
+  return { access: false, via: null };
+}
+
+export const hasCourseAccess = (user, course, now) => courseAccess(user, course, now).access;
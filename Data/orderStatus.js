@@ -0,0 +1,58 @@
+// orderStatus.js
+// Order statuses and the refund policy, shared by the app (order pages) and the
+// API (server/refunds.js moves orders between statuses).
+//
+//   pending ──pay──▶ completed ──learner asks──▶ refund_requested ──▶ refunded
+//                                                                 └──▶ rejected
+//
+// - Only the moves in TRANSITIONS are allowed; refunded and rejected are final.
+// - The 30-day money-back guarantee: a paid order can be refunded within
+//   REFUND_WINDOW_DAYS of payment, as long as the buyer hasn't gone through more
+//   than REFUND_MAX_PROGRESS of a course they bought for themselves
+//   (users[].courseProgress). Gifts and team seats only have the time limit.
+
+export const ORDER_STATUSES = ["pending", "completed", "refund_requested", "refunded", "rejected"];
+
+const TRANSITIONS = {
+  pending: ["completed"],
+  completed: ["refund_requested"],
+  refund_requested: ["refunded", "rejected"],
+  refunded: [],
+  rejected: [],
+};
+
+export const REFUND_WINDOW_DAYS = 30;
+export const REFUND_MAX_PROGRESS = 0.3; // 30% of the course
+export const MAX_REFUND_REASON = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/** Last moment a paid order can be refunded (ISO date), or null when it isn't paid. */
+export function refundDeadline(order) {
+  const paidAt = order?.paidAt || (order?.status !== "pending" ? order?.createdAt : null);
+  return paidAt ? new Date(new Date(paidAt).getTime() + REFUND_WINDOW_DAYS * DAY_MS).toISOString() : null;
+}
+
+/**
+ * Whether the buyer can ask for a refund of `order` now.
+ * @param {object} order
+ * @param {{ courseProgress?: Record<string, number>, now?: number }} [options]
+ *   the buyer's progress per course (0–1)
+ * @returns {{ eligible: true, deadline: string }
+ *   | { eligible: false, code: "REFUND_NOT_ALLOWED"|"REFUND_WINDOW_CLOSED"|"REFUND_COURSE_CONSUMED", deadline: string|null, courseId?: string }}
+ */
+export function refundEligibility(order, { courseProgress = {}, now = Date.now() } = {}) {
+  const deadline = refundDeadline(order);
+  if (!canTransition(order?.status, "refund_requested") || !deadline) {
+    return { eligible: false, code: "REFUND_NOT_ALLOWED", deadline };
+  }
+  if (now > new Date(deadline).getTime()) return { eligible: false, code: "REFUND_WINDOW_CLOSED", deadline };
+
+  const consumed = (order.items || []).find(
+    (item) => (item.type || "self") === "self" && (Number(courseProgress[item.courseId]) || 0) > REFUND_MAX_PROGRESS
+  );
+  if (consumed) return { eligible: false, code: "REFUND_COURSE_CONSUMED", deadline, courseId: consumed.courseId };
+  return { eligible: true, deadline };
+}
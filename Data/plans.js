@@ -0,0 +1,108 @@
+// plans.js
+// Skillverse Pro subscription plans, shared by the app (pricing page, course access)
+// and the API (server/subscriptions.js charges them).
+// - Each plan bills monthly or yearly and unlocks either every course
+//   (`access: { all: true }`) or the courses with one of its tags.
+// - Prices work like course prices: `price` in `currency`, `prices` overrides the
+//   converted amount (Data/currencies.js).
+// - The first subscription of an account starts with a free trial of `trialDays`.
+// - Switching plans is prorated: the unused part of the period already paid is
+//   credited against the new plan, which starts a new period at once. Credit left
+//   over (moving to a cheaper plan) pays for the next renewals.
+
+import { regularPrice } from "./currencies.js";
+
+export const PLANS = [
+  {
+    id: "pro-monthly",
+    family: "pro",
+    name: { en: "Skillverse Pro", ar: "Skillverse Pro" },
+    interval: "month",
+    price: 19.99,
+    currency: "USD",
+    prices: { EGP: 699, SAR: 75 },
+    trialDays: 7,
+    access: { all: true },
+  },
+  {
+    id: "pro-annual",
+    family: "pro",
+    name: { en: "Skillverse Pro", ar: "Skillverse Pro" },
+    interval: "year",
+    price: 191.99,
+    currency: "USD",
+    prices: { EGP: 6699, SAR: 719 },
+    trialDays: 14,
+    access: { all: true },
+  },
+  {
+    id: "frontend-monthly",
+    family: "frontend",
+    name: { en: "Pro Frontend", ar: "Pro للواجهات الأمامية" },
+    interval: "month",
+    price: 9.99,
+    currency: "USD",
+    prices: { EGP: 349, SAR: 37 },
+    trialDays: 7,
+    access: { tags: ["frontend", "react", "nextjs", "vue", "typescript", "javascript", "css"] },
+  },
+  {
+    id: "frontend-annual",
+    family: "frontend",
+    name: { en: "Pro Frontend", ar: "Pro للواجهات الأمامية" },
+    interval: "year",
+    price: 95.99,
+    currency: "USD",
+    prices: { EGP: 3349, SAR: 359 },
+    trialDays: 14,
+    access: { tags: ["frontend", "react", "nextjs", "vue", "typescript", "javascript", "css"] },
+  },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const findPlan = (planId) => PLANS.find((plan) => plan.id === planId) || null;
+
+/** The plan's price for one period in `currency`. */
+export const planPrice = (plan, currency) => regularPrice(plan, currency);
+
+/** Whether the plan unlocks `course`. */
+export function planCovers(plan, course) {
+  if (!plan || !course) return false;
+  if (plan.access?.all) return true;
+  const tags = plan.access?.tags || [];
+  return (course.tags || []).some((tag) => tags.includes(tag));
+}
+
+/** `date` (ISO) moved forward by one billing period of `interval`, as an ISO date. */
+export function addInterval(date, interval) {
+  const next = new Date(date);
+  if (interval === "year") next.setUTCFullYear(next.getUTCFullYear() + 1);
+  else next.setUTCMonth(next.getUTCMonth() + 1);
+  return next.toISOString();
+}
+
+/** End of a free trial of `plan` started at `now` (ISO). */
+export const trialEnd = (plan, now = Date.now()) => new Date(now + plan.trialDays * DAY_MS).toISOString();
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * What switching `subscription` to `plan` at `now` costs, in the subscription's currency.
+ * A trial moves to the new plan for free and keeps its end date.
+ * @param {{ status: string, currency: string, amount?: number, credit?: number,
+ *   currentPeriodStart: string, currentPeriodEnd: string }} subscription
+ * @returns {{ currency: string, price: number, credit: number, due: number, carry: number }}
+ *   credit: unused time plus the credit already held; due: charged now; carry: credit kept
+ */
+export function prorate(subscription, plan, now = Date.now()) {
+  const currency = subscription.currency;
+  const price = planPrice(plan, currency);
+  if (subscription.status === "trialing") return { currency, price, credit: 0, due: 0, carry: subscription.credit || 0 };
+
+  const start = new Date(subscription.currentPeriodStart).getTime();
+  const end = new Date(subscription.currentPeriodEnd).getTime();
+  const unused = end > start ? Math.min(1, Math.max(0, (end - now) / (end - start))) : 0;
+  const credit = round2((Number(subscription.amount) || 0) * unused + (Number(subscription.credit) || 0));
+  return { currency, price, credit, due: round2(Math.max(0, price - credit)), carry: round2(Math.max(0, credit - price)) };
+}
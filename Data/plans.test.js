@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { addInterval, findPlan, prorate } from "./plans.js";
+
+const START = "2025-03-01T00:00:00.000Z";
+const END = "2025-03-31T00:00:00.000Z"; // 30 days
+const at = (iso) => new Date(iso).getTime();
+
+const monthly = findPlan("pro-monthly"); // 19.99 USD
+const annual = findPlan("pro-annual"); // 191.99 USD
+const frontend = findPlan("frontend-monthly"); // 9.99 USD
+
+const subscription = (extra = {}) => ({
+  status: "active",
+  currency: "USD",
+  amount: 19.99,
+  credit: 0,
+  currentPeriodStart: START,
+  currentPeriodEnd: END,
+  ...extra,
+});
+
+describe("prorate", () => {
+  it("credits the whole period when switching at its start", () => {
+    expect(prorate(subscription(), annual, at(START))).toEqual({ currency: "USD", price: 191.99, credit: 19.99, due: 172, carry: 0 });
+  });
+
+  it("credits nothing when switching at the end of the period", () => {
+    expect(prorate(subscription(), annual, at(END))).toMatchObject({ credit: 0, due: 191.99, carry: 0 });
+  });
+
+  it("credits the unused part of the period, rounded to cents", () => {
+    // 10 of 30 days left: 19.99 / 3 = 6.6633…
+    expect(prorate(subscription(), annual, at("2025-03-21T00:00:00.000Z"))).toMatchObject({ credit: 6.66, due: 185.33 });
+  });
+
+  it("clamps a switch before the period started or after it ended", () => {
+    expect(prorate(subscription(), annual, at("2025-02-01T00:00:00.000Z")).credit).toBe(19.99);
+    expect(prorate(subscription(), annual, at("2025-04-15T00:00:00.000Z")).credit).toBe(0);
+  });
+
+  it("gives no credit for an empty period", () => {
+    expect(prorate(subscription({ currentPeriodEnd: START }), annual, at(START)).credit).toBe(0);
+  });
+
+  it("carries over what a cheaper plan doesn't use", () => {
+    expect(prorate(subscription(), frontend, at(START))).toMatchObject({ credit: 19.99, due: 0, carry: 10 });
+  });
+
+  it("adds the credit already held", () => {
+    expect(prorate(subscription({ credit: 5.01 }), monthly, at(END))).toMatchObject({ credit: 5.01, due: 14.98, carry: 0 });
+  });
+
+  it("moves a trial for free and keeps its credit", () => {
+    expect(prorate(subscription({ status: "trialing", credit: 2 }), annual, at(START))).toEqual({
+      currency: "USD",
+      price: 191.99,
+      credit: 0,
+      due: 0,
+      carry: 2,
+    });
+  });
+
+  it("prices the new plan in the subscription's currency", () => {
+    expect(prorate(subscription({ currency: "EGP", amount: 699 }), annual, at(START))).toMatchObject({
+      price: 6699,
+      credit: 699,
+      due: 6000,
+    });
+  });
+});
+
+describe("addInterval", () => {
+  it("moves a date by a month or a year in UTC", () => {
+    expect(addInterval(START, "month")).toBe("2025-04-01T00:00:00.000Z");
+    expect(addInterval(START, "year")).toBe("2026-03-01T00:00:00.000Z");
+  });
+});
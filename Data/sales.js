@@ -0,0 +1,38 @@
+// sales.js
+// Scheduled sales and price snapshots, shared by the app and the API.
+// - A course can carry one sale: `sale: { price, prices?, startsAt, endsAt }`.
+//   Between startsAt (included) and endsAt (excluded) it sells at `price` (in the
+//   course's currency) or its override in `prices`, like the catalog price
+//   (see coursePrice in currencies.js).
+// - A price snapshot { amount, currency, savedAt } is stored on wishlist items and
+//   cart lines when they are added, so the app can show how much the price dropped since.
+
+/** The course's sale when it is running at `now`, otherwise null. */
+export function activeSale(course, now = Date.now()) {
+  const sale = course?.sale;
+  if (!sale || sale.price == null) return null;
+  const starts = sale.startsAt ? new Date(sale.startsAt).getTime() : -Infinity;
+  const ends = sale.endsAt ? new Date(sale.endsAt).getTime() : Infinity;
+  return now >= starts && now < ends ? sale : null;
+}
+
+/** Milliseconds until the running sale ends (Infinity for a sale without an end), or 0. */
+export function saleTimeLeft(course, now = Date.now()) {
+  const sale = activeSale(course, now);
+  if (!sale) return 0;
+  return sale.endsAt ? new Date(sale.endsAt).getTime() - now : Infinity;
+}
+
+/** Whole percent `price` is below `regular` (0 when it isn't). */
+export const percentOff = (price, regular) => (regular > price ? Math.round((1 - price / regular) * 100) : 0);
+
+/** The snapshot stored with a saved course: its price then, in the shopper's currency. */
+export const priceSnapshot = (amount, currency, now = Date.now()) => ({
+  amount: Number(amount) || 0,
+  currency,
+  savedAt: new Date(now).toISOString(),
+});
+
+/** How much cheaper `currentAmount` is than the snapshot (0 when it isn't). */
+export const priceDrop = (snapshot, currentAmount) =>
+  snapshot ? Math.max(0, Math.round((snapshot.amount - currentAmount) * 100) / 100) : 0;
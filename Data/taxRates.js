@@ -0,0 +1,132 @@
+// taxRates.js
+// Local VAT / sales tax table used by the checkout (server/tax.js) and the
+// billing form (region pickers). Rates are fractions (0.14 = 14%).
+// - mode "inclusive": catalog prices already include the tax (VAT countries) —
+//   the tax is shown as part of the price and the total doesn't change.
+// - mode "exclusive": the tax is added on top of the price (US sales tax, Canadian GST/HST).
+// - Countries with `regions` need a state / province; the region's rate (and
+//   name, when it differs) replaces the country's.
+// - Countries that aren't listed are not taxed.
+//
+// The rates are the standard ones at the time of writing, for the demo store —
+// they don't cover local surcharges or exemptions for digital goods.
+
+export const TAX_RATES = {
+  EG: { name: "VAT", rate: 0.14, mode: "inclusive" },
+  SA: { name: "VAT", rate: 0.15, mode: "inclusive" },
+  AE: { name: "VAT", rate: 0.05, mode: "inclusive" },
+  KW: { name: "VAT", rate: 0, mode: "inclusive" },
+  QA: { name: "VAT", rate: 0, mode: "inclusive" },
+  BH: { name: "VAT", rate: 0.1, mode: "inclusive" },
+  OM: { name: "VAT", rate: 0.05, mode: "inclusive" },
+  JO: { name: "GST", rate: 0.16, mode: "inclusive" },
+  LB: { name: "VAT", rate: 0.11, mode: "inclusive" },
+  MA: { name: "VAT", rate: 0.2, mode: "inclusive" },
+  TN: { name: "VAT", rate: 0.19, mode: "inclusive" },
+  DZ: { name: "VAT", rate: 0.19, mode: "inclusive" },
+  GB: { name: "VAT", rate: 0.2, mode: "inclusive" },
+  DE: { name: "VAT", rate: 0.19, mode: "inclusive" },
+  FR: { name: "VAT", rate: 0.2, mode: "inclusive" },
+  IN: { name: "GST", rate: 0.18, mode: "inclusive" },
+  US: {
+    name: "Sales tax",
+    rate: 0,
+    mode: "exclusive",
+    regionLabel: "state",
+    regions: {
+      AL: { name: "Alabama", rate: 0.04 },
+      AK: { name: "Alaska", rate: 0 },
+      AZ: { name: "Arizona", rate: 0.056 },
+      AR: { name: "Arkansas", rate: 0.065 },
+      CA: { name: "California", rate: 0.0725 },
+      CO: { name: "Colorado", rate: 0.029 },
+      CT: { name: "Connecticut", rate: 0.0635 },
+      DE: { name: "Delaware", rate: 0 },
+      DC: { name: "District of Columbia", rate: 0.06 },
+      FL: { name: "Florida", rate: 0.06 },
+      GA: { name: "Georgia", rate: 0.04 },
+      HI: { name: "Hawaii", rate: 0.04 },
+      ID: { name: "Idaho", rate: 0.06 },
+      IL: { name: "Illinois", rate: 0.0625 },
+      IN: { name: "Indiana", rate: 0.07 },
+      IA: { name: "Iowa", rate: 0.06 },
+      KS: { name: "Kansas", rate: 0.065 },
+      KY: { name: "Kentucky", rate: 0.06 },
+      LA: { name: "Louisiana", rate: 0.05 },
+      ME: { name: "Maine", rate: 0.055 },
+      MD: { name: "Maryland", rate: 0.06 },
+      MA: { name: "Massachusetts", rate: 0.0625 },
+      MI: { name: "Michigan", rate: 0.06 },
+      MN: { name: "Minnesota", rate: 0.06875 },
+      MS: { name: "Mississippi", rate: 0.07 },
+      MO: { name: "Missouri", rate: 0.04225 },
+      MT: { name: "Montana", rate: 0 },
+      NE: { name: "Nebraska", rate: 0.055 },
+      NV: { name: "Nevada", rate: 0.0685 },
+      NH: { name: "New Hampshire", rate: 0 },
+      NJ: { name: "New Jersey", rate: 0.06625 },
+      NM: { name: "New Mexico", rate: 0.04875 },
+      NY: { name: "New York", rate: 0.04 },
+      NC: { name: "North Carolina", rate: 0.0475 },
+      ND: { name: "North Dakota", rate: 0.05 },
+      OH: { name: "Ohio", rate: 0.0575 },
+      OK: { name: "Oklahoma", rate: 0.045 },
+      OR: { name: "Oregon", rate: 0 },
+      PA: { name: "Pennsylvania", rate: 0.06 },
+      RI: { name: "Rhode Island", rate: 0.07 },
+      SC: { name: "South Carolina", rate: 0.06 },
+      SD: { name: "South Dakota", rate: 0.042 },
+      TN: { name: "Tennessee", rate: 0.07 },
+      TX: { name: "Texas", rate: 0.0625 },
+      UT: { name: "Utah", rate: 0.061 },
+      VT: { name: "Vermont", rate: 0.06 },
+      VA: { name: "Virginia", rate: 0.053 },
+      WA: { name: "Washington", rate: 0.065 },
+      WV: { name: "West Virginia", rate: 0.06 },
+      WI: { name: "Wisconsin", rate: 0.05 },
+      WY: { name: "Wyoming", rate: 0.04 },
+    },
+  },
+  CA: {
+    name: "GST",
+    rate: 0.05,
+    mode: "exclusive",
+    regionLabel: "province",
+    regions: {
+      AB: { name: "Alberta", rate: 0.05 },
+      BC: { name: "British Columbia", rate: 0.12, taxName: "GST + PST" },
+      MB: { name: "Manitoba", rate: 0.12, taxName: "GST + PST" },
+      NB: { name: "New Brunswick", rate: 0.15, taxName: "HST" },
+      NL: { name: "Newfoundland and Labrador", rate: 0.15, taxName: "HST" },
+      NS: { name: "Nova Scotia", rate: 0.14, taxName: "HST" },
+      NT: { name: "Northwest Territories", rate: 0.05 },
+      NU: { name: "Nunavut", rate: 0.05 },
+      ON: { name: "Ontario", rate: 0.13, taxName: "HST" },
+      PE: { name: "Prince Edward Island", rate: 0.15, taxName: "HST" },
+      QC: { name: "Quebec", rate: 0.14975, taxName: "GST + QST" },
+      SK: { name: "Saskatchewan", rate: 0.11, taxName: "GST + PST" },
+      YT: { name: "Yukon", rate: 0.05 },
+    },
+  },
+};
+
+/** Regions (states / provinces) a country needs, as [{ code, name }] — empty when it needs none. */
+export function taxRegions(country) {
+  const regions = TAX_RATES[country]?.regions;
+  return regions ? Object.entries(regions).map(([code, region]) => ({ code, name: region.name })) : [];
+}
+
+/**
+ * The tax that applies to a billing address.
+ * @returns {{ country, region, name, rate, mode } | null} null when the country
+ *   needs a region and none (or an unknown one) was given
+ */
+export function taxRateFor(country, region = "") {
+  const entry = TAX_RATES[country];
+  if (!entry) return { country, region: "", name: "Tax", rate: 0, mode: "exclusive" };
+  if (!entry.regions) return { country, region: "", name: entry.name, rate: entry.rate, mode: entry.mode };
+
+  const regional = entry.regions[region];
+  if (!regional) return null;
+  return { country, region, name: regional.taxName || entry.name, rate: regional.rate, mode: entry.mode };
+}
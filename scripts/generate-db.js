@@ -0,0 +1,117 @@
+// generate-db.js
+// Builds db.json (the json-server database) from the seed data in Data/Data.js.
+// - json-server 1.x stores every id as a string, so ids and foreign keys
+//   (instructorId, userId, courseId, purchasedCourseIds) are converted here once.
+// - categories / levels / tags are plain string lists, which json-server can't
+//   serve as a collection, so they are grouped under a single `taxonomy` object.
+// - Seed users get a bcrypt-hashed demo password (DEMO_PASSWORD) in the private
+//   `credentials` collection so they can sign in against the local API.
+// - DEMO_COUPONS seeds the private `coupons` collection (see server/coupons.js)
+//   with one code of each kind, including an expired one.
+// - Refuses to overwrite an existing db.json unless --force is passed, because
+//   the team edits db.json directly after the first seed.
+//
+// Usage: npm run db:seed [-- --force]
+
+import { existsSync, writeFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import bcrypt from "bcryptjs";
+import { projectData } from "../Data/Data.js";
+
+const DB_FILE = fileURLToPath(new URL("../db.json", import.meta.url));
+const force = process.argv.includes("--force");
+const DEMO_PASSWORD = "Skillverse123";
+
+const DEMO_COUPONS = [
+  { id: "coupon-1", code: "WELCOME10", description: "10% off your first order", type: "percent", value: 10, perUserLimit: 1, stackable: false },
+  { id: "coupon-2", code: "SAVE5", description: "$5 off orders of $50 or more", type: "fixed", value: 5, minSubtotal: 50, stackable: true },
+  { id: "coupon-3", code: "FRONTEND20", description: "20% off Frontend courses", type: "percent", value: 20, categories: ["Frontend"], expiresAt: "2027-12-31T23:59:59Z", stackable: true },
+  { id: "coupon-4", code: "REACT15", description: "15% off React & Tailwind - From Zero to Hero", type: "percent", value: 15, courseIds: ["1"], usageLimit: 100, stackable: true },
+  { id: "coupon-5", code: "SUMMER24", description: "Summer 2024 sale", type: "percent", value: 25, startsAt: "2024-06-01T00:00:00Z", expiresAt: "2024-09-01T00:00:00Z", stackable: false },
+];
+
+const toId = (value) => (value == null ? value : String(value));
+
+function buildDatabase(data = projectData) {
+  const courses = data.courses.map((course) => ({
+    ...course,
+    id: toId(course.id),
+    instructorId: toId(course.instructorId),
+    reviews: (course.reviews || []).map((review) => ({
+      ...review,
+      id: toId(review.id),
+      userId: toId(review.userId),
+    })),
+  }));
+
+  const instructors = data.instructors.map((instructor) => ({
+    ...instructor,
+    id: toId(instructor.id),
+  }));
+
+  // seed accounts count as verified (new sign-ups start unverified)
+  const users = data.users.map((user) => ({
+    ...user,
+    id: toId(user.id),
+    emailVerified: user.emailVerified ?? true,
+    purchasedCourseIds: (user.purchasedCourseIds || []).map(toId),
+  }));
+
+  // cart & order lines reference courses by id
+  const mapLines = (items = []) =>
+    items.map((item) => ({ ...item, courseId: toId(item.courseId) }));
+
+  const cart = data.cart.map((record) => ({
+    ...record,
+    id: toId(record.id),
+    userId: toId(record.userId),
+    items: mapLines(record.items),
+  }));
+
+  const orders = data.orders.map((order) => ({
+    ...order,
+    id: toId(order.id),
+    userId: toId(order.userId),
+    items: mapLines(order.items),
+  }));
+
+  const faqs = data.faqs.map((faq) => ({ ...faq, id: toId(faq.id) }));
+
+  // private auth collections (see server/auth.js)
+  const demoHash = bcrypt.hashSync(DEMO_PASSWORD, 10);
+  const credentials = users.map((user) => ({
+    id: `cred-${user.id}`,
+    userId: user.id,
+    passwordHash: demoHash,
+    updatedAt: null,
+  }));
+
+  return {
+    courses,
+    instructors,
+    users,
+    orders,
+    cart,
+    faqs,
+    taxonomy: {
+      categories: data.categories,
+      levels: data.levels,
+      tags: data.tags,
+    },
+    settings: data.settings,
+    credentials,
+    sessions: [],
+    passwordResets: [],
+    emailVerifications: [],
+    identities: [],
+    coupons: DEMO_COUPONS,
+  };
+}
+
+if (existsSync(DB_FILE) && !force) {
+  console.error("db.json already exists. Run with --force to overwrite it.");
+  process.exit(1);
+}
+
+writeFileSync(DB_FILE, JSON.stringify(buildDatabase(), null, 2) + "\n");
+console.log(`Wrote ${DB_FILE}`);
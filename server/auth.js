@@ -0,0 +1,182 @@
+// auth.js
+// Auth routes for the local API: register, login, refresh, logout, me (read/update).
+// - Passwords are hashed with bcrypt and stored in the private `credentials`
+//   collection (never in `users`, which only these routes hand out: a user
+//   reads and updates their own account through /auth/me).
+// - Each login creates a row in the private `sessions` collection; refresh
+//   tokens are bound to it (see tokens.js). "Remember me" decides how long the
+//   session lasts (see sessions.js, which also lists / revokes sessions).
+// - Password reset (passwordReset.js), email verification
+//   (emailVerification.js) and OAuth sign-in (oauth.js) routes are mounted here.
+// - Errors are JSON: { error: { code, message } } (see http.js).
+
+import { randomUUID } from "node:crypto";
+import express from "express";
+import { normalizeEmail, sendError } from "./http.js";
+import { checkPassword, hashPassword, passwordProblem } from "./passwords.js";
+import { registerPasswordResetRoutes } from "./passwordReset.js";
+import { registerEmailVerificationRoutes, sendVerificationEmail } from "./emailVerification.js";
+import { registerOAuthRoutes } from "./oauth.js";
+import { createSession, isSessionActive, registerSessionRoutes, touchSession } from "./sessions.js";
+import { buildUser, findCredential, findUserByEmail, findUserById } from "./users.js";
+import {
+  ACCESS_TTL_SECONDS,
+  newTokenId,
+  signAccessToken,
+  signRefreshToken,
+  verifyAccessToken,
+  verifyRefreshToken,
+} from "./tokens.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/* -----------------------
+   Helpers
+------------------------*/
+const tokenResponse = (user, session) => ({
+  user,
+  accessToken: signAccessToken(user, session.id),
+  refreshToken: signRefreshToken(session),
+  expiresIn: ACCESS_TTL_SECONDS,
+});
+
+/* -----------------------
+   requireAuth middleware
+   - Verifies the Bearer access token and that its session still exists and
+     hasn't expired (an access token can outlive its session by up to 15 minutes).
+   - Sets req.user and req.session for later handlers.
+------------------------*/
+export const requireAuth = (db) => (req, res, next) => {
+  const header = req.get("authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  const payload = token && verifyAccessToken(token);
+  if (!payload) return sendError(res, 401, "UNAUTHORIZED", "Not signed in");
+
+  const session = db.data.sessions.find((s) => s.id === payload.sid);
+  const user = findUserById(db, payload.sub);
+  if (!session || !user || !isSessionActive(session)) return sendError(res, 401, "SESSION_REVOKED", "Session has ended");
+
+  req.user = user;
+  req.session = session;
+  next();
+};
+
+/* -----------------------
+   Router
+------------------------*/
+export function createAuthRouter(db, { mailer, oauthProviders = {} }) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // POST /auth/register { name, email, password }
+  router.post("/register", async (req, res) => {
+    const name = String(req.body?.name || "").trim();
+    const email = normalizeEmail(req.body?.email);
+    const password = req.body?.password;
+
+    if (name.length < 2) return sendError(res, 400, "INVALID_NAME", "Name must be at least 2 characters");
+    if (!EMAIL_RE.test(email)) return sendError(res, 400, "INVALID_EMAIL", "Please enter a valid email");
+    const problem = passwordProblem(password);
+    if (problem) return sendError(res, 400, "WEAK_PASSWORD", problem);
+    if (findUserByEmail(db, email)) return sendError(res, 409, "EMAIL_TAKEN", "Email already taken");
+
+    const user = buildUser({ name, email, locale: req.body?.locale });
+    db.data.users.push(user);
+    db.data.credentials.push({
+      id: randomUUID(),
+      userId: user.id,
+      passwordHash: await hashPassword(password),
+      updatedAt: user.createdAt,
+    });
+
+    // a brand-new account stays signed in on this device
+    const session = await createSession(db, user, req, { remember: true }); // also writes the user + credential
+    await sendVerificationEmail({ db, mailer }, user);
+    res.status(201).json(tokenResponse(user, session));
+  });
+
+  // POST /auth/login { email, password, remember? }
+  router.post("/login", async (req, res) => {
+    const email = normalizeEmail(req.body?.email);
+    const password = String(req.body?.password || "");
+
+    const user = findUserByEmail(db, email);
+    if (!user) return sendError(res, 401, "EMAIL_NOT_FOUND", "No account found with this email");
+
+    const credential = findCredential(db, user.id);
+    // accounts created through "Continue with Google/Facebook" have no password until they reset one
+    if (!credential) return sendError(res, 401, "NO_PASSWORD", "This account signs in with Google or Facebook");
+    const ok = await checkPassword(password, credential.passwordHash);
+    if (!ok) return sendError(res, 401, "WRONG_PASSWORD", "Wrong password");
+
+    const session = await createSession(db, user, req, { remember: req.body?.remember === true });
+    res.json(tokenResponse(user, session));
+  });
+
+  // POST /auth/refresh { refreshToken } → rotates the refresh token
+  router.post("/refresh", async (req, res) => {
+    const payload = verifyRefreshToken(req.body?.refreshToken);
+    if (!payload) return sendError(res, 401, "INVALID_REFRESH_TOKEN", "Session expired, please sign in again");
+
+    const session = db.data.sessions.find((s) => s.id === payload.sid);
+    const user = findUserById(db, payload.sub);
+    if (!session || !user || !isSessionActive(session)) return sendError(res, 401, "SESSION_REVOKED", "Session has ended");
+
+    if (session.tokenId !== payload.tid) {
+      // An old refresh token was replayed — assume it leaked and end the session.
+      db.data.sessions = db.data.sessions.filter((s) => s.id !== session.id);
+      await db.write();
+      return sendError(res, 401, "SESSION_REVOKED", "Session has ended");
+    }
+
+    session.tokenId = newTokenId();
+    touchSession(session);
+    await db.write();
+    res.json(tokenResponse(user, session));
+  });
+
+  // POST /auth/logout { refreshToken } — always succeeds
+  router.post("/logout", async (req, res) => {
+    const payload = verifyRefreshToken(req.body?.refreshToken);
+    if (payload) {
+      db.data.sessions = db.data.sessions.filter((s) => s.id !== payload.sid);
+      await db.write();
+    }
+    res.status(204).end();
+  });
+
+  // GET /auth/me → the signed-in user
+  router.get("/me", requireAuth(db), (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  // PATCH /auth/me { name?, avatar?, locale? } → updated user
+  // Only profile fields can change here; email/role/purchases are server-owned.
+  router.patch("/me", requireAuth(db), async (req, res) => {
+    const changes = {};
+    if (req.body?.name !== undefined) {
+      const name = String(req.body.name).trim();
+      if (name.length < 2) return sendError(res, 400, "INVALID_NAME", "Name must be at least 2 characters");
+      changes.name = name;
+    }
+    if (req.body?.avatar !== undefined) changes.avatar = req.body.avatar ? String(req.body.avatar) : null;
+    if (req.body?.locale !== undefined) changes.locale = req.body.locale === "en" ? "en" : "ar";
+
+    Object.assign(req.user, changes);
+    await db.write();
+    res.json({ user: req.user });
+  });
+
+  registerPasswordResetRoutes(router, { db, mailer });
+  registerEmailVerificationRoutes(router, { db, mailer, requireAuth: requireAuth(db) });
+  registerSessionRoutes(router, { db, requireAuth: requireAuth(db) });
+  registerOAuthRoutes(router, {
+    db,
+    mailer,
+    providers: oauthProviders,
+    startSession: async (user, req) =>
+      tokenResponse(user, await createSession(db, user, req, { remember: req.body?.remember === true })),
+  });
+
+  return router;
+}
@@ -0,0 +1,229 @@
+// cart.js
+// The signed-in user's cart, kept on the API so it follows them across tabs and devices.
+//
+//   GET  /cart                    → 200 { cart }
+//   PUT  /cart                    { items, couponCodes, baseVersion } → 200 { cart }
+//                                 → 409 CART_CONFLICT { error, cart } when the cart was saved
+//                                   elsewhere since `baseVersion`
+//   POST /cart/merge              { items, couponCodes } → 200 { cart, dropped }
+//   GET  /cart/changes?after=<v>  long poll: 200 { cart } once the version is past `after`,
+//                                 204 after CHANGES_WAIT_MS without a change
+//
+// - One record per user in the `cart` collection: { id, userId, items: [{ courseId,
+//   type, quantity, gift?, price, savedPrice? }], couponCodes, version, updatedAt }.
+//   `price` is the catalog price when the line was first saved; `savedPrice` is the
+//   app's price snapshot { amount, currency, savedAt } from when the line was added
+//   to the cart (Data/sales.js), kept from the first save too.
+// - Lines come in like the checkout takes them ({ courseId, type?, quantity?, gift? })
+//   and go out as the app's cart items (the course plus lineId, type, quantity, gift).
+//   Lines for unknown courses or that the checkout would refuse are dropped.
+// - Merging (a guest cart into the account's at sign-in) matches lines by lineKey:
+//   a line in both carts is kept once, with the most team seats and the guest's
+//   gift message; "self" lines for courses the user already owns are dropped and
+//   listed in `dropped`; promo codes are combined, at most MAX_COUPONS.
+// - Every save bumps `version` and answers the user's waiting /changes requests.
+
+import { randomUUID } from "node:crypto";
+import express from "express";
+import { MAX_GIFT_MESSAGE, MAX_TEAM_SEATS, MIN_TEAM_SEATS, isLineType, lineKey } from "../Data/cartLines.js";
+import { isSupportedCurrency } from "../Data/currencies.js";
+import { MAX_COUPONS, normalizeCode } from "./coupons.js";
+import { normalizeEmail } from "./http.js";
+
+export const CHANGES_WAIT_MS = 25 * 1000;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const invalidLine = (message) => ({ error: [400, "INVALID_CART_LINE", message] });
+
+/**
+ * Reads the type of a requested cart line (shared with checkout.js).
+ * @returns {{ type, quantity, gift? } | { error: [status, code, message] }}
+ */
+export function readLineType(line) {
+  const type = line?.type || "self";
+  if (!isLineType(type)) return invalidLine("Unknown cart line type");
+
+  if (type === "team") {
+    const seats = Number(line.quantity);
+    if (!Number.isInteger(seats) || seats < MIN_TEAM_SEATS || seats > MAX_TEAM_SEATS) {
+      return invalidLine(`Teams need between ${MIN_TEAM_SEATS} and ${MAX_TEAM_SEATS} seats`);
+    }
+    return { type, quantity: seats };
+  }
+  if (type === "gift") {
+    const gift = {
+      email: normalizeEmail(line.gift?.email),
+      message: String(line.gift?.message || "").trim(),
+    };
+    if (!EMAIL_RE.test(gift.email)) return invalidLine("Please enter the gift recipient's email");
+    if (gift.message.length > MAX_GIFT_MESSAGE) return invalidLine("The gift message is too long");
+    return { type, quantity: 1, gift };
+  }
+  return { type, quantity: 1 };
+}
+
+const findCourse = (db, courseId) => db.data.courses.find((c) => c.id === String(courseId));
+
+// { amount, currency, savedAt } from the app, or null when it doesn't look like one
+function readSavedPrice(snapshot) {
+  const amount = Number(snapshot?.amount);
+  const savedAt = new Date(snapshot?.savedAt);
+  if (!Number.isFinite(amount) || amount < 0 || !isSupportedCurrency(snapshot?.currency) || Number.isNaN(savedAt.getTime())) {
+    return null;
+  }
+  return { amount, currency: snapshot.currency, savedAt: savedAt.toISOString() };
+}
+
+// Requested lines → stored lines (valid ones only, one per lineKey — the last one wins)
+function readStoredLines(db, requested) {
+  const lines = new Map();
+  for (const line of Array.isArray(requested) ? requested : []) {
+    const course = findCourse(db, line?.courseId);
+    const { type, quantity, gift, error } = readLineType(line);
+    if (!course || error) continue;
+    const stored = { courseId: course.id, type, quantity, price: Number(course.price) || 0 };
+    if (gift) stored.gift = gift;
+    const savedPrice = readSavedPrice(line.savedPrice);
+    if (savedPrice) stored.savedPrice = savedPrice;
+    lines.set(lineKey(stored), stored);
+  }
+  return lines;
+}
+
+const readCouponCodes = (codes) =>
+  [...new Set((Array.isArray(codes) ? codes : []).map(normalizeCode).filter(Boolean))].slice(0, MAX_COUPONS);
+
+// Stored cart → what the app keeps in its cart slice
+function toClientCart(db, record) {
+  const items = [];
+  for (const line of record?.items || []) {
+    const course = findCourse(db, line.courseId);
+    if (!course) continue;
+    const type = line.type || "self";
+    const item = { ...course, id: course.id, lineId: lineKey({ ...line, type }), type, quantity: line.quantity || 1 };
+    if (line.gift) item.gift = line.gift;
+    if (line.savedPrice) item.savedPrice = line.savedPrice;
+    items.push(item);
+  }
+  return {
+    items,
+    couponCodes: record?.couponCodes || [],
+    version: record?.version || 0,
+    updatedAt: record?.updatedAt || null,
+  };
+}
+
+const findCart = (db, userId) => db.data.cart.find((c) => c.userId === userId) || null;
+
+// userId → callbacks of the /changes requests waiting for that user's cart
+const waiting = new Map();
+const notifyCartChanged = (record) => waiting.get(record.userId)?.forEach((callback) => callback(record));
+
+/**
+ * Removes the lines of a paid order from its buyer's saved cart.
+ * @returns {Promise<void>}
+ */
+export async function removeOrderedLines(db, order) {
+  const record = findCart(db, order.userId);
+  if (!record) return;
+  const ordered = new Set(order.items.map((item) => lineKey({ ...item, type: item.type || "self" })));
+  const items = record.items.filter((line) => !ordered.has(lineKey({ ...line, type: line.type || "self" })));
+  if (items.length === record.items.length) return;
+  Object.assign(record, { items, version: (record.version || 0) + 1, updatedAt: new Date().toISOString() });
+  await db.write();
+  notifyCartChanged(record);
+}
+
+export function createCartRouter(db, { requireAuth }) {
+  const router = express.Router();
+  router.use(express.json());
+  router.use(requireAuth);
+
+  const saveCart = async (userId, lines, couponCodes) => {
+    let record = findCart(db, userId);
+    if (!record) {
+      record = { id: randomUUID(), userId, items: [], couponCodes: [], version: 0, updatedAt: null };
+      db.data.cart.push(record);
+    }
+    // keep the prices a line was first saved with
+    const before = new Map(record.items.map((line) => [lineKey({ ...line, type: line.type || "self" }), line]));
+    const items = [...lines].map(([key, line]) => {
+      const saved = before.get(key);
+      if (!saved) return line;
+      const kept = { ...line, price: saved.price };
+      if (saved.savedPrice) kept.savedPrice = saved.savedPrice;
+      return kept;
+    });
+    Object.assign(record, { items, couponCodes, version: (record.version || 0) + 1, updatedAt: new Date().toISOString() });
+    await db.write();
+    notifyCartChanged(record);
+    return record;
+  };
+
+  router.get("/", (req, res) => {
+    res.json({ cart: toClientCart(db, findCart(db, req.user.id)) });
+  });
+
+  router.put("/", async (req, res) => {
+    const current = findCart(db, req.user.id);
+    const baseVersion = Number(req.body?.baseVersion) || 0;
+    if ((current?.version || 0) !== baseVersion) {
+      return res.status(409).json({
+        error: { code: "CART_CONFLICT", message: "Your cart was changed on another device" },
+        cart: toClientCart(db, current),
+      });
+    }
+    const record = await saveCart(req.user.id, readStoredLines(db, req.body?.items), readCouponCodes(req.body?.couponCodes));
+    res.json({ cart: toClientCart(db, record) });
+  });
+
+  router.post("/merge", async (req, res) => {
+    const current = findCart(db, req.user.id);
+    const lines = readStoredLines(db, current?.items);
+    const owned = new Set(req.user.purchasedCourseIds || []);
+    const dropped = [];
+
+    for (const [key, line] of readStoredLines(db, req.body?.items)) {
+      const saved = lines.get(key);
+      if (line.type === "team" && saved) saved.quantity = Math.max(saved.quantity, line.quantity);
+      else lines.set(key, saved ? { ...saved, ...line } : line);
+    }
+    for (const [key, line] of lines) {
+      if (line.type === "self" && owned.has(line.courseId)) {
+        lines.delete(key);
+        dropped.push({ courseId: line.courseId, reason: "ALREADY_PURCHASED" });
+      }
+    }
+
+    const codes = readCouponCodes([...(current?.couponCodes || []), ...(req.body?.couponCodes || [])]);
+    const record = await saveCart(req.user.id, lines, codes);
+    res.json({ cart: toClientCart(db, record), dropped });
+  });
+
+  router.get("/changes", (req, res) => {
+    const after = Number(req.query.after) || 0;
+    const record = findCart(db, req.user.id);
+    if ((record?.version || 0) > after) return res.json({ cart: toClientCart(db, record) });
+
+    const callbacks = waiting.get(req.user.id) || new Set();
+    waiting.set(req.user.id, callbacks);
+    const done = () => {
+      clearTimeout(timer);
+      callbacks.delete(onChange);
+      if (!callbacks.size) waiting.delete(req.user.id);
+    };
+    const onChange = (changed) => {
+      done();
+      res.json({ cart: toClientCart(db, changed) });
+    };
+    const timer = setTimeout(() => {
+      done();
+      res.status(204).end();
+    }, CHANGES_WAIT_MS);
+    callbacks.add(onChange);
+    res.on("close", done); // answered, or the client gave up
+  });
+
+  return router;
+}
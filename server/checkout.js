@@ -0,0 +1,338 @@
+// checkout.js
+// Checkout routes: turn the signed-in user's cart into a paid order.
+//
+//   POST /checkout/quote               { items: [{ courseId, type?, quantity?, gift? }], coupons?, country?, region?, currency? }
+//                                      → 200 quote
+//   GET  /checkout/orders              → 200 { orders }  the signed-in user's orders, newest first
+//   GET  /checkout/orders/:id          → 200 { order }   one of them (ORDER_NOT_FOUND for anyone else's)
+//   POST /checkout/orders              { items, billing, coupons?, currency? } → 201 { order }
+//   POST /checkout/orders/:id/pay      { paymentMethod: { id, brand, last4 } }
+//                                      → 200 { order, user }  paid
+//                                      → 202 { order, action } 3-D Secure challenge needed
+//   POST /checkout/orders/:id/confirm  { paymentId, response } → 200 { order, user }
+//   POST /checkout/orders/:id/refund…  refund requests and their review (refunds.js)
+//   POST /checkout/gifts/…             previewing and redeeming gift links (gifts.js)
+//   …    /checkout/subscription…       Skillverse Pro subscriptions (subscriptions.js)
+//
+// - Orders have the same shape as the seed orders (userId, items
+//   [{ courseId, price, quantity }], total, currency, status, createdAt) plus
+//   the billing details, a payment summary and the promo codes used
+//   (subtotal, discount, coupons [{ code, type, value, amount }], items[].discount)
+//   and the tax for the billing address (tax { name, rate, mode, amount, ... }, items[].tax).
+// - Each line has a type (Data/cartLines.js): "self" (quantity 1), "gift" (quantity 1,
+//   gift { email, message }) or "team" (quantity = seats, priced with the volume
+//   discount; listPrice is the price before it), checked by cart.js → readLineType.
+//   Lines come back with their `lineId`.
+// - Coupons are priced by coupons.js, tax by tax.js. A quote works signed out too
+//   (per-user limits are only checked when signed in); orders refuse codes that can't be used.
+// - Prices come from the catalog in db.json, never from the client, in the
+//   requested currency (a course's override for it, or the converted price —
+//   Data/currencies.js); orders are charged in that currency. A course on sale
+//   (Data/sales.js) is priced at its sale price and the line keeps `regularPrice`.
+// - Only verified accounts can buy (EMAIL_NOT_VERIFIED), and courses already
+//   owned can't be bought for yourself again (ALREADY_PURCHASED, checked again
+//   when paying); they can still be gifted or bought for a team. Paying adds only the "self" lines to the
+//   buyer's purchasedCourseIds; each gift line is emailed to its recipient, who
+//   redeems it for the course (gifts.js).
+// - A declined payment leaves the order "pending" so another card can be tried.
+// - One payment attempt per order at a time: paying or confirming an order whose
+//   charge is still with the provider answers 409 PAYMENT_IN_PROGRESS.
+// - Paid orders get the next invoice number (SV-<year paid>-<sequence>, one
+//   sequence across all orders); lines keep the course title for the invoice.
+// - Paid lines are removed from the user's saved cart (cart.js), and the receipt
+//   is emailed to the billing email (emails.js → receiptEmail).
+// - Payments go through a pluggable provider (payments.js); without one, paying
+//   answers 503 PAYMENTS_UNAVAILABLE.
+// - Orders hold billing names, emails and addresses, so they are only served
+//   here, to their buyer (the REST routes answer 404 for `orders`).
+
+import { randomUUID } from "node:crypto";
+import express from "express";
+import { lineKey, seatTier, unitPriceFor } from "../Data/cartLines.js";
+import { coursePrice, isSupportedCurrency, regularPrice } from "../Data/currencies.js";
+import { taxRegions } from "../Data/taxRates.js";
+import { readLineType, removeOrderedLines } from "./cart.js";
+import { priceCart, recheckOrderCoupons } from "./coupons.js";
+import { receiptEmail } from "./emails.js";
+import { registerGiftRoutes, sendGifts } from "./gifts.js";
+import { normalizeEmail, sendError } from "./http.js";
+import { DECLINE_MESSAGES, requirePayments } from "./payments.js";
+import { registerRefundRoutes } from "./refunds.js";
+import { registerSubscriptionRoutes } from "./subscriptions.js";
+import { applyTax } from "./tax.js";
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const INVOICE_PREFIX = "SV";
+
+// Returns { billing } or { error: [code, message] }
+function readBilling(body) {
+  const billing = {
+    name: String(body?.name || "").trim(),
+    email: normalizeEmail(body?.email),
+    country: String(body?.country || "").trim().toUpperCase(),
+    region: String(body?.region || "").trim().toUpperCase(),
+    address: String(body?.address || "").trim(),
+    city: String(body?.city || "").trim(),
+    postalCode: String(body?.postalCode || "").trim(),
+  };
+  if (billing.name.length < 2) return { error: ["INVALID_BILLING", "Please enter the billing name"] };
+  if (!EMAIL_RE.test(billing.email)) return { error: ["INVALID_BILLING", "Please enter a valid billing email"] };
+  if (!billing.country) return { error: ["INVALID_BILLING", "Please choose a country"] };
+
+  // the tax depends on the state / province in some countries
+  const regions = taxRegions(billing.country);
+  if (!regions.length) billing.region = "";
+  else if (!regions.some((r) => r.code === billing.region)) {
+    return { error: ["INVALID_BILLING", "Please choose a state or province"] };
+  }
+  return { billing };
+}
+
+// Returns { currency } or { error } — the store's currency when none is asked for
+function readCurrency(db, body) {
+  const currency = String(body?.currency || db.data.settings?.currency || "USD").toUpperCase();
+  if (!isSupportedCurrency(currency)) return { error: [400, "UNSUPPORTED_CURRENCY", "This currency isn't supported"] };
+  return { currency };
+}
+
+// The invoice number of an order paid at `paidAt` (ISO date)
+function nextInvoiceNumber(db, paidAt) {
+  const last = db.data.orders.reduce(
+    (max, order) => Math.max(max, Number(String(order.invoiceNumber || "").split("-").pop()) || 0),
+    0
+  );
+  return `${INVOICE_PREFIX}-${paidAt.slice(0, 4)}-${String(last + 1).padStart(6, "0")}`;
+}
+
+// Returns { lines: [{ lineId, courseId, title, category, type, price, quantity, gift?, listPrice?, regularPrice? }] }
+// priced from the catalog in `currency`, or { error }
+function readLines(db, body, currency) {
+  const requested = Array.isArray(body?.items) ? body.items : [];
+  if (!requested.length) return { error: [400, "EMPTY_CART", "Your cart is empty"] };
+
+  const lines = [];
+  for (const line of requested) {
+    const course = db.data.courses.find((c) => c.id === String(line?.courseId));
+    if (!course) return { error: [400, "UNKNOWN_COURSE", "A course in your cart is no longer available"] };
+    const { type, quantity, gift, error } = readLineType(line);
+    if (error) return { error };
+
+    const lineId = lineKey({ type, courseId: course.id, gift });
+    if (lines.some((l) => l.lineId === lineId)) {
+      return { error: [400, "INVALID_CART_LINE", "A course is in your cart twice"] };
+    }
+
+    const listPrice = coursePrice(course, currency);
+    const priced = { lineId, courseId: course.id, title: course.title, category: course.category, type, quantity };
+    priced.price = unitPriceFor(priced, listPrice);
+    if (gift) priced.gift = gift;
+    const tier = type === "team" ? seatTier(quantity) : null;
+    if (tier) Object.assign(priced, { listPrice, seatDiscount: tier.discount });
+    const regular = regularPrice(course, currency);
+    if (regular > listPrice) priced.regularPrice = regular;
+    lines.push(priced);
+  }
+  return { lines };
+}
+
+// "self" lines for courses `user` already owns (seed orders have no type)
+const ownedLines = (lines, user) =>
+  lines.filter((line) => (line.type || "self") === "self" && user.purchasedCourseIds?.includes(line.courseId));
+
+const readCodes = (body) => (Array.isArray(body?.coupons) ? body.coupons.map(String) : []);
+
+export function createCheckoutRouter(db, { requireAuth, payments, mailer }) {
+  const router = express.Router();
+  router.use(express.json());
+
+  // POST /checkout/quote — signed-in users get their per-user coupon limits checked
+  router.post("/quote", (req, res, next) => (req.get("authorization") ? requireAuth(req, res, next) : next()), (req, res) => {
+    const { currency, error: currencyError } = readCurrency(db, req.body);
+    if (currencyError) return sendError(res, ...currencyError);
+    const { lines, error } = readLines(db, req.body, currency);
+    if (error) return sendError(res, ...error);
+    const priced = priceCart(db, { lines, codes: readCodes(req.body), currency, userId: req.user?.id });
+    res.json({
+      currency,
+      ...applyTax(priced, {
+        country: String(req.body?.country || "").toUpperCase(),
+        region: String(req.body?.region || "").toUpperCase(),
+      }),
+    });
+  });
+
+  registerGiftRoutes(router, { db, requireAuth });
+
+  router.use(requireAuth);
+
+  // Ids of the orders whose charge or 3-D Secure confirmation is with the provider
+  const charging = new Set();
+
+  // The order must be the signed-in user's, still waiting for payment and not being paid already
+  const findPendingOrder = (req, res) => {
+    const order = db.data.orders.find((o) => o.id === req.params.id && o.userId === req.user.id);
+    if (!order) {
+      sendError(res, 404, "ORDER_NOT_FOUND", "Order not found");
+      return null;
+    }
+    if (order.status !== "pending") {
+      sendError(res, 409, "ORDER_NOT_PENDING", "This order has already been paid");
+      return null;
+    }
+    if (charging.has(order.id)) {
+      sendError(res, 409, "PAYMENT_IN_PROGRESS", "This order is already being paid");
+      return null;
+    }
+    return order;
+  };
+
+  const completeOrder = async (order, user, payment) => {
+    const now = new Date().toISOString();
+    Object.assign(order, {
+      status: "completed",
+      paidAt: now,
+      invoiceNumber: nextInvoiceNumber(db, now),
+      payment: { ...order.payment, ...payment },
+    });
+    const owned = new Set(user.purchasedCourseIds || []);
+    // gifts and team seats are for other people (seed orders have no type)
+    order.items.filter((item) => (item.type || "self") === "self").forEach((item) => owned.add(item.courseId));
+    user.purchasedCourseIds = [...owned];
+    await db.write();
+    // what was bought leaves the saved cart on every device
+    await removeOrderedLines(db, order);
+
+    const to = order.billing?.email || user.email;
+    try {
+      await mailer.send({ to, ...receiptEmail({ user, order }) });
+    } catch (err) {
+      // the order is paid either way; the invoice stays on the order page
+      console.warn(`[checkout] could not email the receipt to ${to}`, err);
+    }
+    await sendGifts({ db, mailer }, order, user);
+  };
+
+  // Waits for the provider's answer to `pay` with the order marked as being paid
+  const chargeOrder = async (order, pay) => {
+    charging.add(order.id);
+    try {
+      return await pay();
+    } finally {
+      charging.delete(order.id);
+    }
+  };
+
+  // Sends the provider's answer back to the client
+  const respondWithPayment = async (req, res, order, result) => {
+    order.payment = { ...order.payment, provider: payments.name, paymentId: result.paymentId, status: result.status };
+
+    if (result.status === "succeeded") {
+      await completeOrder(order, req.user, {});
+      return res.json({ order, user: req.user });
+    }
+    if (result.status === "requires_action") {
+      await db.write();
+      return res.status(202).json({ order, action: { ...result.action, paymentId: result.paymentId } });
+    }
+
+    await db.write();
+    const code = DECLINE_MESSAGES[result.declineCode] ? result.declineCode : "CARD_DECLINED";
+    return sendError(res, 402, code, DECLINE_MESSAGES[code]);
+  };
+
+  router.get("/orders", (req, res) => {
+    const orders = db.data.orders
+      .filter((o) => o.userId === req.user.id)
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    res.json({ orders });
+  });
+
+  router.get("/orders/:id", (req, res) => {
+    const order = db.data.orders.find((o) => o.id === req.params.id && o.userId === req.user.id);
+    if (!order) return sendError(res, 404, "ORDER_NOT_FOUND", "Order not found");
+    res.json({ order });
+  });
+
+  router.post("/orders", async (req, res) => {
+    if (!req.user.emailVerified) {
+      return sendError(res, 403, "EMAIL_NOT_VERIFIED", "Verify your email before purchasing");
+    }
+
+    const { currency, error: currencyError } = readCurrency(db, req.body);
+    if (currencyError) return sendError(res, ...currencyError);
+    const { lines, error: linesError } = readLines(db, req.body, currency);
+    if (linesError) return sendError(res, ...linesError);
+
+    if (ownedLines(lines, req.user).length) return sendError(res, 409, "ALREADY_PURCHASED", "You already own a course in your cart");
+
+    const { billing, error } = readBilling(req.body?.billing);
+    if (error) return sendError(res, 400, ...error);
+
+    const priced = priceCart(db, { lines, codes: readCodes(req.body), currency, userId: req.user.id });
+    if (priced.rejected.length) {
+      const { code, message } = priced.rejected[0].error;
+      return sendError(res, 400, code, `${priced.rejected[0].code}: ${message}`);
+    }
+    const quote = applyTax(priced, billing);
+
+    const order = {
+      id: randomUUID(),
+      userId: req.user.id,
+      items: quote.items,
+      subtotal: quote.subtotal,
+      discount: quote.discount,
+      coupons: quote.coupons,
+      tax: quote.tax,
+      total: quote.total,
+      currency,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      billing,
+      payment: null,
+    };
+    db.data.orders.push(order);
+    await db.write();
+    res.status(201).json({ order });
+  });
+
+  router.post("/orders/:id/pay", requirePayments(payments), async (req, res) => {
+    const order = findPendingOrder(req, res);
+    if (!order) return;
+
+    const method = req.body?.paymentMethod;
+    if (!method?.id) return sendError(res, 400, "INVALID_PAYMENT_METHOD", "Please enter your card details");
+
+    // a code may have been used up (or expired) since the order was created
+    const stale = recheckOrderCoupons(db, order);
+    if (stale) return sendError(res, 409, stale.error.code, `${stale.code}: ${stale.error.message}`);
+    // or a course bought for yourself may have been paid through another order since
+    if (ownedLines(order.items, req.user).length) {
+      return sendError(res, 409, "ALREADY_PURCHASED", "You already own a course in this order");
+    }
+
+    order.payment = { brand: String(method.brand || ""), last4: String(method.last4 || "").slice(-4) };
+    const result = await chargeOrder(order, () =>
+      payments.charge({ amount: order.total, currency: order.currency, paymentMethod: method, reference: order.id })
+    );
+    return respondWithPayment(req, res, order, result);
+  });
+
+  router.post("/orders/:id/confirm", requirePayments(payments), async (req, res) => {
+    const order = findPendingOrder(req, res);
+    if (!order) return;
+    if (!order.payment?.paymentId || order.payment.paymentId !== req.body?.paymentId) {
+      return sendError(res, 400, "INVALID_PAYMENT", "This payment can't be confirmed");
+    }
+
+    const result = await chargeOrder(order, () =>
+      payments.confirm({ paymentId: order.payment.paymentId, response: req.body?.response })
+    );
+    return respondWithPayment(req, res, order, result);
+  });
+
+  registerRefundRoutes(router, { db, mailer, payments });
+  registerSubscriptionRoutes(router, { db, payments });
+
+  return router;
+}
@@ -0,0 +1,191 @@
+// coupons.js
+// Coupon engine: prices a cart with promo codes.
+//
+// A coupon (private `coupons` collection in db.json):
+//   { id, code, type: "percent" | "fixed", value,
+//     courseIds?, categories?,      scope — only these courses / categories are discounted
+//     minSubtotal?,                 cart subtotal (before discounts) needed to use it
+//     startsAt?, expiresAt?,        ISO dates
+//     usageLimit?, perUserLimit?,   paid orders that may use it, in total / per user
+//     stackable }                   false → can't be combined with any other code
+//   Fixed `value`s and `minSubtotal`s are in BASE_CURRENCY (Data/currencies.js)
+//   and converted to the cart's currency.
+//
+// - Percentage codes are applied before fixed-amount ones, each on what is left
+//   of the lines it covers, so stacked codes never discount a line below zero.
+// - Usage is counted from completed orders, so an unpaid order doesn't use up a code.
+// - Amounts are worked out in cents; each line carries its share of the discount.
+
+import { BASE_CURRENCY, convertAmount } from "../Data/currencies.js";
+import { fromCents, toCents } from "./money.js";
+
+export const MAX_COUPONS = 3;
+
+const COUPON_ERRORS = {
+  COUPON_NOT_FOUND: "This code doesn't exist",
+  COUPON_NOT_STARTED: "This code isn't active yet",
+  COUPON_EXPIRED: "This code has expired",
+  COUPON_USAGE_LIMIT: "This code has been used up",
+  COUPON_ALREADY_USED: "You have already used this code",
+  COUPON_MIN_SUBTOTAL: "Your cart doesn't reach this code's minimum",
+  COUPON_NOT_APPLICABLE: "This code doesn't apply to the courses in your cart",
+  COUPON_NOT_STACKABLE: "This code can't be combined with other codes",
+  COUPON_DUPLICATE: "This code is already applied",
+  COUPON_LIMIT: `At most ${MAX_COUPONS} codes can be used on one order`,
+};
+
+export const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+
+const rejection = (code, reason, extra = {}) => ({ code, error: { code: reason, message: COUPON_ERRORS[reason], ...extra } });
+
+// Paid orders that used `code` — overall and by this user (excluding `exceptOrderId`)
+function usageOf(db, code, userId, exceptOrderId) {
+  let total = 0;
+  let byUser = 0;
+  for (const order of db.data.orders) {
+    if (order.status !== "completed" || order.id === exceptOrderId) continue;
+    if (!order.coupons?.some((c) => c.code === code)) continue;
+    total += 1;
+    if (userId && order.userId === userId) byUser += 1;
+  }
+  return { total, byUser };
+}
+
+const coversLine = (coupon, line) => {
+  const byCourse = coupon.courseIds?.length ? coupon.courseIds.includes(line.courseId) : null;
+  const byCategory = coupon.categories?.length ? coupon.categories.includes(line.category) : null;
+  if (byCourse === null && byCategory === null) return true;
+  return Boolean(byCourse || byCategory);
+};
+
+// The reason `coupon` can't be used on its own, or null
+function checkCoupon(db, coupon, { subtotalCents, currency, userId, exceptOrderId, now }) {
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return ["COUPON_NOT_STARTED", { startsAt: coupon.startsAt }];
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) return ["COUPON_EXPIRED", { expiresAt: coupon.expiresAt }];
+  if (coupon.minSubtotal) {
+    const minSubtotal = convertAmount(coupon.minSubtotal, currency, BASE_CURRENCY);
+    if (subtotalCents < toCents(minSubtotal)) return ["COUPON_MIN_SUBTOTAL", { minSubtotal }];
+  }
+  if (coupon.usageLimit || coupon.perUserLimit) {
+    const usage = usageOf(db, normalizeCode(coupon.code), userId, exceptOrderId);
+    if (coupon.usageLimit && usage.total >= coupon.usageLimit) return ["COUPON_USAGE_LIMIT"];
+    if (coupon.perUserLimit && usage.byUser >= coupon.perUserLimit) return ["COUPON_ALREADY_USED"];
+  }
+  return null;
+}
+
+/**
+ * Prices `lines` (already in `currency`) with the promo `codes`.
+ * @param {object} db lowdb instance
+ * @param {{ lines: { courseId, category, price, quantity }[], codes: string[], currency?: string,
+ *           userId?: string, exceptOrderId?: string, now?: Date }} input
+ * @returns {{ items: { courseId, price, quantity, discount, ... }[], subtotal: number, discount: number,
+ *             total: number, coupons: { code, type, value, amount }[], rejected: { code, error }[] }}
+ *   Codes that can't be used are listed in `rejected` (error: { code, message, ...details })
+ *   and don't change the totals.
+ */
+export function priceCart(
+  db,
+  { lines, codes = [], currency = BASE_CURRENCY, userId = null, exceptOrderId = null, now = new Date() }
+) {
+  const rows = lines.map((line) => ({ ...line, cents: toCents(line.price) * line.quantity, discountCents: 0 }));
+  const subtotalCents = rows.reduce((sum, row) => sum + row.cents, 0);
+  const rejected = [];
+
+  // 1. Find each code and check it on its own
+  const accepted = [];
+  for (const raw of codes) {
+    const code = normalizeCode(raw);
+    if (!code) continue;
+    if (accepted.some((c) => c.code === code) || rejected.some((r) => r.code === code)) {
+      rejected.push(rejection(code, "COUPON_DUPLICATE"));
+      continue;
+    }
+    const coupon = (db.data.coupons || []).find((c) => normalizeCode(c.code) === code);
+    if (!coupon) {
+      rejected.push(rejection(code, "COUPON_NOT_FOUND"));
+      continue;
+    }
+    const problem = checkCoupon(db, coupon, { subtotalCents, currency, userId, exceptOrderId, now });
+    if (problem) rejected.push(rejection(code, problem[0], problem[1]));
+    else {
+      const value = coupon.type === "fixed" ? convertAmount(coupon.value, currency, BASE_CURRENCY) : coupon.value;
+      accepted.push({ ...coupon, code, value });
+    }
+  }
+
+  // 2. Stacking: codes are kept in the order they were entered
+  const stacked = [];
+  for (const coupon of accepted) {
+    if (stacked.length >= MAX_COUPONS) rejected.push(rejection(coupon.code, "COUPON_LIMIT"));
+    else if (stacked.length && (!coupon.stackable || stacked.some((c) => !c.stackable))) {
+      rejected.push(rejection(coupon.code, "COUPON_NOT_STACKABLE"));
+    } else stacked.push(coupon);
+  }
+
+  // 3. Apply: percentages first, then fixed amounts
+  const ordered = [...stacked].sort((a, b) => (a.type === "percent" ? 0 : 1) - (b.type === "percent" ? 0 : 1));
+  const applied = [];
+  for (const coupon of ordered) {
+    const covered = rows.filter((row) => coversLine(coupon, row) && row.cents > row.discountCents);
+    const remainingCents = covered.reduce((sum, row) => sum + row.cents - row.discountCents, 0);
+    if (!remainingCents) {
+      rejected.push(rejection(coupon.code, "COUPON_NOT_APPLICABLE"));
+      continue;
+    }
+
+    const wanted =
+      coupon.type === "percent"
+        ? Math.round((remainingCents * Math.min(100, Number(coupon.value) || 0)) / 100)
+        : toCents(coupon.value);
+    const amountCents = Math.min(wanted, remainingCents);
+
+    // Share the discount between the covered lines by what is left on each;
+    // the last line takes the rounding difference
+    let left = amountCents;
+    covered.forEach((row, i) => {
+      const rowLeft = row.cents - row.discountCents;
+      const share = Math.min(rowLeft, left, i === covered.length - 1 ? left : Math.round((amountCents * rowLeft) / remainingCents));
+      row.discountCents += share;
+      left -= share;
+    });
+
+    applied.push({ code: coupon.code, type: coupon.type, value: coupon.value, amount: fromCents(amountCents - left) });
+  }
+
+  // Report the codes in the order they were entered
+  const position = (code) => codes.map(normalizeCode).indexOf(code);
+  applied.sort((a, b) => position(a.code) - position(b.code));
+
+  const discountCents = rows.reduce((sum, row) => sum + row.discountCents, 0);
+  return {
+    // lines keep what the checkout gave them (lineId, type, gift, ...)
+    items: lines.map((line, i) => ({ ...line, discount: fromCents(rows[i].discountCents) })),
+    subtotal: fromCents(subtotalCents),
+    discount: fromCents(discountCents),
+    total: fromCents(subtotalCents - discountCents),
+    coupons: applied,
+    rejected,
+  };
+}
+
+/**
+ * Re-checks the codes of a pending order just before it is paid (another order
+ * may have used up a code, or it may have expired since).
+ * @returns {{ code, error } | null} the first code that can no longer be used
+ */
+export function recheckOrderCoupons(db, order, now = new Date()) {
+  for (const used of order.coupons || []) {
+    const coupon = (db.data.coupons || []).find((c) => normalizeCode(c.code) === used.code);
+    if (!coupon) return rejection(used.code, "COUPON_NOT_FOUND");
+    const problem = checkCoupon(db, coupon, {
+      subtotalCents: toCents(order.subtotal ?? order.total),
+      currency: order.currency,
+      userId: order.userId,
+      exceptOrderId: order.id,
+      now,
+    });
+    if (problem) return rejection(used.code, problem[0], problem[1]);
+  }
+  return null;
+}
@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { priceCart } from "./coupons.js";
+
+const NOW = new Date("2025-06-01T00:00:00Z");
+
+const dbWith = (coupons, orders = []) => ({ data: { coupons, orders } });
+const line = (courseId, price, extra = {}) => ({ courseId, category: "Frontend", price, quantity: 1, ...extra });
+const price = (db, lines, codes, extra = {}) => priceCart(db, { lines, codes, now: NOW, ...extra });
+
+// Item discounts must always add up to the cart's discount, to the cent
+const itemDiscounts = (priced) => Math.round(priced.items.reduce((sum, item) => sum + item.discount * 100, 0));
+
+describe("priceCart — cents", () => {
+  it("adds prices in cents, without floating point drift", () => {
+    const priced = price(dbWith([]), [line(1, 0.1), line(2, 0.2)], []);
+    expect(priced.subtotal).toBe(0.3);
+    expect(priced.total).toBe(0.3);
+  });
+
+  it("rounds a percentage discount to the nearest cent", () => {
+    const db = dbWith([{ code: "SAVE15", type: "percent", value: 15, stackable: true }]);
+    // 15% of 19.99 is 2.9985
+    const priced = price(db, [line(1, 19.99)], ["save15"]);
+    expect(priced.discount).toBe(3);
+    expect(priced.total).toBe(16.99);
+    expect(priced.coupons).toEqual([{ code: "SAVE15", type: "percent", value: 15, amount: 3 }]);
+  });
+
+  it("gives the last covered line the rounding difference", () => {
+    const db = dbWith([{ code: "DIME", type: "fixed", value: 0.1, stackable: true }]);
+    const priced = price(db, [line(1, 0.1), line(2, 0.1), line(3, 0.1)], ["DIME"]);
+    expect(priced.items.map((item) => item.discount)).toEqual([0.03, 0.03, 0.04]);
+    expect(priced.discount).toBe(0.1);
+    expect(itemDiscounts(priced)).toBe(10);
+  });
+
+  it("keeps the item discounts equal to the cart discount with several quantities", () => {
+    const db = dbWith([{ code: "THIRD", type: "percent", value: 33, stackable: true }]);
+    const priced = price(db, [line(1, 9.99, { quantity: 3 }), line(2, 14.49), line(3, 0.99)], ["THIRD"]);
+    expect(itemDiscounts(priced)).toBe(Math.round(priced.discount * 100));
+    expect(Math.round(priced.total * 100)).toBe(Math.round(priced.subtotal * 100) - Math.round(priced.discount * 100));
+  });
+
+  it("never discounts a line below zero when codes are stacked", () => {
+    const db = dbWith([
+      { code: "HALF", type: "percent", value: 50, stackable: true },
+      { code: "TWENTY", type: "fixed", value: 20, stackable: true },
+    ]);
+    const priced = price(db, [line(1, 10)], ["TWENTY", "HALF"]);
+    expect(priced.total).toBe(0);
+    expect(priced.discount).toBe(10);
+    // percentages go first, the fixed code only takes what is left
+    expect(priced.coupons).toEqual([
+      { code: "TWENTY", type: "fixed", value: 20, amount: 5 },
+      { code: "HALF", type: "percent", value: 50, amount: 5 },
+    ]);
+  });
+
+  it("converts fixed amounts to the cart's currency", () => {
+    const db = dbWith([{ code: "ONE", type: "fixed", value: 1, stackable: true }]);
+    const priced = price(db, [line(1, 499)], ["ONE"], { currency: "EGP" });
+    expect(priced.discount).toBe(48.5);
+    expect(priced.total).toBe(450.5);
+  });
+
+  it("compares the minimum subtotal in cents", () => {
+    const db = dbWith([{ code: "MIN", type: "percent", value: 10, minSubtotal: 0.3, stackable: true }]);
+    expect(price(db, [line(1, 0.1), line(2, 0.2)], ["MIN"]).rejected).toEqual([]);
+    expect(price(db, [line(1, 0.29)], ["MIN"]).rejected[0].error.code).toBe("COUPON_MIN_SUBTOTAL");
+  });
+});
@@ -0,0 +1,74 @@
+// emailVerification.js
+// Email verification routes (mounted on the auth router).
+//
+//   POST /auth/verify         { token }  → 200 { user }, marks the email as verified
+//   POST /auth/verify/resend  (signed in) → 202, emails a fresh link
+//
+// - New accounts start with `emailVerified: false` (see auth.js register).
+// - Tokens are stored hashed in the private `emailVerifications` collection and
+//   expire after VERIFY_TTL_HOURS. Sending a new link invalidates older ones.
+// - Verifying twice with the same link succeeds (the page may be reloaded).
+
+import { randomUUID } from "node:crypto";
+import { APP_URL, sendError } from "./http.js";
+import { createOneTimeToken, hashToken } from "./tokens.js";
+import { verificationEmail } from "./emails.js";
+import { findUserById } from "./users.js";
+
+export const VERIFY_TTL_HOURS = 24;
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/** Creates a verification token for `user` and emails the link. */
+export async function sendVerificationEmail({ db, mailer }, user) {
+  const { token, tokenHash } = createOneTimeToken();
+  const now = Date.now();
+  db.data.emailVerifications = db.data.emailVerifications.filter((v) => v.userId !== user.id);
+  db.data.emailVerifications.push({
+    id: randomUUID(),
+    userId: user.id,
+    tokenHash,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + VERIFY_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+    usedAt: null,
+  });
+  await db.write();
+
+  const link = `${APP_URL}/auth/verify/${token}`;
+  await mailer.send({ to: user.email, ...verificationEmail({ user, link, expiresInHours: VERIFY_TTL_HOURS }) });
+}
+
+export function registerEmailVerificationRoutes(router, { db, mailer, requireAuth }) {
+  router.post("/verify", async (req, res) => {
+    const record = db.data.emailVerifications.find((v) => v.tokenHash === hashToken(req.body?.token));
+    const user = record && findUserById(db, record.userId);
+    if (!record || !user) return sendError(res, 400, "INVALID_VERIFY_TOKEN", "This verification link is invalid");
+
+    // already used: fine as long as the account is verified (e.g. page reload)
+    if (record.usedAt) {
+      if (user.emailVerified) return res.json({ user });
+      return sendError(res, 400, "INVALID_VERIFY_TOKEN", "This verification link is invalid");
+    }
+    if (Date.parse(record.expiresAt) < Date.now()) {
+      return sendError(res, 400, "VERIFY_TOKEN_EXPIRED", "This verification link has expired");
+    }
+
+    const now = new Date().toISOString();
+    record.usedAt = now;
+    Object.assign(user, { emailVerified: true, emailVerifiedAt: now });
+    await db.write();
+    res.json({ user });
+  });
+
+  router.post("/verify/resend", requireAuth, async (req, res) => {
+    if (req.user.emailVerified) return sendError(res, 400, "ALREADY_VERIFIED", "Your email is already verified");
+
+    const last = db.data.emailVerifications.find((v) => v.userId === req.user.id);
+    const waited = last ? (Date.now() - Date.parse(last.createdAt)) / 1000 : Infinity;
+    if (waited < RESEND_COOLDOWN_SECONDS) {
+      return sendError(res, 429, "RESEND_TOO_SOON", "Please wait a minute before requesting another email");
+    }
+
+    await sendVerificationEmail({ db, mailer }, req.user);
+    res.status(202).json({ ok: true });
+  });
+}
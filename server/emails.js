@@ -0,0 +1,107 @@
+// emails.js
+// Plain-text email templates. Each returns { subject, text }.
+
+export const passwordResetEmail = ({ user, link, expiresInMinutes }) => ({
+  subject: "Reset your Skillverse password",
+  text: [
+    `Hi ${user.name || user.email},`,
+    "",
+    "We received a request to reset your Skillverse password.",
+    `Open this link to choose a new one (it expires in ${expiresInMinutes} minutes):`,
+    "",
+    link,
+    "",
+    "If you didn't ask for this, you can ignore this email — your password won't change.",
+  ].join("\n"),
+});
+
+export const verificationEmail = ({ user, link, expiresInHours }) => ({
+  subject: "Verify your Skillverse email",
+  text: [
+    `Hi ${user.name || user.email},`,
+    "",
+    "Welcome to Skillverse! Please confirm this is your email address:",
+    "",
+    link,
+    "",
+    `The link expires in ${expiresInHours} hours. You can browse courses right away,`,
+    "but purchases are unlocked once your email is verified.",
+  ].join("\n"),
+});
+
+const orderLabel = (order) => order.invoiceNumber || `#${order.id.slice(0, 8).toUpperCase()}`;
+const money = (value, currency) => `${Number(value).toFixed(2)} ${currency}`;
+const amount = (order) => money(order.total, order.currency);
+
+export const receiptEmail = ({ user, order }) => ({
+  subject: `Your Skillverse receipt for order ${orderLabel(order)}`,
+  text: [
+    `Hi ${order.billing?.name || user.name || user.email},`,
+    "",
+    `Thanks for your purchase! Order ${orderLabel(order)} is paid.`,
+    "",
+    ...order.items.map((item) => {
+      const seats = item.quantity > 1 ? ` × ${item.quantity}` : "";
+      const gift = item.type === "gift" ? ` (gift for ${item.gift?.email})` : "";
+      return `- ${item.title}${seats}${gift}: ${money(item.price * item.quantity, order.currency)}`;
+    }),
+    "",
+    ...(order.discount > 0 ? [`Discount: -${money(order.discount, order.currency)}`] : []),
+    ...(order.tax?.amount > 0
+      ? [`${order.tax.name}${order.tax.mode === "inclusive" ? " (included)" : ""}: ${money(order.tax.amount, order.currency)}`]
+      : []),
+    `Total: ${amount(order)}`,
+    ...(order.payment?.last4 ? [`Paid with ${order.payment.brand || "card"} ending in ${order.payment.last4}`] : []),
+    "",
+    "Your invoice is on the order page in your Skillverse account.",
+  ].join("\n"),
+});
+
+export const giftEmail = ({ gift, link }) => ({
+  subject: `${gift.fromName} sent you a Skillverse course`,
+  text: [
+    "Hi,",
+    "",
+    `${gift.fromName} gave you the course "${gift.courseTitle}" on Skillverse.`,
+    ...(gift.message ? ["", gift.message] : []),
+    "",
+    "Open this link and sign in (or create a free account) to add it to your courses:",
+    "",
+    link,
+    "",
+    "The link works once, so keep it to yourself.",
+  ].join("\n"),
+});
+
+export const refundRequestedEmail = ({ user, order }) => ({
+  subject: `We received your refund request for order ${orderLabel(order)}`,
+  text: [
+    `Hi ${user.name || user.email},`,
+    "",
+    `We received your request to refund order ${orderLabel(order)} (${amount(order)}).`,
+    "We'll review it shortly and email you once it's decided.",
+  ].join("\n"),
+});
+
+export const refundApprovedEmail = ({ user, order }) => ({
+  subject: `Your refund for order ${orderLabel(order)} is on its way`,
+  text: [
+    `Hi ${user.name || user.email},`,
+    "",
+    `We refunded ${amount(order)} for order ${orderLabel(order)} to the card you paid with.`,
+    "It can take 5–10 business days to show on your statement.",
+    "The courses in this order have been removed from your account.",
+  ].join("\n"),
+});
+
+export const refundRejectedEmail = ({ user, order }) => ({
+  subject: `Your refund request for order ${orderLabel(order)}`,
+  text: [
+    `Hi ${user.name || user.email},`,
+    "",
+    `We couldn't approve the refund of order ${orderLabel(order)}.`,
+    ...(order.refund?.note ? ["", order.refund.note] : []),
+    "",
+    "Your courses stay in your account. Reply to this email if you have any questions.",
+  ].join("\n"),
+});
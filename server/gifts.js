@@ -0,0 +1,132 @@
+// gifts.js
+// Gift lines of paid orders (mounted on the checkout router).
+//
+//   POST /checkout/gifts/preview  { token } → 200 { gift }        who sent which course (works signed out)
+//   POST /checkout/gifts/redeem   { token } (signed in) → 200 { gift, user }  adds the course to the account
+//
+// - Paying an order with "gift" lines (Data/cartLines.js) creates one row per
+//   line in the private `gifts` collection and emails the recipient a link to
+//   /gifts/<token> (sendGifts, called by checkout.js). Tokens are stored hashed.
+// - Anyone signed in with the link can redeem it, once: the email may be read
+//   on another address than the account's. Redeeming the same gift again with
+//   the same account succeeds (the page may be reloaded).
+// - Refunding the order cancels its gifts and takes redeemed courses back
+//   (revokeGifts, called by refunds.js).
+
+import { randomUUID } from "node:crypto";
+import { APP_URL, sendError } from "./http.js";
+import { giftEmail } from "./emails.js";
+import { createOneTimeToken, hashToken } from "./tokens.js";
+import { findUserById } from "./users.js";
+
+// What the recipient sees (no token hash, order or buyer ids)
+const publicGift = (db, gift) => {
+  const course = db.data.courses.find((c) => String(c.id) === String(gift.courseId));
+  return {
+    id: gift.id,
+    courseId: gift.courseId,
+    courseTitle: course?.title || gift.courseTitle,
+    courseSlug: course?.slug || null,
+    from: gift.fromName,
+    message: gift.message,
+    redeemedAt: gift.redeemedAt,
+  };
+};
+
+/** Courses `userId` still has through their own paid orders or gifts they redeemed, leaving out `order` and its gifts. */
+export const ownedElsewhere = (db, userId, order) =>
+  new Set([
+    ...db.data.orders
+      .filter((o) => o.id !== order.id && o.userId === userId && o.status === "completed")
+      .flatMap((o) => o.items.filter((item) => (item.type || "self") === "self").map((item) => item.courseId)),
+    ...db.data.gifts
+      .filter((g) => g.orderId !== order.id && g.redeemedBy === userId && !g.cancelledAt)
+      .map((g) => g.courseId),
+  ]);
+
+/** Creates the gifts of a just-paid order and emails each recipient their link. */
+export async function sendGifts({ db, mailer }, order, buyer) {
+  const lines = order.items.filter((item) => item.type === "gift" && item.gift?.email);
+  if (!lines.length) return;
+
+  const links = lines.map((item) => {
+    const { token, tokenHash } = createOneTimeToken();
+    const gift = {
+      id: randomUUID(),
+      orderId: order.id,
+      lineId: item.lineId || null,
+      courseId: item.courseId,
+      courseTitle: item.title,
+      fromUserId: buyer.id,
+      fromName: order.billing?.name || buyer.name,
+      email: item.gift.email,
+      message: item.gift.message || "",
+      tokenHash,
+      createdAt: new Date().toISOString(),
+      redeemedAt: null,
+      redeemedBy: null,
+      cancelledAt: null,
+    };
+    db.data.gifts.push(gift);
+    return { gift, link: `${APP_URL}/gifts/${token}` };
+  });
+  await db.write();
+
+  for (const { gift, link } of links) {
+    try {
+      await mailer.send({ to: gift.email, ...giftEmail({ gift, link }) });
+    } catch (err) {
+      console.warn(`[gifts] could not email ${gift.email}`, err);
+    }
+  }
+}
+
+/** Cancels a refunded order's gifts and removes the redeemed ones from their recipients. */
+export function revokeGifts(db, order) {
+  const now = new Date().toISOString();
+  db.data.gifts
+    .filter((gift) => gift.orderId === order.id && !gift.cancelledAt)
+    .forEach((gift) => {
+      gift.cancelledAt = now;
+      const recipient = gift.redeemedBy && findUserById(db, gift.redeemedBy);
+      if (!recipient || ownedElsewhere(db, recipient.id, order).has(gift.courseId)) return;
+      recipient.purchasedCourseIds = (recipient.purchasedCourseIds || []).filter((id) => id !== gift.courseId);
+    });
+}
+
+export function registerGiftRoutes(router, { db, requireAuth }) {
+  // Returns the gift for the token in the body, or null after sending the error
+  const findGift = (req, res) => {
+    const gift = db.data.gifts.find((g) => g.tokenHash === hashToken(req.body?.token));
+    if (!gift || gift.cancelledAt) {
+      sendError(res, 404, "INVALID_GIFT_TOKEN", "This gift link is invalid");
+      return null;
+    }
+    return gift;
+  };
+
+  router.post("/gifts/preview", (req, res) => {
+    const gift = findGift(req, res);
+    if (!gift) return;
+    res.json({ gift: publicGift(db, gift) });
+  });
+
+  router.post("/gifts/redeem", requireAuth, async (req, res) => {
+    const gift = findGift(req, res);
+    if (!gift) return;
+
+    // already redeemed: fine for the same account (e.g. page reload)
+    if (gift.redeemedBy) {
+      if (gift.redeemedBy === req.user.id) return res.json({ gift: publicGift(db, gift), user: req.user });
+      return sendError(res, 409, "GIFT_ALREADY_REDEEMED", "This gift has already been redeemed");
+    }
+    if (req.user.purchasedCourseIds?.includes(gift.courseId)) {
+      return sendError(res, 409, "GIFT_ALREADY_OWNED", "You already own this course — forward the gift to someone else");
+    }
+
+    Object.assign(gift, { redeemedAt: new Date().toISOString(), redeemedBy: req.user.id });
+    req.user.purchasedCourseIds = [...(req.user.purchasedCourseIds || []), gift.courseId];
+    await db.write();
+    res.json({ gift: publicGift(db, gift), user: req.user });
+  });
+}
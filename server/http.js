@@ -0,0 +1,12 @@
+// http.js
+// Small response helpers shared by the Express routes.
+
+// Errors are JSON: { error: { code, message } } — the client maps `code`
+// to a translated message.
+export const sendError = (res, status, code, message) =>
+  res.status(status).json({ error: { code, message } });
+
+export const normalizeEmail = (email) => String(email || "").trim().toLowerCase();
+
+// Base URL of the web app, used for links in emails
+export const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
@@ -0,0 +1,99 @@
+// index.js
+// Local API server: json-server for the catalog + Express routes for auth.
+// - Requests to /auth/* go to the Express app (see auth.js).
+// - Everything else is handled by json-server's REST app over the same db.json.
+// - `users`, `credentials`, `sessions`, `passwordResets`, `emailVerifications`,
+//   `identities`, `orders` and `coupons` live in db.json too but are private: the
+//   generic REST routes answer 404 for them. The signed-in user reads and updates
+//   their own account through GET / PATCH /auth/me.
+// - The catalog (`courses`, `instructors`, `taxonomy`, `settings`, `faqs`) is
+//   read-only through the REST routes: edit db.json to change it.
+// - Emails (password reset, verification) go through mail.js — MAIL_TRANSPORT=console|file.
+// - /cart is the signed-in user's saved cart (cart.js): merged with the guest
+//   cart at sign-in and long-polled for changes made on other devices. The
+//   `cart` collection is only reachable through it.
+// - /checkout/* creates, pays and lists orders (checkout.js, payments via
+//   payments.js — PAYMENT_PROVIDER=fake in development; without one paying answers
+//   503). Orders hold billing details, so a user reads their own through
+//   GET /checkout/orders.
+// - /oidc/* is a mock OpenID Connect provider (mockOidc.js) that "Continue with
+//   Google/Facebook" uses in development when real OAUTH_* client settings are
+//   missing. It accepts any email, so it is only mounted with OAUTH_MOCK=1
+//   outside production; otherwise unconfigured providers are unavailable.
+//
+// Usage: npm run api   (PORT defaults to 3001; Vite proxies /api → here)
+
+import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
+import express from "express";
+// not part of json-server's public API, so package.json pins its exact version
+import { createApp } from "json-server/lib/app.js";
+import { Low } from "lowdb";
+import { JSONFile } from "lowdb/node";
+import { createAuthRouter, requireAuth } from "./auth.js";
+import { createCartRouter } from "./cart.js";
+import { createCheckoutRouter } from "./checkout.js";
+import { createMailer } from "./mail.js";
+import { createMockOidcRouter, mockOidcEnabled } from "./mockOidc.js";
+import { createOAuthProviders } from "./oauth.js";
+import { createPaymentProvider } from "./payments.js";
+
+const DB_FILE = fileURLToPath(new URL("../db.json", import.meta.url));
+const PORT = Number(process.env.PORT) || 3001;
+
+// Collections that must never be exposed through json-server
+const PRIVATE_COLLECTIONS = new Set([
+  "users",
+  "credentials",
+  "sessions",
+  "passwordResets",
+  "emailVerifications",
+  "identities",
+  "orders",
+  "coupons",
+  "gifts",
+]);
+// Collections only the Express routes may change (GET still works)
+const READ_ONLY_COLLECTIONS = new Set(["courses", "instructors", "taxonomy", "settings", "faqs"]);
+
+const db = new Low(new JSONFile(DB_FILE), {});
+await db.read();
+db.data ||= {};
+for (const name of ["cart", ...PRIVATE_COLLECTIONS]) db.data[name] ||= [];
+
+const restApp = createApp(db, { logger: false });
+const mailer = createMailer();
+const payments = createPaymentProvider();
+
+const mockOidc = mockOidcEnabled();
+const oauthProviders = createOAuthProviders({ mockIssuer: mockOidc ? `http://localhost:${PORT}/oidc` : null });
+
+const authApp = express();
+authApp.use("/auth", createAuthRouter(db, { mailer, oauthProviders }));
+authApp.use("/cart", createCartRouter(db, { requireAuth: requireAuth(db) }));
+authApp.use("/checkout", createCheckoutRouter(db, { requireAuth: requireAuth(db), payments, mailer }));
+if (mockOidc) authApp.use("/oidc", createMockOidcRouter());
+
+const collectionOf = (url = "") => url.split("?")[0].split("/")[1] || "";
+
+createServer((req, res) => {
+  const name = collectionOf(req.url);
+  if (name === "auth" || name === "cart" || name === "checkout" || name === "oidc") return authApp(req, res);
+  if (PRIVATE_COLLECTIONS.has(name)) {
+    res.statusCode = 404;
+    res.setHeader("Content-Type", "application/json");
+    return res.end("{}");
+  }
+  if (READ_ONLY_COLLECTIONS.has(name) && !["GET", "HEAD", "OPTIONS"].includes(req.method)) {
+    res.statusCode = 405;
+    res.setHeader("Content-Type", "application/json");
+    return res.end("{}");
+  }
+  return restApp.handler(req, res);
+}).listen(PORT, () => {
+  const oauth = Object.keys(oauthProviders).join(", ") || "none";
+  console.log(
+    `Skillverse API running on http://localhost:${PORT} (mail: ${mailer.transport}, payments: ${payments?.name || "unavailable"}, ` +
+      `oauth: ${oauth}${mockOidc ? " via the mock provider" : ""})`
+  );
+});
@@ -0,0 +1,60 @@
+// mail.js
+// Pluggable mail delivery for the local API.
+// - A transport is any object with `send(message) → Promise`.
+// - Built-in transports:
+//     console  prints the message to the server log (default)
+//     file     writes each message to server/.mail/<time>-<to>.txt (a local "mail catcher")
+// - Pick one with MAIL_TRANSPORT=console|file, or pass your own transport to
+//   createMailer({ transport }) (e.g. an SMTP client in production).
+
+import { mkdir, writeFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ */
+
+const MAIL_DIR = fileURLToPath(new URL("./.mail/", import.meta.url));
+
+const format = ({ to, subject, text }) =>
+  [`To: ${to}`, `Subject: ${subject}`, `Date: ${new Date().toUTCString()}`, "", text, ""].join("\n");
+
+export const consoleTransport = {
+  name: "console",
+  async send(message) {
+    console.log(`\n----- mail -----\n${format(message)}----------------\n`);
+  },
+};
+
+export const fileTransport = (dir = MAIL_DIR) => ({
+  name: "file",
+  async send(message) {
+    await mkdir(dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, "_");
+    const file = `${dir}${Date.now()}-${safeTo}.txt`;
+    await writeFile(file, format(message));
+    console.log(`[mail] ${message.subject} → ${file}`);
+  },
+});
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => fileTransport(),
+};
+
+/**
+ * @param {{ transport?: { send(message: MailMessage): Promise<void> } }} [options]
+ */
+export function createMailer({ transport } = {}) {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const active = transport || (TRANSPORTS[name] || TRANSPORTS.console)();
+
+  return {
+    transport: active.name || "custom",
+    /** @param {MailMessage} message */
+    send: (message) => active.send(message),
+  };
+}
@@ -0,0 +1,178 @@
+// mockOidc.js
+// A tiny OpenID Connect provider for local development, so "Continue with
+// Google/Facebook" works end to end without a network or real client ids.
+// Every provider id gets its own issuer under /oidc/:provider:
+//
+//   GET  /oidc/:provider/authorize   → "choose an account" form
+//   POST /oidc/:provider/authorize   → 302 to redirect_uri?code=…&state=…
+//   POST /oidc/:provider/token       { grant_type, code, redirect_uri, client_id, code_verifier }
+//                                    → { access_token, token_type, expires_in }
+//   GET  /oidc/:provider/userinfo    (Bearer) → { sub, email, email_verified, name, picture }
+//
+// - Only the authorization code flow with PKCE (S256) is supported.
+// - Codes and access tokens live in memory; restarting the API forgets them.
+// - The subject (`sub`) is derived from provider + email, so signing in again
+//   with the same email returns the same identity.
+// - It signs in as any email, so it is only mounted when mockOidcEnabled():
+//   OAUTH_MOCK=1 and NODE_ENV is not "production".
+
+import { createHash, randomBytes } from "node:crypto";
+import express from "express";
+import { APP_URL, normalizeEmail } from "./http.js";
+
+const CODE_TTL_SECONDS = 60;
+const ACCESS_TTL_SECONDS = 10 * 60;
+
+const base64url = (buffer) => buffer.toString("base64url");
+const s256 = (value) => base64url(createHash("sha256").update(String(value)).digest());
+const randomToken = () => base64url(randomBytes(24));
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// OAuth errors use the spec's shape, not the app's { error: { code } }
+const oauthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+// Only the app's own callback is "registered" with the mock provider
+const isAllowedRedirect = (provider, redirectUri) => redirectUri === `${APP_URL}/auth/callback/${provider}`;
+
+function authorizePage({ provider, params, problem }) {
+  const hidden = ["client_id", "redirect_uri", "state", "code_challenge", "code_challenge_method", "scope", "nonce"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join("\n      ");
+  const title = provider.charAt(0).toUpperCase() + provider.slice(1);
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Mock ${escapeHtml(title)} sign-in</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #0f172a; color: #e2e8f0; display: grid; place-items: center; min-height: 100vh; margin: 0; }
+    form { background: #1e293b; padding: 2rem; border-radius: 1rem; width: 22rem; display: grid; gap: .75rem; }
+    input[type=text], input[type=email] { padding: .6rem; border-radius: .5rem; border: 1px solid #475569; background: #0f172a; color: inherit; }
+    button { padding: .7rem; border: 0; border-radius: .5rem; font-weight: 600; cursor: pointer; }
+    .allow { background: #6366f1; color: white; }
+    .problem { color: #f87171; }
+  </style>
+</head>
+<body>
+  <form method="post" action="authorize">
+    <h1>Mock ${escapeHtml(title)}</h1>
+    <p>Local development provider — no real account is used.</p>
+    ${problem ? `<p class="problem">${escapeHtml(problem)}</p>` : ""}
+    <label>Email <input type="email" name="email" required value="${escapeHtml(params.login_hint)}"></label>
+    <label>Name <input type="text" name="name" value=""></label>
+    <label><input type="checkbox" name="email_verified" value="true" checked> Email is verified</label>
+      ${hidden}
+    <button class="allow" name="decision" value="allow">Continue</button>
+    <button name="decision" value="deny">Cancel</button>
+  </form>
+</body>
+</html>`;
+}
+
+/** Whether the mock provider may be served (an explicit opt-in, never in production). */
+export const mockOidcEnabled = (env = process.env) => env.OAUTH_MOCK === "1" && env.NODE_ENV !== "production";
+
+export function createMockOidcRouter() {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+  router.use(express.json());
+
+  const codes = new Map(); // code → grant
+  const accessTokens = new Map(); // token → { profile, expiresAt }
+
+  // Problems that must not redirect back (the redirect target itself is untrusted)
+  const requestProblem = (provider, params) => {
+    if (!params.client_id) return "Missing client_id";
+    if (!isAllowedRedirect(provider, params.redirect_uri)) return "redirect_uri is not registered for this client";
+    return null;
+  };
+
+  router.get("/:provider/authorize", (req, res) => {
+    const { provider } = req.params;
+    const problem = requestProblem(provider, req.query);
+    if (problem) return res.status(400).type("text").send(problem);
+
+    if (req.query.response_type !== "code" || req.query.code_challenge_method !== "S256" || !req.query.code_challenge) {
+      const url = new URL(req.query.redirect_uri);
+      url.searchParams.set("error", "invalid_request");
+      url.searchParams.set("error_description", "Only the code flow with PKCE (S256) is supported");
+      if (req.query.state) url.searchParams.set("state", req.query.state);
+      return res.redirect(url.toString());
+    }
+
+    res.type("html").send(authorizePage({ provider, params: req.query }));
+  });
+
+  router.post("/:provider/authorize", (req, res) => {
+    const { provider } = req.params;
+    const params = req.body || {};
+    const problem = requestProblem(provider, params);
+    if (problem) return res.status(400).type("text").send(problem);
+
+    const url = new URL(params.redirect_uri);
+    if (params.state) url.searchParams.set("state", params.state);
+
+    if (params.decision === "deny") {
+      url.searchParams.set("error", "access_denied");
+      return res.redirect(url.toString());
+    }
+
+    const email = normalizeEmail(params.email);
+    if (!email.includes("@")) {
+      return res.status(400).type("html").send(authorizePage({ provider, params, problem: "Enter an email address" }));
+    }
+
+    const code = randomToken();
+    codes.set(code, {
+      provider,
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      expiresAt: Date.now() + CODE_TTL_SECONDS * 1000,
+      profile: {
+        sub: s256(`${provider}:${email}`).slice(0, 24),
+        email,
+        email_verified: params.email_verified === "true",
+        name: String(params.name || "").trim() || email.split("@")[0],
+        picture: null,
+      },
+    });
+
+    url.searchParams.set("code", code);
+    res.redirect(url.toString());
+  });
+
+  router.post("/:provider/token", (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body || {};
+    if (grant_type !== "authorization_code") return oauthError(res, 400, "unsupported_grant_type", "Only authorization_code is supported");
+
+    const grant = codes.get(code);
+    codes.delete(code); // codes are single-use, even when the exchange fails
+    if (!grant || grant.expiresAt < Date.now() || grant.provider !== req.params.provider) {
+      return oauthError(res, 400, "invalid_grant", "The code is invalid or expired");
+    }
+    if (grant.clientId !== client_id || grant.redirectUri !== redirect_uri) {
+      return oauthError(res, 400, "invalid_grant", "client_id or redirect_uri does not match the authorization request");
+    }
+    if (!code_verifier || s256(code_verifier) !== grant.codeChallenge) {
+      return oauthError(res, 400, "invalid_grant", "PKCE verification failed");
+    }
+
+    const accessToken = randomToken();
+    accessTokens.set(accessToken, { profile: grant.profile, expiresAt: Date.now() + ACCESS_TTL_SECONDS * 1000 });
+    res.json({ access_token: accessToken, token_type: "Bearer", expires_in: ACCESS_TTL_SECONDS });
+  });
+
+  router.get("/:provider/userinfo", (req, res) => {
+    const header = req.get("authorization") || "";
+    const entry = header.startsWith("Bearer ") && accessTokens.get(header.slice(7));
+    if (!entry || entry.expiresAt < Date.now()) return oauthError(res, 401, "invalid_token", "The access token is invalid or expired");
+    res.json(entry.profile);
+  });
+
+  return router;
+}
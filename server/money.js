@@ -0,0 +1,6 @@
+// money.js
+// Amounts are stored in major units (29.99) but worked out in cents so
+// discounts and taxes add up exactly.
+
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+export const fromCents = (cents) => cents / 100;
@@ -0,0 +1,171 @@
+// oauth.js
+// OAuth 2.0 sign-in (mounted on the auth router).
+//
+//   POST /auth/oauth/:provider  { code, codeVerifier, redirectUri, remember? }  → 200 { user, accessToken, refreshToken, ... }
+//
+// The browser runs the authorization code + PKCE flow (src/Services/oauth.js)
+// and hands us the code; we exchange it at the provider's token endpoint,
+// read the profile from its userinfo endpoint, then sign the user in:
+// - an identity already linked in the private `identities` collection → that user
+// - an existing user with the same email → linked, but only when the provider
+//   says the email is verified (otherwise OAUTH_ACCOUNT_EXISTS)
+// - nobody → a new student account (verified if the provider verified the email)
+//
+// Providers are configured with OAUTH_<ID>_CLIENT_ID / _CLIENT_SECRET /
+// _TOKEN_URL / _USERINFO_URL. A provider missing any of them is left out
+// (UNKNOWN_PROVIDER), unless `mockIssuer` is given — then it uses the local mock
+// provider (mockOidc.js, development only).
+
+import { randomUUID } from "node:crypto";
+import { APP_URL, sendError } from "./http.js";
+import { sendVerificationEmail } from "./emailVerification.js";
+import { buildUser, findUserByEmail, findUserById } from "./users.js";
+
+export const OAUTH_PROVIDER_IDS = ["google", "facebook"];
+
+/**
+ * @typedef {Object} OAuthProvider
+ * @property {string} id
+ * @property {string} label
+ * @property {string} clientId
+ * @property {string} clientSecret
+ * @property {string} tokenUrl
+ * @property {string} userinfoUrl
+ */
+
+/**
+ * The configured providers. `mockIssuer` (the mock provider's base URL) is only
+ * passed in development, when the mock is mounted.
+ * @returns {Record<string, OAuthProvider>}
+ */
+export function createOAuthProviders({ mockIssuer = null, env = process.env } = {}) {
+  const providers = OAUTH_PROVIDER_IDS.map((id) => {
+    const key = (name) => env[`OAUTH_${id.toUpperCase()}_${name}`];
+    const label = id.charAt(0).toUpperCase() + id.slice(1);
+    const settings = {
+      clientId: key("CLIENT_ID"),
+      clientSecret: key("CLIENT_SECRET"),
+      tokenUrl: key("TOKEN_URL"),
+      userinfoUrl: key("USERINFO_URL"),
+    };
+
+    if (Object.values(settings).every(Boolean)) return { id, label, ...settings };
+    if (!mockIssuer) return null;
+    const issuer = `${mockIssuer}/${id}`;
+    return {
+      id,
+      label,
+      clientId: `skillverse-${id}`,
+      clientSecret: "mock-secret",
+      tokenUrl: `${issuer}/token`,
+      userinfoUrl: `${issuer}/userinfo`,
+    };
+  });
+  return Object.fromEntries(providers.filter(Boolean).map((provider) => [provider.id, provider]));
+}
+
+// Userinfo responses differ a little between providers (Facebook uses `id`
+// and a nested picture); reduce them to the OIDC standard claims we need.
+const normalizeProfile = (profile) => ({
+  subject: String(profile?.sub ?? profile?.id ?? ""),
+  email: profile?.email || null,
+  emailVerified: profile?.email_verified ?? Boolean(profile?.email),
+  name: String(profile?.name || "").trim(),
+  picture: typeof profile?.picture === "string" ? profile.picture : profile?.picture?.data?.url || null,
+});
+
+// Returns the provider profile, or null when the code can't be exchanged
+async function fetchProfile(provider, { code, codeVerifier, redirectUri }) {
+  const tokenRes = await fetch(provider.tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+  if (!tokenRes.ok) {
+    console.warn(`[oauth] ${provider.id} token exchange failed`, tokenRes.status, await tokenRes.text());
+    return null;
+  }
+  const { access_token: accessToken } = await tokenRes.json();
+
+  const userinfoRes = await fetch(provider.userinfoUrl, {
+    headers: { Authorization: `Bearer ${accessToken}`, Accept: "application/json" },
+  });
+  if (!userinfoRes.ok) {
+    console.warn(`[oauth] ${provider.id} userinfo failed`, userinfoRes.status);
+    return null;
+  }
+  return normalizeProfile(await userinfoRes.json());
+}
+
+export function registerOAuthRoutes(router, { db, mailer, providers, startSession }) {
+  router.post("/oauth/:provider", async (req, res) => {
+    const provider = Object.hasOwn(providers, req.params.provider) ? providers[req.params.provider] : null;
+    if (!provider) return sendError(res, 404, "UNKNOWN_PROVIDER", "This sign-in provider is not available");
+
+    const code = String(req.body?.code || "");
+    const codeVerifier = String(req.body?.codeVerifier || "");
+    const redirectUri = `${APP_URL}/auth/callback/${provider.id}`;
+    if (!code || !codeVerifier || req.body?.redirectUri !== redirectUri) {
+      return sendError(res, 400, "OAUTH_FAILED", `Sign-in with ${provider.label} failed`);
+    }
+
+    let profile;
+    try {
+      profile = await fetchProfile(provider, { code, codeVerifier, redirectUri });
+    } catch (err) {
+      console.warn(`[oauth] ${provider.id} is unreachable`, err);
+    }
+    if (!profile?.subject) return sendError(res, 401, "OAUTH_FAILED", `Sign-in with ${provider.label} failed`);
+
+    const identity = db.data.identities.find((i) => i.provider === provider.id && i.subject === profile.subject);
+    let user = identity && findUserById(db, identity.userId);
+
+    if (!user) {
+      if (!profile.email) {
+        return sendError(res, 400, "OAUTH_NO_EMAIL", `${provider.label} did not share an email address`);
+      }
+
+      user = findUserByEmail(db, profile.email);
+      if (user && !profile.emailVerified) {
+        // Linking on an unverified email would let anyone take over the account
+        return sendError(res, 409, "OAUTH_ACCOUNT_EXISTS", "An account with this email already exists — sign in with your password first");
+      }
+
+      const isNewUser = !user;
+      if (isNewUser) {
+        user = buildUser({
+          name: profile.name || profile.email.split("@")[0],
+          email: profile.email,
+          locale: req.body?.locale,
+          emailVerified: profile.emailVerified,
+          avatar: profile.picture,
+        });
+        db.data.users.push(user);
+      } else if (!user.emailVerified) {
+        // the provider has confirmed the same address
+        Object.assign(user, { emailVerified: true, emailVerifiedAt: new Date().toISOString() });
+      }
+
+      db.data.identities.push({
+        id: randomUUID(),
+        userId: user.id,
+        provider: provider.id,
+        subject: profile.subject,
+        email: profile.email,
+        linkedAt: new Date().toISOString(),
+      });
+      await db.write();
+
+      if (isNewUser && !user.emailVerified) await sendVerificationEmail({ db, mailer }, user);
+    }
+
+    res.json(await startSession(user, req));
+  });
+}
@@ -0,0 +1,83 @@
+// passwordReset.js
+// Forgot / reset password routes (mounted on the auth router).
+//
+//   POST /auth/forgot        { email }            → 202, emails a reset link if the account exists
+//   GET  /auth/reset/:token                       → 200 { email } while the token is usable
+//   POST /auth/reset         { token, password }  → 200, sets the new password
+//
+// - Tokens are single-use, expire after RESET_TTL_MINUTES and are stored hashed
+//   in the private `passwordResets` collection.
+// - Requesting a new link invalidates older ones.
+// - A successful reset signs the user out everywhere (all sessions removed).
+
+import { randomUUID } from "node:crypto";
+import { APP_URL, sendError } from "./http.js";
+import { hashPassword, passwordProblem } from "./passwords.js";
+import { createOneTimeToken, hashToken } from "./tokens.js";
+import { passwordResetEmail } from "./emails.js";
+import { findCredential, findUserByEmail, findUserById } from "./users.js";
+
+export const RESET_TTL_MINUTES = 30;
+
+// Finds the reset row for a raw token and explains why it can't be used
+function findUsableReset(db, token) {
+  const reset = db.data.passwordResets.find((r) => r.tokenHash === hashToken(token));
+  if (!reset || reset.usedAt) return { error: ["INVALID_RESET_TOKEN", "This reset link is invalid or was already used"] };
+  if (Date.parse(reset.expiresAt) < Date.now()) return { error: ["RESET_TOKEN_EXPIRED", "This reset link has expired"] };
+  const user = findUserById(db, reset.userId);
+  if (!user) return { error: ["INVALID_RESET_TOKEN", "This reset link is invalid or was already used"] };
+  return { reset, user };
+}
+
+export function registerPasswordResetRoutes(router, { db, mailer }) {
+  router.post("/forgot", async (req, res) => {
+    const user = findUserByEmail(db, req.body?.email);
+
+    // Same answer whether or not the account exists
+    if (user) {
+      const { token, tokenHash } = createOneTimeToken();
+      const now = Date.now();
+      db.data.passwordResets = db.data.passwordResets.filter((r) => r.userId !== user.id);
+      db.data.passwordResets.push({
+        id: randomUUID(),
+        userId: user.id,
+        tokenHash,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + RESET_TTL_MINUTES * 60 * 1000).toISOString(),
+        usedAt: null,
+      });
+      await db.write();
+
+      const link = `${APP_URL}/auth/reset/${token}`;
+      await mailer.send({ to: user.email, ...passwordResetEmail({ user, link, expiresInMinutes: RESET_TTL_MINUTES }) });
+    }
+
+    res.status(202).json({ ok: true });
+  });
+
+  router.get("/reset/:token", (req, res) => {
+    const { user, error } = findUsableReset(db, req.params.token);
+    if (error) return sendError(res, 400, ...error);
+    res.json({ email: user.email });
+  });
+
+  router.post("/reset", async (req, res) => {
+    const { reset, user, error } = findUsableReset(db, req.body?.token);
+    if (error) return sendError(res, 400, ...error);
+
+    const problem = passwordProblem(req.body?.password);
+    if (problem) return sendError(res, 400, "WEAK_PASSWORD", problem);
+
+    const now = new Date().toISOString();
+    const passwordHash = await hashPassword(req.body.password);
+    const credential = findCredential(db, user.id);
+    if (credential) Object.assign(credential, { passwordHash, updatedAt: now });
+    else db.data.credentials.push({ id: randomUUID(), userId: user.id, passwordHash, updatedAt: now });
+
+    reset.usedAt = now;
+    db.data.sessions = db.data.sessions.filter((s) => s.userId !== user.id);
+    await db.write();
+
+    res.json({ ok: true });
+  });
+}
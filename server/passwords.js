@@ -0,0 +1,20 @@
+// passwords.js
+// Password rules and hashing (bcrypt).
+
+import bcrypt from "bcryptjs";
+
+const BCRYPT_ROUNDS = 10;
+
+// Same rules as the client's password schema (src/Components/Auth/passwordRules.js)
+export function passwordProblem(password) {
+  const value = String(password || "");
+  if (value.length < 8) return "Password must be at least 8 characters";
+  if (!/[a-z]/.test(value)) return "Password must contain a lowercase letter";
+  if (!/[A-Z]/.test(value)) return "Password must contain an uppercase letter";
+  if (!/\d/.test(value)) return "Password must contain a number";
+  return null;
+}
+
+export const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+export const checkPassword = (password, hash) => bcrypt.compare(String(password || ""), hash);
@@ -0,0 +1,102 @@
+// payments.js
+// Pluggable payment providers for checkout (checkout.js) and subscriptions (subscriptions.js).
+// - A provider is any object with:
+//     charge({ amount, currency, paymentMethod, reference }) → Promise<PaymentResult>
+//     confirm({ paymentId, response })                      → Promise<PaymentResult>  (after a 3-D Secure challenge)
+//     refund({ paymentId, amount, currency, reference })    → Promise<RefundResult>
+// - Card details never reach the API: the browser turns them into a
+//   `paymentMethod` ({ id, brand, last4 }) with the matching client provider
+//   (src/Services/payments).
+// - Built-in providers:
+//     fake  local test provider — the card's last four digits pick the outcome, so
+//           any client could pay for anything: development and tests only
+// - Pick one with PAYMENT_PROVIDER=fake, or pass your own provider to
+//   createCheckoutRouter (e.g. a Stripe adapter in production).
+// - Without PAYMENT_PROVIDER there is no provider: the API starts, but paying
+//   (orders, subscriptions, refunds) answers 503 PAYMENTS_UNAVAILABLE
+//   (requirePayments). An unknown provider, or `fake` with NODE_ENV=production,
+//   stops the API at startup.
+
+import { randomUUID } from "node:crypto";
+import { sendError } from "./http.js";
+
+/**
+ * @typedef {Object} PaymentResult
+ * @property {"succeeded"|"declined"|"requires_action"} status
+ * @property {string} paymentId
+ * @property {string} [declineCode]  CARD_DECLINED | INSUFFICIENT_FUNDS | AUTHENTICATION_FAILED
+ * @property {{ type: "three_d_secure", hint?: string }} [action]
+ *
+ * @typedef {Object} RefundResult
+ * @property {"succeeded"|"failed"} status
+ * @property {string} [refundId]
+ */
+
+// Error messages for a PaymentResult's declineCode (checkout.js, subscriptions.js)
+export const DECLINE_MESSAGES = {
+  CARD_DECLINED: "Your card was declined",
+  INSUFFICIENT_FUNDS: "Your card has insufficient funds",
+  AUTHENTICATION_FAILED: "The card could not be verified",
+};
+
+// Fake provider test cards (same numbers as the client-side hints)
+//   4242 4242 4242 4242  succeeds
+//   4000 0000 0000 0002  declined
+//   4000 0000 0000 9995  insufficient funds
+//   4000 0000 0000 3220  3-D Secure challenge — code 123456 approves
+const FAKE_OUTCOMES = {
+  "0002": { status: "declined", declineCode: "CARD_DECLINED" },
+  "9995": { status: "declined", declineCode: "INSUFFICIENT_FUNDS" },
+  "3220": { status: "requires_action", action: { type: "three_d_secure", hint: "Use 123456 to approve, anything else to fail" } },
+};
+const FAKE_3DS_CODE = "123456";
+
+export function fakePaymentProvider() {
+  const challenges = new Map(); // paymentId → pending 3-D Secure payment
+
+  return {
+    name: "fake",
+
+    async charge({ amount, currency, paymentMethod, reference }) {
+      const paymentId = `pay_fake_${randomUUID()}`;
+      const outcome = FAKE_OUTCOMES[String(paymentMethod?.last4 || "")] || { status: "succeeded" };
+      if (outcome.status === "requires_action") challenges.set(paymentId, { amount, currency, reference });
+      console.log(`[payments] fake ${outcome.status} ${amount} ${currency} for ${reference}`);
+      return { paymentId, ...outcome };
+    },
+
+    async confirm({ paymentId, response }) {
+      if (!challenges.delete(paymentId)) return { paymentId, status: "declined", declineCode: "AUTHENTICATION_FAILED" };
+      return String(response || "").trim() === FAKE_3DS_CODE
+        ? { paymentId, status: "succeeded" }
+        : { paymentId, status: "declined", declineCode: "AUTHENTICATION_FAILED" };
+    },
+
+    async refund({ paymentId, amount, currency, reference }) {
+      console.log(`[payments] fake refund ${amount} ${currency} of ${paymentId} for ${reference}`);
+      return { status: "succeeded", refundId: `re_fake_${randomUUID()}` };
+    },
+  };
+}
+
+const PROVIDERS = { fake: fakePaymentProvider };
+// Providers that must never take real orders
+const TEST_PROVIDERS = new Set(["fake"]);
+
+/** The PAYMENT_PROVIDER named in `env`, or null when none is configured. Throws on a bad setting. */
+export function createPaymentProvider(env = process.env) {
+  const name = env.PAYMENT_PROVIDER;
+  if (!name) {
+    console.warn("[payments] PAYMENT_PROVIDER is not set — payments are unavailable");
+    return null;
+  }
+  if (!Object.hasOwn(PROVIDERS, name)) throw new Error(`[payments] unknown PAYMENT_PROVIDER "${name}"`);
+  if (TEST_PROVIDERS.has(name) && env.NODE_ENV === "production") {
+    throw new Error(`[payments] the ${name} provider is for development and tests only`);
+  }
+  return PROVIDERS[name]();
+}
+
+/** Middleware for routes that charge or refund: 503 PAYMENTS_UNAVAILABLE without a provider. */
+export const requirePayments = (payments) => (req, res, next) =>
+  payments ? next() : sendError(res, 503, "PAYMENTS_UNAVAILABLE", "Payments are not available right now");
@@ -0,0 +1,135 @@
+// refunds.js
+// Refund routes (mounted on the checkout router, signed in).
+//
+//   GET  /checkout/refunds?status=            (admin) → 200 { orders }  refund_requested (default),
+//                                             refunded or rejected, oldest request first
+//   POST /checkout/orders/:id/refund          { reason? } → 200 { order }  the buyer asks
+//   POST /checkout/orders/:id/refund/approve  (admin) → 200 { order }  money back, access revoked
+//   POST /checkout/orders/:id/refund/reject   (admin) { note? } → 200 { order }
+//
+// - Statuses move as Data/orderStatus.js allows (completed → refund_requested →
+//   refunded | rejected); anything else is REFUND_NOT_ALLOWED.
+// - Asking checks the 30-day window (REFUND_WINDOW_CLOSED) and how much of the
+//   courses the buyer has gone through (REFUND_COURSE_CONSUMED).
+// - Orders keep `refund` { reason, requestedAt, resolvedAt?, amount?, refundId?, note? }.
+// - Approving refunds the payment through the payment provider, takes the courses
+//   bought for oneself out of the buyer's purchasedCourseIds (unless another paid
+//   order or a redeemed gift gives them too), cancels the order's gifts (gifts.js → revokeGifts) and the
+//   learner is emailed at every step.
+
+import { MAX_REFUND_REASON, canTransition, refundEligibility } from "../Data/orderStatus.js";
+import { refundApprovedEmail, refundRejectedEmail, refundRequestedEmail } from "./emails.js";
+import { ownedElsewhere, revokeGifts } from "./gifts.js";
+import { sendError } from "./http.js";
+import { findUserById } from "./users.js";
+
+// Statuses an order can have once a refund was asked for
+const REFUND_STATUSES = ["refund_requested", "refunded", "rejected"];
+
+const ELIGIBILITY_MESSAGES = {
+  REFUND_NOT_ALLOWED: "This order can't be refunded",
+  REFUND_WINDOW_CLOSED: "The 30-day refund window for this order has closed",
+  REFUND_COURSE_CONSUMED: "You've already gone through too much of a course in this order to get a refund",
+};
+
+export function registerRefundRoutes(router, { db, mailer, payments }) {
+  const findOrder = (req, res, { own = true } = {}) => {
+    const order = db.data.orders.find((o) => o.id === req.params.id && (!own || o.userId === req.user.id));
+    if (!order) sendError(res, 404, "ORDER_NOT_FOUND", "Order not found");
+    return order || null;
+  };
+
+  const requireAdmin = (req, res, next) =>
+    req.user.role === "admin" ? next() : sendError(res, 403, "FORBIDDEN", "Only admins can review refunds");
+
+  const notify = async (order, template) => {
+    const user = findUserById(db, order.userId);
+    if (!user) return;
+    try {
+      await mailer.send({ to: user.email, ...template({ user, order }) });
+    } catch (err) {
+      console.warn(`[refunds] could not email ${user.email}`, err);
+    }
+  };
+
+  router.get("/refunds", requireAdmin, (req, res) => {
+    const status = String(req.query.status || "refund_requested");
+    if (!REFUND_STATUSES.includes(status)) return sendError(res, 400, "INVALID_STATUS", "Unknown refund status");
+
+    const orders = db.data.orders
+      .filter((o) => o.status === status)
+      .sort((a, b) => String(a.refund?.requestedAt || "").localeCompare(String(b.refund?.requestedAt || "")));
+    res.json({ orders });
+  });
+
+  router.post("/orders/:id/refund", async (req, res) => {
+    const order = findOrder(req, res);
+    if (!order) return;
+
+    const reason = String(req.body?.reason || "").trim();
+    if (reason.length > MAX_REFUND_REASON) return sendError(res, 400, "INVALID_REFUND_REASON", "The reason is too long");
+
+    const check = refundEligibility(order, { courseProgress: req.user.courseProgress });
+    if (!check.eligible) {
+      return sendError(res, check.code === "REFUND_NOT_ALLOWED" ? 409 : 422, check.code, ELIGIBILITY_MESSAGES[check.code]);
+    }
+
+    Object.assign(order, { status: "refund_requested", refund: { reason, requestedAt: new Date().toISOString() } });
+    await db.write();
+    await notify(order, refundRequestedEmail);
+    res.json({ order });
+  });
+
+  router.post("/orders/:id/refund/approve", requireAdmin, async (req, res) => {
+    const order = findOrder(req, res, { own: false });
+    if (!order) return;
+    if (!canTransition(order.status, "refunded")) {
+      return sendError(res, 409, "REFUND_NOT_ALLOWED", ELIGIBILITY_MESSAGES.REFUND_NOT_ALLOWED);
+    }
+
+    // seed orders were never charged through a provider
+    let refundId = null;
+    if (order.payment?.paymentId) {
+      if (!payments) return sendError(res, 503, "PAYMENTS_UNAVAILABLE", "Payments are not available right now");
+      const result = await payments.refund({
+        paymentId: order.payment.paymentId,
+        amount: order.total,
+        currency: order.currency,
+        reference: order.id,
+      });
+      if (result.status !== "succeeded") {
+        return sendError(res, 502, "REFUND_FAILED", "The payment provider could not refund this order");
+      }
+      refundId = result.refundId;
+    }
+
+    Object.assign(order, {
+      status: "refunded",
+      refund: { ...order.refund, resolvedAt: new Date().toISOString(), amount: order.total, refundId },
+    });
+    const buyer = findUserById(db, order.userId);
+    if (buyer) {
+      const refunded = new Set(order.items.filter((item) => (item.type || "self") === "self").map((item) => item.courseId));
+      const keep = ownedElsewhere(db, buyer.id, order);
+      buyer.purchasedCourseIds = (buyer.purchasedCourseIds || []).filter((id) => !refunded.has(id) || keep.has(id));
+    }
+    revokeGifts(db, order);
+    await db.write();
+    await notify(order, refundApprovedEmail);
+    res.json({ order });
+  });
+
+  router.post("/orders/:id/refund/reject", requireAdmin, async (req, res) => {
+    const order = findOrder(req, res, { own: false });
+    if (!order) return;
+    if (!canTransition(order.status, "rejected")) {
+      return sendError(res, 409, "REFUND_NOT_ALLOWED", ELIGIBILITY_MESSAGES.REFUND_NOT_ALLOWED);
+    }
+
+    const note = String(req.body?.note || "").trim().slice(0, MAX_REFUND_REASON);
+    Object.assign(order, { status: "rejected", refund: { ...order.refund, resolvedAt: new Date().toISOString(), note } });
+    await db.write();
+    await notify(order, refundRejectedEmail);
+    res.json({ order });
+  });
+}
@@ -0,0 +1,84 @@
+// sessions.js
+// Sign-in sessions (rows in the private `sessions` collection) and the
+// "active sessions" routes (mounted on the auth router).
+//
+//   GET    /auth/sessions      → 200 { sessions: [...] } for the signed-in user
+//   DELETE /auth/sessions/:id  → 204, signs that device out
+//   DELETE /auth/sessions      → 204, signs out every device except this one
+//
+// - "Remember me" sessions last REMEMBER_TTL_SECONDS and slide forward on
+//   every refresh; other sessions end SESSION_TTL_SECONDS after sign-in
+//   (the client also signs them out when idle).
+// - Only metadata is returned — never token ids.
+
+import { randomUUID } from "node:crypto";
+import { sendError } from "./http.js";
+import { newTokenId } from "./tokens.js";
+
+export const REMEMBER_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+export const SESSION_TTL_SECONDS = 12 * 60 * 60; // 12 hours
+
+export async function createSession(db, user, req, { remember = false } = {}) {
+  const now = new Date();
+  const ttl = remember ? REMEMBER_TTL_SECONDS : SESSION_TTL_SECONDS;
+  const session = {
+    id: randomUUID(),
+    userId: user.id,
+    tokenId: newTokenId(),
+    remember: Boolean(remember),
+    userAgent: req.get("user-agent") || "",
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttl * 1000).toISOString(),
+  };
+  db.data.sessions.push(session);
+  await db.write();
+  return session;
+}
+
+/** False once the session's expiresAt has passed (the row stays until it is cleaned up). */
+export const isSessionActive = (session, now = Date.now()) => Date.parse(session.expiresAt) > now;
+
+// Called on every refresh (after the token id has been rotated)
+export function touchSession(session) {
+  const now = Date.now();
+  session.lastUsedAt = new Date(now).toISOString();
+  if (session.remember) session.expiresAt = new Date(now + REMEMBER_TTL_SECONDS * 1000).toISOString();
+}
+
+const publicSession = (session, currentId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  remember: Boolean(session.remember),
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  current: session.id === currentId,
+});
+
+export function registerSessionRoutes(router, { db, requireAuth }) {
+  router.get("/sessions", requireAuth, (req, res) => {
+    const now = Date.now();
+    const sessions = db.data.sessions
+      .filter((s) => s.userId === req.user.id && isSessionActive(s, now))
+      .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt))
+      .map((s) => publicSession(s, req.session.id));
+    res.json({ sessions });
+  });
+
+  router.delete("/sessions/:id", requireAuth, async (req, res) => {
+    const session = db.data.sessions.find((s) => s.id === req.params.id && s.userId === req.user.id);
+    if (!session) return sendError(res, 404, "SESSION_NOT_FOUND", "This session has already ended");
+    // this device signs out with POST /auth/logout, which also clears its tokens
+    if (session.id === req.session.id) return sendError(res, 400, "CURRENT_SESSION", "Use sign out for this device");
+
+    db.data.sessions = db.data.sessions.filter((s) => s.id !== session.id);
+    await db.write();
+    res.status(204).end();
+  });
+
+  router.delete("/sessions", requireAuth, async (req, res) => {
+    db.data.sessions = db.data.sessions.filter((s) => s.userId !== req.user.id || s.id === req.session.id);
+    await db.write();
+    res.status(204).end();
+  });
+}
@@ -0,0 +1,253 @@
+// subscriptions.js
+// Skillverse Pro subscription routes (mounted on the checkout router, signed in).
+//
+//   GET  /checkout/subscription                  → 200 { subscription } (null without one)
+//   POST /checkout/subscription                  { planId, paymentMethod, currency? }
+//                                                → 200 { subscription, user }  trialing or active
+//                                                → 202 { subscription, action } 3-D Secure challenge needed
+//   POST /checkout/subscription/confirm          { paymentId, response } → 200 { subscription, user }
+//   GET  /checkout/subscription/preview?planId=  → 200 { currency, price, credit, due, carry }
+//   POST /checkout/subscription/change           { planId } → 200 { subscription, user } | 202 { subscription, action }
+//   POST /checkout/subscription/cancel           → 200 { subscription, user }  access until the period ends
+//   POST /checkout/subscription/resume           → 200 { subscription, user }
+//
+// - The subscription is kept on the user (users[].subscription), so /auth/me carries it
+//   and Data/entitlements.js can tell which courses it unlocks:
+//     { id, planId, status, currency, amount, credit, startedAt, trialEndsAt?,
+//       currentPeriodStart, currentPeriodEnd, cancelAtPeriodEnd, paymentMethod, pending? }
+//   `amount` is what the current period is worth (prorating credits its unused part),
+//   `credit` is money left over from a move to a cheaper plan.
+// - status: incomplete (first payment not done) → trialing | active → past_due | canceled.
+// - An account's first subscription starts with the plan's free trial
+//   (users[].trialUsedAt); the card is saved and charged when the trial ends.
+// - Renewals charge the saved card when a period ends, minus the credit: every
+//   RENEWAL_SWEEP_MS, and when the user opens their subscription. A declined renewal
+//   leaves it past_due (no access) until they subscribe again with another card.
+// - Changing plan is prorated (Data/plans.js → prorate) and charged to the saved card
+//   at once; a 3-D Secure challenge is answered with /confirm like a first payment.
+
+import { randomUUID } from "node:crypto";
+import { RENEWAL_GRACE_MS } from "../Data/entitlements.js";
+import { isSupportedCurrency } from "../Data/currencies.js";
+import { addInterval, findPlan, planPrice, prorate, trialEnd } from "../Data/plans.js";
+import { sendError } from "./http.js";
+import { DECLINE_MESSAGES, requirePayments } from "./payments.js";
+
+export const RENEWAL_SWEEP_MS = 15 * 60 * 1000;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const periodFrom = (plan, start) => ({ currentPeriodStart: start, currentPeriodEnd: addInterval(start, plan.interval) });
+
+const isRunning = (subscription) => ["trialing", "active"].includes(subscription?.status);
+
+export function registerSubscriptionRoutes(router, { db, payments }) {
+  const readPlan = (req, res) => {
+    const plan = findPlan(String(req.body?.planId ?? req.query.planId ?? ""));
+    if (!plan) sendError(res, 400, "UNKNOWN_PLAN", "This plan doesn't exist");
+    return plan;
+  };
+
+  const findRunning = (req, res) => {
+    const subscription = req.user.subscription;
+    if (!isRunning(subscription)) sendError(res, 404, "NO_SUBSCRIPTION", "You don't have a subscription");
+    return isRunning(subscription) ? subscription : null;
+  };
+
+  // Ends or renews a subscription whose period is over. Returns whether it changed.
+  const renew = async (user, now = Date.now()) => {
+    const subscription = user.subscription;
+    if (!isRunning(subscription)) return false;
+    const end = new Date(subscription.currentPeriodEnd).getTime();
+    if (now < end) return false;
+
+    const plan = findPlan(subscription.planId);
+    if (subscription.cancelAtPeriodEnd || !plan) {
+      Object.assign(subscription, { status: "canceled", endedAt: subscription.currentPeriodEnd });
+      return true;
+    }
+
+    const price = planPrice(plan, subscription.currency);
+    const credit = Math.min(price, Number(subscription.credit) || 0);
+    if (price - credit > 0) {
+      // no payment provider: leave it for a sweep once there is one
+      if (!payments) return false;
+      const result = await payments.charge({
+        amount: round2(price - credit),
+        currency: subscription.currency,
+        paymentMethod: subscription.paymentMethod,
+        reference: subscription.id,
+      });
+      console.log(`[subscriptions] renewal of ${subscription.id} ${result.status}`);
+      if (result.status !== "succeeded") {
+        subscription.status = "past_due";
+        return true;
+      }
+      subscription.lastPaymentId = result.paymentId;
+    }
+    // missed by more than the grace period (API was down): the new period starts now
+    const start = now < end + RENEWAL_GRACE_MS ? subscription.currentPeriodEnd : new Date(now).toISOString();
+    Object.assign(subscription, {
+      status: "active",
+      amount: price,
+      credit: round2((Number(subscription.credit) || 0) - credit),
+      ...periodFrom(plan, start),
+    });
+    return true;
+  };
+
+  const sweep = async () => {
+    let changed = false;
+    for (const user of db.data.users) {
+      if (await renew(user)) changed = true;
+    }
+    if (changed) await db.write();
+  };
+  setInterval(() => sweep().catch((err) => console.warn("[subscriptions] renewal sweep failed", err)), RENEWAL_SWEEP_MS).unref();
+
+  // Applies the provider's answer to the subscription's pending charge (a first
+  // payment or a plan change) and sends it back to the client
+  const settle = async (req, res, result) => {
+    const subscription = req.user.subscription;
+    if (result.status === "succeeded") {
+      const { planId, amount, carry } = subscription.pending;
+      Object.assign(subscription, {
+        planId,
+        status: "active",
+        amount,
+        credit: carry,
+        cancelAtPeriodEnd: false,
+        ...periodFrom(findPlan(planId), new Date().toISOString()),
+      });
+      if (result.paymentId) subscription.lastPaymentId = result.paymentId;
+      delete subscription.pending;
+      await db.write();
+      return res.json({ subscription, user: req.user });
+    }
+    if (result.status === "requires_action") {
+      subscription.pending.paymentId = result.paymentId;
+      await db.write();
+      return res.status(202).json({ subscription, action: { ...result.action, paymentId: result.paymentId } });
+    }
+
+    // a first payment stays incomplete, a plan change leaves the old plan running
+    delete subscription.pending;
+    await db.write();
+    const code = DECLINE_MESSAGES[result.declineCode] ? result.declineCode : "CARD_DECLINED";
+    return sendError(res, 402, code, DECLINE_MESSAGES[code]);
+  };
+
+  // a period that ended since the last sweep is settled before anything else
+  router.use("/subscription", async (req, res, next) => {
+    if (await renew(req.user)) await db.write();
+    next();
+  });
+
+  router.get("/subscription", (req, res) => {
+    res.json({ subscription: req.user.subscription || null });
+  });
+
+  router.post("/subscription", requirePayments(payments), async (req, res) => {
+    if (!req.user.emailVerified) {
+      return sendError(res, 403, "EMAIL_NOT_VERIFIED", "Verify your email before subscribing");
+    }
+    const plan = readPlan(req, res);
+    if (!plan) return;
+    if (isRunning(req.user.subscription)) {
+      return sendError(res, 409, "SUBSCRIPTION_EXISTS", "You already have a subscription — change its plan instead");
+    }
+    const currency = String(req.body?.currency || db.data.settings?.currency || "USD").toUpperCase();
+    if (!isSupportedCurrency(currency)) return sendError(res, 400, "UNSUPPORTED_CURRENCY", "This currency isn't supported");
+    const method = req.body?.paymentMethod;
+    if (!method?.id) return sendError(res, 400, "INVALID_PAYMENT_METHOD", "Please enter your card details");
+
+    const now = new Date().toISOString();
+    const subscription = {
+      id: randomUUID(),
+      planId: plan.id,
+      status: "incomplete",
+      currency,
+      amount: 0,
+      credit: 0,
+      startedAt: now,
+      cancelAtPeriodEnd: false,
+      paymentMethod: { id: String(method.id), brand: String(method.brand || ""), last4: String(method.last4 || "").slice(-4) },
+    };
+    req.user.subscription = subscription;
+
+    if (plan.trialDays > 0 && !req.user.trialUsedAt) {
+      const ends = trialEnd(plan);
+      Object.assign(subscription, { status: "trialing", trialEndsAt: ends, currentPeriodStart: now, currentPeriodEnd: ends });
+      req.user.trialUsedAt = now;
+      await db.write();
+      return res.json({ subscription, user: req.user });
+    }
+
+    const price = planPrice(plan, currency);
+    subscription.pending = { planId: plan.id, amount: price, carry: 0 };
+    const result = await payments.charge({ amount: price, currency, paymentMethod: method, reference: subscription.id });
+    return settle(req, res, result);
+  });
+
+  router.post("/subscription/confirm", requirePayments(payments), async (req, res) => {
+    const subscription = req.user.subscription;
+    if (!subscription?.pending?.paymentId || subscription.pending.paymentId !== req.body?.paymentId) {
+      return sendError(res, 400, "INVALID_PAYMENT", "This payment can't be confirmed");
+    }
+    const result = await payments.confirm({ paymentId: subscription.pending.paymentId, response: req.body?.response });
+    return settle(req, res, result);
+  });
+
+  router.get("/subscription/preview", (req, res) => {
+    const subscription = findRunning(req, res);
+    if (!subscription) return;
+    const plan = readPlan(req, res);
+    if (!plan) return;
+    res.json(prorate(subscription, plan));
+  });
+
+  router.post("/subscription/change", requirePayments(payments), async (req, res) => {
+    const subscription = findRunning(req, res);
+    if (!subscription) return;
+    const plan = readPlan(req, res);
+    if (!plan) return;
+    if (plan.id === subscription.planId) {
+      return sendError(res, 409, "INVALID_PLAN_CHANGE", "You're already on this plan");
+    }
+
+    // a trial just moves to the other plan, ending on the same day
+    if (subscription.status === "trialing") {
+      Object.assign(subscription, { planId: plan.id, cancelAtPeriodEnd: false });
+      await db.write();
+      return res.json({ subscription, user: req.user });
+    }
+
+    const { price, due, carry } = prorate(subscription, plan);
+    subscription.pending = { planId: plan.id, amount: price, carry };
+    if (!due) return settle(req, res, { status: "succeeded", paymentId: null });
+    const result = await payments.charge({
+      amount: due,
+      currency: subscription.currency,
+      paymentMethod: subscription.paymentMethod,
+      reference: subscription.id,
+    });
+    return settle(req, res, result);
+  });
+
+  router.post("/subscription/cancel", async (req, res) => {
+    const subscription = findRunning(req, res);
+    if (!subscription) return;
+    Object.assign(subscription, { cancelAtPeriodEnd: true, canceledAt: new Date().toISOString() });
+    await db.write();
+    res.json({ subscription, user: req.user });
+  });
+
+  router.post("/subscription/resume", async (req, res) => {
+    const subscription = findRunning(req, res);
+    if (!subscription) return;
+    subscription.cancelAtPeriodEnd = false;
+    delete subscription.canceledAt;
+    await db.write();
+    res.json({ subscription, user: req.user });
+  });
+}
@@ -0,0 +1,41 @@
+// tax.js
+// Adds VAT / sales tax to a priced cart (coupons.js → priceCart) for a billing
+// country / region, using the local rate table in Data/taxRates.js.
+// - Tax is worked out per line on the price after discounts, and each line
+//   keeps its own `tax`; the cart's tax is their sum.
+// - "exclusive" rates are added to the total; "inclusive" ones are already part
+//   of the price, so the total stays the same and the tax is only reported.
+
+import { taxRateFor } from "../Data/taxRates.js";
+import { fromCents, toCents } from "./money.js";
+
+/**
+ * @param {{ items: { price, quantity, discount }[], subtotal, discount, total }} priced
+ * @param {{ country?: string, region?: string }} location billing address
+ * @returns {object} `priced` with items[].tax, `tax` ({ country, region, name, rate,
+ *   mode, amount }) and the new total. `tax` is null when there is no country yet or
+ *   the country needs a region that wasn't given.
+ */
+export function applyTax(priced, { country, region } = {}) {
+  const rate = country ? taxRateFor(country, region) : null;
+  if (!rate) {
+    return { ...priced, items: priced.items.map((item) => ({ ...item, tax: 0 })), tax: null };
+  }
+
+  let taxCents = 0;
+  const items = priced.items.map((item) => {
+    const taxable = toCents(item.price) * item.quantity - toCents(item.discount || 0);
+    const lineTax =
+      rate.mode === "inclusive" ? taxable - Math.round(taxable / (1 + rate.rate)) : Math.round(taxable * rate.rate);
+    taxCents += lineTax;
+    return { ...item, tax: fromCents(lineTax) };
+  });
+
+  const added = rate.mode === "exclusive" ? taxCents : 0;
+  return {
+    ...priced,
+    items,
+    tax: { ...rate, amount: fromCents(taxCents) },
+    total: fromCents(toCents(priced.total) + added),
+  };
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { applyTax } from "./tax.js";
+
+const priced = (items) => {
+  const subtotal = items.reduce((sum, item) => sum + Math.round(item.price * 100) * item.quantity, 0) / 100;
+  const discount = items.reduce((sum, item) => sum + Math.round((item.discount || 0) * 100), 0) / 100;
+  return { items, subtotal, discount, total: Math.round((subtotal - discount) * 100) / 100 };
+};
+
+describe("applyTax", () => {
+  it("reports inclusive VAT without changing the total", () => {
+    // Egypt: 14% included in the price — 114.00 holds 14.00 of VAT
+    const taxed = applyTax(priced([{ price: 114, quantity: 1, discount: 0 }]), { country: "EG" });
+    expect(taxed.tax).toMatchObject({ name: "VAT", rate: 0.14, mode: "inclusive", amount: 14 });
+    expect(taxed.items[0].tax).toBe(14);
+    expect(taxed.total).toBe(114);
+  });
+
+  it("adds exclusive sales tax on top of the total", () => {
+    // California: 7.25% on 100.00
+    const taxed = applyTax(priced([{ price: 100, quantity: 1, discount: 0 }]), { country: "US", region: "CA" });
+    expect(taxed.tax).toMatchObject({ mode: "exclusive", rate: 0.0725, amount: 7.25 });
+    expect(taxed.total).toBe(107.25);
+  });
+
+  it("taxes each line after its discount and rounds per line", () => {
+    const taxed = applyTax(
+      priced([
+        { price: 19.99, quantity: 1, discount: 3 },
+        { price: 9.99, quantity: 3, discount: 0 },
+      ]),
+      { country: "US", region: "CA" }
+    );
+    // 16.99 × 7.25% = 1.2318 → 1.23; 29.97 × 7.25% = 2.1728 → 2.17
+    expect(taxed.items.map((item) => item.tax)).toEqual([1.23, 2.17]);
+    expect(taxed.tax.amount).toBe(3.4);
+    expect(taxed.total).toBe(50.36);
+  });
+
+  it("works out inclusive tax from the discounted price", () => {
+    // UK: 20% included; 12.00 after the discount holds 2.00 of VAT
+    const taxed = applyTax(priced([{ price: 15, quantity: 1, discount: 3 }]), { country: "GB" });
+    expect(taxed.items[0].tax).toBe(2);
+    expect(taxed.total).toBe(12);
+  });
+
+  it("leaves the cart untaxed without a country, or without a region the country needs", () => {
+    const cart = priced([{ price: 10, quantity: 1, discount: 0 }]);
+    for (const location of [{}, { country: "US" }]) {
+      const taxed = applyTax(cart, location);
+      expect(taxed.tax).toBeNull();
+      expect(taxed.items[0].tax).toBe(0);
+      expect(taxed.total).toBe(10);
+    }
+  });
+
+  it("charges nothing in a country that isn't listed", () => {
+    const taxed = applyTax(priced([{ price: 10, quantity: 1, discount: 0 }]), { country: "ZZ" });
+    expect(taxed.tax).toMatchObject({ rate: 0, amount: 0 });
+    expect(taxed.total).toBe(10);
+  });
+});
@@ -0,0 +1,64 @@
+// tokens.js
+// JWT helpers for the local API.
+// - Access tokens are short-lived and sent as `Authorization: Bearer <token>`.
+// - Refresh tokens are long-lived and tied to a row in the private `sessions`
+//   collection: `sid` is the session id, `tid` the current token id. Every
+//   refresh rotates `tid`, so a replayed (already used) refresh token is rejected.
+// - One-time tokens for emailed links are at the bottom.
+
+import { createHash, randomBytes, randomUUID } from "node:crypto";
+import jwt from "jsonwebtoken";
+
+const SECRET = process.env.JWT_SECRET || "skillverse-dev-secret";
+const REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || `${SECRET}:refresh`;
+
+if (!process.env.JWT_SECRET) {
+  console.warn("[auth] JWT_SECRET is not set — using the development secret.");
+}
+
+export const ACCESS_TTL_SECONDS = 15 * 60; // 15 minutes
+
+export const newTokenId = () => randomUUID();
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign({ sub: user.id, role: user.role, sid: sessionId }, SECRET, {
+    expiresIn: ACCESS_TTL_SECONDS,
+  });
+}
+
+// Expires together with the session (its lifetime depends on "remember me", see sessions.js)
+export function signRefreshToken(session) {
+  const secondsLeft = Math.floor((Date.parse(session.expiresAt) - Date.now()) / 1000);
+  return jwt.sign({ sub: session.userId, sid: session.id, tid: session.tokenId }, REFRESH_SECRET, {
+    expiresIn: Math.max(1, secondsLeft),
+  });
+}
+
+// Both verifiers return the decoded payload or null (expired / bad signature).
+export function verifyAccessToken(token) {
+  try {
+    return jwt.verify(token, SECRET);
+  } catch {
+    return null;
+  }
+}
+
+export function verifyRefreshToken(token) {
+  try {
+    return jwt.verify(token, REFRESH_SECRET);
+  } catch {
+    return null;
+  }
+}
+
+/* -----------------------
+   One-time tokens (password reset, email verification, gift links)
+   - The raw token only ever goes into the emailed link; the database keeps
+     its SHA-256 hash, so a leaked db.json can't be used to reset passwords.
+------------------------*/
+export const hashToken = (token) => createHash("sha256").update(String(token || "")).digest("hex");
+
+export function createOneTimeToken() {
+  const token = randomBytes(32).toString("hex");
+  return { token, tokenHash: hashToken(token) };
+}
@@ -0,0 +1,25 @@
+// users.js
+// Lookups over the `users` / `credentials` collections, and the shape of a new user.
+
+import { randomUUID } from "node:crypto";
+import { normalizeEmail } from "./http.js";
+
+export const findUserByEmail = (db, email) =>
+  db.data.users.find((u) => normalizeEmail(u.email) === normalizeEmail(email)) || null;
+
+export const findUserById = (db, id) => db.data.users.find((u) => u.id === id) || null;
+
+export const findCredential = (db, userId) => db.data.credentials.find((c) => c.userId === userId) || null;
+
+// A new student account (password sign-up and first OAuth sign-in)
+export const buildUser = ({ name, email, locale, emailVerified = false, avatar = null }) => ({
+  id: randomUUID(),
+  name,
+  email: normalizeEmail(email),
+  role: "student",
+  emailVerified,
+  purchasedCourseIds: [],
+  locale: locale === "en" ? "en" : "ar",
+  avatar,
+  createdAt: new Date().toISOString(),
+});
@@ -0,0 +1,157 @@
+// api.js
+// Typed (JSDoc) resource functions on top of the shared axios client.
+// Every page reads catalog data through these helpers instead of importing Data/Data.js,
+// so content edited in db.json shows up without shipping a new bundle.
+//
+// json-server notes:
+// - ids and foreign keys are strings ("1", not 1).
+// - `GET /courses?slug=x` returns an array, so single-item lookups take the first match.
+
+import client from "./client";
+
+/**
+ * @typedef {{ en: string, ar?: string }} LocalizedText
+ *
+ * @typedef {Object} CurriculumSection
+ * @property {string} id
+ * @property {string} title
+ * @property {{ title: string, duration: string }[]} items
+ *
+ * @typedef {Object} Review
+ * @property {string} id
+ * @property {string} userId
+ * @property {LocalizedText} comment
+ * @property {number} rating
+ *
+ * @typedef {Object} Course
+ * @property {string} id
+ * @property {string} title
+ * @property {string} slug
+ * @property {string} category
+ * @property {string[]} tags
+ * @property {string} level
+ * @property {number} price
+ * @property {string} currency
+ * @property {{ EGP?: number, SAR?: number, AED?: number }} [prices]  overrides of the converted price
+ * @property {{ price: number, prices?: object, startsAt?: string, endsAt?: string }} [sale]  scheduled sale (Data/sales.js)
+ * @property {string[]} language
+ * @property {LocalizedText} shortDescription
+ * @property {LocalizedText} description
+ * @property {CurriculumSection[]} curriculum
+ * @property {string} instructorId
+ * @property {number} rating
+ * @property {Review[]} reviews
+ * @property {string} image
+ * @property {string} publishedAt
+ * @property {number} [studentsCount]
+ * @property {string} [duration]
+ * @property {boolean} [isPopular]
+ * @property {boolean} [isNew]
+ *
+ * @typedef {Object} Instructor
+ * @property {string} id
+ * @property {string} name
+ * @property {string} bio
+ * @property {string} avatar
+ * @property {Object<string, string>} [social]
+ *
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {string} email
+ * @property {"student"|"instructor"|"admin"} role
+ * @property {string[]} purchasedCourseIds
+ * @property {import("../Services/subscriptionService").Subscription} [subscription]  Skillverse Pro
+ * @property {string} [trialUsedAt]  when the account's free trial started
+ * @property {string} locale
+ * @property {string} avatar
+ *
+ * @typedef {Object} OrderLine
+ * @property {string} courseId
+ * @property {string} [title]     the course title when it was bought
+ * @property {"self"|"gift"|"team"} [type]  "self" when missing (older orders)
+ * @property {number} price
+ * @property {number} quantity
+ * @property {{ email: string, message?: string }} [gift]
+ * @property {number} [listPrice]    price per seat before the volume discount
+ * @property {number} [regularPrice] price before the course's sale, when it was on sale
+ * @property {number} [seatDiscount]
+ * @property {number} [discount]  share of the promo code discount
+ * @property {number} [tax]       tax on this line (after the discount)
+ *
+ * @typedef {Object} Order
+ * @property {string} id
+ * @property {string} userId
+ * @property {OrderLine[]} items
+ * @property {number} [subtotal]  before discounts
+ * @property {number} [discount]
+ * @property {{ code: string, type: string, value: number, amount: number }[]} [coupons]
+ * @property {import("../Services/checkoutService").TaxSummary} [tax]
+ * @property {number} total
+ * @property {string} currency
+ * @property {"pending"|"completed"|"refund_requested"|"refunded"|"rejected"} status  see Data/orderStatus.js
+ * @property {string} createdAt
+ * @property {string} [paidAt]
+ * @property {string} [invoiceNumber]  given when the order is paid
+ * @property {{ name: string, email: string, country: string, region?: string, address?: string, city?: string, postalCode?: string }} [billing]
+ * @property {{ brand?: string, last4?: string, status?: string }} [payment]
+ * @property {{ reason: string, requestedAt: string, resolvedAt?: string, amount?: number, refundId?: string, note?: string }} [refund]
+ *
+ * @typedef {Object} CartRecord  a user's saved cart, read and written through Services/cartService.js
+ * @property {string} id
+ * @property {string} userId
+ * @property {{ courseId: string, type?: string, quantity: number, gift?: { email: string, message?: string }, price: number, savedPrice?: { amount: number, currency: string, savedAt: string } }[]} items
+ * @property {string[]} [couponCodes]
+ * @property {number} [version]
+ * @property {string} updatedAt
+ *
+ * @typedef {Object} Faq
+ * @property {string} id
+ * @property {LocalizedText} question
+ * @property {LocalizedText} answer
+ *
+ * @typedef {Object} Taxonomy
+ * @property {string[]} categories
+ * @property {string[]} levels
+ * @property {string[]} tags
+ *
+ * @typedef {Object} Settings
+ * @property {LocalizedText} siteName
+ * @property {string[]} supportedLocales
+ * @property {string} currency
+ * @property {{ name: LocalizedText, address: LocalizedText, email: string, taxId: string }} seller  on invoices
+ */
+
+// unwrap axios responses so callers only deal with data
+const get = (url, params) => client.get(url, { params }).then((res) => res.data);
+
+export const coursesApi = {
+  /** @returns {Promise<Course[]>} */
+  list: (params) => get("/courses", params),
+  /** @returns {Promise<Course>} */
+  getById: (id) => get(`/courses/${id}`),
+  /** @returns {Promise<Course|null>} */
+  getBySlug: (slug) => get("/courses", { slug }).then((list) => list[0] || null),
+};
+
+export const instructorsApi = {
+  /** @returns {Promise<Instructor[]>} */
+  list: (params) => get("/instructors", params),
+  /** @returns {Promise<Instructor>} */
+  getById: (id) => get(`/instructors/${id}`),
+};
+
+export const faqsApi = {
+  /** @returns {Promise<Faq[]>} */
+  list: () => get("/faqs"),
+};
+
+export const taxonomyApi = {
+  /** @returns {Promise<Taxonomy>} */
+  get: () => get("/taxonomy"),
+};
+
+export const settingsApi = {
+  /** @returns {Promise<Settings>} */
+  get: () => get("/settings"),
+};
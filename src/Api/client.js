@@ -0,0 +1,16 @@
+// client.js
+// Shared axios instance for the Skillverse REST API.
+// - In development Vite proxies `/api` to json-server (see vite.config.js).
+// - Set VITE_API_URL to point the app at another backend without a rebuild of the data.
+
+import axios from "axios";
+
+export const API_URL = import.meta.env.VITE_API_URL || "/api";
+
+const client = axios.create({
+  baseURL: API_URL,
+  timeout: 10000,
+  headers: { Accept: "application/json" },
+});
+
+export default client;
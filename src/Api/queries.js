@@ -0,0 +1,275 @@
+// queries.js
+// React Query hooks on top of the REST API (api.js).
+// - queryKeys: one place for cache keys so invalidation/prefetch stay consistent.
+// - STALE_TIMES: catalog data is cached longer than per-user data like orders.
+// - Course lists are fetched once and filtered client-side with `select`,
+//   so changing a filter never refetches or flashes a skeleton. The search query
+//   is ranked by a full-text index (Utils/courseFilters) that includes instructor names.
+//   useCourseFacets counts the results each filter option would give, from the same cache.
+// - useCartQuote prices the cart's promo codes and tax through the checkout API;
+//   useSubscription / usePlanChangePreview read the user's Skillverse Pro subscription.
+
+import { useCallback } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import {
+  coursesApi,
+  faqsApi,
+  instructorsApi,
+  settingsApi,
+  taxonomyApi,
+} from "./api";
+import { checkoutService } from "../Services/checkoutService";
+import { subscriptionService } from "../Services/subscriptionService";
+import { courseFacets, filterCourses } from "../Utils/courseFilters";
+
+export const STALE_TIMES = {
+  catalog: 5 * 60 * 1000, // courses, instructors, taxonomy, faqs
+  user: 30 * 1000,        // orders, subscriptions
+};
+
+export const queryKeys = {
+  courses: {
+    all: ["courses"],
+    list: () => ["courses", "list"],
+    detail: (slug) => ["courses", "detail", slug],
+  },
+  instructors: {
+    all: ["instructors"],
+    list: () => ["instructors", "list"],
+    detail: (id) => ["instructors", "detail", String(id)],
+  },
+  orders: {
+    all: ["orders"],
+    byUser: (userId) => ["orders", "user", String(userId)],
+    byStatus: (userId, status) => ["orders", "status", String(userId), status],
+    detail: (userId, id) => ["orders", "detail", String(userId), String(id)],
+  },
+  checkout: {
+    all: ["checkout"],
+    quote: (lines, codes, location, currency) => ["checkout", "quote", lines, codes, location, currency],
+  },
+  subscription: {
+    all: ["subscription"],
+    current: (userId) => ["subscription", "user", String(userId)],
+    preview: (userId, planId) => ["subscription", "preview", String(userId), planId],
+  },
+  sessions: () => ["auth", "sessions"],
+  taxonomy: () => ["taxonomy"],
+  faqs: () => ["faqs"],
+  settings: () => ["settings"],
+};
+
+// Everything cached for the signed-in user; AuthProvider drops it when the user signs out or changes
+export const USER_SCOPED_KEYS = [
+  queryKeys.orders.all,
+  queryKeys.checkout.all,
+  queryKeys.subscription.all,
+  queryKeys.sessions(),
+];
+
+/* -----------------------
+   Courses
+------------------------*/
+const courseListQuery = {
+  queryKey: queryKeys.courses.list(),
+  queryFn: () => coursesApi.list(),
+  staleTime: STALE_TIMES.catalog,
+};
+
+const instructorListQuery = {
+  queryKey: queryKeys.instructors.list(),
+  queryFn: () => instructorsApi.list(),
+  staleTime: STALE_TIMES.catalog,
+};
+
+const courseDetailQuery = (slug) => ({
+  queryKey: queryKeys.courses.detail(slug),
+  queryFn: () => coursesApi.getBySlug(slug),
+  staleTime: STALE_TIMES.catalog,
+});
+
+const instructorDetailQuery = (id) => ({
+  queryKey: queryKeys.instructors.detail(id),
+  queryFn: () => instructorsApi.getById(id),
+  staleTime: STALE_TIMES.catalog,
+});
+
+/**
+ * All courses matching `filters` (Utils/courseFilters), best match first when searching.
+ * priceOf(course) is the price in the shown currency, for the price filters.
+ */
+export function useCourses(filters, priceOf) {
+  // instructor names are searchable too
+  const { data: instructors } = useQuery({ ...instructorListQuery, enabled: Boolean(filters?.query) });
+  const select = useCallback(
+    (courses) => (filters ? filterCourses(courses, filters, instructors, priceOf) : courses),
+    [filters, instructors, priceOf]
+  );
+  return useQuery({ ...courseListQuery, select });
+}
+
+/** Result counts for the course filters' options (and the price range), for `filters`. */
+export function useCourseFacets(filters, priceOf) {
+  const { data: instructors } = useQuery({ ...instructorListQuery, enabled: Boolean(filters?.query) });
+  const select = useCallback(
+    (courses) => courseFacets(courses, filters, instructors, priceOf),
+    [filters, instructors, priceOf]
+  );
+  return useQuery({ ...courseListQuery, select });
+}
+
+/** One course by slug. Seeds from the list cache so cards open instantly. */
+export function useCourse(slug) {
+  const queryClient = useQueryClient();
+  return useQuery({
+    ...courseDetailQuery(slug),
+    enabled: Boolean(slug),
+    initialData: () =>
+      queryClient
+        .getQueryData(queryKeys.courses.list())
+        ?.find((c) => c.slug === slug),
+    initialDataUpdatedAt: () =>
+      queryClient.getQueryState(queryKeys.courses.list())?.dataUpdatedAt,
+  });
+}
+
+/**
+ * Returns a callback that warms the cache for a course page
+ * (course + instructor). Used on CourseCard hover/focus.
+ */
+export function usePrefetchCourse() {
+  const queryClient = useQueryClient();
+  return useCallback(
+    (course) => {
+      if (!course?.slug) return;
+      queryClient.prefetchQuery(courseDetailQuery(course.slug));
+      if (course.instructorId) {
+        queryClient.prefetchQuery(instructorDetailQuery(course.instructorId));
+      }
+    },
+    [queryClient]
+  );
+}
+
+/* -----------------------
+   Instructors
+------------------------*/
+export function useInstructors() {
+  return useQuery(instructorListQuery);
+}
+
+export function useInstructor(id) {
+  return useQuery({
+    ...instructorDetailQuery(id),
+    enabled: id != null,
+  });
+}
+
+/* -----------------------
+   Orders
+------------------------*/
+export function useOrders(userId) {
+  return useQuery({
+    queryKey: queryKeys.orders.byUser(userId),
+    queryFn: () => checkoutService.listOrders(),
+    staleTime: STALE_TIMES.user,
+    enabled: userId != null,
+  });
+}
+
+/** Admin only — every order with a refund `status` (the refund queue). */
+export function useOrdersByStatus(userId, status, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: queryKeys.orders.byStatus(userId, status),
+    queryFn: () => checkoutService.listRefunds(status),
+    staleTime: STALE_TIMES.user,
+    enabled: enabled && userId != null,
+  });
+}
+
+/** One order. Seeds from the user's order list when it is cached. */
+export function useOrder(id, userId) {
+  const queryClient = useQueryClient();
+  return useQuery({
+    queryKey: queryKeys.orders.detail(userId, id),
+    queryFn: () => checkoutService.getOrder(id),
+    staleTime: STALE_TIMES.user,
+    enabled: Boolean(id) && userId != null,
+    initialData: () =>
+      queryClient
+        .getQueryData(queryKeys.orders.byUser(userId))
+        ?.find((o) => o.id === id),
+    initialDataUpdatedAt: () =>
+      queryClient.getQueryState(queryKeys.orders.byUser(userId))?.dataUpdatedAt,
+  });
+}
+
+/* -----------------------
+   Checkout
+------------------------*/
+/**
+ * Discounts and tax for the cart (CartQuote) — `location` is the cart's
+ * { country, region } or null. Undefined while there are no codes and no
+ * location, or the cart has changed and is being priced again.
+ */
+export function useCartQuote(items, codes, location, currency) {
+  const lines = items.map((item) => `${item.lineId}x${item.quantity}`).join(",");
+  const place = location?.country ? `${location.country}-${location.region || ""}` : "";
+  return useQuery({
+    queryKey: queryKeys.checkout.quote(lines, codes, place, currency),
+    queryFn: () =>
+      checkoutService.quote({ items, coupons: codes, country: location?.country, region: location?.region, currency }),
+    staleTime: STALE_TIMES.user,
+    enabled: items.length > 0 && (codes.length > 0 || Boolean(place)),
+  });
+}
+
+/* -----------------------
+   Subscriptions
+------------------------*/
+/** The signed-in user's subscription (null without one). Renewals that are due are settled by the API first. */
+export function useSubscription(userId) {
+  return useQuery({
+    queryKey: queryKeys.subscription.current(userId),
+    queryFn: () => subscriptionService.get(),
+    staleTime: STALE_TIMES.user,
+    enabled: userId != null,
+  });
+}
+
+/** What switching the user's subscription to `planId` would cost now (Data/plans.js → prorate). */
+export function usePlanChangePreview(userId, planId) {
+  return useQuery({
+    queryKey: queryKeys.subscription.preview(userId, planId),
+    queryFn: () => subscriptionService.previewChange(planId),
+    staleTime: 0,
+    enabled: userId != null && Boolean(planId),
+  });
+}
+
+/* -----------------------
+   Static-ish content
+------------------------*/
+export function useTaxonomy() {
+  return useQuery({
+    queryKey: queryKeys.taxonomy(),
+    queryFn: () => taxonomyApi.get(),
+    staleTime: STALE_TIMES.catalog,
+  });
+}
+
+export function useFaqs() {
+  return useQuery({
+    queryKey: queryKeys.faqs(),
+    queryFn: () => faqsApi.list(),
+    staleTime: STALE_TIMES.catalog,
+  });
+}
+
+export function useSettings() {
+  return useQuery({
+    queryKey: queryKeys.settings(),
+    queryFn: () => settingsApi.get(),
+    staleTime: STALE_TIMES.catalog,
+  });
+}
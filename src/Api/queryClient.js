@@ -0,0 +1,13 @@
+// queryClient.js
+// Single React Query client for the app (provided in App.jsx).
+
+import { QueryClient } from "@tanstack/react-query";
+
+export const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      retry: 2,                     // a flaky network gets two more tries before showing the error state
+      refetchOnWindowFocus: false,  // catalog data rarely changes while the tab is open
+    },
+  },
+});
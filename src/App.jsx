@@ -1,6 +1,6 @@
 // App.jsx
 // This file sets up the app routing (React Router),
-// wraps everything inside global Providers (Cart & Wishlist),
+// wraps everything inside global Providers (React Query),
 // and configures the central toast system (react-hot-toast).
 
 import React from "react"
@@ -12,16 +12,35 @@ import Courses from "./Pages/Courses/Courses"            // Courses listing page
 import CourseDetails from "./Pages/Course/CourseDetails" // Single course details page
 import Dashboard from "./Pages/Dashboard/Dashboard"      // Dashboard page
 import Auth from "./Pages/Auth/Auth"                     // Authentication (login/register) page
+import ResetPassword from "./Pages/Auth/ResetPassword"   // New password from an emailed link
+import VerifyEmail from "./Pages/Auth/VerifyEmail"       // Email verification link
+import OAuthCallback from "./Pages/Auth/OAuthCallback"   // Return from Google / Facebook sign-in
 import Wishlist from "./Pages/Wishlist/Wishlist"         // Wishlist page
-import { CartProvider, WishlistProvider } from "./Context/CartContext" // Global context providers
+import Cart from "./Pages/Cart/Cart"                     // Full-page cart
+import Checkout from "./Pages/Checkout/Checkout"         // Review → billing → payment → confirmation
+import OrderDetails from "./Pages/Orders/OrderDetails"   // One order with its invoice PDF
+import Pro from "./Pages/Pro/Pro"                        // Skillverse Pro plans and the user's subscription
+import RedeemGift from "./Pages/Gifts/RedeemGift"        // Gift link from the email
 import { Toaster } from "react-hot-toast"                // Toast notification system
 import NotFound from "./Pages/NotFound/NotFound"         // 404 page
+import RoleArea from "./Pages/RoleArea/RoleArea"         // Instructor / admin landing pages
+import { RequireAuth, RequireRole } from "./Components/Auth/RequireAuth" // Guarded layout routes
+import RouteError from "./Components/Auth/RouteError"     // 403 / 404 for guarded trees
+import { ROLES, requireAuthLoader, requireRoleLoader } from "./Components/Auth/guards"
+import { QueryClientProvider } from "@tanstack/react-query" // Server-state cache (API data)
+import { queryClient } from "./Api/queryClient"           // Shared React Query client
+import { AuthProvider } from "./Context/AuthContext"     // Current user (useAuth), synced across tabs
+import IdleTimeout from "./Components/Auth/IdleTimeout"  // Signs out idle sessions without "remember me"
+import CartSync from "./Components/Cart/CartSync"        // Saved cart on the API, synced across tabs and devices
 
 /* ----------------------------------------------
    ROUTER CONFIGURATION
    - Defines all routes in the application.
    - The Layout component contains <Outlet /> where
      child routes will be rendered dynamically.
+   - Protected trees sit under a RequireAuth / RequireRole
+     layout route whose loader redirects anonymous visitors
+     to /auth?next=... before anything renders.
 ---------------------------------------------- */
 const router = createBrowserRouter([
   {
@@ -34,14 +53,61 @@ const router = createBrowserRouter([
       },
       { path: "courses", element: <Courses /> },          // /courses
       { path: "courses/:slug", element: <CourseDetails /> }, // Dynamic route, e.g., /courses/react-basics
-      { path: "dashboard", element: <Dashboard /> },      // /dashboard
       { path: "wishlist", element: <Wishlist /> },        // /wishlist
+      { path: "cart", element: <Cart /> },                // /cart
+      { path: "pro", element: <Pro /> },                  // /pro
+      { path: "gifts/:token", element: <RedeemGift /> },  // Gift link from the email
+
+      // Any signed-in user
+      {
+        element: <RequireAuth />,
+        loader: requireAuthLoader,
+        children: [
+          { path: "dashboard", element: <Dashboard /> },  // /dashboard
+          { path: "dashboard/orders/:orderId", element: <OrderDetails /> }, // /dashboard/orders/<id>
+          { path: "checkout", element: <Checkout /> },    // /checkout
+        ],
+      },
+
+      // Instructors (and admins)
+      {
+        path: "instructor",
+        element: <RequireRole roles={[ROLES.instructor, ROLES.admin]} />,
+        loader: requireRoleLoader([ROLES.instructor, ROLES.admin]),
+        errorElement: <RouteError />,
+        children: [
+          { index: true, element: <RoleArea area="instructor" /> }, // /instructor
+        ],
+      },
+
+      // Admins only
+      {
+        path: "admin",
+        element: <RequireRole roles={[ROLES.admin]} />,
+        loader: requireRoleLoader([ROLES.admin]),
+        errorElement: <RouteError />,
+        children: [
+          { index: true, element: <RoleArea area="admin" /> }, // /admin
+        ],
+      },
     ],
   },
   {
     path: "/auth",          // Auth page (outside the main layout)
     element: <Auth />,
   },
+  {
+    path: "/auth/reset/:token", // Password reset link from the email
+    element: <ResetPassword />,
+  },
+  {
+    path: "/auth/verify/:token", // Email verification link
+    element: <VerifyEmail />,
+  },
+  {
+    path: "/auth/callback/:provider", // OAuth redirect (Google, Facebook, mock provider)
+    element: <OAuthCallback />,
+  },
   {
     path: "*",              // Catch-all route → 404 page
     element: <NotFound />,
@@ -51,56 +117,51 @@ const router = createBrowserRouter([
 /* ----------------------------------------------
    App Component
    - Wraps the app with Providers for global state
-     (cart & wishlist).
+     (API cache, auth). The Redux store provider lives in main.jsx.
    - Injects the RouterProvider to enable navigation.
    - Includes the Toaster for global notifications.
 ---------------------------------------------- */
 function App() {
   return (
-    <>
+    <QueryClientProvider client={queryClient}>
+      <AuthProvider>
+        {/* RouterProvider renders the router defined above */}
+        <RouterProvider router={router} />
+        <IdleTimeout />
+        <CartSync />
+      </AuthProvider>
+
       {/* 
-        CartProvider → gives access to cart items, total, etc.
-        WishlistProvider → gives access to wishlist items.
-        The order doesn’t matter here since they’re independent.
+        Toaster: global toast notification system
+        - position: defines where to show the toast
+        - toastOptions: default styles for all toasts
       */}
-      <CartProvider>
-        <WishlistProvider>
-          {/* RouterProvider renders the router defined above */}
-          <RouterProvider router={router} />
-
-          {/* 
-            Toaster: global toast notification system
-            - position: defines where to show the toast
-            - toastOptions: default styles for all toasts
-          */}
-          <Toaster
-            position="right-bottom"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: "rgba(17, 24, 39, 0.9)", // Dark semi-transparent background
-                color: "#fff",
-                border: "1px solid rgba(255, 255, 255, 0.1)",
-                borderRadius: "12px",
-                backdropFilter: "blur(12px)",        // Subtle blur effect
-              },
-              success: {
-                iconTheme: {
-                  primary: "#10b981", // Green icon for success
-                  secondary: "#fff",
-                },
-              },
-              error: {
-                iconTheme: {
-                  primary: "#ef4444", // Red icon for errors
-                  secondary: "#fff",
-                },
-              },
-            }}
-          />
-        </WishlistProvider>
-      </CartProvider>
-    </>
+      <Toaster
+        position="right-bottom"
+        toastOptions={{
+          duration: 4000,
+          style: {
+            background: "rgba(17, 24, 39, 0.9)", // Dark semi-transparent background
+            color: "#fff",
+            border: "1px solid rgba(255, 255, 255, 0.1)",
+            borderRadius: "12px",
+            backdropFilter: "blur(12px)",        // Subtle blur effect
+          },
+          success: {
+            iconTheme: {
+              primary: "#10b981", // Green icon for success
+              secondary: "#fff",
+            },
+          },
+          error: {
+            iconTheme: {
+              primary: "#ef4444", // Red icon for errors
+              secondary: "#fff",
+            },
+          },
+        }}
+      />
+    </QueryClientProvider>
   )
 }
 
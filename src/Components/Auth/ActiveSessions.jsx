@@ -0,0 +1,132 @@
+import React from 'react';
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { Monitor, Smartphone, LogOut } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { queryKeys } from '../../Api/queries';
+import { authService } from '../../Services/authService';
+
+const SESSIONS_KEY = queryKeys.sessions();
+
+// "Chrome on Windows" from a user-agent string (good enough for a device list)
+function describeDevice(userAgent = '') {
+  const browser =
+    [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']].find(([token]) =>
+      userAgent.includes(token)
+    )?.[1] || null;
+  const os =
+    [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']].find(([token]) =>
+      userAgent.includes(token)
+    )?.[1] || null;
+  return { browser, os, mobile: /Mobi|Android|iPhone/.test(userAgent) };
+}
+
+/**
+ * ActiveSessions
+ * - Lists the devices signed in to this account (most recent first).
+ * - "Sign out" ends another device's session right away; this device signs
+ *   out from the Navbar as usual.
+ */
+export default function ActiveSessions() {
+  const { t, i18n } = useTranslation();
+  const queryClient = useQueryClient();
+
+  const sessionsQuery = useQuery({ queryKey: SESSIONS_KEY, queryFn: authService.listSessions });
+
+  const onRevoked = () => queryClient.invalidateQueries({ queryKey: SESSIONS_KEY });
+  const onFailed = (err) => toast.error(t(`authErrors.${err.code}`, err.message));
+
+  const revokeOne = useMutation({
+    mutationFn: authService.revokeSession,
+    onSuccess: () => {
+      toast.success(t('sessions.revoked', 'Device signed out'));
+      onRevoked();
+    },
+    onError: onFailed,
+  });
+
+  const revokeOthers = useMutation({
+    mutationFn: authService.revokeOtherSessions,
+    onSuccess: () => {
+      toast.success(t('sessions.revokedOthers', 'Signed out of all other devices'));
+      onRevoked();
+    },
+    onError: onFailed,
+  });
+
+  const dateFmt = new Intl.DateTimeFormat(i18n.language, { dateStyle: 'medium', timeStyle: 'short' });
+  const sessions = sessionsQuery.data ?? [];
+  const hasOthers = sessions.some((s) => !s.current);
+
+  return (
+    <div className="glass rounded-3xl p-6 border border-white/10">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h2 className="text-xl font-bold">{t('sessions.title', 'Active sessions')}</h2>
+          <p className="text-sm text-fg/70">{t('sessions.subtitle', 'Devices that are signed in to your account.')}</p>
+        </div>
+        {hasOthers && (
+          <button
+            type="button"
+            onClick={() => revokeOthers.mutate()}
+            disabled={revokeOthers.isPending}
+            className="px-4 py-2 rounded-xl bg-red-500/20 text-red-400 border border-red-500/30 hover:bg-red-500/30 transition-colors disabled:opacity-50"
+          >
+            {t('sessions.revokeOthers', 'Sign out all other devices')}
+          </button>
+        )}
+      </div>
+
+      {sessionsQuery.isPending && <p className="text-fg/70" role="status">{t('status.loading', 'Loading...')}</p>}
+      {sessionsQuery.isError && (
+        <p className="text-red-400">{t(`authErrors.${sessionsQuery.error.code}`, sessionsQuery.error.message)}</p>
+      )}
+
+      <ul className="space-y-3">
+        {sessions.map((session) => {
+          const { browser, os, mobile } = describeDevice(session.userAgent);
+          const Icon = mobile ? Smartphone : Monitor;
+          const device =
+            browser && os
+              ? t('sessions.device', '{{browser}} on {{os}}', { browser, os })
+              : browser || os || t('sessions.unknownDevice', 'Unknown device');
+
+          return (
+            <li key={session.id} className="flex items-center gap-4 p-4 rounded-2xl bg-white/5 border border-white/10">
+              <Icon className="w-6 h-6 text-indigo-400 shrink-0" aria-hidden />
+              <div className="flex-1 min-w-0">
+                <div className="font-semibold flex flex-wrap items-center gap-2">
+                  {device}
+                  {session.current && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-green-500/20 text-green-400">
+                      {t('sessions.thisDevice', 'This device')}
+                    </span>
+                  )}
+                  {!session.remember && (
+                    <span className="text-xs px-2 py-0.5 rounded-full bg-white/10 text-fg/70">
+                      {t('sessions.notRemembered', 'Until the browser closes')}
+                    </span>
+                  )}
+                </div>
+                <div className="text-sm text-fg/60">
+                  {t('sessions.lastActive', 'Last active {{date}}', { date: dateFmt.format(new Date(session.lastUsedAt)) })}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  type="button"
+                  onClick={() => revokeOne.mutate(session.id)}
+                  disabled={revokeOne.isPending && revokeOne.variables === session.id}
+                  className="flex items-center gap-1 px-3 py-1.5 rounded-xl text-sm text-red-400 hover:bg-red-500/20 transition-colors disabled:opacity-50"
+                >
+                  <LogOut className="w-4 h-4" aria-hidden />
+                  {t('sessions.revoke', 'Sign out')}
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { Mail, KeyRound, ArrowRight, ArrowLeft } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { authService } from '../../Services/authService';
+
+/**
+ * ForgotPassword component (Formik + Yup) + i18n
+ * - Asks for the account email and requests a reset link from the API.
+ * - Always shows the same confirmation, whether or not the email has an account.
+ */
+export default function ForgotPassword({ onBack }) {
+  const { t } = useTranslation();
+  const [sentTo, setSentTo] = useState(null);
+
+  const validationSchema = useMemo(() => {
+    return Yup.object().shape({
+      email: Yup.string()
+        .trim()
+        .email(t('login.errors.emailValid', 'Please enter a valid email'))
+        .required(t('login.errors.emailRequired', 'Email is required')),
+    });
+  }, [t]);
+
+  const handleSubmit = async (values, { setSubmitting, setStatus }) => {
+    setStatus(null);
+    try {
+      const email = values.email.trim();
+      await authService.requestPasswordReset(email);
+      setSentTo(email);
+    } catch (err) {
+      setStatus({ error: t(`authErrors.${err.code}`, err.message) });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, x: 20 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: -20 }}
+      className="w-full max-w-md mx-auto"
+    >
+      <div className="glass rounded-3xl p-8 border border-white/20">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <motion.div
+            initial={{ scale: 0 }}
+            animate={{ scale: 1 }}
+            transition={{ delay: 0.2, type: 'spring', stiffness: 200 }}
+            className="w-16 h-16 bg-gradient-to-br from-amber-500 to-orange-600 rounded-2xl mx-auto mb-4 flex items-center justify-center"
+          >
+            <KeyRound className="w-8 h-8 text-white" />
+          </motion.div>
+
+          <h2 className="text-2xl font-bold text-gradient mb-2">
+            {t('forgot.title', 'Forgot your password?')}
+          </h2>
+          <p className="text-fg/70">
+            {t('forgot.subtitle', "Enter your email and we'll send you a link to reset it.")}
+          </p>
+        </div>
+
+        {sentTo ? (
+          <div className="space-y-6" role="status">
+            <div className="p-3 bg-green-500/10 border border-green-500/20 rounded-xl text-green-400 text-sm">
+              {t('forgot.sent', 'If an account exists for {{email}}, a reset link is on its way. The link expires in 30 minutes.', { email: sentTo })}
+            </div>
+            <button
+              type="button"
+              onClick={() => setSentTo(null)}
+              className="text-sm text-indigo-400 hover:text-indigo-300 transition-colors"
+            >
+              {t('forgot.resend', "Didn't get it? Send another link")}
+            </button>
+          </div>
+        ) : (
+          <Formik initialValues={{ email: '' }} validationSchema={validationSchema} onSubmit={handleSubmit}>
+            {({ isSubmitting, status }) => (
+              <Form className="space-y-6" noValidate>
+                {status?.error && (
+                  <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm">
+                    {status.error}
+                  </motion.div>
+                )}
+
+                {/* Email Field */}
+                <div>
+                  <label htmlFor="forgot-email" className="block text-sm font-medium text-fg mb-2">
+                    {t('login.fields.email', 'Email Address')}
+                  </label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-fg/50" />
+                    <Field
+                      id="forgot-email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      placeholder={t('login.placeholders.email', 'Enter your email')}
+                      className={`w-full pl-10 pr-4 py-3 bg-white/10 border rounded-xl focus:outline-none focus:ring-2 transition-all duration-200`}
+                    />
+                  </div>
+                  <ErrorMessage name="email" component="p" className="mt-1 text-sm text-red-400" />
+                </div>
+
+                {/* Submit */}
+                <motion.button
+                  type="submit"
+                  disabled={isSubmitting}
+                  whileHover={{ scale: 1.02 }}
+                  whileTap={{ scale: 0.98 }}
+                  className="w-full bg-gradient-to-r cursor-pointer from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                      {t('forgot.sending', 'Sending link...')}
+                    </>
+                  ) : (
+                    <>
+                      {t('forgot.submit', 'Send reset link')}
+                      <ArrowRight className="w-4 h-4" />
+                    </>
+                  )}
+                </motion.button>
+              </Form>
+            )}
+          </Formik>
+        )}
+
+        {/* Back to login */}
+        <div className="mt-6 text-center">
+          <button
+            type="button"
+            onClick={onBack}
+            className="inline-flex items-center gap-2 text-indigo-400 cursor-pointer hover:text-indigo-300 font-semibold transition-colors"
+          >
+            <ArrowLeft className="w-4 h-4" />
+            {t('forgot.backToLogin', 'Back to sign in')}
+          </button>
+        </div>
+      </div>
+    </motion.div>
+  );
+}
@@ -0,0 +1,79 @@
+import { useEffect } from 'react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../Context/useAuth';
+import { authService } from '../../Services/authService';
+
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000; // sign out after 30 minutes without activity
+const WARNING_MS = 60 * 1000; // warn one minute before
+const CHECK_EVERY_MS = 5 * 1000;
+const WARNING_TOAST_ID = 'idle-warning';
+const ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'scroll', 'touchstart'];
+
+/**
+ * IdleTimeout
+ * - Signs out sessions without "remember me" after IDLE_TIMEOUT_MS of no
+ *   activity in this tab, with a warning toast a minute before.
+ * - Any activity (or "Stay signed in" on the toast) resets the timer.
+ * - Renders nothing; mounted once next to the router (App.jsx).
+ */
+export default function IdleTimeout() {
+  const { t } = useTranslation();
+  const { user, isAuthenticated, logout } = useAuth();
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!isAuthenticated || authService.isRememberedSession()) return undefined;
+
+    let lastActivity = Date.now();
+    let warned = false;
+
+    const resetTimer = () => {
+      lastActivity = Date.now();
+      if (warned) {
+        warned = false;
+        toast.dismiss(WARNING_TOAST_ID);
+      }
+    };
+
+    const check = () => {
+      const idleFor = Date.now() - lastActivity;
+      if (idleFor >= IDLE_TIMEOUT_MS) {
+        toast.dismiss(WARNING_TOAST_ID);
+        logout();
+        toast(t('idle.signedOut', 'You were signed out after 30 minutes of inactivity'));
+      } else if (!warned && idleFor >= IDLE_TIMEOUT_MS - WARNING_MS) {
+        warned = true;
+        toast(
+          (shown) => (
+            <span className="flex items-center gap-3">
+              {t('idle.warning', 'You will be signed out in a minute because you have been inactive.')}
+              <button
+                type="button"
+                onClick={() => {
+                  resetTimer();
+                  toast.dismiss(shown.id);
+                }}
+                className="px-3 py-1 rounded-lg bg-indigo-500 text-white text-sm font-semibold whitespace-nowrap"
+              >
+                {t('idle.stay', 'Stay signed in')}
+              </button>
+            </span>
+          ),
+          { id: WARNING_TOAST_ID, duration: WARNING_MS }
+        );
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((name) => window.addEventListener(name, resetTimer, { passive: true }));
+    const timer = setInterval(check, CHECK_EVERY_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach((name) => window.removeEventListener(name, resetTimer));
+      clearInterval(timer);
+      toast.dismiss(WARNING_TOAST_ID);
+    };
+  }, [isAuthenticated, userId, logout, t]);
+
+  return null;
+}
@@ -4,14 +4,17 @@ import { Eye, EyeOff, Mail, Lock, User, ArrowRight } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
+import { useAuth } from '../../Context/useAuth';
+import { OAUTH_PROVIDERS, hasOAuthProviders } from '../../Services/oauth';
 
 /**
  * Login component (Formik + Yup) + i18n
  * - جاهز للترجمة عبر t(...)
  * - يحافظ على واجهة المستخدم والحركات الأصلية
  */
-export default function Login({ onToggleMode, onLogin }) {
+export default function Login({ onToggleMode, onLogin, onForgotPassword, onProviderSignIn }) {
   const { t } = useTranslation();
+  const { login } = useAuth();
   const [showPassword, setShowPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
@@ -34,30 +37,24 @@ export default function Login({ onToggleMode, onLogin }) {
     remember: false,
   };
 
-  const handleSubmit = async (values, { setSubmitting, setStatus }) => {
+  const handleSubmit = async (values, { setSubmitting, setStatus, setFieldError }) => {
     setSubmitting(true);
     setIsLoading(true);
     setStatus(null);
 
     try {
-      // simulate API call
-      await new Promise((r) => setTimeout(r, 1200));
-
-      // mock user returned from API
-      const user = {
-        id: Date.now(),
-        name: 'Mostafa Mohamed',
-        email: values.email,
-        avatar:
-          'https://images.unsplash.com/photo-1545996124-1b0a0b6f1b8f?auto=format&fit=crop&w=600&q=80',
-      };
+      const user = await login({ email: values.email.trim(), password: values.password, remember: values.remember });
+
+      setStatus({ success: t('login.success', 'Signed in successfully') });
 
       // success callback
       onLogin(user);
-
-      setStatus({ success: t('login.success', 'Signed in successfully') });
     } catch (err) {
-      setStatus({ error: t('login.failed', 'Login failed. Please try again.') });
+      // field-level errors from the API go under the matching input
+      const message = t(`authErrors.${err.code}`, err.message);
+      if (err.code === 'EMAIL_NOT_FOUND') setFieldError('email', message);
+      else if (err.code === 'WRONG_PASSWORD' || err.code === 'NO_PASSWORD') setFieldError('password', message);
+      else setStatus({ error: err.code === 'NETWORK_ERROR' ? message : t('login.failed', 'Login failed. Please try again.') });
     } finally {
       setSubmitting(false);
       setIsLoading(false);
@@ -164,6 +161,7 @@ export default function Login({ onToggleMode, onLogin }) {
 
                 <button
                   type="button"
+                  onClick={onForgotPassword}
                   className="text-sm text-indigo-400 hover:text-indigo-300 transition-colors"
                 >
                   {t('login.forgot', 'Forgot password?')}
@@ -191,30 +189,38 @@ export default function Login({ onToggleMode, onLogin }) {
                 )}
               </motion.button>
 
-              {/* Divider */}
-              <div className="my-6 flex items-center">
-                <div className="flex-1 border-t border-white/20" />
-                <span className="px-4 text-sm text-fg/50">{t('login.or', 'or')}</span>
-                <div className="flex-1 border-t border-white/20" />
-              </div>
-
-              {/* Social */}
-              <div className="space-y-3">
-                <button type="button" className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
-                  <svg className="w-5 h-5" viewBox="0 0 24 24" aria-hidden>
-                    <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-                    <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-                  </svg>
-                  {t('login.continueWithGoogle', 'Continue with Google')}
-                </button>
-
-                <button type="button" className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
-                  <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden>
-                    <path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/>
-                  </svg>
-                  {t('login.continueWithFacebook', 'Continue with Facebook')}
-                </button>
-              </div>
+              {hasOAuthProviders && (
+                <>
+                  {/* Divider */}
+                  <div className="my-6 flex items-center">
+                    <div className="flex-1 border-t border-white/20" />
+                    <span className="px-4 text-sm text-fg/50">{t('login.or', 'or')}</span>
+                    <div className="flex-1 border-t border-white/20" />
+                  </div>
+
+                  {/* Social */}
+                  <div className="space-y-3">
+                    {OAUTH_PROVIDERS.google && (
+                      <button type="button" onClick={() => onProviderSignIn?.('google', values.remember)} className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
+                        <svg className="w-5 h-5" viewBox="0 0 24 24" aria-hidden>
+                          <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
+                          <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
+                        </svg>
+                        {t('login.continueWithGoogle', 'Continue with Google')}
+                      </button>
+                    )}
+
+                    {OAUTH_PROVIDERS.facebook && (
+                      <button type="button" onClick={() => onProviderSignIn?.('facebook', values.remember)} className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
+                        <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden>
+                          <path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/>
+                        </svg>
+                        {t('login.continueWithFacebook', 'Continue with Facebook')}
+                      </button>
+                    )}
+                  </div>
+                </>
+              )}
 
               {/* Toggle Mode */}
               <div className="mt-6 text-center">
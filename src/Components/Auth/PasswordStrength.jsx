@@ -0,0 +1,36 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { getPasswordStrengthColor, passwordStrength } from './passwordRules';
+
+/**
+ * PasswordStrength: 5-segment meter + label under a password input.
+ * Renders nothing while the password is empty.
+ */
+export default function PasswordStrength({ password }) {
+  const { t } = useTranslation();
+  if (!password) return null;
+
+  const strength = passwordStrength(password);
+
+  return (
+    <div className="mt-2">
+      <div className="flex gap-1">
+        {[1, 2, 3, 4, 5].map((level) => (
+          <div
+            key={level}
+            className={`h-1 flex-1 rounded-full transition-all duration-300 ${
+              level <= strength ? getPasswordStrengthColor(strength) : 'bg-white/20'
+            }`}
+            aria-hidden
+          />
+        ))}
+      </div>
+      <p className="text-xs text-fg/60 mt-1">
+        {strength <= 2 && t('register.strength.weak', 'Weak password')}
+        {strength === 3 && t('register.strength.fair', 'Fair password')}
+        {strength === 4 && t('register.strength.good', 'Good password')}
+        {strength === 5 && t('register.strength.strong', 'Strong password')}
+      </p>
+    </div>
+  );
+}
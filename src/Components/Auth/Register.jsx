@@ -4,38 +4,25 @@ import { Eye, EyeOff, Mail, Lock, User, ArrowRight, Check } from 'lucide-react';
 import { useTranslation } from 'react-i18next';
 import { Formik, Form, Field, ErrorMessage } from 'formik';
 import * as Yup from 'yup';
+import { useAuth } from '../../Context/useAuth';
+import { OAUTH_PROVIDERS, hasOAuthProviders } from '../../Services/oauth';
+import { confirmPasswordSchema, passwordSchema } from './passwordRules';
+import PasswordStrength from './PasswordStrength';
 
 /**
  * Register component (Formik + Yup) + i18n
  * - يحافظ على التصميم الأصلي والـ animations
  * - جميع النصوص ورسائل الخطأ تستخدم t(...) للترجمة
  */
-export default function Register({ onToggleMode, onRegister }) {
-  const { t } = useTranslation();
+export default function Register({ onToggleMode, onRegister, onProviderSignIn }) {
+  const { t, i18n } = useTranslation();
+  const { register } = useAuth();
 
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
-  // password strength logic (same as قبل)
-  const passwordStrength = (password) => {
-    let strength = 0;
-    if (password.length >= 8) strength++;
-    if (/[a-z]/.test(password)) strength++;
-    if (/[A-Z]/.test(password)) strength++;
-    if (/\d/.test(password)) strength++;
-    if (/[^A-Za-z0-9]/.test(password)) strength++;
-    return strength;
-  };
-
-  const getPasswordStrengthColor = (strength) => {
-    if (strength <= 2) return 'bg-red-500';
-    if (strength <= 3) return 'bg-yellow-500';
-    if (strength <= 4) return 'bg-blue-500';
-    return 'bg-green-500';
-  };
-
-  // Build validation schema using translated messages
+  // Build validation schema using translated messages (password rules shared with reset-password)
   const validationSchema = useMemo(() => {
     return Yup.object().shape({
       name: Yup.string()
@@ -46,15 +33,8 @@ export default function Register({ onToggleMode, onRegister }) {
         .trim()
         .email(t('register.errors.emailValid', 'Please enter a valid email'))
         .required(t('register.errors.emailRequired', 'Email is required')),
-      password: Yup.string()
-        .required(t('register.errors.passwordRequired', 'Password is required'))
-        .min(8, t('register.errors.passwordMin', 'Password must be at least 8 characters'))
-        .matches(/(?=.*[a-z])/, t('register.errors.passwordLower', 'Password must contain a lowercase letter'))
-        .matches(/(?=.*[A-Z])/, t('register.errors.passwordUpper', 'Password must contain an uppercase letter'))
-        .matches(/(?=.*\d)/, t('register.errors.passwordNumber', 'Password must contain a number')),
-      confirmPassword: Yup.string()
-        .required(t('register.errors.confirmRequired', 'Please confirm your password'))
-        .oneOf([Yup.ref('password')], t('register.errors.passwordMatch', 'Passwords do not match')),
+      password: passwordSchema(t),
+      confirmPassword: confirmPasswordSchema(t),
       agreedToTerms: Yup.boolean()
         .oneOf([true], t('register.errors.terms', 'You must agree to the terms and conditions')),
     });
@@ -68,30 +48,31 @@ export default function Register({ onToggleMode, onRegister }) {
     agreedToTerms: false,
   };
 
-  const handleSubmit = async (values, { setSubmitting, setStatus }) => {
+  const handleSubmit = async (values, { setSubmitting, setStatus, setFieldError }) => {
     setSubmitting(true);
     setIsLoading(true);
     setStatus(null);
 
     try {
-      // simulate API call
-      await new Promise((r) => setTimeout(r, 1200));
-
-      const user = {
-        id: Date.now(),
-        name: values.name,
-        email: values.email,
-        avatar: `https://images.unsplash.com/photo-${Math.floor(Math.random() * 1000)}?auto=format&fit=crop&w=600&q=80`,
-      };
-
-      // success callback
-      onRegister(user);
+      const user = await register({
+        name: values.name.trim(),
+        email: values.email.trim(),
+        password: values.password,
+        locale: i18n.language,
+      });
 
       // optional success message via status
       setStatus({ success: t('register.success', 'Account created successfully') });
 
+      // success callback
+      onRegister(user);
     } catch (err) {
-      setStatus({ error: t('register.failed', 'Registration failed. Please try again.') });
+      // field-level errors from the API go under the matching input
+      const message = t(`authErrors.${err.code}`, err.message);
+      if (err.code === 'EMAIL_TAKEN' || err.code === 'INVALID_EMAIL') setFieldError('email', message);
+      else if (err.code === 'WEAK_PASSWORD') setFieldError('password', message);
+      else if (err.code === 'INVALID_NAME') setFieldError('name', message);
+      else setStatus({ error: err.code === 'NETWORK_ERROR' ? message : t('register.failed', 'Registration failed. Please try again.') });
     } finally {
       setSubmitting(false);
       setIsLoading(false);
@@ -122,7 +103,6 @@ export default function Register({ onToggleMode, onRegister }) {
 
         <Formik initialValues={initialValues} validationSchema={validationSchema} onSubmit={handleSubmit}>
           {({ values, isSubmitting, setFieldValue, status }) => {
-            const strength = passwordStrength(values.password);
             return (
               <Form className="space-y-6" noValidate>
                 {/* status messages */}
@@ -198,27 +178,7 @@ export default function Register({ onToggleMode, onRegister }) {
                   </div>
 
                   {/* Password Strength */}
-                  {values.password && (
-                    <div className="mt-2">
-                      <div className="flex gap-1">
-                        {[1, 2, 3, 4, 5].map((level) => (
-                          <div
-                            key={level}
-                            className={`h-1 flex-1 rounded-full transition-all duration-300 ${
-                              level <= strength ? getPasswordStrengthColor(strength) : 'bg-white/20'
-                            }`}
-                            aria-hidden
-                          />
-                        ))}
-                      </div>
-                      <p className="text-xs text-fg/60 mt-1">
-                        {strength <= 2 && t('register.strength.weak', 'Weak password')}
-                        {strength === 3 && t('register.strength.fair', 'Fair password')}
-                        {strength === 4 && t('register.strength.good', 'Good password')}
-                        {strength === 5 && t('register.strength.strong', 'Strong password')}
-                      </p>
-                    </div>
-                  )}
+                  <PasswordStrength password={values.password} />
 
                   <ErrorMessage name="password" component="p" className="mt-1 text-sm text-red-400" />
                 </div>
@@ -293,31 +253,39 @@ export default function Register({ onToggleMode, onRegister }) {
                   )}
                 </motion.button>
 
-                {/* Divider */}
-                <div className="my-6 flex items-center">
-                  <div className="flex-1 border-t border-white/20" />
-                  <span className="px-4 text-sm text-fg/50">{t('register.or', 'or')}</span>
-                  <div className="flex-1 border-t border-white/20" />
-                </div>
+                {hasOAuthProviders && (
+                  <>
+                    {/* Divider */}
+                    <div className="my-6 flex items-center">
+                      <div className="flex-1 border-t border-white/20" />
+                      <span className="px-4 text-sm text-fg/50">{t('register.or', 'or')}</span>
+                      <div className="flex-1 border-t border-white/20" />
+                    </div>
 
-                {/* Social Buttons */}
-                <div className="space-y-3">
-                  <button type="button" className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
-                    {/* Google SVG kept simple */}
-                    <svg className="w-5 h-5" viewBox="0 0 24 24" aria-hidden>
-                      <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
-                      <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-                    </svg>
-                    {t('register.continueWithGoogle', 'Continue with Google')}
-                  </button>
+                    {/* Social Buttons */}
+                    <div className="space-y-3">
+                      {OAUTH_PROVIDERS.google && (
+                        <button type="button" onClick={() => onProviderSignIn?.('google', true)} className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
+                          {/* Google SVG kept simple */}
+                          <svg className="w-5 h-5" viewBox="0 0 24 24" aria-hidden>
+                            <path fill="currentColor" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92c-.26 1.37-1.04 2.53-2.21 3.31v2.77h3.57c2.08-1.92 3.28-4.74 3.28-8.09z"/>
+                            <path fill="currentColor" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
+                          </svg>
+                          {t('register.continueWithGoogle', 'Continue with Google')}
+                        </button>
+                      )}
 
-                  <button type="button" className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
-                    <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden>
-                      <path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/>
-                    </svg>
-                    {t('register.continueWithFacebook', 'Continue with Facebook')}
-                  </button>
-                </div>
+                      {OAUTH_PROVIDERS.facebook && (
+                        <button type="button" onClick={() => onProviderSignIn?.('facebook', true)} className="w-full flex items-center justify-center gap-3 py-3 px-6 bg-white/10 border border-white/20 rounded-xl hover:bg-white/20 transition-all duration-200">
+                          <svg className="w-5 h-5" fill="currentColor" viewBox="0 0 24 24" aria-hidden>
+                            <path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/>
+                          </svg>
+                          {t('register.continueWithFacebook', 'Continue with Facebook')}
+                        </button>
+                      )}
+                    </div>
+                  </>
+                )}
 
                 {/* Toggle Mode */}
                 <div className="mt-6 text-center">
@@ -0,0 +1,29 @@
+// RequireAuth.jsx
+// Layout routes that guard their children.
+// - The route loaders (guards.js) do the first check before rendering.
+// - These components re-check on every render, so signing out (or a session
+//   expiring) while on a protected page still sends the user to /auth.
+
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../../Context/useAuth";
+import NotFound from "../../Pages/NotFound/NotFound";
+import { hasRole, loginPath } from "./guards";
+
+export function RequireAuth({ children }) {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) return <Navigate to={loginPath(location)} replace />;
+  return children ?? <Outlet />;
+}
+
+export function RequireRole({ roles, children }) {
+  const { user } = useAuth();
+
+  return (
+    <RequireAuth>
+      {hasRole(user, roles) ? children ?? <Outlet /> : <NotFound variant="forbidden" />}
+    </RequireAuth>
+  );
+}
@@ -0,0 +1,16 @@
+// RouteError.jsx
+// errorElement for guarded route trees: 403 from requireRoleLoader shows the
+// "forbidden" page, 404 the regular not-found page; anything else is rethrown
+// to the next error boundary.
+
+import React from "react";
+import { isRouteErrorResponse, useRouteError } from "react-router-dom";
+import NotFound from "../../Pages/NotFound/NotFound";
+
+export default function RouteError() {
+  const error = useRouteError();
+
+  if (isRouteErrorResponse(error) && error.status === 403) return <NotFound variant="forbidden" />;
+  if (isRouteErrorResponse(error) && error.status === 404) return <NotFound />;
+  throw error;
+}
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { MailWarning } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../Context/useAuth';
+
+/**
+ * VerifyEmailBanner
+ * - Shown only to signed-in users whose email isn't verified yet.
+ * - "Resend" asks the API for a fresh link (server enforces a 1-minute cooldown).
+ * - variant: "bar" (thin strip under the Navbar) | "card" (Dashboard)
+ */
+export default function VerifyEmailBanner({ variant = 'bar' }) {
+  const { t } = useTranslation();
+  const { user, needsVerification, resendVerification } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!needsVerification) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      await resendVerification();
+      toast.success(t('verify.resent', 'Verification email sent to {{email}}', { email: user.email }));
+    } catch (err) {
+      toast.error(t(`authErrors.${err.code}`, err.message));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const wrapper =
+    variant === 'card'
+      ? 'glass rounded-3xl p-5 border border-amber-500/30 bg-amber-500/10 flex flex-col sm:flex-row sm:items-center gap-3'
+      : 'bg-amber-500/15 border-t border-amber-500/30 px-4 py-2 flex flex-wrap items-center justify-center gap-2 text-sm';
+
+  return (
+    <div className={wrapper} role="status">
+      <div className="flex items-center gap-2 flex-1 min-w-0">
+        <MailWarning className="w-5 h-5 text-amber-500 shrink-0" aria-hidden />
+        <span>
+          {t('verify.banner', 'Please verify {{email}} — purchases unlock once your email is confirmed.', { email: user.email })}
+        </span>
+      </div>
+      <button
+        type="button"
+        onClick={handleResend}
+        disabled={sending}
+        className="px-3 py-1.5 rounded-xl bg-amber-500 text-white font-semibold hover:bg-amber-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {sending ? t('verify.sending', 'Sending...') : t('verify.resend', 'Resend verification email')}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+// guards.js
+// Route loaders for protected route trees (used with RequireAuth / RequireRole).
+// - Loaders run before the route renders, so protected pages never flash for
+//   anonymous visitors.
+// - Anonymous visitors are redirected to /auth?next=<where they were going>.
+// - Signed-in users without the right role get a 403 route error.
+
+import { data, redirect } from "react-router-dom";
+import { store } from "../../Store";
+import { authService } from "../../Services/authService";
+
+/** Roles known to the app (users[].role) */
+export const ROLES = { student: "student", instructor: "instructor", admin: "admin" };
+
+// Signed-in user from the store, or null if there is no usable session
+export const getSessionUser = () => {
+  const { user, status } = store.getState().auth;
+  return status === "authenticated" && user && authService.hasSession() ? user : null;
+};
+
+// "/auth?next=/dashboard%3Ftab%3Dorders"
+export const loginPath = (location) => {
+  const next = `${location.pathname}${location.search || ""}`;
+  return `/auth?next=${encodeURIComponent(next)}`;
+};
+
+// Only allow same-app paths as redirect targets ("/x", not "//evil.com" or "https://...")
+export const safeNext = (next, fallback = "/dashboard") =>
+  typeof next === "string" && next.startsWith("/") && !next.startsWith("//") ? next : fallback;
+
+export const hasRole = (user, roles) => Boolean(user) && roles.includes(user.role);
+
+/**
+ * Loader for routes that need any signed-in user.
+ * @returns {import("react-router-dom").LoaderFunction}
+ */
+export const requireAuthLoader = ({ request }) => {
+  const user = getSessionUser();
+  if (!user) throw redirect(loginPath(new URL(request.url)));
+  return { user };
+};
+
+/**
+ * Loader factory for routes limited to some roles (admins are not implied —
+ * list them explicitly, e.g. ["instructor", "admin"]).
+ * @param {string[]} roles
+ * @returns {import("react-router-dom").LoaderFunction}
+ */
+export const requireRoleLoader = (roles) => (args) => {
+  const { user } = requireAuthLoader(args);
+  if (!hasRole(user, roles)) throw data("Forbidden", { status: 403 });
+  return { user };
+};
@@ -0,0 +1,38 @@
+// passwordRules.js
+// Password rules shared by Register and the reset-password form.
+// Keep in sync with server/passwords.js (the API enforces the same rules).
+
+import * as Yup from 'yup';
+
+// 0–5: length ≥ 8, lowercase, uppercase, digit, symbol
+export const passwordStrength = (password = '') => {
+  let strength = 0;
+  if (password.length >= 8) strength++;
+  if (/[a-z]/.test(password)) strength++;
+  if (/[A-Z]/.test(password)) strength++;
+  if (/\d/.test(password)) strength++;
+  if (/[^A-Za-z0-9]/.test(password)) strength++;
+  return strength;
+};
+
+export const getPasswordStrengthColor = (strength) => {
+  if (strength <= 2) return 'bg-red-500';
+  if (strength <= 3) return 'bg-yellow-500';
+  if (strength <= 4) return 'bg-blue-500';
+  return 'bg-green-500';
+};
+
+// Yup schema for a new password (translated messages)
+export const passwordSchema = (t) =>
+  Yup.string()
+    .required(t('register.errors.passwordRequired', 'Password is required'))
+    .min(8, t('register.errors.passwordMin', 'Password must be at least 8 characters'))
+    .matches(/(?=.*[a-z])/, t('register.errors.passwordLower', 'Password must contain a lowercase letter'))
+    .matches(/(?=.*[A-Z])/, t('register.errors.passwordUpper', 'Password must contain an uppercase letter'))
+    .matches(/(?=.*\d)/, t('register.errors.passwordNumber', 'Password must contain a number'));
+
+// Yup schema for the "confirm password" field next to `field`
+export const confirmPasswordSchema = (t, field = 'password') =>
+  Yup.string()
+    .required(t('register.errors.confirmRequired', 'Please confirm your password'))
+    .oneOf([Yup.ref(field)], t('register.errors.passwordMatch', 'Passwords do not match'));
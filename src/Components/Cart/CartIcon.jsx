@@ -2,14 +2,18 @@
 // Small cart button that toggles a dropdown panel.
 // - Uses useCart() from Cart context (defensive checks).
 // - Framer Motion + AnimatePresence for smooth enter/exit animations.
-// - Quantity controls, remove, and checkout link.
+// - Each line shows who it's for (CartLineInfo: you, a gift, team seats) and its price;
+//   seats are changed on the cart page. Remove and checkout link.
 // - Minor accessibility and UX improvements (aria attributes, backdrop click).
 
 import  { useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { ShoppingCart, X, Trash2, Plus, Minus } from 'lucide-react';
+import { ShoppingCart, X, Trash2 } from 'lucide-react';
 import { useCart } from '../../Context/CartContext';
 import { Link } from 'react-router-dom';
+import { useAuth } from '../../Context/useAuth';
+import { useCurrency } from '../../Context/useCurrency';
+import CartLineInfo from './CartLineInfo';
 
 export default function CartIcon() {
   // Read cart API from context. The hooks throw if provider is missing,
@@ -18,22 +22,15 @@ export default function CartIcon() {
   const {
     items = [],
     removeFromCart = () => {},
-    updateQuantity = () => {},
     getTotalPrice = () => 0,
     getTotalItems = () => 0,
   } = cart;
 
   const [isOpen, setIsOpen] = useState(false);
 
-  // handle increment / decrement quantity
-  const handleQuantityChange = (courseId, newQuantity) => {
-    // If new quantity is less than 1 -> remove the item, otherwise update.
-    if (newQuantity < 1) {
-      removeFromCart(courseId);
-    } else {
-      updateQuantity(courseId, newQuantity);
-    }
-  };
+  // purchases are blocked until the account email is verified
+  const { needsVerification } = useAuth();
+  const { unitPriceOf, formatPrice } = useCurrency();
 
   return (
     <div className="relative">
@@ -108,7 +105,7 @@ export default function CartIcon() {
                 ) : (
                   items.map((item) => (
                     <motion.div
-                      key={item.id}
+                      key={item.lineId}
                       initial={{ opacity: 0, x: -12 }}
                       animate={{ opacity: 1, x: 0 }}
                       exit={{ opacity: 0, x: 12 }}
@@ -123,35 +120,16 @@ export default function CartIcon() {
 
                       <div className="flex-1 min-w-0">
                         <h4 className="font-semibold text-sm truncate">{item.title}</h4>
-                        <p className="text-xs text-fg/60">${Number(item.price).toFixed(2)}</p>
+                        <CartLineInfo item={item} />
                       </div>
 
-                      {/* Quantity controls */}
-                      <div className="flex items-center gap-1">
-                        <button
-                          onClick={() => handleQuantityChange(item.id, (Number(item.quantity) || 0) - 1)}
-                          className="w-6 h-6 bg-white/10 rounded flex items-center justify-center hover:bg-white/20 transition-colors"
-                          aria-label={`Decrease quantity of ${item.title}`}
-                        >
-                          <Minus className="w-3 h-3" />
-                        </button>
-
-                        <span className="w-8 text-center text-sm font-medium" aria-live="polite">
-                          {item.quantity}
-                        </span>
-
-                        <button
-                          onClick={() => handleQuantityChange(item.id, (Number(item.quantity) || 0) + 1)}
-                          className="w-6 h-6 bg-white/10 rounded flex items-center justify-center hover:bg-white/20 transition-colors"
-                          aria-label={`Increase quantity of ${item.title}`}
-                        >
-                          <Plus className="w-3 h-3" />
-                        </button>
-                      </div>
+                      <span className="text-sm font-semibold shrink-0">
+                        {formatPrice(unitPriceOf(item) * item.quantity)}
+                      </span>
 
                       {/* Remove */}
                       <button
-                        onClick={() => removeFromCart(item.id)}
+                        onClick={() => removeFromCart(item.lineId)}
                         className="p-1 text-red-400 hover:bg-red-500/20 rounded transition-colors"
                         aria-label={`Remove ${item.title}`}
                         title="Remove"
@@ -168,17 +146,31 @@ export default function CartIcon() {
                 <div className="mt-4 pt-4 border-t border-white/10">
                   <div className="flex items-center justify-between mb-3">
                     <span className="font-semibold">Total:</span>
-                    <span className="text-xl font-bold text-gradient">${getTotalPrice().toFixed(2)}</span>
+                    <span className="text-xl font-bold text-gradient">{formatPrice(getTotalPrice())}</span>
                   </div>
 
-                  <Link
-                    to="/checkout"
-                    onClick={() => setIsOpen(false)}
-                    className="w-full bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-4 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 flex items-center justify-center gap-2"
-                  >
-                    <ShoppingCart className="w-4 h-4" />
-                    Checkout
-                  </Link>
+                  {needsVerification ? (
+                    <>
+                      <button
+                        type="button"
+                        disabled
+                        className="w-full bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-4 rounded-xl font-semibold opacity-50 cursor-not-allowed flex items-center justify-center gap-2"
+                      >
+                        <ShoppingCart className="w-4 h-4" />
+                        Checkout
+                      </button>
+                      <p className="mt-2 text-xs text-amber-500">Verify your email to purchase.</p>
+                    </>
+                  ) : (
+                    <Link
+                      to="/checkout"
+                      onClick={() => setIsOpen(false)}
+                      className="w-full bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-4 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 flex items-center justify-center gap-2"
+                    >
+                      <ShoppingCart className="w-4 h-4" />
+                      Checkout
+                    </Link>
+                  )}
                 </div>
               )}
             </motion.div>
@@ -0,0 +1,64 @@
+import React from 'react';
+import { Gift, User, Users } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { nextSeatTier, seatTier } from '../../../Data/cartLines';
+
+const percent = (fraction) => Math.round(fraction * 100);
+
+/**
+ * CartLineInfo
+ * - Who a cart line is for: "For you", "Gift for <email>" or the team's seats with
+ *   their volume discount (and how many more seats reach the next one).
+ * - item: cart line (Store/cartSlice) or order line; className: extra classes;
+ *   showNextTier: false for lines already bought (orders)
+ */
+export default function CartLineInfo({ item, className = '', showNextTier = true }) {
+  const { t } = useTranslation();
+  const type = item.type || 'self';
+
+  if (type === 'gift') {
+    return (
+      <p className={`flex items-center gap-1 text-xs text-fg/60 ${className}`} title={item.gift?.message || undefined}>
+        <Gift className="w-3 h-3 shrink-0" aria-hidden />
+        <span className="truncate">
+          {t('cart.lines.gift', 'Gift for {{email}}', { email: item.gift?.email })}
+        </span>
+      </p>
+    );
+  }
+
+  if (type === 'team') {
+    const seats = Number(item.quantity) || 0;
+    const tier = seatTier(seats);
+    const next = nextSeatTier(seats);
+    return (
+      <div className={`text-xs text-fg/60 ${className}`}>
+        <p className="flex items-center gap-1">
+          <Users className="w-3 h-3 shrink-0" aria-hidden />
+          {t('cart.lines.team', 'Team seats: {{count}}', { count: seats })}
+          {tier && (
+            <span className="text-green-500">
+              {' · '}
+              {t('cart.lines.seatDiscount', '{{percent}}% volume discount', { percent: percent(tier.discount) })}
+            </span>
+          )}
+        </p>
+        {showNextTier && next && (
+          <p>
+            {t('cart.lines.nextTier', 'Add {{count}} more seats to save {{percent}}%', {
+              count: next.minSeats - seats,
+              percent: percent(next.discount),
+            })}
+          </p>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <p className={`flex items-center gap-1 text-xs text-fg/60 ${className}`}>
+      <User className="w-3 h-3 shrink-0" aria-hidden />
+      {t('cart.lines.self', 'For you')}
+    </p>
+  );
+}
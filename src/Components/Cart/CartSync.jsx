@@ -0,0 +1,160 @@
+import { useEffect, useRef } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../Context/useAuth';
+import { cartService } from '../../Services/cartService';
+import { PERSIST_KEY, PERSIST_VERSION } from '../../Store/persist';
+import {
+  cartReplaced,
+  cartReset,
+  cartSynced,
+  selectCartDirty,
+  selectCartOwnerId,
+  selectCartUpdatedAt,
+} from '../../Store/cartSlice';
+
+const SAVE_DELAY_MS = 800; // save once the cart has been still this long
+const RETRY_DELAY_MS = 5 * 1000; // wait before polling again after a failed poll
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// saved cart (cartService) → cartReplaced payload
+const fromSaved = (saved, ownerId) => ({
+  items: saved.items,
+  couponCodes: saved.couponCodes,
+  version: saved.version,
+  ownerId,
+});
+
+/**
+ * CartSync
+ * - Keeps the cart in step with the signed-in user's saved cart (server/cart.js):
+ *   - at sign-in the guest cart is merged into the account's (courses the user
+ *     already owns are dropped, with a toast);
+ *   - changes are saved a moment after the cart stops changing; when the cart was
+ *     saved elsewhere in between, the latest change (this one) wins;
+ *   - changes saved on other devices arrive through a long poll and replace the cart
+ *     unless it has unsaved changes.
+ * - Other tabs' changes arrive through the `storage` event (guest carts too); the tab
+ *   that made a change is the one that saves it.
+ * - Signing out leaves the saved cart on the API and starts an empty guest cart.
+ * - Renders nothing; mounted once next to the router (App.jsx).
+ */
+export default function CartSync() {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const store = useStore();
+  const { user } = useAuth();
+  const userId = user?.id ?? null;
+  const ownerId = useSelector(selectCartOwnerId);
+  const dirty = useSelector(selectCartDirty);
+  const updatedAt = useSelector(selectCartUpdatedAt);
+  const adopted = useRef(null); // updatedAt of a cart taken from another tab
+  const ready = Boolean(userId) && ownerId === userId; // the cart is the user's saved cart
+
+  // Sign-in / sign-out
+  useEffect(() => {
+    const { cart } = store.getState();
+    if (!userId) {
+      if (cart.ownerId) dispatch(cartReset());
+      return undefined;
+    }
+
+    let cancelled = false;
+    if (cart.ownerId === userId) {
+      // back on this device: pick up what was saved elsewhere
+      cartService
+        .get()
+        .then((saved) => {
+          const current = store.getState().cart;
+          if (cancelled || current.updatedAt !== current.syncedAt || saved.version === current.version) return;
+          dispatch(cartReplaced(fromSaved(saved, userId)));
+        })
+        .catch((err) => console.warn('Could not load the saved cart', err));
+    } else {
+      // a guest cart joins the account's; another account's cart left here does not
+      const guest = cart.ownerId ? { items: [], couponCodes: [] } : cart;
+      cartService
+        .merge({ items: guest.items, couponCodes: guest.couponCodes })
+        .then(({ cart: saved, dropped }) => {
+          if (cancelled) return;
+          dispatch(cartReplaced(fromSaved(saved, userId)));
+          if (dropped.length) {
+            toast(t('cart.sync.droppedOwned', { count: dropped.length }));
+          }
+        })
+        .catch((err) => console.warn('Could not merge the cart', err));
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, dispatch, store, t]);
+
+  // Save local changes
+  useEffect(() => {
+    if (!ready || !dirty || updatedAt === adopted.current) return undefined;
+
+    const timer = setTimeout(async () => {
+      const cart = store.getState().cart;
+      const toSave = { items: cart.items, couponCodes: cart.couponCodes };
+      try {
+        let result = await cartService.save({ ...toSave, baseVersion: cart.version ?? 0 });
+        if (result.conflict) result = await cartService.save({ ...toSave, baseVersion: result.cart.version });
+        if (result.conflict || store.getState().cart.ownerId !== userId) return;
+        dispatch(cartSynced({ version: result.cart.version, syncedAt: cart.updatedAt }));
+      } catch (err) {
+        console.warn('Could not save the cart', err);
+      }
+    }, SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [ready, dirty, updatedAt, userId, dispatch, store]);
+
+  // Changes saved on other devices
+  useEffect(() => {
+    if (!ready) return undefined;
+
+    const controller = new AbortController();
+    (async () => {
+      let after = store.getState().cart.version ?? 0;
+      while (!controller.signal.aborted) {
+        try {
+          const saved = await cartService.waitForChange(after, { signal: controller.signal });
+          if (!saved) continue;
+          after = saved.version;
+          const current = store.getState().cart;
+          if (current.updatedAt === current.syncedAt && saved.version > (current.version ?? 0)) {
+            dispatch(cartReplaced(fromSaved(saved, userId)));
+          }
+        } catch (err) {
+          if (controller.signal.aborted) return;
+          console.warn('Could not check for cart changes', err);
+          await delay(RETRY_DELAY_MS);
+        }
+      }
+    })();
+    return () => controller.abort();
+  }, [ready, userId, dispatch, store]);
+
+  // Other tabs (persistMiddleware writes the store under PERSIST_KEY)
+  useEffect(() => {
+    const onStorage = (event) => {
+      if (event.key !== PERSIST_KEY || !event.newValue) return;
+      let other = null;
+      try {
+        const saved = JSON.parse(event.newValue);
+        if (saved?.version === PERSIST_VERSION) other = saved.state?.cart;
+      } catch (err) {
+        console.warn('Could not read the cart from another tab', err);
+      }
+      // the newest change wins, so tabs never pass the same cart back and forth
+      if (!other || (Number(other.updatedAt) || 0) <= (Number(store.getState().cart.updatedAt) || 0)) return;
+      adopted.current = other.updatedAt;
+      dispatch(cartReplaced(other));
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  }, [dispatch, store]);
+
+  return null;
+}
@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react';
+import { Gift, Users } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { useCart } from '../../Context/CartContext';
+import { useCurrency } from '../../Context/useCurrency';
+import { MAX_GIFT_MESSAGE, TEAM_SEAT_TIERS, clampSeats, unitPriceFor } from '../../../Data/cartLines';
+import SeatsStepper from './SeatsStepper';
+
+const inputClass =
+  'w-full px-4 py-2 bg-white/10 border border-white/20 rounded-xl focus:outline-none focus:ring-2 transition-all duration-200';
+
+const percent = (fraction) => Math.round(fraction * 100);
+
+/**
+ * PurchaseOptions
+ * - The other ways to buy a course (the course page's "Add to cart" is for yourself):
+ *   as a gift (recipient email + optional message, Formik + Yup) or seats for a team,
+ *   with the volume discount tiers and the price per seat.
+ * - course: the course being bought
+ */
+export default function PurchaseOptions({ course }) {
+  const { t } = useTranslation();
+  const { addToCart } = useCart();
+  const { priceOf, formatPrice } = useCurrency();
+  const [open, setOpen] = useState(null); // "gift" | "team" | null
+  const [seats, setSeats] = useState(TEAM_SEAT_TIERS[0].minSeats);
+
+  const giftSchema = useMemo(
+    () =>
+      Yup.object().shape({
+        email: Yup.string()
+          .trim()
+          .email(t('login.errors.emailValid', 'Please enter a valid email'))
+          .required(t('login.errors.emailRequired', 'Email is required')),
+        message: Yup.string()
+          .trim()
+          .max(MAX_GIFT_MESSAGE, t('cart.purchase.giftMessageMax', 'Keep the message under {{max}} characters', { max: MAX_GIFT_MESSAGE })),
+      }),
+    [t]
+  );
+
+  const seatPrice = unitPriceFor({ type: 'team', quantity: seats }, priceOf(course));
+
+  const toggle = (which) => setOpen((current) => (current === which ? null : which));
+  const tabClass = (which) =>
+    `flex-1 py-2 px-3 rounded-xl text-sm flex items-center justify-center gap-2 transition-colors ${
+      open === which ? 'bg-indigo-500 text-white' : 'bg-white/10 border border-white/20 hover:bg-white/20'
+    }`;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <button type="button" onClick={() => toggle('gift')} aria-expanded={open === 'gift'} className={tabClass('gift')}>
+          <Gift className="w-4 h-4" aria-hidden />
+          {t('cart.purchase.giftTitle', 'Gift this course')}
+        </button>
+        <button type="button" onClick={() => toggle('team')} aria-expanded={open === 'team'} className={tabClass('team')}>
+          <Users className="w-4 h-4" aria-hidden />
+          {t('cart.purchase.teamTitle', 'Buy for a team')}
+        </button>
+      </div>
+
+      {open === 'gift' && (
+        <Formik
+          initialValues={{ email: '', message: '' }}
+          validationSchema={giftSchema}
+          onSubmit={(values, { resetForm }) => {
+            const gift = giftSchema.cast(values);
+            if (addToCart(course, { type: 'gift', gift })) resetForm();
+          }}
+        >
+          <Form className="space-y-3 text-start" noValidate>
+            <div>
+              <label htmlFor="gift-email" className="block text-sm font-medium mb-1">
+                {t('cart.purchase.giftEmail', "Recipient's email")}
+              </label>
+              <Field id="gift-email" name="email" type="email" className={inputClass} />
+              <ErrorMessage name="email" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+            <div>
+              <label htmlFor="gift-message" className="block text-sm font-medium mb-1">
+                {t('cart.purchase.giftMessage', 'Message (optional)')}
+              </label>
+              <Field id="gift-message" name="message" as="textarea" rows={3} className={inputClass} />
+              <ErrorMessage name="message" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+            <button type="submit" className="w-full btn-primary">
+              {t('cart.purchase.giftAdd', 'Add gift to cart')}
+            </button>
+          </Form>
+        </Formik>
+      )}
+
+      {open === 'team' && (
+        <div className="space-y-3 text-start">
+          <div className="flex items-center justify-between gap-3">
+            <span className="text-sm font-medium">{t('cart.lines.seats', 'Seats')}</span>
+            <SeatsStepper seats={seats} onChange={(next) => setSeats(clampSeats(next))} label={course.title} />
+          </div>
+          <ul className="text-xs text-fg/70 space-y-1">
+            {TEAM_SEAT_TIERS.map((tier) => (
+              <li key={tier.minSeats} className={seats >= tier.minSeats ? 'text-green-500' : undefined}>
+                {t('cart.purchase.tier', '{{min}}+ seats: {{percent}}% off', { min: tier.minSeats, percent: percent(tier.discount) })}
+              </li>
+            ))}
+          </ul>
+          <p className="text-sm">
+            {t('cart.purchase.teamTotal', '{{seats}} seats × {{price}} = {{total}}', {
+              seats,
+              price: formatPrice(seatPrice),
+              total: formatPrice(Math.round(seatPrice * seats * 100) / 100),
+            })}
+          </p>
+          <button type="button" onClick={() => addToCart(course, { type: 'team', seats })} className="w-full btn-primary">
+            {t('cart.purchase.teamAdd', 'Add seats to cart')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
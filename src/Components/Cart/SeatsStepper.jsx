@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { Minus, Plus } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { MAX_TEAM_SEATS, MIN_TEAM_SEATS, clampSeats } from '../../../Data/cartLines';
+
+/**
+ * SeatsStepper
+ * - Seats of a team cart line: -/+ buttons and a number field (applied on blur / Enter),
+ *   kept between MIN_TEAM_SEATS and MAX_TEAM_SEATS.
+ * - seats: current seats; onChange(seats); label: what the seats are for (course title)
+ */
+export default function SeatsStepper({ seats, onChange, label }) {
+  const { t } = useTranslation();
+  const [draft, setDraft] = useState(null); // text being typed, null when not editing
+
+  const commit = () => {
+    if (draft === null) return;
+    const next = clampSeats(draft);
+    setDraft(null);
+    if (next !== seats) onChange(next);
+  };
+
+  const buttonClass =
+    'p-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex items-center gap-2" role="group" aria-label={t('cart.lines.seats', 'Seats')}>
+      <button
+        type="button"
+        onClick={() => onChange(clampSeats(seats - 1))}
+        disabled={seats <= MIN_TEAM_SEATS}
+        aria-label={t('cart.lines.decreaseSeats', 'Remove a seat')}
+        className={buttonClass}
+      >
+        <Minus className="w-4 h-4" />
+      </button>
+      <input
+        type="number"
+        min={MIN_TEAM_SEATS}
+        max={MAX_TEAM_SEATS}
+        value={draft ?? seats}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => e.key === 'Enter' && commit()}
+        aria-label={`${t('cart.lines.seats', 'Seats')}: ${label}`}
+        className="w-16 text-center font-semibold bg-white/10 border border-white/20 rounded-xl py-1"
+      />
+      <button
+        type="button"
+        onClick={() => onChange(clampSeats(seats + 1))}
+        disabled={seats >= MAX_TEAM_SEATS}
+        aria-label={t('cart.lines.increaseSeats', 'Add a seat')}
+        className={buttonClass}
+      >
+        <Plus className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
@@ -3,6 +3,9 @@ import React, { useEffect, useRef, useState, useLayoutEffect } from 'react'
 import ReactDOM from 'react-dom'
 import { ShoppingCart, X } from 'lucide-react'
 import { Link } from 'react-router-dom'
+import { useAuth } from '../../Context/useAuth'
+import { useCurrency } from '../../Context/useCurrency'
+import CartLineInfo from '../Cart/CartLineInfo'
 
 /**
  * Props:
@@ -21,6 +24,9 @@ function CartPanelInner({
   const prevActiveRef = useRef(null)
   const [stylePos, setStylePos] = useState(null) // { top, left, right } for desktop
   const isRtl = i18n?.language === 'ar'
+  // purchases are blocked until the account email is verified
+  const { needsVerification } = useAuth()
+  const { unitPriceOf, formatPrice } = useCurrency()
 
   // lock body scroll when open
   useEffect(() => {
@@ -191,19 +197,20 @@ function CartPanelInner({
             <div className="space-y-3 overflow-auto" style={{ maxHeight: 'calc(80vh - 120px)' }}>
               {cartItems.map((item) => {
                 const qty = Number(item.quantity || 1)
-                const price = Number(item.price || 0)
+                const price = unitPriceOf(item)
                 return (
-                  <div key={item.id} className="flex items-center gap-3 p-2 rounded-lg hover:bg-white/5 transition-colors">
+                  <div key={item.lineId} className="flex items-center gap-3 p-2 rounded-lg hover:bg-white/5 transition-colors">
                     <div className="flex-shrink-0 w-12 h-12 rounded-md overflow-hidden bg-gray-100">
                       <img src={item.image || ''} alt={item.title || 'Product'} className="w-full h-full object-cover" loading="lazy" onError={(e) => { e.currentTarget.style.display = 'none' }} />
                     </div>
 
                     <div className="flex-1 min-w-0">
                       <div className="font-medium text-sm truncate">{item.title || 'Untitled product'}</div>
-                      <div className="text-xs text-fg/60 truncate">{qty} x ${price.toFixed(2)}</div>
+                      <CartLineInfo item={item} />
+                      <div className="text-xs text-fg/60 truncate">{qty} x {formatPrice(price)}</div>
                     </div>
 
-                    <div className="flex-none font-semibold text-sm">${(price * qty).toFixed(2)}</div>
+                    <div className="flex-none font-semibold text-sm">{formatPrice(price * qty)}</div>
                   </div>
                 )
               })}
@@ -212,13 +219,20 @@ function CartPanelInner({
             <div className="border-t border-white/10 pt-3 mt-3">
               <div className="flex items-center justify-between mb-3">
                 <div className="font-medium">Total</div>
-                <div className="font-extrabold text-gradient">${Number(total).toFixed(2)}</div>
+                <div className="font-extrabold text-gradient">{formatPrice(total)}</div>
               </div>
 
               <div className="flex text-center gap-2">
                 <Link to="/cart" onClick={onClose} className="flex-1 px-3 py-2 rounded-xl bg-white/10">View Cart</Link>
-                <Link to="/checkout" onClick={onClose} className="flex-1 px-3 py-2 rounded-xl bg-indigo-500 text-white">Checkout</Link>
+                {needsVerification ? (
+                  <button type="button" disabled className="flex-1 px-3 py-2 rounded-xl bg-indigo-500 text-white opacity-50 cursor-not-allowed">Checkout</button>
+                ) : (
+                  <Link to="/checkout" onClick={onClose} className="flex-1 px-3 py-2 rounded-xl bg-indigo-500 text-white">Checkout</Link>
+                )}
               </div>
+              {needsVerification && (
+                <p className="mt-2 text-xs text-amber-500">{i18n ? i18n.t('verify.purchaseBlocked', 'Verify your email to purchase.') : 'Verify your email to purchase.'}</p>
+              )}
             </div>
           </>
         )}
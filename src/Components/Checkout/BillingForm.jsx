@@ -0,0 +1,138 @@
+import React, { useMemo } from 'react';
+import { ArrowLeft, ArrowRight } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { COUNTRY_CODES, countryName } from '../../Utils/countries';
+import { taxRegions } from '../../../Data/taxRates';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border rounded-xl focus:outline-none focus:ring-2 transition-all duration-200';
+
+/**
+ * BillingForm (Formik + Yup)
+ * - initialValues: { name, email, country, region, address, city, postalCode }
+ * - region (state / province) is only asked for where the tax rate depends on it
+ * - onSubmit(values) moves on to payment; onBack returns to the review step
+ */
+export default function BillingForm({ initialValues, onSubmit, onBack }) {
+  const { t, i18n } = useTranslation();
+
+  const validationSchema = useMemo(() => {
+    return Yup.object().shape({
+      name: Yup.string()
+        .trim()
+        .min(2, t('register.errors.nameMin', 'Name must be at least 2 characters'))
+        .required(t('register.errors.nameRequired', 'Full name is required')),
+      email: Yup.string()
+        .trim()
+        .email(t('login.errors.emailValid', 'Please enter a valid email'))
+        .required(t('login.errors.emailRequired', 'Email is required')),
+      country: Yup.string().required(t('checkout.billing.countryRequired', 'Please choose a country')),
+      region: Yup.string().when('country', {
+        is: (country) => taxRegions(country).length > 0,
+        then: (schema) => schema.required(t('checkout.billing.regionRequired', 'Please choose a state / province')),
+        otherwise: (schema) => schema.transform(() => ''),
+      }),
+      address: Yup.string().trim(),
+      city: Yup.string().trim(),
+      postalCode: Yup.string().trim(),
+    });
+  }, [t]);
+
+  const countries = useMemo(
+    () =>
+      COUNTRY_CODES.map((code) => ({ code, name: countryName(code, i18n.language) })).sort((a, b) =>
+        a.name.localeCompare(b.name, i18n.language)
+      ),
+    [i18n.language]
+  );
+
+  const field = (name, label, props = {}) => (
+    <div className={props.wide ? 'sm:col-span-2' : undefined}>
+      <label htmlFor={`billing-${name}`} className="block text-sm font-medium text-fg mb-2">
+        {label}
+      </label>
+      <Field id={`billing-${name}`} name={name} className={inputClass} {...props.input} />
+      <ErrorMessage name={name} component="p" className="mt-1 text-sm text-red-400" />
+    </div>
+  );
+
+  return (
+    <Formik
+      initialValues={initialValues}
+      validationSchema={validationSchema}
+      onSubmit={(values) => onSubmit(validationSchema.cast(values))}
+    >
+      {({ values, setFieldValue }) => (
+        <Form className="glass rounded-3xl p-6 border border-white/20 space-y-6" noValidate>
+          <h2 className="text-xl font-bold">{t('checkout.billing.title', 'Billing details')}</h2>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {field('name', t('checkout.billing.name', 'Full name'), { input: { autoComplete: 'name' } })}
+            {field('email', t('checkout.billing.email', 'Email for the receipt'), { input: { type: 'email', autoComplete: 'email' } })}
+
+            <div>
+              <label htmlFor="billing-country" className="block text-sm font-medium text-fg mb-2">
+                {t('checkout.billing.country', 'Country')}
+              </label>
+              <Field
+                as="select"
+                id="billing-country"
+                name="country"
+                className={inputClass}
+                autoComplete="country"
+                onChange={(e) => {
+                  setFieldValue('country', e.target.value);
+                  setFieldValue('region', '');
+                }}
+              >
+                <option value="">{t('checkout.billing.chooseCountry', 'Choose a country')}</option>
+                {countries.map((c) => (
+                  <option key={c.code} value={c.code}>
+                    {c.name}
+                  </option>
+                ))}
+              </Field>
+              <ErrorMessage name="country" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+
+            {taxRegions(values.country).length > 0 && (
+              <div>
+                <label htmlFor="billing-region" className="block text-sm font-medium text-fg mb-2">
+                  {t('checkout.billing.region', 'State / province')}
+                </label>
+                <Field as="select" id="billing-region" name="region" className={inputClass} autoComplete="address-level1">
+                  <option value="">{t('checkout.billing.chooseRegion', 'Choose a state / province')}</option>
+                  {taxRegions(values.country).map((r) => (
+                    <option key={r.code} value={r.code}>
+                      {r.name}
+                    </option>
+                  ))}
+                </Field>
+                <ErrorMessage name="region" component="p" className="mt-1 text-sm text-red-400" />
+              </div>
+            )}
+
+            {field('city', t('checkout.billing.city', 'City (optional)'), { input: { autoComplete: 'address-level2' } })}
+            {field('address', t('checkout.billing.address', 'Address (optional)'), { wide: true, input: { autoComplete: 'street-address' } })}
+            {field('postalCode', t('checkout.billing.postalCode', 'Postal code (optional)'), { input: { autoComplete: 'postal-code' } })}
+          </div>
+
+          <div className="flex flex-wrap justify-between gap-3">
+            <button type="button" onClick={onBack} className="flex items-center gap-2 px-4 py-3 rounded-xl bg-white/10 hover:bg-white/20 transition-colors">
+              <ArrowLeft className="w-4 h-4 rtl:rotate-180" aria-hidden />
+              {t('checkout.back', 'Back')}
+            </button>
+            <button
+              type="submit"
+              className="flex items-center gap-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200"
+            >
+              {t('checkout.toPayment', 'Continue to payment')}
+              <ArrowRight className="w-4 h-4 rtl:rotate-180" aria-hidden />
+            </button>
+          </div>
+        </Form>
+      )}
+    </Formik>
+  );
+}
@@ -0,0 +1,31 @@
+import React from 'react';
+import { Check } from 'lucide-react';
+
+/**
+ * CheckoutSteps
+ * - Progress indicator for the checkout (review → billing → payment → confirmation).
+ * - steps: [{ id, label }], current: index of the active step
+ */
+export default function CheckoutSteps({ steps, current }) {
+  return (
+    <ol className="flex items-center gap-2 sm:gap-4 mb-8 overflow-x-auto pb-2">
+      {steps.map((step, index) => {
+        const done = index < current;
+        const active = index === current;
+        return (
+          <li key={step.id} className="flex items-center gap-2 sm:gap-4 shrink-0" aria-current={active ? 'step' : undefined}>
+            <span
+              className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${
+                done ? 'bg-green-500 text-white' : active ? 'bg-indigo-500 text-white' : 'bg-white/10 text-fg/60'
+              }`}
+            >
+              {done ? <Check className="w-4 h-4" aria-hidden /> : index + 1}
+            </span>
+            <span className={`text-sm font-medium ${active ? 'text-fg' : 'text-fg/60'}`}>{step.label}</span>
+            {index < steps.length - 1 && <span className="hidden sm:block w-8 h-px bg-white/20" aria-hidden />}
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useDispatch, useSelector } from 'react-redux';
+import { couponApplied, couponRemoved, selectCouponCodes } from '../../Store/cartSlice';
+import { checkoutService } from '../../Services/checkoutService';
+import { useCurrency } from '../../Context/useCurrency';
+
+/**
+ * CouponForm
+ * - Promo code input + the codes applied to the cart (stored in the cart slice).
+ * - A new code is priced by the API first and only kept if it can be used;
+ *   otherwise the reason is shown under the input.
+ * - Applied codes that stop working (cart changed, expired, ...) stay listed with
+ *   the reason so they can be removed.
+ * - items: cart items; quote: CartQuote from useCartQuote; currencyFmt: (amount) => string
+ */
+export default function CouponForm({ items, quote, currencyFmt }) {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const codes = useSelector(selectCouponCodes);
+  const { currency } = useCurrency();
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isApplying, setIsApplying] = useState(false);
+
+  const reason = (err) =>
+    err.code === 'COUPON_MIN_SUBTOTAL' && err.minSubtotal
+      ? t('checkout.coupons.minSubtotal', 'Spend at least {{amount}} to use this code.', { amount: currencyFmt(err.minSubtotal) })
+      : t(`checkoutErrors.${err.code}`, err.message);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const normalized = code.trim().toUpperCase();
+    if (!normalized) return;
+    if (codes.includes(normalized)) {
+      setError(t('checkoutErrors.COUPON_DUPLICATE', 'This code is already applied.'));
+      return;
+    }
+
+    setIsApplying(true);
+    setError(null);
+    try {
+      const result = await checkoutService.quote({ items, coupons: [...codes, normalized], currency });
+      const rejected = result.rejected.find((r) => r.code === normalized);
+      if (rejected) {
+        setError(reason(rejected.error));
+      } else {
+        dispatch(couponApplied(normalized));
+        setCode('');
+      }
+    } catch (err) {
+      setError(t(`checkoutErrors.${err.code}`, err.message));
+    } finally {
+      setIsApplying(false);
+    }
+  };
+
+  const appliedAmount = (c) => quote?.coupons.find((applied) => applied.code === c)?.amount;
+  const rejectionOf = (c) => quote?.rejected.find((r) => r.code === c)?.error;
+
+  return (
+    <div className="mt-4 space-y-3">
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <label htmlFor="coupon-code" className="sr-only">
+          {t('checkout.coupons.label', 'Promo code')}
+        </label>
+        <input
+          id="coupon-code"
+          value={code}
+          onChange={(e) => {
+            setCode(e.target.value);
+            setError(null);
+          }}
+          placeholder={t('checkout.coupons.placeholder', 'Promo code')}
+          autoComplete="off"
+          dir="ltr"
+          className="flex-1 min-w-0 px-3 py-2 bg-white/10 border rounded-xl uppercase focus:outline-none focus:ring-2 transition-all duration-200"
+        />
+        <button type="submit" disabled={isApplying || !code.trim()} className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50">
+          {isApplying ? t('checkout.coupons.applying', 'Checking...') : t('checkout.coupons.apply', 'Apply')}
+        </button>
+      </form>
+      {error && (
+        <p className="text-sm text-red-400" role="alert">
+          {error}
+        </p>
+      )}
+
+      {codes.length > 0 && (
+        <ul className="space-y-2 text-sm">
+          {codes.map((c) => {
+            const amount = appliedAmount(c);
+            const problem = rejectionOf(c);
+            return (
+              <li key={c}>
+                <div className="flex items-center justify-between gap-2">
+                  <span className="flex items-center gap-2 font-mono" dir="ltr">
+                    <Tag className="w-4 h-4 text-indigo-400" aria-hidden />
+                    {c}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    {amount != null && <span className="text-green-500">−{currencyFmt(amount)}</span>}
+                    <button
+                      type="button"
+                      onClick={() => dispatch(couponRemoved(c))}
+                      aria-label={t('checkout.coupons.remove', 'Remove code {{code}}', { code: c })}
+                      className="p-1 rounded hover:bg-white/10"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </span>
+                </div>
+                {problem && <p className="text-xs text-amber-500 mt-1">{reason(problem)}</p>}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
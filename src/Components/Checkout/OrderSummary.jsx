@@ -0,0 +1,71 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import TaxLine from './TaxLine';
+import { useCurrency } from '../../Context/useCurrency';
+import CartLineInfo from '../Cart/CartLineInfo';
+
+/**
+ * OrderSummary
+ * - Lines + subtotal/total card used by the cart page and every checkout step.
+ * - items: cart lines ({ id, lineId, type, title, image, price, quantity, gift }), priced in the
+ *   preferred currency; gift and team lines say who they're for
+ * - currencyFmt: (amount) => string
+ * - quote: CartQuote (optional) — adds the discount lines and the tax, per line and in total
+ * - children: extra content under the total (e.g. the coupon form, the next-step button)
+ */
+export default function OrderSummary({ items, currencyFmt, quote, children }) {
+  const { t } = useTranslation();
+  const { unitPriceOf } = useCurrency();
+  const subtotal = items.reduce((sum, item) => sum + unitPriceOf(item) * (Number(item.quantity) || 0), 0);
+  const coupons = quote?.coupons || [];
+  const total = quote ? quote.total : subtotal;
+  const lineTax = (lineId) => quote?.items.find((line) => line.lineId === lineId)?.tax;
+
+  return (
+    <div className="glass h-fit shadow rounded-3xl p-6 border border-white/20">
+      <h3 className="text-xl font-bold mb-4">{t('dashboard.orderSummary', 'Order Summary')}</h3>
+
+      <ul className="space-y-2 mb-4 text-sm">
+        {items.map((item) => (
+          <li key={item.lineId}>
+            <div className="flex justify-between gap-3">
+              <span className="text-fg/80 truncate">
+                {item.title}
+                {item.quantity > 1 && <span className="text-fg/60"> × {item.quantity}</span>}
+              </span>
+              <span className="shrink-0">{currencyFmt(unitPriceOf(item) * item.quantity)}</span>
+            </div>
+            {item.type !== 'self' && <CartLineInfo item={item} />}
+            {quote?.tax && lineTax(item.lineId) > 0 && (
+              <div className="text-xs text-fg/60 text-end">
+                {t('checkout.tax.line', '{{name}}: {{amount}}', { name: quote.tax.name, amount: currencyFmt(lineTax(item.lineId)) })}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="space-y-3 border-t border-black/10 dark:border-white/10 pt-3">
+        <div className="flex justify-between">
+          <span>{t('dashboard.subtotal', 'Subtotal')}:</span>
+          <span>{currencyFmt(subtotal)}</span>
+        </div>
+        {coupons.map((coupon) => (
+          <div key={coupon.code} className="flex justify-between text-green-500">
+            <span>
+              {t('checkout.coupons.discount', 'Discount')} <span className="font-mono" dir="ltr">({coupon.code})</span>:
+            </span>
+            <span>−{currencyFmt(coupon.amount)}</span>
+          </div>
+        ))}
+        <TaxLine tax={quote?.tax} currencyFmt={currencyFmt} />
+        <div className="flex justify-between font-bold text-lg">
+          <span>{t('dashboard.total', 'Total')}:</span>
+          <span className="text-gradient">{currencyFmt(total)}</span>
+        </div>
+      </div>
+
+      {children}
+    </div>
+  );
+}
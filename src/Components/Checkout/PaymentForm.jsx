@@ -0,0 +1,170 @@
+import React, { useMemo } from 'react';
+import { ArrowLeft, CreditCard, Lock } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { Formik, Form, Field, ErrorMessage } from 'formik';
+import * as Yup from 'yup';
+import { paymentProvider } from '../../Services/payments';
+import PaymentsUnavailable from './PaymentsUnavailable';
+
+const inputClass = 'w-full px-4 py-3 bg-white/10 border rounded-xl focus:outline-none focus:ring-2 transition-all duration-200';
+
+// "4242424242424242" → "4242 4242 4242 4242"
+const formatCardNumber = (value) =>
+  value
+    .replace(/\D/g, '')
+    .slice(0, 19)
+    .replace(/(\d{4})(?=\d)/g, '$1 ');
+
+// "1228" → "12/28"
+const formatExpiry = (value) => {
+  const digits = value.replace(/\D/g, '').slice(0, 4);
+  return digits.length > 2 ? `${digits.slice(0, 2)}/${digits.slice(2)}` : digits;
+};
+
+/**
+ * PaymentForm (Formik + Yup)
+ * - Card details stay in the browser: onPay(card) hands them to the payment
+ *   provider, which returns a payment method for the API.
+ * - Shows the provider's test cards (fake provider) so every outcome can be tried.
+ * - error: message from the last attempt (declined card, ...)
+ * - Without a payment provider only says payments are unavailable.
+ */
+export default function PaymentForm({ total, onPay, onBack, error, isPaying }) {
+  const { t } = useTranslation();
+
+  const validationSchema = useMemo(() => {
+    return Yup.object().shape({
+      name: Yup.string().trim().required(t('checkout.payment.nameRequired', 'Name on card is required')),
+      number: Yup.string().required(t('checkout.payment.numberRequired', 'Card number is required')),
+      expiry: Yup.string()
+        .matches(/^\d{2}\/\d{2}$/, t('checkout.payment.expiryFormat', 'Use MM/YY'))
+        .required(t('checkout.payment.expiryRequired', 'Expiry date is required')),
+      cvc: Yup.string()
+        .matches(/^\d{3,4}$/, t('checkout.payment.cvcFormat', '3 or 4 digits'))
+        .required(t('checkout.payment.cvcRequired', 'Security code is required')),
+    });
+  }, [t]);
+
+  if (!paymentProvider) {
+    return (
+      <PaymentsUnavailable>
+        <button type="button" onClick={onBack} className="inline-flex items-center gap-2 px-4 py-3 rounded-xl bg-white/10 hover:bg-white/20 transition-colors">
+          <ArrowLeft className="w-4 h-4 rtl:rotate-180" aria-hidden />
+          {t('checkout.back', 'Back')}
+        </button>
+      </PaymentsUnavailable>
+    );
+  }
+
+  return (
+    <Formik initialValues={{ name: '', number: '', expiry: '', cvc: '' }} validationSchema={validationSchema} onSubmit={onPay}>
+      {({ setFieldValue }) => (
+        <Form className="glass rounded-3xl p-6 border border-white/20 space-y-6" noValidate>
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <CreditCard className="w-5 h-5" aria-hidden />
+            {t('checkout.payment.title', 'Payment')}
+          </h2>
+
+          {error && (
+            <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm" role="alert">
+              {error}
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="sm:col-span-2">
+              <label htmlFor="card-name" className="block text-sm font-medium text-fg mb-2">
+                {t('checkout.payment.name', 'Name on card')}
+              </label>
+              <Field id="card-name" name="name" autoComplete="cc-name" className={inputClass} />
+              <ErrorMessage name="name" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+
+            <div className="sm:col-span-2">
+              <label htmlFor="card-number" className="block text-sm font-medium text-fg mb-2">
+                {t('checkout.payment.number', 'Card number')}
+              </label>
+              <Field
+                id="card-number"
+                name="number"
+                inputMode="numeric"
+                autoComplete="cc-number"
+                dir="ltr"
+                placeholder="1234 1234 1234 1234"
+                className={inputClass}
+                onChange={(e) => setFieldValue('number', formatCardNumber(e.target.value))}
+              />
+              <ErrorMessage name="number" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+
+            <div>
+              <label htmlFor="card-expiry" className="block text-sm font-medium text-fg mb-2">
+                {t('checkout.payment.expiry', 'Expiry (MM/YY)')}
+              </label>
+              <Field
+                id="card-expiry"
+                name="expiry"
+                inputMode="numeric"
+                autoComplete="cc-exp"
+                dir="ltr"
+                placeholder="MM/YY"
+                className={inputClass}
+                onChange={(e) => setFieldValue('expiry', formatExpiry(e.target.value))}
+              />
+              <ErrorMessage name="expiry" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+
+            <div>
+              <label htmlFor="card-cvc" className="block text-sm font-medium text-fg mb-2">
+                {t('checkout.payment.cvc', 'Security code')}
+              </label>
+              <Field id="card-cvc" name="cvc" inputMode="numeric" autoComplete="cc-csc" dir="ltr" maxLength={4} placeholder="CVC" className={inputClass} />
+              <ErrorMessage name="cvc" component="p" className="mt-1 text-sm text-red-400" />
+            </div>
+          </div>
+
+          {/* Test cards for the fake provider — click to fill */}
+          {paymentProvider.testCards?.length > 0 && (
+            <div className="rounded-2xl border border-dashed border-white/20 p-4 text-sm">
+              <p className="font-semibold mb-2">{t('checkout.payment.testCards', 'Test cards (any future expiry and CVC)')}</p>
+              <ul className="space-y-1">
+                {paymentProvider.testCards.map((card) => (
+                  <li key={card.number}>
+                    <button
+                      type="button"
+                      onClick={() => setFieldValue('number', card.number)}
+                      className="text-indigo-400 hover:text-indigo-300 font-mono"
+                      dir="ltr"
+                    >
+                      {card.number}
+                    </button>
+                    <span className="text-fg/60"> — {t(`checkout.payment.outcomes.${card.outcome}`, card.outcome)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex flex-wrap justify-between gap-3">
+            <button type="button" onClick={onBack} disabled={isPaying} className="flex items-center gap-2 px-4 py-3 rounded-xl bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50">
+              <ArrowLeft className="w-4 h-4 rtl:rotate-180" aria-hidden />
+              {t('checkout.back', 'Back')}
+            </button>
+            <button
+              type="submit"
+              disabled={isPaying}
+              className="flex items-center gap-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isPaying ? (
+                <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              ) : (
+                <Lock className="w-4 h-4" aria-hidden />
+              )}
+              {isPaying ? t('checkout.payment.paying', 'Processing...') : t('checkout.payment.pay', 'Pay {{total}}', { total })}
+            </button>
+          </div>
+        </Form>
+      )}
+    </Formik>
+  );
+}
@@ -0,0 +1,24 @@
+import React from 'react';
+import { CreditCard } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * PaymentsUnavailable
+ * - Shown instead of the card form when the app has no payment provider
+ *   (VITE_PAYMENT_PROVIDER unset or unknown, see Services/payments).
+ * - children: the way back (a link to the cart, a "Back" button, ...)
+ */
+export default function PaymentsUnavailable({ children }) {
+  const { t } = useTranslation();
+
+  return (
+    <div className="glass rounded-3xl p-8 border border-white/20 text-center max-w-xl mx-auto space-y-4" role="status">
+      <CreditCard className="w-12 h-12 text-fg/40 mx-auto" aria-hidden />
+      <h2 className="text-xl font-bold">{t('checkout.unavailable.title', 'Checkout is unavailable')}</h2>
+      <p className="text-fg/70">
+        {t('checkoutErrors.PAYMENTS_UNAVAILABLE', 'Payments are not available right now. Please try again later.')}
+      </p>
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,38 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * TaxLine
+ * - The tax row of an order summary, from a CartQuote or an order.
+ * - Exclusive taxes (sales tax) are added to the total; inclusive ones (VAT)
+ *   are already in the prices, so they are shown as "Includes ...".
+ * - tax: { name, rate, mode, amount } | null (not known yet: no billing country / region)
+ * - currencyFmt: (amount) => string
+ */
+export default function TaxLine({ tax, currencyFmt }) {
+  const { t, i18n } = useTranslation();
+
+  if (!tax) {
+    return (
+      <div className="flex justify-between gap-3">
+        <span>{t('dashboard.tax', 'Tax')}:</span>
+        <span className="text-fg/60 text-sm text-end">{t('checkout.tax.pending', 'Calculated from your billing address')}</span>
+      </div>
+    );
+  }
+
+  const rate = new Intl.NumberFormat(i18n.language, { style: 'percent', maximumFractionDigits: 3 }).format(tax.rate);
+  const inclusive = tax.mode === 'inclusive';
+
+  return (
+    <div className={`flex justify-between gap-3 ${inclusive ? 'text-fg/70 text-sm' : ''}`}>
+      <span>
+        {inclusive
+          ? t('checkout.tax.inclusive', 'Includes {{name}} ({{rate}})', { name: tax.name, rate })
+          : t('checkout.tax.exclusive', '{{name}} ({{rate}})', { name: tax.name, rate })}
+        :
+      </span>
+      <span>{currencyFmt(tax.amount)}</span>
+    </div>
+  );
+}
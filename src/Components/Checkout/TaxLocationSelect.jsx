@@ -0,0 +1,66 @@
+import React, { useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { useDispatch, useSelector } from 'react-redux';
+import { selectTaxLocation, taxLocationChanged } from '../../Store/cartSlice';
+import { COUNTRY_CODES, countryName } from '../../Utils/countries';
+import { taxRegions } from '../../../Data/taxRates';
+
+const selectClass = 'w-full px-3 py-2 bg-white/10 border rounded-xl text-sm focus:outline-none focus:ring-2 transition-all duration-200';
+
+/**
+ * TaxLocationSelect
+ * - "Estimate tax for" country (+ state / province where the rate depends on it)
+ *   shown in the cart before there is a billing address.
+ * - Stored in the cart slice (taxLocation); the checkout's billing step updates it too.
+ */
+export default function TaxLocationSelect() {
+  const { t, i18n } = useTranslation();
+  const dispatch = useDispatch();
+  const location = useSelector(selectTaxLocation);
+  const country = location?.country || '';
+  const regions = taxRegions(country);
+
+  const countries = useMemo(
+    () =>
+      COUNTRY_CODES.map((code) => ({ code, name: countryName(code, i18n.language) })).sort((a, b) =>
+        a.name.localeCompare(b.name, i18n.language)
+      ),
+    [i18n.language]
+  );
+
+  return (
+    <div className="mt-4 space-y-2">
+      <label htmlFor="tax-country" className="block text-sm text-fg/70">
+        {t('checkout.tax.estimateFor', 'Estimate tax for')}
+      </label>
+      <select
+        id="tax-country"
+        value={country}
+        onChange={(e) => dispatch(taxLocationChanged({ country: e.target.value, region: '' }))}
+        className={selectClass}
+      >
+        <option value="">{t('checkout.billing.chooseCountry', 'Choose a country')}</option>
+        {countries.map((c) => (
+          <option key={c.code} value={c.code}>
+            {c.name}
+          </option>
+        ))}
+      </select>
+      {regions.length > 0 && (
+        <select
+          aria-label={t('checkout.billing.region', 'State / province')}
+          value={location?.region || ''}
+          onChange={(e) => dispatch(taxLocationChanged({ country, region: e.target.value }))}
+          className={selectClass}
+        >
+          <option value="">{t('checkout.billing.chooseRegion', 'Choose a state / province')}</option>
+          {regions.map((r) => (
+            <option key={r.code} value={r.code}>
+              {r.name}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
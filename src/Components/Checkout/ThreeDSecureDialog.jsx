@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+
+/**
+ * ThreeDSecureDialog
+ * - The "your bank wants to confirm this payment" step of a 3-D Secure card.
+ * - action: { paymentId, hint? } from the API
+ * - onSubmit(code) answers the challenge; onCancel(): the user gave up (fails the payment)
+ */
+export default function ThreeDSecureDialog({ action, amount, onSubmit, onCancel, isSubmitting }) {
+  const { t } = useTranslation();
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(code.trim());
+  };
+
+  return (
+    <div className="fixed inset-0 z-[70] flex items-center justify-center p-4" role="dialog" aria-modal="true" aria-labelledby="three-ds-title">
+      <div className="fixed inset-0 bg-black/60" aria-hidden="true" />
+      <form onSubmit={handleSubmit} className="relative glass rounded-3xl p-6 border border-white/20 w-full max-w-sm space-y-4 bg-white/5">
+        <div className="flex items-center gap-3">
+          <ShieldCheck className="w-8 h-8 text-indigo-400" aria-hidden />
+          <h2 id="three-ds-title" className="text-lg font-bold">
+            {t('checkout.threeDS.title', 'Confirm this payment')}
+          </h2>
+        </div>
+        <p className="text-sm text-fg/70">
+          {t('checkout.threeDS.desc', 'Your bank sent a one-time code to confirm the payment of {{amount}}.', { amount })}
+        </p>
+        {action?.hint && <p className="text-xs text-fg/60">{action.hint}</p>}
+
+        <div>
+          <label htmlFor="three-ds-code" className="block text-sm font-medium text-fg mb-2">
+            {t('checkout.threeDS.code', 'Verification code')}
+          </label>
+          <input
+            id="three-ds-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            autoFocus
+            dir="ltr"
+            className="w-full px-4 py-3 bg-white/10 border rounded-xl focus:outline-none focus:ring-2 transition-all duration-200"
+          />
+        </div>
+
+        <div className="flex justify-end gap-3">
+          <button type="button" onClick={onCancel} disabled={isSubmitting} className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50">
+            {t('checkout.threeDS.cancel', 'Cancel')}
+          </button>
+          <button type="submit" disabled={isSubmitting || !code.trim()} className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed">
+            {isSubmitting ? t('checkout.payment.paying', 'Processing...') : t('checkout.threeDS.confirm', 'Confirm')}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
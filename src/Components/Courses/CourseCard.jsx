@@ -13,6 +13,13 @@ import {
 } from 'lucide-react'
 import { useCart } from '../../Context/CartContext'
 import { useWishlist } from '../../Context/CartContext'
+import { usePrefetchCourse } from '../../Api/queries'
+import { useCurrency } from '../../Context/useCurrency'
+import { useSale } from '../../Context/useSale'
+import { percentOff } from '../../../Data/sales'
+import SaleBadge from './SaleBadge'
+import Highlight from './Highlight'
+import { courseSnippet } from '../../Utils/courseFilters'
 
 /**
  * Reusable Stars component to render dynamic rating visually.
@@ -41,6 +48,9 @@ function Stars({ rating, size = 4 }) {
 function CourseCard({ course, instructor, i18n }) {
   const { addToCart, isInCart } = useCart()
   const { addToWishlist, removeFromWishlist, isInWishlist } = useWishlist()
+  const prefetchCourse = usePrefetchCourse()
+  const { priceOf, regularPriceOf, formatPrice } = useCurrency()
+  const { sale, timeLeft } = useSale(course)
 
   // Memoized checks to prevent redundant context calls
   const inCart = useMemo(() => isInCart(course?.id), [isInCart, course?.id])
@@ -70,6 +80,14 @@ function CourseCard({ course, instructor, i18n }) {
     [addToWishlist, removeFromWishlist, inWishlist, course]
   )
 
+  // Warm the course page cache when the user shows intent (hover / keyboard focus)
+  const handlePrefetch = useCallback(() => prefetchCourse(course), [prefetchCourse, course])
+
+  // Sale price vs. the regular one (re-rendered by useSale when the sale starts / ends)
+  const price = priceOf(course)
+  const regularPrice = regularPriceOf(course)
+  const discount = sale ? percentOff(price, regularPrice) : 0
+
   // Choose correct language description
   const shortDesc =
     (i18n && course?.shortDescription?.[i18n.language]) ||
@@ -77,6 +95,10 @@ function CourseCard({ course, instructor, i18n }) {
     course?.shortDescription?.default ||
     ''
 
+  // Search results: matched words are marked; a match the card doesn't show gets a snippet
+  const terms = course?.match?.terms
+  const matchSnippet = useMemo(() => courseSnippet(course, i18n?.language), [course, i18n?.language])
+
   return (
     <motion.article
       /** Animation when card comes into view */
@@ -86,6 +108,8 @@ function CourseCard({ course, instructor, i18n }) {
       transition={{ duration: 0.35 }}
       className="group relative rounded-3xl shadow overflow-hidden transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl glass border border-white/20"
       aria-labelledby={`course-title-${course?.id}`}
+      onMouseEnter={handlePrefetch}
+      onFocus={handlePrefetch}
     >
       {/* === Image Section === */}
       <div className="relative overflow-hidden">
@@ -100,8 +124,8 @@ function CourseCard({ course, instructor, i18n }) {
         {/* Gradient overlay for better text visibility */}
         <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent" />
 
-        {/* "New" / "Popular" badges */}
-        <div className="absolute top-4 left-4 flex gap-2">
+        {/* "New" / "Popular" / sale badges */}
+        <div className="absolute top-4 left-4 right-28 flex flex-wrap gap-2">
           {course?.isNew && (
             <span className="bg-gradient-to-r from-green-500 to-emerald-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-lg">
               New
@@ -112,11 +136,15 @@ function CourseCard({ course, instructor, i18n }) {
               Popular
             </span>
           )}
+          {discount > 0 && <SaleBadge percent={discount} timeLeft={timeLeft} />}
         </div>
 
         {/* Price tag */}
         <div className="absolute top-4 right-4 glass rounded-2xl px-3 py-2 border border-white/30">
-          <div className="text-white font-bold text-lg">${course?.price}</div>
+          <div className="text-white font-bold text-lg">{formatPrice(price)}</div>
+          {discount > 0 && (
+            <div className="text-white/70 text-xs line-through text-right">{formatPrice(regularPrice)}</div>
+          )}
         </div>
 
         {/* Play icon overlay (hover animation) */}
@@ -137,7 +165,7 @@ function CourseCard({ course, instructor, i18n }) {
         <div className="flex items-center gap-2 mb-4">
           {course?.category && (
             <span className="bg-indigo-500/20 text-indigo-400 px-3 py-1 rounded-full text-xs font-semibold">
-              {course.category}
+              <Highlight text={course.category} terms={terms} />
             </span>
           )}
           {course?.level && (
@@ -152,14 +180,21 @@ function CourseCard({ course, instructor, i18n }) {
           id={`course-title-${course?.id}`}
           className="font-bold text-xl leading-tight mb-3 group-hover:text-gradient transition-colors"
         >
-          {course?.title}
+          <Highlight text={course?.title} terms={terms} />
         </h3>
 
         {/* Short description */}
         <p className="text-sm text-fg/70 line-clamp-2 mb-4 leading-relaxed">
-          {shortDesc}
+          <Highlight text={shortDesc} terms={terms} />
         </p>
 
+        {/* Why a search matched, when it isn't in the text above */}
+        {matchSnippet && (
+          <p className="text-xs text-fg/60 line-clamp-2 -mt-2 mb-4 italic">
+            <Highlight parts={matchSnippet} />
+          </p>
+        )}
+
         {/* Stats: rating, students count, duration */}
         <div className="flex items-center gap-4 mb-4 text-sm text-fg/60">
           {/* Rating */}
@@ -190,7 +225,9 @@ function CourseCard({ course, instructor, i18n }) {
             loading="lazy"
           />
           <div>
-            <div className="font-semibold text-sm">{instructor?.name}</div>
+            <div className="font-semibold text-sm">
+              <Highlight text={instructor?.name} terms={terms} />
+            </div>
             <div className="text-xs text-fg/60">{instructor?.bio}</div>
           </div>
         </div>
@@ -275,6 +312,12 @@ CourseCard.propTypes = {
     level: PropTypes.string,
     shortDescription: PropTypes.object,
     slug: PropTypes.string,
+    // set on search results (Utils/courseFilters)
+    match: PropTypes.shape({
+      score: PropTypes.number,
+      terms: PropTypes.arrayOf(PropTypes.string),
+      fields: PropTypes.arrayOf(PropTypes.string),
+    }),
   }).isRequired,
   instructor: PropTypes.shape({
     name: PropTypes.string,
@@ -0,0 +1,181 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useTranslation } from 'react-i18next'
+import { Infinity as InfinityIcon, LayoutGrid } from 'lucide-react'
+import CourseCard from './CourseCard'
+import Pagination from './Pagination'
+import { useCurrency } from '../../Context/useCurrency'
+import { useVirtualRows } from '../../Context/useVirtualRows'
+import { SORT_OPTIONS, filtersToParams, sortCourses } from '../../Utils/courseFilters'
+import { courseListModeChanged, selectCourseListMode } from '../../Store/preferencesSlice'
+
+const PAGE_SIZE = 12
+const GRID = 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5'
+
+// Cards per row of GRID at the current width
+const columnsNow = () =>
+  window.matchMedia('(min-width: 1024px)').matches ? 3 : window.matchMedia('(min-width: 640px)').matches ? 2 : 1
+
+function useColumns() {
+  const [columns, setColumns] = useState(columnsNow)
+  useEffect(() => {
+    const queries = ['(min-width: 640px)', '(min-width: 1024px)'].map((q) => window.matchMedia(q))
+    const update = () => setColumns(columnsNow())
+    queries.forEach((q) => q.addEventListener('change', update))
+    return () => queries.forEach((q) => q.removeEventListener('change', update))
+  }, [])
+  return columns
+}
+
+/**
+ * VirtualGrid - the card grid for infinite scroll: only the rows near the
+ * viewport are in the DOM, so thousands of loaded courses stay cheap.
+ */
+function VirtualGrid({ courses, renderCard }) {
+  const columns = useColumns()
+  const rows = useMemo(() => {
+    const chunks = []
+    for (let i = 0; i < courses.length; i += columns) chunks.push(courses.slice(i, i + columns))
+    return chunks
+  }, [courses, columns])
+  const { containerRef, start, end, before, after, rowProps } = useVirtualRows({ rowCount: rows.length, estimate: 640 })
+
+  return (
+    <div ref={containerRef} className="mt-6" style={{ paddingTop: before, paddingBottom: after }}>
+      {rows.slice(start, end).map((row, i) => (
+        <div key={start + i} {...rowProps(start + i)} className={`${GRID} pb-5`}>
+          {row.map(renderCard)}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/**
+ * CourseResults
+ * - A filtered course list (Courses page, Home): result count, sort order, and
+ *   numbered pages or infinite scroll (the user's choice, kept in preferences).
+ * - courses: the filtered list (best match first when searching)
+ * - filters / onChange: the URL filters (useCourseFilters) — sort and page live there
+ */
+export default function CourseResults({ id, courses, instructorById, filters, onChange }) {
+  const { t } = useTranslation()
+  const dispatch = useDispatch()
+  const mode = useSelector(selectCourseListMode)
+  const { priceOf } = useCurrency()
+  const sortId = useId()
+  const topRef = useRef(null)
+  const sentinelRef = useRef(null)
+
+  const sorted = useMemo(() => sortCourses(courses, filters.sort, priceOf), [courses, filters.sort, priceOf])
+  const total = sorted.length
+
+  // numbered pages
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE))
+  const page = Math.min(filters.page || 1, pageCount)
+
+  // infinite scroll: how many are loaded — back to one page when the filters change
+  const listKey = filtersToParams({ ...filters, page: 1 }).toString()
+  const [loaded, setLoaded] = useState({ key: listKey, count: PAGE_SIZE })
+  const loadedCount = loaded.key === listKey ? loaded.count : PAGE_SIZE
+  const hasMore = mode === 'scroll' && loadedCount < total
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!hasMore || !sentinel || typeof IntersectionObserver === 'undefined') return undefined
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) setLoaded({ key: listKey, count: loadedCount + PAGE_SIZE })
+      },
+      { rootMargin: '800px 0px' }
+    )
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [hasMore, listKey, loadedCount])
+
+  const goToPage = (next) => {
+    onChange({ ...filters, page: next })
+    topRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  const renderCard = (course) => (
+    <CourseCard key={course.id} course={course} instructor={instructorById.get(course.instructorId)} />
+  )
+
+  const from = (page - 1) * PAGE_SIZE + 1
+  const to = Math.min(total, page * PAGE_SIZE)
+  const summary = !total
+    ? t('results.empty', 'No courses match these filters.')
+    : mode === 'pages' && pageCount > 1
+      ? t('results.showing', 'Showing {{from}}–{{to}} of {{count}} courses', { from, to, count: total })
+      : t('results.count', '{{count}} courses', { count: total })
+
+  const modeButton = (value, Icon, label) => (
+    <button
+      type="button"
+      onClick={() => dispatch(courseListModeChanged(value))}
+      aria-pressed={mode === value}
+      title={label}
+      aria-label={label}
+      className={`p-2 rounded-xl border border-white/20 transition-colors ${
+        mode === value ? 'bg-indigo-500 text-white border-indigo-500' : 'bg-white/10 hover:bg-white/20'
+      }`}
+    >
+      <Icon className="w-4 h-4" aria-hidden />
+    </button>
+  )
+
+  return (
+    <section id={id} aria-label={t('results.title', 'Courses')}>
+      {/* Count, sort and paging mode */}
+      <div ref={topRef} className="mt-8 flex flex-wrap items-center justify-between gap-3 scroll-mt-24">
+        <p className="text-sm text-fg/70" aria-live="polite">
+          {summary}
+        </p>
+        <div className="flex items-center gap-2">
+          <label htmlFor={sortId} className="text-sm text-fg/70">
+            {t('results.sortBy', 'Sort by')}
+          </label>
+          <select
+            id={sortId}
+            value={filters.sort || 'relevance'}
+            onChange={(e) => onChange({ ...filters, sort: e.target.value === 'relevance' ? '' : e.target.value })}
+            className="px-3 py-2 shadow rounded-2xl border border-white/10 bg-white/70 dark:bg-black/40 text-sm"
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {t(`results.sort.${option}`, option)}
+              </option>
+            ))}
+          </select>
+          {modeButton('pages', LayoutGrid, t('results.modes.pages', 'Pages'))}
+          {modeButton('scroll', InfinityIcon, t('results.modes.scroll', 'Infinite scroll'))}
+        </div>
+      </div>
+
+      {mode === 'scroll' ? (
+        <>
+          <VirtualGrid courses={sorted.slice(0, loadedCount)} renderCard={renderCard} />
+          {hasMore && (
+            <div ref={sentinelRef} className="flex justify-center py-4">
+              <button
+                type="button"
+                onClick={() => setLoaded({ key: listKey, count: loadedCount + PAGE_SIZE })}
+                className="btn-secondary shadow rounded-2xl"
+              >
+                {t('results.loadMore', 'Load more')}
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          <div className={`mt-6 ${GRID}`}>
+            {sorted.slice(from - 1, page * PAGE_SIZE).map(renderCard)}
+          </div>
+          <Pagination page={page} pageCount={pageCount} onChange={goToPage} />
+        </>
+      )}
+    </section>
+  )
+}
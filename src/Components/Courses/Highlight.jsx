@@ -0,0 +1,20 @@
+import React from 'react'
+import { highlight } from '../../Utils/searchIndex'
+
+/**
+ * Text with the words matched by a search marked.
+ * - text + terms: the matched index terms (course.match.terms)
+ * - or parts: already split text, e.g. a snippet from courseSnippet()
+ */
+export default function Highlight({ text, terms, parts }) {
+  const pieces = parts || (terms?.length ? highlight(text, terms) : [{ text, match: false }])
+  return pieces.map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-amber-300/40 text-inherit rounded px-0.5">
+        {part.text}
+      </mark>
+    ) : (
+      <React.Fragment key={i}>{part.text}</React.Fragment>
+    )
+  )
+}
@@ -0,0 +1,65 @@
+import React from 'react'
+import { ChevronLeft, ChevronRight } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+
+// Page numbers to show: the first, the last and two around the current one, with gaps
+function pageItems(page, pageCount) {
+  const pages = new Set([1, pageCount, page - 1, page, page + 1].filter((p) => p >= 1 && p <= pageCount))
+  const sorted = [...pages].sort((a, b) => a - b)
+  return sorted.flatMap((p, i) => (i > 0 && p - sorted[i - 1] > 1 ? ['gap-' + p, p] : [p]))
+}
+
+/**
+ * Pagination
+ * - Numbered pages with previous / next.
+ * - page (1-based), pageCount; onChange(page)
+ */
+export default function Pagination({ page, pageCount, onChange }) {
+  const { t } = useTranslation()
+  if (pageCount <= 1) return null
+
+  const buttonClass = 'min-w-10 h-10 px-3 rounded-xl border border-white/20 transition-colors disabled:opacity-40 disabled:cursor-not-allowed'
+
+  return (
+    <nav aria-label={t('results.pagination', 'Pagination')} className="mt-8 flex flex-wrap items-center justify-center gap-2">
+      <button
+        type="button"
+        onClick={() => onChange(page - 1)}
+        disabled={page <= 1}
+        className={`${buttonClass} bg-white/10 hover:bg-white/20`}
+        aria-label={t('results.previous', 'Previous page')}
+      >
+        <ChevronLeft className="w-4 h-4 rtl:rotate-180" aria-hidden />
+      </button>
+
+      {pageItems(page, pageCount).map((item) =>
+        typeof item === 'string' ? (
+          <span key={item} className="px-1 text-fg/50" aria-hidden>
+            …
+          </span>
+        ) : (
+          <button
+            key={item}
+            type="button"
+            onClick={() => onChange(item)}
+            aria-current={item === page ? 'page' : undefined}
+            aria-label={t('results.page', 'Page {{page}}', { page: item })}
+            className={`${buttonClass} ${item === page ? 'bg-indigo-500 text-white border-indigo-500' : 'bg-white/10 hover:bg-white/20'}`}
+          >
+            {item}
+          </button>
+        )
+      )}
+
+      <button
+        type="button"
+        onClick={() => onChange(page + 1)}
+        disabled={page >= pageCount}
+        className={`${buttonClass} bg-white/10 hover:bg-white/20`}
+        aria-label={t('results.next', 'Next page')}
+      >
+        <ChevronRight className="w-4 h-4 rtl:rotate-180" aria-hidden />
+      </button>
+    </nav>
+  )
+}
@@ -0,0 +1,34 @@
+import React from 'react'
+import { TrendingDown } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+import { coursePrice } from '../../../Data/currencies'
+import { priceDrop } from '../../../Data/sales'
+import { useCurrency } from '../../Context/useCurrency'
+
+/**
+ * PriceDrop
+ * - "$10.00 less than when you saved it" under a wishlist item or cart line whose
+ *   course got cheaper since it was added (its `savedPrice` snapshot, Data/sales.js).
+ * - Compared in the snapshot's currency, so changing currency doesn't look like a drop.
+ * - snapshot: the item's savedPrice; course: the course as it is now;
+ *   variant: 'wishlist' | 'cart'; className: extra classes
+ */
+export default function PriceDrop({ snapshot, course, variant = 'wishlist', className = '' }) {
+  const { t } = useTranslation()
+  const { formatPrice } = useCurrency()
+  if (!snapshot || !course) return null
+
+  const drop = priceDrop(snapshot, coursePrice(course, snapshot.currency))
+  if (!drop) return null
+
+  const amount = formatPrice(drop, snapshot.currency)
+  const was = formatPrice(snapshot.amount, snapshot.currency)
+  return (
+    <p className={`flex items-center gap-1 text-sm text-green-500 ${className}`}>
+      <TrendingDown className="w-4 h-4 flex-none" aria-hidden />
+      {variant === 'cart'
+        ? t('priceDrop.cart', '{{amount}} less than when you added it ({{was}})', { amount, was })
+        : t('priceDrop.wishlist', '{{amount}} less than when you saved it ({{was}})', { amount, was })}
+    </p>
+  )
+}
@@ -0,0 +1,42 @@
+import React from 'react'
+import { Timer } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// "2d 5h", "5h 12m" or "12:05" (last hour)
+function formatTimeLeft(ms, t) {
+  const total = Math.max(0, Math.floor(ms / 1000))
+  const days = Math.floor(total / 86400)
+  const hours = Math.floor((total % 86400) / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  if (days) return t('sale.timeDays', '{{days}}d {{hours}}h', { days, hours })
+  if (hours) return t('sale.timeHours', '{{hours}}h {{minutes}}m', { hours, minutes })
+  return t('sale.timeMinutes', '{{minutes}}:{{seconds}}', { minutes: pad(minutes), seconds: pad(total % 60) })
+}
+
+/**
+ * SaleBadge
+ * - "30% off · ends in 2d 5h" pill for a course on sale (state from useSale).
+ * - percent: discount off the regular price; timeLeft: ms until the sale ends
+ *   (Infinity: no countdown); className: extra classes
+ */
+export default function SaleBadge({ percent, timeLeft, className = '' }) {
+  const { t } = useTranslation()
+  const countdown = Number.isFinite(timeLeft) && timeLeft > 0 ? formatTimeLeft(timeLeft, t) : null
+
+  return (
+    <span
+      className={`inline-flex items-center gap-1 bg-gradient-to-r from-pink-500 to-red-500 text-white px-3 py-1 rounded-full text-xs font-semibold shadow-lg ${className}`}
+    >
+      {t('sale.off', '{{percent}}% off', { percent })}
+      {countdown && (
+        <>
+          <span aria-hidden>·</span>
+          <Timer className="w-3 h-3" aria-hidden />
+          <span className="tabular-nums">{t('sale.endsIn', 'ends in {{time}}', { time: countdown })}</span>
+        </>
+      )}
+    </span>
+  )
+}
@@ -0,0 +1,36 @@
+// ErrorState.jsx
+// Friendly error box with a retry button (wired to React Query's refetch).
+import { AlertTriangle, RotateCcw } from "lucide-react";
+import { useTranslation } from "react-i18next";
+
+export default function ErrorState({ title, description, onRetry, isRetrying = false }) {
+  const { t } = useTranslation();
+
+  return (
+    <div
+      role="alert"
+      className="glass shadow rounded-3xl p-8 border border-red-500/30 text-center max-w-lg mx-auto my-8"
+    >
+      <div className="w-14 h-14 bg-red-500/20 rounded-full flex items-center justify-center mx-auto mb-4">
+        <AlertTriangle className="w-7 h-7 text-red-500" />
+      </div>
+      <h2 className="text-xl font-bold mb-2">
+        {title || t("status.errorTitle", "Something went wrong")}
+      </h2>
+      <p className="text-fg/70 mb-6">
+        {description || t("status.errorDesc", "We couldn't load this content. Check your connection and try again.")}
+      </p>
+      {onRetry && (
+        <button
+          type="button"
+          onClick={() => onRetry()}
+          disabled={isRetrying}
+          className="btn-primary inline-flex items-center gap-2 disabled:opacity-50"
+        >
+          <RotateCcw className={`w-4 h-4 ${isRetrying ? "animate-spin" : ""}`} />
+          {isRetrying ? t("status.retrying", "Retrying...") : t("status.retry", "Try again")}
+        </button>
+      )}
+    </div>
+  );
+}
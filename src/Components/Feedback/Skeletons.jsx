@@ -0,0 +1,89 @@
+// Skeletons.jsx
+// Loading placeholders shaped like the real content (cards, details page, dashboard),
+// so slow networks show structure instead of an empty page.
+
+// one pulsing block
+function Bone({ className = "" }) {
+  return <div className={`bg-black/10 dark:bg-white/10 rounded-xl ${className}`} />;
+}
+
+export function CourseCardSkeleton() {
+  return (
+    <div className="rounded-3xl shadow overflow-hidden glass border border-white/20 animate-pulse" aria-hidden>
+      <Bone className="h-72 rounded-none" />
+      <div className="p-6 space-y-4">
+        <div className="flex gap-2">
+          <Bone className="h-6 w-20 rounded-full" />
+          <Bone className="h-6 w-24 rounded-full" />
+        </div>
+        <Bone className="h-6 w-3/4" />
+        <Bone className="h-4 w-full" />
+        <Bone className="h-4 w-2/3" />
+        <div className="flex items-center gap-3">
+          <Bone className="w-10 h-10 rounded-full" />
+          <Bone className="h-4 w-32" />
+        </div>
+        <Bone className="h-12 w-full rounded-2xl" />
+      </div>
+    </div>
+  );
+}
+
+export function CourseGridSkeleton({ count = 6, label = "Loading courses" }) {
+  return (
+    <section
+      className="mt-8 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5"
+      role="status"
+      aria-label={label}
+    >
+      {Array.from({ length: count }, (_, i) => (
+        <CourseCardSkeleton key={i} />
+      ))}
+    </section>
+  );
+}
+
+export function CourseDetailsSkeleton({ label = "Loading course" }) {
+  return (
+    <div className="py-8 px-4 animate-pulse" role="status" aria-label={label}>
+      <Bone className="h-4 w-32 mb-8" />
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8 mb-12">
+        <Bone className="h-80 rounded-3xl" />
+        <div className="space-y-4">
+          <div className="flex gap-2">
+            <Bone className="h-7 w-24 rounded-full" />
+            <Bone className="h-7 w-28 rounded-full" />
+          </div>
+          <Bone className="h-10 w-3/4" />
+          <Bone className="h-4 w-full" />
+          <Bone className="h-4 w-5/6" />
+          <div className="flex items-center gap-4 pt-4">
+            <Bone className="w-16 h-16 rounded-full" />
+            <div className="space-y-2">
+              <Bone className="h-4 w-40" />
+              <Bone className="h-3 w-56" />
+            </div>
+          </div>
+          <Bone className="h-56 rounded-3xl" />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function DashboardSkeleton({ label = "Loading dashboard" }) {
+  return (
+    <div className="space-y-8 animate-pulse" role="status" aria-label={label}>
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        {Array.from({ length: 4 }, (_, i) => (
+          <div key={i} className="glass shadow rounded-3xl p-6 border border-white/10 space-y-4">
+            <Bone className="w-8 h-8" />
+            <Bone className="h-8 w-24" />
+            <Bone className="h-4 w-32" />
+          </div>
+        ))}
+      </div>
+      <Bone className="h-40 rounded-3xl" />
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import React from 'react'
+import { X } from 'lucide-react'
+import { useTranslation } from 'react-i18next'
+import { EMPTY_FILTERS } from '../../Utils/courseFilters'
+import { useFacetLabels } from '../../Context/useFacetLabels'
+
+const isSet = (value) => value !== '' && value != null
+
+/**
+ * ActiveFilters
+ * - One removable chip per chosen filter value, and "Clear" for all of them
+ *   (keeps the sort order). Nothing when no filter is on.
+ * - filters / onChange: as in Filters
+ */
+export default function ActiveFilters({ filters, onChange }) {
+  const { t } = useTranslation()
+  const label = useFacetLabels()
+
+  const single = (key) => (isSet(filters[key]) ? [{ id: key, text: label(key, filters[key]), next: { [key]: '' } }] : [])
+  const list = (key) =>
+    (filters[key] || []).map((value) => ({
+      id: `${key}-${value}`,
+      text: label(key, value),
+      next: { [key]: filters[key].filter((v) => v !== value) },
+    }))
+  const price =
+    isSet(filters.minPrice) || isSet(filters.maxPrice)
+      ? [{ id: 'price', text: label('price', filters), next: { minPrice: '', maxPrice: '' } }]
+      : []
+
+  const chips = [
+    ...single('query'),
+    ...list('categories'),
+    ...single('level'),
+    ...list('tags'),
+    ...price,
+    ...single('pricing'),
+    ...single('rating'),
+    ...list('durations'),
+    ...list('languages'),
+    ...list('badges'),
+  ]
+  if (!chips.length) return null
+
+  return (
+    <div role="group" aria-label={t('filters.active.title', 'Active filters')} className="flex flex-wrap items-center gap-2">
+      {chips.map((chip) => (
+        <button
+          key={chip.id}
+          type="button"
+          onClick={() => onChange({ ...filters, ...chip.next })}
+          aria-label={t('filters.active.remove', 'Remove filter: {{filter}}', { filter: chip.text })}
+          className="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm border border-indigo-500/40 bg-indigo-500/15 hover:bg-indigo-500/25 transition-colors"
+        >
+          {chip.text}
+          <X className="w-3 h-3" aria-hidden />
+        </button>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange({ ...EMPTY_FILTERS, sort: filters.sort })}
+        className="btn-secondary shadow rounded-2xl"
+      >
+        {t('filters.clear')}
+      </button>
+    </div>
+  )
+}
@@ -1,25 +1,86 @@
 import React from 'react'
 import { useTranslation } from 'react-i18next'
+import { BADGE_OPTIONS, DURATION_BUCKETS, PRICING_OPTIONS, RATING_OPTIONS } from '../../Utils/courseFilters'
+import { useFacetLabels } from '../../Context/useFacetLabels'
+import ActiveFilters from './ActiveFilters'
+import PriceRange from './PriceRange'
 
-export default function Filters({ query, onChange, categories, levels, tags, selected }) {
+const chipClass = (on) =>
+  `px-3 py-1 rounded-full text-sm border transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+    on ? 'bg-indigo-500 text-white border-indigo-500' : 'border-white/20 bg-white/70 dark:bg-black/40 hover:bg-white/20'
+  }`
+
+// A filter option with its live result count; off when it would show nothing
+function Chip({ on, count, onClick, children }) {
+  return (
+    <button type="button" aria-pressed={on} disabled={!on && count === 0} onClick={onClick} className={chipClass(on)}>
+      {children}
+      {count != null && <span className="ms-1.5 text-xs opacity-70">{count}</span>}
+    </button>
+  )
+}
+
+// A labelled row of chips
+function Group({ label, children }) {
+  return (
+    <div role="group" aria-label={label} className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-semibold text-fg/70 me-1">{label}</span>
+      {children}
+    </div>
+  )
+}
+
+/**
+ * Filters
+ * - Search box, level dropdown, categories / tags, and the facets: price range,
+ *   free / paid, minimum rating, duration, language and new / popular. Lists can
+ *   be picked several at a time (a course matches any of the picked ones).
+ * - Each option shows how many courses it would give (facets, from
+ *   Utils/courseFilters → courseFacets; no counts while it loads). The chosen
+ *   filters are listed as removable chips.
+ * - selected: the filters (Utils/courseFilters shape); onChange(next) gets the new ones
+ */
+export default function Filters({ query, onChange, categories, levels, tags, selected, facets }) {
   // Initialize the translation hook
   const { t } = useTranslation()
+  const label = useFacetLabels()
+  const countOf = (key, value) => facets?.[key]?.[value]
 
   // Helper function to update a specific filter
   const update = (key, value) => {
     onChange({ ...selected, [key]: value })
   }
 
+  // Adds or removes one value of a multi-select filter
+  const toggle = (key, value) => {
+    const current = selected[key] || []
+    update(key, current.includes(value) ? current.filter((v) => v !== value) : [...current, value])
+  }
+
+  // Picks the value of a single-choice filter, or unpicks it
+  const pick = (key, value) => update(key, selected[key] === value ? '' : value)
+
+  // Chips for every option of a filter
+  const chips = (key, options, choose = toggle) =>
+    options.map((value) => {
+      const on = [].concat(selected[key] ?? []).includes(value)
+      return (
+        <Chip key={value} on={on} count={countOf(key, value)} onClick={() => choose(key, value)}>
+          {label(key, value)}
+        </Chip>
+      )
+    })
+
   return (
     // Filters section wrapper with glassmorphism styling
     <section id="filters" className="mt-8 glass shadow border border-white/10 rounded-3xl p-4">
       <div className="flex flex-col gap-4">
-        
-        {/* Search + Dropdown Filters Grid */}
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+
+        {/* Search + Level */}
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
 
           {/* Search Input Field */}
-          <div className="flex shadow items-center gap-2 px-3 py-2 rounded-2xl border border-white/10 bg-white/70 dark:bg-black/40">
+          <div className="md:col-span-2 flex shadow items-center gap-2 px-3 py-2 rounded-2xl border border-white/10 bg-white/70 dark:bg-black/40">
             {/* Search Icon */}
             <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 opacity-70" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5">
               <path strokeLinecap="round" strokeLinejoin="round" d="M21 21l-4.35-4.35M17 11a6 6 0 11-12 0 6 6 0 0112 0z"/>
@@ -28,58 +89,61 @@ export default function Filters({ query, onChange, categories, levels, tags, sel
             <input
               type="search"
               value={query}
-              onChange={(e) => onChange({ ...selected, query: e.target.value })}
+              onChange={(e) => update('query', e.target.value)}
               placeholder={t('filters.search')}
+              aria-label={t('filters.search')}
               className="flex-1 bg-transparent outline-none"
             />
           </div>
 
-          {/* Category Dropdown */}
-          <select
-            value={selected.category || ''}
-            onChange={(e) => update('category', e.target.value)}
-            className="px-3 py-2 shadow rounded-2xl border border-white/10 bg-white/70 dark:bg-black/40"
-          >
-            <option value="">{t('filters.category')}</option>
-            {categories.map((c) => (
-              <option key={c} value={c}>{c}</option>
-            ))}
-          </select>
-
           {/* Level Dropdown */}
           <select
             value={selected.level || ''}
             onChange={(e) => update('level', e.target.value)}
+            aria-label={t('filters.level')}
             className="px-3 py-2 shadow rounded-2xl border border-white/10 bg-white/70 dark:bg-black/40"
           >
             <option value="">{t('filters.level')}</option>
             {levels.map((l) => (
-              <option key={l} value={l}>{l}</option>
-            ))}
-          </select>
-
-          {/* Tags Dropdown */}
-          <select
-            value={selected.tag || ''}
-            onChange={(e) => update('tag', e.target.value)}
-            className="px-3 py-2 shadow rounded-2xl border border-white/10 bg-white/70 dark:bg-black/40"
-          >
-            <option value="">{t('filters.tags')}</option>
-            {tags.map((tTag) => (
-              <option key={tTag} value={tTag}>{tTag}</option>
+              <option key={l} value={l} disabled={l !== selected.level && countOf('level', l) === 0}>
+                {countOf('level', l) != null ? `${l} (${countOf('level', l)})` : l}
+              </option>
             ))}
           </select>
         </div>
 
-        {/* Clear Filters Button */}
-        <div>
-          <button
-            onClick={() => onChange({ query: '', category: '', level: '', tag: '' })}
-            className="btn-secondary shadow rounded-2xl"
-          >
-            {t('filters.clear')}
-          </button>
+        {/* Categories and tags (multi-select) */}
+        <Group label={t('filters.category')}>{chips('categories', categories)}</Group>
+        <Group label={t('filters.tags')}>{chips('tags', tags)}</Group>
+
+        {/* Facets */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="flex flex-col gap-2">
+            <Group label={t('filters.price.title', 'Price')}>{chips('pricing', PRICING_OPTIONS, pick)}</Group>
+            {facets && (
+              <PriceRange
+                min={facets.price.min}
+                max={facets.price.max}
+                minPrice={selected.minPrice ?? ''}
+                maxPrice={selected.maxPrice ?? ''}
+                onChange={(range) => onChange({ ...selected, ...range })}
+              />
+            )}
+          </div>
+          <div className="flex flex-col gap-2">
+            <Group label={t('filters.rating.title', 'Rating')}>{chips('rating', RATING_OPTIONS, pick)}</Group>
+            <Group label={t('filters.durations.title', 'Duration')}>
+              {chips('durations', DURATION_BUCKETS.map((bucket) => bucket.id))}
+            </Group>
+            <Group label={t('filters.languages', 'Language')}>
+              {chips('languages', Object.keys(facets?.languages || {}))}
+            </Group>
+            <Group label={t('filters.badges.title', 'Show only')}>{chips('badges', BADGE_OPTIONS)}</Group>
+          </div>
         </div>
+
+        {/* Chosen filters, each removable, and Clear (keeps the sort order) */}
+        <ActiveFilters filters={selected} onChange={onChange} />
       </div>
     </section>
   )
@@ -0,0 +1,63 @@
+import React, { useState } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useCurrency } from '../../Context/useCurrency'
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value))
+
+/**
+ * PriceRange
+ * - Two sliders (lowest / highest price) between `min` and `max`, in the shown currency.
+ * - minPrice / maxPrice: the chosen bounds ('' = no bound)
+ * - onChange({ minPrice, maxPrice }) runs when a slider is let go (not on every
+ *   step of a drag, so the URL gets one history entry); a bound at the end of
+ *   the range is sent as ''.
+ */
+export default function PriceRange({ min, max, minPrice, maxPrice, onChange }) {
+  const { t } = useTranslation()
+  const { formatPrice } = useCurrency()
+  const [draft, setDraft] = useState(null) // { low, high } while a slider moves
+
+  const low = draft?.low ?? (minPrice === '' ? min : clamp(minPrice, min, max))
+  const high = draft?.high ?? (maxPrice === '' ? max : clamp(maxPrice, min, max))
+
+  const commit = () => {
+    if (!draft) return
+    setDraft(null)
+    onChange({ minPrice: low <= min ? '' : low, maxPrice: high >= max ? '' : high })
+  }
+
+  if (max <= min) return null
+
+  const sliderProps = {
+    type: 'range',
+    min,
+    max,
+    step: 1,
+    onPointerUp: commit,
+    onKeyUp: commit,
+    onBlur: commit,
+    className: 'w-full accent-indigo-500',
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <p className="text-sm" aria-live="polite">
+        {formatPrice(low)} – {formatPrice(high)}
+      </p>
+      <input
+        {...sliderProps}
+        value={low}
+        onChange={(e) => setDraft({ low: Math.min(Number(e.target.value), high), high })}
+        aria-label={t('filters.price.min', 'Lowest price')}
+        aria-valuetext={formatPrice(low)}
+      />
+      <input
+        {...sliderProps}
+        value={high}
+        onChange={(e) => setDraft({ low, high: Math.max(Number(e.target.value), low) })}
+        aria-label={t('filters.price.max', 'Highest price')}
+        aria-valuetext={formatPrice(high)}
+      />
+    </div>
+  )
+}
@@ -4,6 +4,7 @@ import { useTranslation } from "react-i18next";
 import { Link } from "react-router-dom";
 import { ArrowBigLeft, ArrowBigRight, User } from "lucide-react";
 import CountUp from "react-countup";
+import HeroSearch from "./HeroSearch";
 
 export default function Hero() {
   const { t, i18n } = useTranslation();
@@ -94,49 +95,15 @@ export default function Hero() {
               </a>
             </motion.div>
 
-            {/* search */}
-            <motion.form
+            {/* search (typeahead → /courses?q=...) */}
+            <motion.div
               initial={{ opacity: 0, y: 20 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ delay: 0.6 }}
               className="mt-8 w-full max-w-md"
-              role="search"
-              onSubmit={(e) => e.preventDefault()}
             >
-              <label htmlFor="hero-search" className="sr-only">
-                {t("navbar.search", "Search courses")}
-              </label>
-              <div className="glass rounded-2xl p-1 flex items-center gap-2 border border-white/20">
-                <input
-                  id="hero-search"
-                  type="search"
-                  placeholder={t(
-                    "hero.searchPlaceholder",
-                    "Search courses, e.g. React"
-                  )}
-                  className="flex-1 bg-transparent placeholder:text-fg/70 text-fg px-4 py-3 focus:outline-none"
-                />
-                <button
-                  className="px-4 py-2 bg-white/10 rounded-lg text-fg/90 hover:bg-white/20 transition"
-                  aria-label={t("navbar.search", "Search courses")}
-                >
-                  <svg
-                    xmlns="http://www.w3.org/2000/svg"
-                    className="h-5 w-5"
-                    fill="none"
-                    viewBox="0 0 24 24"
-                    stroke="currentColor"
-                    strokeWidth="1.5"
-                  >
-                    <path
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                      d="M21 21l-4.35-4.35M17 11a6 6 0 11-12 0 6 6 0 0112 0z"
-                    />
-                  </svg>
-                </button>
-              </div>
-            </motion.form>
+              <HeroSearch />
+            </motion.div>
 
             {/* Stats */}
             <motion.div
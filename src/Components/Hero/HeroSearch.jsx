@@ -0,0 +1,226 @@
+import React, { useDeferredValue, useId, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useDispatch, useSelector } from "react-redux";
+import { BookOpen, Clock, Folder, Hash, Search, User, X } from "lucide-react";
+import { useAuth } from "../../Context/useAuth";
+import { useCourses, useInstructors, useTaxonomy } from "../../Api/queries";
+import { coursesUrl, searchSuggestions } from "../../Utils/courseFilters";
+import {
+  recentSearchRemoved,
+  recentSearchesCleared,
+  searchRecorded,
+  selectRecentSearches,
+} from "../../Store/searchSlice";
+import Highlight from "../Courses/Highlight";
+
+const ICONS = { recent: Clock, course: BookOpen, instructor: User, tag: Hash, category: Folder, search: Search };
+
+/**
+ * HeroSearch
+ * - The Hero's search box: a combobox with typeahead suggestions (courses,
+ *   instructors, tags, categories) and, while empty, the user's recent searches.
+ * - ↑ / ↓ move through the suggestions, Enter opens one (or searches), Esc closes.
+ * - Searching opens /courses?q=... with the query in the filters; tags and
+ *   categories open the list filtered by them. Searches are remembered per account
+ *   (Store/searchSlice).
+ */
+export default function HeroSearch() {
+  const { t } = useTranslation();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { user } = useAuth();
+  const recent = useSelector(selectRecentSearches);
+  const listId = useId();
+
+  const [query, setQuery] = useState("");
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(-1);
+  const deferredQuery = useDeferredValue(query);
+
+  const { data: courses } = useCourses();
+  const { data: instructors } = useInstructors();
+  const { data: taxonomy } = useTaxonomy();
+
+  const suggestions = useMemo(
+    () =>
+      searchSuggestions(deferredQuery, {
+        courses,
+        instructors,
+        tags: taxonomy?.tags,
+        categories: taxonomy?.categories,
+      }),
+    [deferredQuery, courses, instructors, taxonomy]
+  );
+
+  // one flat list so the keyboard can walk through every group
+  const text = query.trim();
+  const options = useMemo(() => {
+    if (!text) return recent.map((q) => ({ kind: "recent", label: q, to: coursesUrl({ query: q }), record: q }));
+    return [
+      ...suggestions.courses.map((course) => ({
+        kind: "course",
+        label: course.title,
+        terms: course.match?.terms,
+        to: `/courses/${course.slug}`,
+        record: text,
+      })),
+      ...suggestions.instructors.map((instructor) => ({
+        kind: "instructor",
+        label: instructor.name,
+        to: coursesUrl({ query: instructor.name }),
+        record: instructor.name,
+      })),
+      ...suggestions.tags.map((tag) => ({ kind: "tag", label: tag, to: coursesUrl({ tags: [tag] }), record: tag })),
+      ...suggestions.categories.map((category) => ({
+        kind: "category",
+        label: category,
+        to: coursesUrl({ categories: [category] }),
+        record: category,
+      })),
+      { kind: "search", label: text, to: coursesUrl({ query: text }), record: text },
+    ];
+  }, [text, recent, suggestions]);
+
+  const expanded = open && options.length > 0;
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  const choose = (option) => {
+    dispatch(searchRecorded({ ownerId: user?.id, query: option.record }));
+    setOpen(false);
+    setActive(-1);
+    navigate(option.to);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (expanded && active >= 0) choose(options[active]);
+    else if (text) choose({ to: coursesUrl({ query: text }), record: text });
+    else navigate("/courses");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setOpen(true);
+      if (!options.length) return;
+      // -1 (the input itself) → 0 … last → -1
+      const step = e.key === "ArrowDown" ? 1 : options.length;
+      setActive((current) => ((current + 1 + step) % (options.length + 1)) - 1);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+      setActive(-1);
+    }
+  };
+
+  const groupLabel = (kind) =>
+    ({
+      recent: t("hero.search.recent", "Recent searches"),
+      course: t("hero.search.courses", "Courses"),
+      instructor: t("hero.search.instructors", "Instructors"),
+      tag: t("hero.search.tags", "Tags"),
+      category: t("hero.search.categories", "Categories"),
+    })[kind];
+
+  return (
+    <form className="relative" role="search" onSubmit={handleSubmit}>
+      <label htmlFor="hero-search" className="sr-only">
+        {t("navbar.search", "Search courses")}
+      </label>
+      <div className="glass rounded-2xl p-1 flex items-center gap-2 border border-white/20">
+        <input
+          id="hero-search"
+          type="search"
+          role="combobox"
+          autoComplete="off"
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls={listId}
+          aria-activedescendant={expanded && active >= 0 ? optionId(active) : undefined}
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setOpen(true);
+            setActive(-1);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={() => setOpen(false)}
+          onKeyDown={handleKeyDown}
+          placeholder={t("hero.searchPlaceholder", "Search courses, e.g. React")}
+          className="flex-1 bg-transparent placeholder:text-fg/70 text-fg px-4 py-3 focus:outline-none"
+        />
+        <button
+          type="submit"
+          className="px-4 py-2 bg-white/10 rounded-lg text-fg/90 hover:bg-white/20 transition"
+          aria-label={t("navbar.search", "Search courses")}
+        >
+          <Search className="h-5 w-5" aria-hidden />
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="absolute z-30 mt-2 w-full glass rounded-2xl border border-white/20 bg-white/90 dark:bg-black/80 shadow-2xl overflow-hidden">
+          <ul id={listId} role="listbox" aria-label={t("hero.search.suggestions", "Suggestions")} className="max-h-80 overflow-y-auto py-2">
+            {options.map((option, index) => {
+              const Icon = ICONS[option.kind];
+              const startsGroup = option.kind !== "search" && options[index - 1]?.kind !== option.kind;
+              return (
+                <React.Fragment key={`${option.kind}-${option.label}`}>
+                  {startsGroup && (
+                    <li role="presentation" className="px-4 pt-2 pb-1 text-xs font-semibold uppercase tracking-wide text-fg/50">
+                      {groupLabel(option.kind)}
+                    </li>
+                  )}
+                  <li
+                    id={optionId(index)}
+                    role="option"
+                    aria-selected={index === active}
+                    // keep the focus in the input so the list doesn't close before the click
+                    onMouseDown={(e) => e.preventDefault()}
+                    onMouseEnter={() => setActive(index)}
+                    onClick={() => choose(option)}
+                    className={`flex items-center gap-3 px-4 py-2 cursor-pointer text-sm ${
+                      index === active ? "bg-indigo-500/20" : ""
+                    }`}
+                  >
+                    <Icon className="w-4 h-4 shrink-0 text-fg/60" aria-hidden />
+                    <span className="flex-1 truncate">
+                      {option.kind === "search" ? (
+                        t("hero.search.searchFor", "Search for “{{query}}”", { query: option.label })
+                      ) : (
+                        <Highlight text={option.label} terms={option.terms} />
+                      )}
+                    </span>
+                    {option.kind === "recent" && (
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          dispatch(recentSearchRemoved({ ownerId: user?.id, query: option.label }));
+                        }}
+                        className="p-1 rounded hover:bg-white/20"
+                        aria-label={t("hero.search.remove", "Remove {{query}} from recent searches", { query: option.label })}
+                      >
+                        <X className="w-3 h-3" aria-hidden />
+                      </button>
+                    )}
+                  </li>
+                </React.Fragment>
+              );
+            })}
+          </ul>
+          {!text && (
+            <button
+              type="button"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => dispatch(recentSearchesCleared(user?.id))}
+              className="w-full px-4 py-2 text-xs text-fg/60 hover:text-fg border-t border-white/10 text-start"
+            >
+              {t("hero.search.clearRecent", "Clear recent searches")}
+            </button>
+          )}
+        </div>
+      )}
+    </form>
+  );
+}
@@ -3,6 +3,7 @@ import React, { useState, useEffect, useRef } from "react";
 import { Link, NavLink } from "react-router-dom";
 import { useTheme } from "../../Theme/ThemeProvider";
 import { useTranslation } from "react-i18next";
+import { useDispatch, useSelector } from "react-redux";
 import {
   User,
   LogOut,
@@ -15,11 +16,16 @@ import {
 import CartIcon from "../Cart/CartIcon";
 import { useWishlist, useCart } from "../../Context/CartContext";
 import CartPanel from "../CartPanel/CartPanel";
+import VerifyEmailBanner from "../Auth/VerifyEmailBanner";
+import { languageChanged, selectLanguage } from "../../Store/preferencesSlice";
+import { useAuth } from "../../Context/useAuth";
+import { useCurrency } from "../../Context/useCurrency";
+import { SUPPORTED_CURRENCIES } from "../../../Data/currencies";
 
 /*
   Navbar component:
   - contains links (Home, Courses, Dashboard)
-  - theme & language toggles
+  - theme & language toggles, currency picker
   - wishlist and cart (with a CartPanel dropdown/sheet)
   - user menu (auth / dashboard / logout)
   Comments below explain each part and suggest small improvements inline.
@@ -31,9 +37,11 @@ export default function Navbar() {
   // i18n hook for translations and language detection
   const { t, i18n } = useTranslation();
 
-  // user/auth state: stored in localStorage on mount
-  const [user, setUser] = useState(null);
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // current user (shared by every component and tab) and the stored language preference
+  const { user, isAuthenticated, logout, updateProfile } = useAuth();
+  const dispatch = useDispatch();
+  const savedLang = useSelector(selectLanguage);
+  const { currency, setCurrency, unitPriceOf } = useCurrency();
   const [showUserMenu, setShowUserMenu] = useState(false);
 
   // Context hooks: wishlist and cart
@@ -57,7 +65,7 @@ export default function Navbar() {
   const cartTotal =
     typeof cartCtx.getTotalPrice === "function"
       ? cartCtx.getTotalPrice()
-      : cartItems.reduce((s, i) => s + (i.price || 0) * (i.quantity || 1), 0);
+      : cartItems.reduce((s, i) => s + unitPriceOf(i) * (i.quantity || 1), 0);
 
   const [mobileOpen, setMobileOpen] = useState(false);
 
@@ -88,50 +96,16 @@ export default function Navbar() {
   }, []);
 
   /*
-    Setup language from localStorage or from i18n
+    Setup language from the stored preference or from i18n
     - we also set document.documentElement.dir to support RTL
-    - this runs whenever `i18n` changes (i18n is stable so this is fine)
     - improvement: centralize this logic in your i18n init file (so it's not repeated across components)
   */
   useEffect(() => {
-    try {
-      const savedLang = localStorage.getItem("lang");
-      if (savedLang && savedLang !== i18n.language) {
-        i18n.changeLanguage(savedLang);
-        document.documentElement.dir = savedLang === "ar" ? "rtl" : "ltr";
-      } else {
-        document.documentElement.dir = i18n.language === "ar" ? "rtl" : "ltr";
-      }
-    } catch (e) {
-      // if localStorage is blocked, just set dir from i18n
-      document.documentElement.dir = i18n.language === "ar" ? "rtl" : "ltr";
-    }
-
-    // load auth state from localStorage (simple persistence)
-    try {
-      const authStatus = localStorage.getItem("isAuthenticated");
-      const rawUser = localStorage.getItem("user");
-      if (authStatus === "true" && rawUser) {
-        const parsed = JSON.parse(rawUser);
-        if (parsed && (parsed.name || parsed.email || parsed.id)) {
-          setIsAuthenticated(true);
-          setUser(parsed);
-        } else {
-          // cleanup bad user data
-          localStorage.removeItem("user");
-          localStorage.removeItem("isAuthenticated");
-          setIsAuthenticated(false);
-          setUser(null);
-        }
-      }
-    } catch (err) {
-      // if parse fails, clear storage and reset
-      localStorage.removeItem("user");
-      localStorage.removeItem("isAuthenticated");
-      setIsAuthenticated(false);
-      setUser(null);
+    if (savedLang && savedLang !== i18n.language) {
+      i18n.changeLanguage(savedLang);
     }
-  }, [i18n]);
+    document.documentElement.dir = (savedLang || i18n.language) === "ar" ? "rtl" : "ltr";
+  }, [i18n, savedLang]);
 
   /*
     Click outside to close settings menu.
@@ -170,20 +144,15 @@ export default function Navbar() {
   const switchLang = (nextLang) => {
     const next = nextLang || (i18n.language === "ar" ? "en" : "ar");
     i18n.changeLanguage(next);
-    try {
-      localStorage.setItem("lang", next);
-    } catch {}
+    dispatch(languageChanged(next));
+    // keep the account's locale in step (best effort)
+    if (isAuthenticated) updateProfile({ locale: next }).catch((e) => console.warn(e));
     document.documentElement.dir = next === "ar" ? "rtl" : "ltr";
   };
 
-  // Logout handler clears localStorage and resets state
+  // Logout handler ends the session (in every tab) and closes menus
   const handleLogout = () => {
-    try {
-      localStorage.removeItem("user");
-      localStorage.removeItem("isAuthenticated");
-    } catch (e) {}
-    setIsAuthenticated(false);
-    setUser(null);
+    logout();
     setShowUserMenu(false);
     setMobileOpen(false);
   };
@@ -245,6 +214,18 @@ export default function Navbar() {
               {t("navbar.courses", "Courses")}
             </NavLink>
 
+            <NavLink
+              to="/pro"
+              className={({ isActive }) =>
+                `px-3 py-2 rounded-xl hover:bg-black/5 dark:hover:bg-white/10 ${
+                  isActive ? "font-semibold bg-black/5 dark:bg-white/10" : ""
+                }`
+              }
+              onClick={onNavigate}
+            >
+              {t("navbar.pro", "Pro")}
+            </NavLink>
+
             <NavLink
               to="/dashboard"
               className={({ isActive }) =>
@@ -270,6 +251,21 @@ export default function Navbar() {
               {i18n.language === "ar" ? "EN" : "AR"}
             </button>
 
+            {/* Currency picker (hidden on very small screens) */}
+            <select
+              aria-label={t("navbar.currency", "Currency")}
+              title={t("navbar.currency", "Currency")}
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="px-2 py-2 rounded-xl cursor-pointer bg-transparent border border-black/10 dark:border-white/10 hover:bg-black/5 dark:hover:bg-white/10 hidden sm:inline-flex"
+            >
+              {SUPPORTED_CURRENCIES.map((code) => (
+                <option key={code} value={code} className="text-black">
+                  {code}
+                </option>
+              ))}
+            </select>
+
             {/* Theme toggle */}
             <button
               aria-label={t("navbar.theme", "Theme")}
@@ -467,6 +463,18 @@ export default function Navbar() {
             {t("navbar.courses", "Courses")}
           </NavLink>
 
+          <NavLink
+            to="/pro"
+            onClick={onNavigate}
+            className={({ isActive }) =>
+              `block px-3 py-2 rounded-lg ${
+                isActive ? "font-semibold bg-black/5" : "hover:bg-black/5"
+              }`
+            }
+          >
+            {t("navbar.pro", "Pro")}
+          </NavLink>
+
           <NavLink
             to="/dashboard"
             onClick={onNavigate}
@@ -491,6 +499,21 @@ export default function Navbar() {
               {i18n.language === "ar" ? "AR" : "EN"}
             </button>
 
+            <label className="flex items-center justify-between px-3 py-2 rounded-lg hover:bg-black/5">
+              {t("navbar.currency", "Currency")}
+              <select
+                value={currency}
+                onChange={(e) => setCurrency(e.target.value)}
+                className="bg-transparent cursor-pointer"
+              >
+                {SUPPORTED_CURRENCIES.map((code) => (
+                  <option key={code} value={code} className="text-black">
+                    {code}
+                  </option>
+                ))}
+              </select>
+            </label>
+
             <button
               onClick={() => {
                 toggleTheme();
@@ -567,6 +590,9 @@ export default function Navbar() {
           </div>
         </div>
       </div>
+
+      {/* unverified email: resend link (renders nothing otherwise) */}
+      <VerifyEmailBanner variant="bar" />
     </nav>
   );
 }
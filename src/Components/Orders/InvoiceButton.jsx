@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { FileDown, Loader2 } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import toast from 'react-hot-toast';
+import { useCourses, useSettings } from '../../Api/queries';
+import { useAuth } from '../../Context/useAuth';
+import { downloadInvoicePdf } from '../../Utils/invoicePdf';
+
+/**
+ * InvoiceButton
+ * - Downloads a paid order's invoice as a PDF, made in the browser in the current
+ *   language (Utils/invoicePdf.js). Orders without an invoice number (not paid) get none.
+ * - order: the order; className: extra classes
+ */
+export default function InvoiceButton({ order, className = '' }) {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const { data: settings } = useSettings();
+  const { data: courses } = useCourses();
+  const [busy, setBusy] = useState(false);
+
+  if (!order?.invoiceNumber) return null;
+
+  const download = async () => {
+    setBusy(true);
+    try {
+      await downloadInvoicePdf(order, {
+        seller: settings?.seller,
+        locale: i18n.language || 'en',
+        t,
+        courseTitle: (id) => courses?.find((c) => c.id === id)?.title,
+        customer: user,
+      });
+    } catch (err) {
+      console.warn('Could not create the invoice', err);
+      toast.error(t('orders.invoiceFailed', 'Could not create the invoice. Please try again.'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={download}
+      disabled={busy}
+      className={`inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50 ${className}`}
+    >
+      {busy ? <Loader2 className="w-4 h-4 animate-spin" aria-hidden /> : <FileDown className="w-4 h-4" aria-hidden />}
+      {t('orders.invoice', 'Invoice (PDF)')}
+    </button>
+  );
+}
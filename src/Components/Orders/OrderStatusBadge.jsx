@@ -0,0 +1,24 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+
+const STATUS_CLASSES = {
+  pending: 'bg-amber-500/20 text-amber-500',
+  completed: 'bg-green-500/20 text-green-500',
+  refund_requested: 'bg-blue-500/20 text-blue-500',
+  refunded: 'bg-purple-500/20 text-purple-500',
+  rejected: 'bg-red-500/20 text-red-500',
+};
+
+/**
+ * OrderStatusBadge
+ * - An order's status as a colored pill ("Awaiting payment", "Paid", ...).
+ * - status: the order's status
+ */
+export default function OrderStatusBadge({ status }) {
+  const { t } = useTranslation();
+  return (
+    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${STATUS_CLASSES[status] || 'bg-white/10 text-fg/70'}`}>
+      {t(`orders.status.${status}`, status)}
+    </span>
+  );
+}
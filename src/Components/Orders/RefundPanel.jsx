@@ -0,0 +1,129 @@
+import React, { useMemo, useState } from 'react';
+import { Loader2, RotateCcw } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { queryKeys } from '../../Api/queries';
+import { useAuth } from '../../Context/useAuth';
+import { useCurrency } from '../../Context/useCurrency';
+import { checkoutService } from '../../Services/checkoutService';
+import { MAX_REFUND_REASON, refundEligibility } from '../../../Data/orderStatus';
+
+const inputClass =
+  'w-full px-4 py-2 bg-white/10 border border-white/20 rounded-xl focus:outline-none focus:ring-2 transition-all duration-200';
+
+/**
+ * RefundPanel
+ * - The 30-day money-back guarantee for one of the user's orders (Data/orderStatus.js):
+ *   a "Request refund" form while the order can be refunded, why it can't once the
+ *   window has closed or a course has been gone through, and where a request stands.
+ * - Pending orders get nothing.
+ * - order: the order; courseTitle: (courseId) => string
+ */
+export default function RefundPanel({ order, courseTitle }) {
+  const { t, i18n } = useTranslation();
+  const { user } = useAuth();
+  const { formatPrice } = useCurrency();
+  const queryClient = useQueryClient();
+  const [open, setOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const dateFmt = useMemo(() => new Intl.DateTimeFormat(i18n.language || 'en', { dateStyle: 'long' }), [i18n.language]);
+  const formatDate = (iso) => dateFmt.format(new Date(iso));
+
+  if (order.status === 'pending') return null;
+
+  const check = refundEligibility(order, { courseProgress: user?.courseProgress });
+  const refund = order.refund || {};
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await checkoutService.requestRefund(order.id, reason.trim());
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.all });
+      toast.success(t('orders.refund.requested', "Refund requested. We'll email you once it has been reviewed."));
+      setOpen(false);
+    } catch (err) {
+      toast.error(t(`checkoutErrors.${err.code}`, err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  let body;
+  if (order.status === 'refund_requested') {
+    body = <p className="text-fg/70">{t('orders.refund.pending', 'You asked for a refund on {{date}}. We usually answer within 5 business days.', { date: formatDate(refund.requestedAt) })}</p>;
+  } else if (order.status === 'refunded') {
+    body = (
+      <p className="text-fg/70">
+        {t('orders.refund.done', '{{amount}} was refunded on {{date}}. The courses in this order are no longer in your library.', {
+          amount: formatPrice(refund.amount ?? order.total, order.currency),
+          date: formatDate(refund.resolvedAt),
+        })}
+      </p>
+    );
+  } else if (order.status === 'rejected') {
+    body = (
+      <>
+        <p className="text-fg/70">{t('orders.refund.rejected', 'Your refund request was declined.')}</p>
+        {refund.note && <p className="mt-2 text-sm italic text-fg/70">“{refund.note}”</p>}
+      </>
+    );
+  } else if (!check.eligible) {
+    body = (
+      <p className="text-fg/70">
+        {check.code === 'REFUND_COURSE_CONSUMED'
+          ? t('orders.refund.consumed', "You've gone through more than 30% of {{title}}, so this order can no longer be refunded.", { title: courseTitle(check.courseId) })
+          : t('orders.refund.closed', 'The 30-day refund window closed on {{date}}.', { date: formatDate(check.deadline) })}
+      </p>
+    );
+  } else if (!open) {
+    body = (
+      <>
+        <p className="text-fg/70 mb-3">{t('orders.refund.until', 'Refundable until {{date}}.', { date: formatDate(check.deadline) })}</p>
+        <button
+          type="button"
+          onClick={() => setOpen(true)}
+          className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors"
+        >
+          <RotateCcw className="w-4 h-4" aria-hidden />
+          {t('orders.refund.request', 'Request refund')}
+        </button>
+      </>
+    );
+  } else {
+    body = (
+      <form onSubmit={submit} className="space-y-3">
+        <label htmlFor="refund-reason" className="block text-sm font-medium">
+          {t('orders.refund.reason', 'Why are you asking for a refund? (optional)')}
+        </label>
+        <textarea
+          id="refund-reason"
+          rows={3}
+          maxLength={MAX_REFUND_REASON}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          className={inputClass}
+        />
+        <div className="flex flex-wrap gap-2 justify-end">
+          <button type="button" onClick={() => setOpen(false)} className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors">
+            {t('orders.refund.cancel', 'Keep my order')}
+          </button>
+          <button type="submit" disabled={busy} className="btn-primary inline-flex items-center gap-2 disabled:opacity-50">
+            {busy && <Loader2 className="w-4 h-4 animate-spin" aria-hidden />}
+            {t('orders.refund.confirm', 'Request refund')}
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="glass shadow rounded-3xl p-6 border border-white/20 text-sm">
+      <h2 className="text-lg font-bold mb-2">{t('orders.refund.title', 'Refund')}</h2>
+      {body}
+    </div>
+  );
+}
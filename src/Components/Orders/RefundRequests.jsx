@@ -0,0 +1,119 @@
+import React, { useState } from 'react';
+import { Check, Loader2, RotateCcw, X } from 'lucide-react';
+import { useTranslation } from 'react-i18next';
+import { useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { queryKeys, useCourses, useOrdersByStatus } from '../../Api/queries';
+import { useAuth } from '../../Context/useAuth';
+import { useCurrency } from '../../Context/useCurrency';
+import { checkoutService } from '../../Services/checkoutService';
+import ErrorState from '../Feedback/ErrorState';
+
+/**
+ * RefundRequests
+ * - The admin's queue of orders waiting for a refund decision (status "refund_requested"),
+ *   oldest request first.
+ * - Approving refunds the payment and takes the courses back; rejecting can carry a
+ *   note for the learner. Either way the learner is emailed by the API.
+ */
+export default function RefundRequests() {
+  const { t, i18n } = useTranslation();
+  const { formatPrice } = useCurrency();
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const requestsQuery = useOrdersByStatus(user?.id, 'refund_requested');
+  const { data: courses } = useCourses();
+  const [busyId, setBusyId] = useState(null);
+  const [notes, setNotes] = useState({});
+
+  const dateFmt = new Intl.DateTimeFormat(i18n.language || 'en', { dateStyle: 'medium' });
+  const titleOf = (item) => item.title || courses?.find((c) => c.id === item.courseId)?.title || `#${item.courseId}`;
+
+  const decide = async (order, approve) => {
+    setBusyId(order.id);
+    try {
+      if (approve) await checkoutService.approveRefund(order.id);
+      else await checkoutService.rejectRefund(order.id, notes[order.id] || '');
+      queryClient.invalidateQueries({ queryKey: queryKeys.orders.all });
+      toast.success(approve ? t('refundRequests.approved', 'Refund approved.') : t('refundRequests.rejected', 'Refund declined.'));
+    } catch (err) {
+      toast.error(t(`checkoutErrors.${err.code}`, err.message));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requestsQuery.isError) {
+    return <ErrorState onRetry={() => requestsQuery.refetch()} isRetrying={requestsQuery.isFetching} />;
+  }
+
+  const requests = [...(requestsQuery.data ?? [])].sort((a, b) =>
+    String(a.refund?.requestedAt).localeCompare(String(b.refund?.requestedAt))
+  );
+
+  return (
+    <section className="glass shadow rounded-3xl p-6 border border-white/20">
+      <h2 className="text-xl font-bold mb-4 flex items-center gap-2">
+        <RotateCcw className="w-5 h-5 text-amber-500" aria-hidden />
+        {t('refundRequests.title', 'Refund requests')}
+      </h2>
+
+      {requestsQuery.isPending ? (
+        <p className="text-fg/70">{t('status.loading', 'Loading...')}</p>
+      ) : !requests.length ? (
+        <p className="text-fg/70">{t('refundRequests.empty', 'No refund requests to review.')}</p>
+      ) : (
+        <ul className="space-y-4">
+          {requests.map((order) => {
+            const buyer = order.billing;
+            const busy = busyId === order.id;
+            return (
+              <li key={order.id} className="border-b border-black/10 dark:border-white/10 pb-4 last:border-0 space-y-2">
+                <div className="flex flex-wrap items-center justify-between gap-3">
+                  <div>
+                    <p className="font-semibold" dir="ltr">{order.invoiceNumber || `#${order.id.slice(0, 8).toUpperCase()}`}</p>
+                    <p className="text-sm text-fg/70">
+                      {buyer ? `${buyer.name} · ${buyer.email}` : order.userId} ·{' '}
+                      {t('refundRequests.requestedOn', 'asked {{date}}', { date: dateFmt.format(new Date(order.refund?.requestedAt)) })}
+                    </p>
+                  </div>
+                  <span className="font-bold text-gradient">{formatPrice(order.total, order.currency)}</span>
+                </div>
+                <p className="text-sm">{order.items.map(titleOf).join(', ')}</p>
+                {order.refund?.reason && <p className="text-sm italic text-fg/70">“{order.refund.reason}”</p>}
+                <input
+                  type="text"
+                  value={notes[order.id] || ''}
+                  onChange={(e) => setNotes((prev) => ({ ...prev, [order.id]: e.target.value }))}
+                  placeholder={t('refundRequests.notePlaceholder', 'Note for the learner if you decline (optional)')}
+                  aria-label={t('refundRequests.notePlaceholder', 'Note for the learner if you decline (optional)')}
+                  className="w-full px-4 py-2 bg-white/10 border border-white/20 rounded-xl focus:outline-none focus:ring-2 text-sm"
+                />
+                <div className="flex flex-wrap gap-2 justify-end">
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => decide(order, false)}
+                    className="inline-flex items-center gap-1 px-4 py-2 rounded-xl bg-red-500/20 text-red-500 hover:bg-red-500/30 transition-colors disabled:opacity-50"
+                  >
+                    <X className="w-4 h-4" aria-hidden />
+                    {t('refundRequests.reject', 'Decline')}
+                  </button>
+                  <button
+                    type="button"
+                    disabled={busy}
+                    onClick={() => decide(order, true)}
+                    className="inline-flex items-center gap-1 px-4 py-2 rounded-xl bg-green-500 text-white hover:bg-green-600 transition-colors disabled:opacity-50"
+                  >
+                    {busy ? <Loader2 className="w-4 h-4 animate-spin" aria-hidden /> : <Check className="w-4 h-4" aria-hidden />}
+                    {t('refundRequests.approve', 'Approve refund')}
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
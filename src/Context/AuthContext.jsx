@@ -0,0 +1,158 @@
+// AuthContext.jsx
+import React, { useCallback, useEffect, useMemo, useRef } from 'react'
+import { useQueryClient } from '@tanstack/react-query'
+import { useDispatch, useSelector, useStore } from 'react-redux'
+import { USER_SCOPED_KEYS } from '../Api/queries'
+import { authService, onSessionExpired } from '../Services/authService'
+import { completeOAuth as finishOAuth } from '../Services/oauth'
+import { postAuthMessage, subscribeAuthMessages } from '../Services/authChannel'
+import { clearTokens } from '../Services/tokenStorage'
+import { profileUpdated, selectAuthStatus, selectCurrentUser, sessionEnded, sessionStarted } from '../Store/authSlice'
+import { AuthContext } from './useAuth'
+
+/*
+  AuthProvider: one source of truth for "who is signed in".
+  - State lives in the Redux auth slice (persisted); tokens live in tokenStorage.
+  - login / register / logout / updateProfile go through authService, update
+    the slice and tell other tabs through authChannel, so every tab shows the
+    same user.
+  - Signs the user out when the refresh token is rejected.
+  - Sessions without "remember me" belong to one tab (sessionStorage): they
+    are not announced to other tabs and ignore other tabs' sign-in/out.
+  - Cached orders, quotes, subscriptions and sessions are dropped whenever the
+    signed-in user changes (sign-out included), so the next user never sees them.
+*/
+export function AuthProvider({ children }) {
+  const dispatch = useDispatch()
+  const store = useStore()
+  const user = useSelector(selectCurrentUser)
+  const status = useSelector(selectAuthStatus)
+  const queryClient = useQueryClient()
+
+  /* -----------------------
+     Session lifecycle
+  ------------------------*/
+  useEffect(() => {
+    // A stored user without tokens (e.g. migrated from the old demo login) is not a session
+    if (store.getState().auth.user && !authService.hasSession()) {
+      dispatch(sessionEnded())
+      return undefined
+    }
+
+    // Refresh the stored user from the API once per page load
+    if (authService.hasSession()) {
+      authService
+        .me()
+        .then((fresh) => dispatch(store.getState().auth.user ? profileUpdated(fresh) : sessionStarted(fresh)))
+        .catch((err) => console.warn('Could not refresh the signed-in user', err))
+    }
+    return undefined
+  }, [dispatch, store])
+
+  useEffect(
+    () =>
+      onSessionExpired(({ remembered }) => {
+        dispatch(sessionEnded())
+        if (remembered) postAuthMessage({ type: 'logout' })
+      }),
+    [dispatch]
+  )
+
+  const userId = user?.id ?? null
+  const cachedFor = useRef(userId)
+  useEffect(() => {
+    if (cachedFor.current === userId) return
+    cachedFor.current = userId
+    USER_SCOPED_KEYS.forEach((queryKey) => queryClient.removeQueries({ queryKey }))
+  }, [queryClient, userId])
+
+  // Messages from other tabs (tokens are shared through localStorage already)
+  useEffect(
+    () =>
+      subscribeAuthMessages((message) => {
+        // this tab has its own session; other tabs' sign-in/out don't apply
+        const tabOnly = authService.hasSession() && !authService.isRememberedSession()
+        if (tabOnly && (message?.type === 'login' || message?.type === 'logout')) return
+        if (message?.type === 'login' && message.user) dispatch(sessionStarted(message.user))
+        else if (message?.type === 'profile' && message.user) dispatch(profileUpdated(message.user))
+        else if (message?.type === 'logout') {
+          clearTokens()
+          dispatch(sessionEnded())
+        }
+      }),
+    [dispatch]
+  )
+
+  /* -----------------------
+     Actions
+  ------------------------*/
+  const startSession = useCallback((nextUser) => {
+    dispatch(sessionStarted(nextUser))
+    if (authService.isRememberedSession()) postAuthMessage({ type: 'login', user: nextUser })
+    return nextUser
+  }, [dispatch])
+
+  // Both throw AuthError (see authService) so forms can show field errors
+  const login = useCallback((credentials) => authService.login(credentials).then(startSession), [startSession])
+  const register = useCallback((details) => authService.register(details).then(startSession), [startSession])
+
+  // Last step of "Continue with Google/Facebook" → resolves with { user, next }
+  const completeOAuth = useCallback(async (provider, params) => {
+    const result = await finishOAuth(provider, params)
+    startSession(result.user)
+    return result
+  }, [startSession])
+
+  const logout = useCallback(async () => {
+    dispatch(sessionEnded())
+    if (authService.isRememberedSession()) postAuthMessage({ type: 'logout' })
+    await authService.logout()
+  }, [dispatch])
+
+  // Works signed in or out (the link may be opened in another browser)
+  const verifyEmail = useCallback(async (token) => {
+    const verified = await authService.verifyEmail(token)
+    if (store.getState().auth.user?.id === verified.id) {
+      dispatch(profileUpdated(verified))
+      postAuthMessage({ type: 'profile', user: verified })
+    }
+    return verified
+  }, [dispatch, store])
+
+  const resendVerification = useCallback(() => authService.resendVerification(), [])
+
+  // Re-reads the user after the server changed it (e.g. purchases after checkout)
+  const refreshUser = useCallback(async () => {
+    const fresh = await authService.me()
+    dispatch(profileUpdated(fresh))
+    postAuthMessage({ type: 'profile', user: fresh })
+    return fresh
+  }, [dispatch])
+
+  const updateProfile = useCallback(async (changes) => {
+    const updated = await authService.updateProfile(changes)
+    dispatch(profileUpdated(updated))
+    postAuthMessage({ type: 'profile', user: updated })
+    return updated
+  }, [dispatch])
+
+  const isAuthenticated = status === 'authenticated'
+
+  const value = useMemo(() => ({
+    user,
+    status,
+    isAuthenticated,
+    // signed in with an unverified email → purchases are blocked
+    needsVerification: isAuthenticated && user?.emailVerified === false,
+    login,
+    register,
+    completeOAuth,
+    logout,
+    updateProfile,
+    refreshUser,
+    verifyEmail,
+    resendVerification,
+  }), [user, status, isAuthenticated, login, register, completeOAuth, logout, updateProfile, refreshUser, verifyEmail, resendVerification])
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
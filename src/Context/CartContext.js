@@ -0,0 +1,132 @@
+// CartContext.js
+import { useCallback } from 'react'
+import { useDispatch, useSelector, useStore } from 'react-redux'
+import toast from 'react-hot-toast'
+import {
+  itemAdded as cartItemAdded,
+  itemRemoved as cartItemRemoved,
+  quantityUpdated,
+  cartCleared,
+  selectCartItems,
+} from '../Store/cartSlice'
+import {
+  itemAdded as wishlistItemAdded,
+  itemRemoved as wishlistItemRemoved,
+  selectWishlistItems,
+} from '../Store/wishlistSlice'
+import { selectCurrency } from '../Store/preferencesSlice'
+import { selectCurrentUser } from '../Store/authSlice'
+import { coursePrice } from '../../Data/currencies'
+import { lineKey, unitPriceFor } from '../../Data/cartLines'
+import { priceSnapshot } from '../../Data/sales'
+
+/*
+  Compatibility hooks for the cart and wishlist.
+  - State now lives in the Redux store (src/Store); these hooks keep the old
+    useCart / useWishlist API so existing components don't need to change.
+  - Toasts fire here (never inside reducers) and are decided by reading the
+    store before dispatching, so they show exactly once.
+  - New cart lines and wishlist items get `savedPrice`, a snapshot of the course's
+    price in the preferred currency (Data/sales.js), to show price drops later.
+*/
+
+/* -----------------------
+   useCart
+   - items: cart lines { ...course, id, lineId, type, quantity, gift? } (see cartSlice)
+   - addToCart(course, { type, seats, gift }) — type 'self' (default), 'gift' or 'team';
+     returns false when the line wasn't added (already in the cart / already owned)
+   - removeFromCart(lineId), updateQuantity(lineId, seats) for team lines
+   - isInCart(courseId, type = 'self')
+   - getTotalPrice() is in the preferred currency (see useCurrency), with the seat discounts
+------------------------*/
+export const useCart = () => {
+  const dispatch = useDispatch()
+  const store = useStore()
+  const items = useSelector(selectCartItems)
+  const currency = useSelector(selectCurrency)
+
+  // Add a line. A course can be bought for yourself only once, and not when you already own it.
+  const addToCart = useCallback((product, { type = 'self', seats, gift } = {}) => {
+    const state = store.getState()
+    const title = product.title || 'Item'
+    if (type === 'self' && selectCurrentUser(state)?.purchasedCourseIds?.includes(String(product.id))) {
+      try { toast.error(`You already own ${title}`) } catch (e) { console.warn(e) }
+      return false
+    }
+
+    const lineId = lineKey({ type, courseId: product.id, gift })
+    const exists = selectCartItems(state).some((i) => i.lineId === lineId)
+    if (exists && type !== 'team') return false
+    const savedPrice = priceSnapshot(coursePrice(product, currency), currency)
+    dispatch(cartItemAdded({ ...product, type, quantity: seats, gift, savedPrice }))
+    try {
+      if (type === 'team') toast.success(`${title}: seats added to cart`)
+      else if (type === 'gift') toast.success(`${title} added to cart as a gift`)
+      else toast.success(`${title} added to cart`)
+    } catch (e) { console.warn(e) }
+    return true
+  }, [dispatch, store, currency])
+
+  const removeFromCart = useCallback((lineId) => {
+    dispatch(cartItemRemoved(lineId))
+    try { toast.error('Removed from cart') } catch {}
+  }, [dispatch])
+
+  // Set a team line's seats. 0 removes the line.
+  const updateQuantity = useCallback((lineId, quantity) => {
+    dispatch(quantityUpdated({ lineId, quantity }))
+  }, [dispatch])
+
+  const clearCart = useCallback(() => {
+    dispatch(cartCleared())
+    try { toast.success('Cart cleared!') } catch {}
+  }, [dispatch])
+
+  // Derived helpers
+  const getTotalItems = useCallback(() => items.length, [items])
+  const getTotalPrice = useCallback(
+    () => items.reduce((s, i) => s + unitPriceFor(i, coursePrice(i, currency)) * (Number(i.quantity) || 0), 0),
+    [items, currency]
+  )
+  const isInCart = useCallback((id, type = 'self') => items.some((i) => i.id === id && i.type === type), [items])
+
+  return {
+    items,
+    addToCart,
+    removeFromCart,
+    updateQuantity,
+    clearCart,
+    getTotalItems,
+    getTotalPrice,
+    isInCart,
+  }
+}
+
+/* -----------------------
+   useWishlist
+   - items: array of wishlist items (no duplicates), each with `savedPrice`
+------------------------*/
+export const useWishlist = () => {
+  const dispatch = useDispatch()
+  const store = useStore()
+  const items = useSelector(selectWishlistItems)
+
+  const addToWishlist = useCallback((product) => {
+    const state = store.getState()
+    const exists = selectWishlistItems(state).some((i) => i.id === product.id)
+    if (exists) return
+    const currency = selectCurrency(state)
+    dispatch(wishlistItemAdded({ ...product, savedPrice: priceSnapshot(coursePrice(product, currency), currency) }))
+    try { toast.success(`${product.title || 'Item'} added to wishlist`) } catch (e) { console.warn(e) }
+  }, [dispatch, store])
+
+  const removeFromWishlist = useCallback((id) => {
+    dispatch(wishlistItemRemoved(id))
+    try { toast.error('Removed from wishlist') } catch {}
+  }, [dispatch])
+
+  const getTotalItems = useCallback(() => items.length, [items])
+  const isInWishlist = useCallback((id) => items.some((i) => i.id === id), [items])
+
+  return { items, addToWishlist, removeFromWishlist, getTotalItems, isInWishlist }
+}
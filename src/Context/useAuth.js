@@ -0,0 +1,17 @@
+// useAuth.js
+import { createContext, useContext } from 'react'
+
+/*
+  Auth context + hook.
+  - The provider lives in AuthContext.jsx; this file only holds the context
+    object and the consumer hook (keeps React Fast Refresh happy).
+  - Value: { user, status, isAuthenticated, needsVerification, login, register,
+    logout, updateProfile, verifyEmail, resendVerification }
+*/
+export const AuthContext = createContext(null)
+
+export const useAuth = () => {
+  const ctx = useContext(AuthContext)
+  if (!ctx) throw new Error('useAuth must be used within an AuthProvider')
+  return ctx
+}
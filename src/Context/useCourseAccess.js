@@ -0,0 +1,13 @@
+// useCourseAccess.js
+import { courseAccess } from '../../Data/entitlements'
+import { useAuth } from './useAuth'
+
+/*
+  Whether the signed-in user can take `course` — bought it, or it is covered by
+  their Skillverse Pro subscription (Data/entitlements.js).
+  - returns { access, via: 'purchase' | 'subscription' | null, planId? }
+*/
+export const useCourseAccess = (course) => {
+  const { user } = useAuth()
+  return courseAccess(user, course)
+}
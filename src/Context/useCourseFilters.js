@@ -0,0 +1,32 @@
+// useCourseFilters.js
+import { useCallback, useMemo } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { EMPTY_FILTERS, filtersFromParams, filtersToParams } from '../Utils/courseFilters'
+
+/*
+  Course list filters kept in the page URL (Utils/courseFilters → filtersToParams),
+  so a filtered view can be bookmarked, shared and restored with the back button.
+  - returns [filters, setFilters]; setFilters takes the next filters or an updater
+  - changing anything but the page goes back to page 1
+  - typing in the search box replaces the history entry instead of adding one per key
+*/
+export const useCourseFilters = () => {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const filters = useMemo(() => filtersFromParams(searchParams), [searchParams])
+
+  const setFilters = useCallback(
+    (next) => {
+      const value = { ...EMPTY_FILTERS, ...(typeof next === 'function' ? next(filters) : next) }
+      const changed = Object.keys(EMPTY_FILTERS).filter((key) => String(value[key]) !== String(filters[key]))
+      if (!changed.length) return
+      if (!changed.includes('page')) value.page = 1
+      setSearchParams(filtersToParams(value), {
+        replace: changed.length === 1 && changed[0] === 'query',
+        preventScrollReset: true,
+      })
+    },
+    [filters, setSearchParams]
+  )
+
+  return [filters, setFilters]
+}
@@ -0,0 +1,33 @@
+// useCurrency.js
+import { useCallback } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { useTranslation } from 'react-i18next'
+import { coursePrice, regularPrice } from '../../Data/currencies'
+import { unitPriceFor } from '../../Data/cartLines'
+import { currencyChanged, selectCurrency } from '../Store/preferencesSlice'
+import { formatPrice as format } from '../Utils/formatPrice'
+
+/*
+  Preferred currency (preferences slice) + price helpers bound to it.
+  - priceOf(course): the course's price in that currency (override or converted;
+    the sale price while the course is on sale)
+  - regularPriceOf(course): the same without the sale
+  - unitPriceOf(line): the price of one unit of a cart line (team seats get their volume discount)
+  - formatPrice(amount, currency?): formats an amount that is already in the
+    preferred currency; pass `currency` for amounts in another one (e.g. old orders)
+  - setCurrency(code)
+*/
+export const useCurrency = () => {
+  const dispatch = useDispatch()
+  const { i18n } = useTranslation()
+  const currency = useSelector(selectCurrency) || 'USD'
+  const locale = i18n.language || 'en'
+
+  const priceOf = useCallback((course) => coursePrice(course, currency), [currency])
+  const regularPriceOf = useCallback((course) => regularPrice(course, currency), [currency])
+  const unitPriceOf = useCallback((line) => unitPriceFor(line, coursePrice(line, currency)), [currency])
+  const formatPrice = useCallback((amount, other) => format(amount, other || currency, locale), [currency, locale])
+  const setCurrency = useCallback((next) => dispatch(currencyChanged(next)), [dispatch])
+
+  return { currency, setCurrency, priceOf, regularPriceOf, unitPriceOf, formatPrice }
+}
@@ -0,0 +1,49 @@
+// useFacetLabels.js
+import { useCallback } from 'react'
+import { useTranslation } from 'react-i18next'
+import { useCurrency } from './useCurrency'
+
+/*
+  Display text for course filter values (Utils/courseFilters), shared by the
+  filter panel and the active-filter chips.
+  - returns label(key, value): key is a filters key ("pricing", "rating", ...);
+    for "price" the value is { minPrice, maxPrice } in the shown currency
+  - languages are named in the current language ("en" → "English" / "الإنجليزية")
+*/
+export const useFacetLabels = () => {
+  const { t, i18n } = useTranslation()
+  const { formatPrice } = useCurrency()
+  const locale = i18n.language || 'en'
+
+  return useCallback(
+    (key, value) => {
+      switch (key) {
+        case 'query':
+          return t('filters.active.query', '“{{query}}”', { query: value })
+        case 'pricing':
+          return t(`filters.pricing.${value}`, value)
+        case 'rating':
+          return t('filters.rating.atLeast', '{{rating}}★ & up', { rating: value })
+        case 'durations':
+          return t(`filters.durations.${value}`, value)
+        case 'badges':
+          return t(`filters.badges.${value}`, value)
+        case 'languages':
+          try {
+            return new Intl.DisplayNames([locale], { type: 'language' }).of(value) || value
+          } catch {
+            return value
+          }
+        case 'price': {
+          const { minPrice, maxPrice } = value
+          if (minPrice === '' || minPrice == null) return t('filters.price.upTo', 'Up to {{max}}', { max: formatPrice(maxPrice) })
+          if (maxPrice === '' || maxPrice == null) return t('filters.price.from', 'From {{min}}', { min: formatPrice(minPrice) })
+          return t('filters.price.range', '{{min}} – {{max}}', { min: formatPrice(minPrice), max: formatPrice(maxPrice) })
+        }
+        default:
+          return value
+      }
+    },
+    [t, locale, formatPrice]
+  )
+}
@@ -0,0 +1,39 @@
+// useSale.js
+import { useEffect, useState } from 'react'
+import { activeSale, saleTimeLeft } from '../../Data/sales'
+
+const SECOND = 1000
+const MINUTE = 60 * SECOND
+const HOUR = 60 * MINUTE
+const MAX_TIMEOUT = 2 ** 31 - 1 // setTimeout's longest delay (~24.8 days)
+
+/*
+  A course's scheduled sale (Data/sales.js), kept current while the component is mounted.
+  - sale: the running sale or null; timeLeft: ms until it ends (Infinity without an end)
+  - Re-renders when a scheduled sale starts and when it ends, so prices switch on
+    time, and as the countdown moves: every minute, every second in the last hour.
+*/
+export const useSale = (course) => {
+  const [now, setNow] = useState(() => Date.now())
+  const hasSale = Boolean(course?.sale)
+  const startsAt = course?.sale?.startsAt
+  const endsAt = course?.sale?.endsAt
+
+  useEffect(() => {
+    if (!hasSale) return undefined
+    const current = Date.now()
+    const starts = startsAt ? new Date(startsAt).getTime() : -Infinity
+    const ends = endsAt ? new Date(endsAt).getTime() : Infinity
+
+    let wait
+    if (current < starts) wait = starts - current
+    else if (current < ends) wait = ends - current <= HOUR ? SECOND : Math.min(MINUTE, ends - current - HOUR)
+    else return undefined
+    if (!Number.isFinite(wait)) return undefined // running sale without an end
+
+    const timer = setTimeout(() => setNow(Date.now()), Math.min(Math.max(wait, 0), MAX_TIMEOUT))
+    return () => clearTimeout(timer)
+  }, [hasSale, startsAt, endsAt, now])
+
+  return { sale: activeSale(course, now), timeLeft: saleTimeLeft(course, now) }
+}
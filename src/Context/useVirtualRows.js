@@ -0,0 +1,91 @@
+// useVirtualRows.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
+
+/*
+  Virtualization for long lists scrolled with the page (e.g. a grid of course
+  cards, one row of cards per list row). Only the rows near the viewport are
+  rendered; padding above and below stands in for the others so the page keeps
+  its full height and scrollbar.
+  - rowCount; estimate: height (px) assumed for a row until it has been rendered
+    and measured; overscan: extra rows rendered above and below the viewport
+  - returns { containerRef, start, end, before, after, rowProps }
+    render rows start…end-1, each with {...rowProps(index)}, inside the element
+    with `containerRef`, between `before` and `after` px of padding
+*/
+export const useVirtualRows = ({ rowCount, estimate = 500, overscan = 2 }) => {
+  const containerRef = useRef(null)
+  const heights = useRef(new Map()) // row index → measured height
+  const [measured, setMeasured] = useState(0) // bumped when a height changes
+  const [range, setRange] = useState({ start: 0, end: Math.min(rowCount, overscan + 1) })
+
+  const heightOf = useCallback((index) => heights.current.get(index) ?? estimate, [estimate])
+
+  // rows that intersect the viewport (plus overscan), from the container's position
+  const updateRange = useCallback(() => {
+    const container = containerRef.current
+    if (!container) return
+    const top = -container.getBoundingClientRect().top
+    const bottom = top + window.innerHeight
+
+    let start = 0
+    let y = 0
+    while (start < rowCount && y + heightOf(start) < top) y += heightOf(start++)
+    let end = start
+    while (end < rowCount && y < bottom) y += heightOf(end++)
+
+    const next = { start: Math.max(0, start - overscan), end: Math.min(rowCount, end + overscan) }
+    setRange((current) => (current.start === next.start && current.end === next.end ? current : next))
+  }, [rowCount, overscan, heightOf])
+
+  useEffect(() => {
+    updateRange()
+    window.addEventListener('scroll', updateRange, { passive: true })
+    window.addEventListener('resize', updateRange)
+    return () => {
+      window.removeEventListener('scroll', updateRange)
+      window.removeEventListener('resize', updateRange)
+    }
+  }, [updateRange, measured])
+
+  // measure rendered rows (their height changes with the viewport width, images, ...)
+  const observer = useMemo(
+    () =>
+      typeof ResizeObserver === 'undefined'
+        ? null
+        : new ResizeObserver((entries) => {
+            let changed = false
+            for (const entry of entries) {
+              const index = Number(entry.target.dataset.virtualRow)
+              const height = entry.target.offsetHeight
+              if (heights.current.get(index) !== height) {
+                heights.current.set(index, height)
+                changed = true
+              }
+            }
+            if (changed) setMeasured((n) => n + 1)
+          }),
+    []
+  )
+  useEffect(() => () => observer?.disconnect(), [observer])
+
+  const measureRef = useCallback(
+    (node) => {
+      if (!node || !observer) return undefined
+      observer.observe(node)
+      return () => observer.unobserve(node)
+    },
+    [observer]
+  )
+  const rowProps = useCallback((index) => ({ 'data-virtual-row': index, ref: measureRef }), [measureRef])
+
+  const start = Math.min(range.start, rowCount)
+  const end = Math.min(range.end, rowCount)
+  let before = 0
+  let after = 0
+  for (let i = 0; i < rowCount; i++) {
+    if (i < start) before += heightOf(i)
+    else if (i >= end) after += heightOf(i)
+  }
+
+  return { containerRef, start, end, before, after, rowProps }
+}
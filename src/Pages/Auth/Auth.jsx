@@ -1,21 +1,32 @@
 // Auth.jsx
-// Authentication page (Login / Register toggle)
+// Authentication page (Login / Register toggle, plus the Forgot password form)
 // - Uses react-i18next for translations (t())
 // - Uses Framer Motion's AnimatePresence for smooth form transitions
-// - Persists simple auth data to localStorage on success (demo purpose)
+// - Login/Register sign in through useAuth(); on success we go back to `next`
+// - "Continue with Google/Facebook" leaves for the provider (Services/oauth.js) and
+//   comes back through /auth/callback/:provider (OAuthCallback.jsx)
 // - Accessible toggles and decorative elements are marked aria-hidden where appropriate
 
 import React, { useState, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useTranslation } from "react-i18next";
+import toast from "react-hot-toast";
+import { safeNext } from "../../Components/Auth/guards";
 import Login from "../../Components/Auth/Login";
 import Register from "../../Components/Auth/Register";
+import ForgotPassword from "../../Components/Auth/ForgotPassword";
+import { startOAuth } from "../../Services/oauth";
 import { Helmet } from "react-helmet";
 
 export default function Auth() {
-  const [isLoginMode, setIsLoginMode] = useState(true);
+  // "login" | "register" | "forgot"
+  const [mode, setMode] = useState("login");
+  const isLoginMode = mode !== "register";
   const navigate = useNavigate();
+  // where to go after signing in (set by the route guards: /auth?next=/dashboard)
+  const [searchParams] = useSearchParams();
+  const next = safeNext(searchParams.get("next"));
   const { t, i18n } = useTranslation();
 
   // Keep document direction in sync with current language (RTL support)
@@ -24,22 +35,20 @@ export default function Auth() {
   }, [i18n.language]);
 
   // Toggle between Login and Register forms
-  const handleToggleMode = () => setIsLoginMode((v) => !v);
+  const handleToggleMode = () => setMode((m) => (m === "register" ? "login" : "register"));
 
-  // Called when login/register succeeds.
-  // NOTE: this example stores a plain object in localStorage for demo only.
-  // In a real app, store an auth token (httpOnly cookie or secure storage) and never store sensitive data.
-  const handleAuthSuccess = (user) => {
-    try {
-      localStorage.setItem("user", JSON.stringify(user));
-      localStorage.setItem("isAuthenticated", "true");
-    } catch (e) {
-      // localStorage might be unavailable (private mode). We avoid crashing the app.
-      console.warn("Could not persist auth to localStorage", e);
-    }
+  // Called when login/register succeeds (the session is already started by useAuth).
+  const handleAuthSuccess = () => {
 
-    // Redirect to dashboard after successful auth
-    navigate("/dashboard");
+    // Go back to the page that required auth (defaults to the dashboard)
+    navigate(next, { replace: true });
+  };
+
+  // Redirects to the provider; only comes back here if the redirect can't start
+  const handleProviderSignIn = (provider, remember) => {
+    startOAuth(provider, { next, remember }).catch((err) => {
+      toast.error(t(`authErrors.${err.code}`, t("oauth.failed", "Could not sign in, please try again")));
+    });
   };
 
   return (
@@ -77,10 +86,23 @@ export default function Auth() {
 
           {/* AnimatePresence ensures only one form is visible and transitions are smooth */}
           <AnimatePresence mode="wait">
-            {isLoginMode ? (
-              <Login key="login" onToggleMode={handleToggleMode} onLogin={handleAuthSuccess} />
+            {mode === "forgot" ? (
+              <ForgotPassword key="forgot" onBack={() => setMode("login")} />
+            ) : isLoginMode ? (
+              <Login
+                key="login"
+                onToggleMode={handleToggleMode}
+                onLogin={handleAuthSuccess}
+                onForgotPassword={() => setMode("forgot")}
+                onProviderSignIn={handleProviderSignIn}
+              />
             ) : (
-              <Register key="register" onToggleMode={handleToggleMode} onRegister={handleAuthSuccess} />
+              <Register
+                key="register"
+                onToggleMode={handleToggleMode}
+                onRegister={handleAuthSuccess}
+                onProviderSignIn={handleProviderSignIn}
+              />
             )}
           </AnimatePresence>
 
@@ -0,0 +1,77 @@
+// OAuthCallback.jsx
+// /auth/callback/:provider — where Google / Facebook (or the local mock
+// provider) send the browser back after "Continue with ...".
+// - Runs once on load (React Query dedupes StrictMode double effects; the
+//   code can only be exchanged once).
+// - On success the session is started by useAuth().completeOAuth and we go on
+//   to the page that asked for sign-in.
+
+import React, { useEffect } from "react";
+import { motion } from "framer-motion";
+import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useQuery } from "@tanstack/react-query";
+import { AlertTriangle } from "lucide-react";
+import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+import { safeNext } from "../../Components/Auth/guards";
+
+export default function OAuthCallback() {
+  const { provider } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const { completeOAuth } = useAuth();
+
+  const callbackQuery = useQuery({
+    queryKey: ["auth", "oauth", provider, searchParams.get("code") || searchParams.get("error")],
+    queryFn: () => completeOAuth(provider, searchParams),
+    retry: false,
+    staleTime: Infinity,
+  });
+
+  const next = callbackQuery.data?.next;
+  useEffect(() => {
+    if (callbackQuery.isSuccess) navigate(safeNext(next), { replace: true });
+  }, [callbackQuery.isSuccess, next, navigate]);
+
+  const error = callbackQuery.isError ? callbackQuery.error : null;
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("oauth.title", "Signing in")}</title>
+      </Helmet>
+
+      <div
+        className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4"
+        role="main"
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="relative z-10 w-full max-w-md glass rounded-3xl p-8 border border-white/20 text-center"
+        >
+          {!error && (
+            <div className="flex items-center justify-center gap-3 text-fg/70" role="status">
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              {t("oauth.signingIn", "Signing you in...")}
+            </div>
+          )}
+
+          {error && (
+            <div className="space-y-4">
+              <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm flex items-start gap-2 text-start">
+                <AlertTriangle className="w-5 h-5 shrink-0" />
+                {t(`authErrors.${error.code}`, error.message)}
+              </div>
+              <Link to="/auth" className="text-indigo-400 hover:text-indigo-300 font-semibold">
+                {t("oauth.backToLogin", "Back to sign in")}
+              </Link>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,188 @@
+// ResetPassword.jsx
+// /auth/reset/:token — choose a new password from an emailed reset link.
+// - Checks the token first so expired / used links explain themselves
+//   instead of failing on submit.
+// - Password rules, Yup schema and strength meter are shared with Register.
+// - On success the user is sent to /auth to sign in with the new password.
+
+import React, { useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useQuery } from "@tanstack/react-query";
+import { Formik, Form, Field, ErrorMessage } from "formik";
+import * as Yup from "yup";
+import { Eye, EyeOff, Lock, KeyRound, ArrowRight, AlertTriangle } from "lucide-react";
+import { Helmet } from "react-helmet";
+import toast from "react-hot-toast";
+import { authService } from "../../Services/authService";
+import { confirmPasswordSchema, passwordSchema } from "../../Components/Auth/passwordRules";
+import PasswordStrength from "../../Components/Auth/PasswordStrength";
+
+export default function ResetPassword() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const { t } = useTranslation();
+  const [showPassword, setShowPassword] = useState(false);
+
+  // token check (not cached: a link is either usable right now or not)
+  const tokenQuery = useQuery({
+    queryKey: ["auth", "reset", token],
+    queryFn: () => authService.checkResetToken(token),
+    retry: false,
+    gcTime: 0,
+  });
+
+  const validationSchema = useMemo(() => {
+    return Yup.object().shape({
+      password: passwordSchema(t),
+      confirmPassword: confirmPasswordSchema(t),
+    });
+  }, [t]);
+
+  const handleSubmit = async (values, { setSubmitting, setStatus, setFieldError }) => {
+    setStatus(null);
+    try {
+      await authService.resetPassword({ token, password: values.password });
+      toast.success(t("reset.success", "Password updated — sign in with your new password"));
+      navigate("/auth", { replace: true });
+    } catch (err) {
+      const message = t(`authErrors.${err.code}`, err.message);
+      if (err.code === "WEAK_PASSWORD") setFieldError("password", message);
+      else setStatus({ error: message });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const tokenError = tokenQuery.isError ? tokenQuery.error : null;
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("reset.title", "Choose a new password")}</title>
+      </Helmet>
+
+      <div
+        className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4"
+        role="main"
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="relative z-10 w-full max-w-md glass rounded-3xl p-8 border border-white/20"
+        >
+          {/* Header */}
+          <div className="text-center mb-8">
+            <div className="w-16 h-16 bg-gradient-to-br from-amber-500 to-orange-600 rounded-2xl mx-auto mb-4 flex items-center justify-center">
+              <KeyRound className="w-8 h-8 text-white" />
+            </div>
+            <h1 className="text-2xl font-bold text-gradient mb-2">{t("reset.title", "Choose a new password")}</h1>
+            {tokenQuery.data?.email && (
+              <p className="text-fg/70">{t("reset.subtitle", "For {{email}}", { email: tokenQuery.data.email })}</p>
+            )}
+          </div>
+
+          {/* Checking the link */}
+          {tokenQuery.isPending && (
+            <div className="flex items-center justify-center gap-3 text-fg/70" role="status">
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              {t("reset.checking", "Checking your reset link...")}
+            </div>
+          )}
+
+          {/* Invalid / expired link */}
+          {tokenError && (
+            <div className="space-y-6 text-center">
+              <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm flex items-start gap-2 text-start">
+                <AlertTriangle className="w-5 h-5 shrink-0" />
+                {t(`authErrors.${tokenError.code}`, tokenError.message)}
+              </div>
+              <Link to="/auth" className="text-indigo-400 hover:text-indigo-300 font-semibold transition-colors">
+                {t("reset.requestNew", "Request a new link from the sign-in page")}
+              </Link>
+            </div>
+          )}
+
+          {/* New password form */}
+          {tokenQuery.isSuccess && (
+            <Formik initialValues={{ password: "", confirmPassword: "" }} validationSchema={validationSchema} onSubmit={handleSubmit}>
+              {({ values, isSubmitting, status }) => (
+                <Form className="space-y-6" noValidate>
+                  {status?.error && (
+                    <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm">{status.error}</div>
+                  )}
+
+                  {/* Password */}
+                  <div>
+                    <label htmlFor="password" className="block text-sm font-medium text-fg mb-2">
+                      {t("reset.fields.password", "New password")}
+                    </label>
+                    <div className="relative">
+                      <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-fg/50" />
+                      <Field
+                        id="password"
+                        name="password"
+                        type={showPassword ? "text" : "password"}
+                        autoComplete="new-password"
+                        placeholder={t("register.placeholders.password", "Create a strong password")}
+                        className="w-full pl-10 pr-12 py-3 bg-white/10 border rounded-xl focus:outline-none focus:ring-2 transition-all duration-200"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setShowPassword((s) => !s)}
+                        className="absolute right-3 top-1/2 transform -translate-y-1/2 text-fg/50 hover:text-fg transition-colors"
+                        aria-label={showPassword ? t("register.hidePassword", "Hide password") : t("register.showPassword", "Show password")}
+                      >
+                        {showPassword ? <EyeOff className="w-5 h-5" /> : <Eye className="w-5 h-5" />}
+                      </button>
+                    </div>
+                    <PasswordStrength password={values.password} />
+                    <ErrorMessage name="password" component="p" className="mt-1 text-sm text-red-400" />
+                  </div>
+
+                  {/* Confirm */}
+                  <div>
+                    <label htmlFor="confirmPassword" className="block text-sm font-medium text-fg mb-2">
+                      {t("register.fields.confirmPassword", "Confirm Password")}
+                    </label>
+                    <div className="relative">
+                      <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-fg/50" />
+                      <Field
+                        id="confirmPassword"
+                        name="confirmPassword"
+                        type={showPassword ? "text" : "password"}
+                        autoComplete="new-password"
+                        placeholder={t("register.placeholders.confirmPassword", "Confirm your password")}
+                        className="w-full pl-10 pr-4 py-3 bg-white/10 border rounded-xl focus:outline-none focus:ring-2 transition-all duration-200"
+                      />
+                    </div>
+                    <ErrorMessage name="confirmPassword" component="p" className="mt-1 text-sm text-red-400" />
+                  </div>
+
+                  <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full bg-gradient-to-r cursor-pointer from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                        {t("reset.saving", "Saving...")}
+                      </>
+                    ) : (
+                      <>
+                        {t("reset.submit", "Set new password")}
+                        <ArrowRight className="w-4 h-4" />
+                      </>
+                    )}
+                  </button>
+                </Form>
+              )}
+            </Formik>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+}
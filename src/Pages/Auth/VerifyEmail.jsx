@@ -0,0 +1,85 @@
+// VerifyEmail.jsx
+// /auth/verify/:token — confirms an account email from the emailed link.
+// - Runs once on load (React Query dedupes StrictMode double effects; the API
+//   also accepts a reload of an already-used link).
+// - Updates the signed-in user everywhere when it's their own account.
+
+import React from "react";
+import { motion } from "framer-motion";
+import { Link, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useQuery } from "@tanstack/react-query";
+import { MailCheck, AlertTriangle } from "lucide-react";
+import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const { t } = useTranslation();
+  const { isAuthenticated, verifyEmail } = useAuth();
+
+  const verifyQuery = useQuery({
+    queryKey: ["auth", "verify", token],
+    queryFn: () => verifyEmail(token),
+    retry: false,
+    staleTime: Infinity,
+  });
+
+  const error = verifyQuery.isError ? verifyQuery.error : null;
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("verify.title", "Verify your email")}</title>
+      </Helmet>
+
+      <div
+        className="min-h-screen bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 flex items-center justify-center p-4"
+        role="main"
+      >
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="relative z-10 w-full max-w-md glass rounded-3xl p-8 border border-white/20 text-center"
+        >
+          {verifyQuery.isPending && (
+            <div className="flex items-center justify-center gap-3 text-fg/70" role="status">
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              {t("verify.checking", "Verifying your email...")}
+            </div>
+          )}
+
+          {verifyQuery.isSuccess && (
+            <div className="space-y-4" role="status">
+              <div className="w-16 h-16 bg-gradient-to-br from-green-500 to-emerald-600 rounded-2xl mx-auto flex items-center justify-center">
+                <MailCheck className="w-8 h-8 text-white" />
+              </div>
+              <h1 className="text-2xl font-bold text-gradient">{t("verify.successTitle", "Email verified")}</h1>
+              <p className="text-fg/70">
+                {t("verify.successDesc", "{{email}} is confirmed. You can now purchase courses.", { email: verifyQuery.data.email })}
+              </p>
+              <Link to={isAuthenticated ? "/dashboard" : "/auth"} className="btn-primary inline-block">
+                {isAuthenticated ? t("verify.toDashboard", "Go to dashboard") : t("verify.toLogin", "Sign in")}
+              </Link>
+            </div>
+          )}
+
+          {error && (
+            <div className="space-y-4">
+              <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm flex items-start gap-2 text-start">
+                <AlertTriangle className="w-5 h-5 shrink-0" />
+                {t(`authErrors.${error.code}`, error.message)}
+              </div>
+              <p className="text-fg/70 text-sm">
+                {t("verify.failedHint", "Sign in and use “Resend verification email” to get a new link.")}
+              </p>
+              <Link to={isAuthenticated ? "/dashboard" : "/auth"} className="text-indigo-400 hover:text-indigo-300 font-semibold">
+                {isAuthenticated ? t("verify.toDashboard", "Go to dashboard") : t("verify.toLogin", "Sign in")}
+              </Link>
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </>
+  );
+}
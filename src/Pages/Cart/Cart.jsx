@@ -0,0 +1,132 @@
+// Cart.jsx
+// /cart — full-page cart (the Navbar CartPanel's "View Cart").
+// - Lines are for you, a gift or a team (CartLineInfo); team seats can be changed here.
+//   Remove lines; the order summary links on to /checkout.
+// - Promo codes are applied here (CouponForm) and carried into the checkout.
+// - Tax is estimated for a country picked here until the checkout has a billing address.
+// - Lines whose course got cheaper since they were added say by how much (PriceDrop).
+// - Checkout is blocked (with a hint) until the account email is verified.
+// - Guests can fill their cart here; RequireAuth sends them to sign in at /checkout.
+
+import React from "react";
+import { motion } from "framer-motion";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useSelector } from "react-redux";
+import { ArrowLeft, ShoppingCart, Trash2 } from "lucide-react";
+import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+import { useCart } from "../../Context/CartContext";
+import { useCurrency } from "../../Context/useCurrency";
+import { useCartQuote } from "../../Api/queries";
+import { selectCouponCodes, selectTaxLocation } from "../../Store/cartSlice";
+import OrderSummary from "../../Components/Checkout/OrderSummary";
+import CouponForm from "../../Components/Checkout/CouponForm";
+import TaxLocationSelect from "../../Components/Checkout/TaxLocationSelect";
+import CartLineInfo from "../../Components/Cart/CartLineInfo";
+import SeatsStepper from "../../Components/Cart/SeatsStepper";
+import PriceDrop from "../../Components/Courses/PriceDrop";
+
+export default function Cart() {
+  const { t } = useTranslation();
+  const { needsVerification } = useAuth();
+  const { items, updateQuantity, removeFromCart } = useCart();
+  const { currency, unitPriceOf, formatPrice: currencyFmt } = useCurrency();
+  const couponCodes = useSelector(selectCouponCodes);
+  const taxLocation = useSelector(selectTaxLocation);
+  const { data: quote } = useCartQuote(items, couponCodes, taxLocation, currency);
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("cart.title", "Your cart")}</title>
+      </Helmet>
+
+      <div className="py-8 px-4">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mb-8">
+          <Link to="/courses" className="flex items-center gap-2 text-fg/70 hover:text-fg transition-colors mb-4">
+            <ArrowLeft className="w-4 h-4 rtl:rotate-180" />
+            {t("cart.continueShopping", "Continue shopping")}
+          </Link>
+          <h1 className="text-2xl sm:text-3xl font-extrabold text-gradient">{t("cart.title", "Your cart")}</h1>
+          <p className="text-fg/70 mt-1">{t("cart.count", "{{count}} courses", { count: items.length })}</p>
+        </motion.div>
+
+        {items.length === 0 ? (
+          <div className="text-center py-16">
+            <ShoppingCart className="w-24 h-24 text-fg/30 mx-auto mb-4" />
+            <h2 className="text-2xl font-bold text-gradient mb-2">{t("dashboard.cart.emptyTitle", "Your cart is empty")}</h2>
+            <p className="text-fg/70 mb-6">{t("dashboard.cart.emptyDesc", "Add some courses to get started!")}</p>
+            <Link to="/courses" className="btn-primary">{t("dashboard.cart.browse", "Browse Courses")}</Link>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 space-y-4">
+              {items.map((item) => (
+                <div key={item.lineId} className="glass shadow rounded-3xl p-6 border border-white/20">
+                  <div className="flex flex-wrap sm:flex-nowrap items-center gap-4">
+                    <img src={item.image} alt={item.title} className="w-20 h-20 object-cover rounded-xl" />
+                    <div className="flex-1 min-w-0">
+                      <h2 className="font-bold text-lg truncate">{item.title}</h2>
+                      {(item.category || item.level) && (
+                        <p className="text-fg/70 text-sm mb-2">{[item.category, item.level].filter(Boolean).join(" • ")}</p>
+                      )}
+                      <CartLineInfo item={item} className="mb-1" />
+                      <div className="text-xl font-bold text-gradient">{currencyFmt(unitPriceOf(item))}</div>
+                      <PriceDrop snapshot={item.savedPrice} course={item} variant="cart" className="mt-1" />
+                    </div>
+
+                    {item.type === "team" && (
+                      <SeatsStepper
+                        seats={item.quantity}
+                        onChange={(seats) => updateQuantity(item.lineId, seats)}
+                        label={item.title}
+                      />
+                    )}
+
+                    <div className="flex items-center gap-3">
+                      <div className="text-lg font-bold">{currencyFmt(unitPriceOf(item) * item.quantity)}</div>
+                      <button
+                        type="button"
+                        onClick={() => removeFromCart(item.lineId)}
+                        aria-label={t("cart.remove", "Remove")}
+                        title={t("cart.remove", "Remove")}
+                        className="p-2 rounded-xl text-red-400 hover:bg-red-500/10 transition-colors"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <OrderSummary items={items} currencyFmt={currencyFmt} quote={quote}>
+              <CouponForm items={items} quote={quote} currencyFmt={currencyFmt} />
+              <TaxLocationSelect />
+              {needsVerification ? (
+                <>
+                  <button
+                    disabled
+                    className="w-full mt-6 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold opacity-50 cursor-not-allowed"
+                  >
+                    {t("dashboard.checkout", "Proceed to Checkout")}
+                  </button>
+                  {/* purchases are blocked until the email is verified */}
+                  <p className="mt-2 text-sm text-amber-500">{t("verify.purchaseBlocked", "Verify your email to purchase.")}</p>
+                </>
+              ) : (
+                <Link
+                  to="/checkout"
+                  className="block text-center w-full mt-6 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200"
+                >
+                  {t("dashboard.checkout", "Proceed to Checkout")}
+                </Link>
+              )}
+            </OrderSummary>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
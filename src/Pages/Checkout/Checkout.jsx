@@ -0,0 +1,267 @@
+// Checkout.jsx
+// /checkout — multi-step checkout: Review → Billing → Payment → Confirmation.
+// - Signed-in only (under RequireAuth); unverified accounts see the verify banner
+//   instead of the steps (the API refuses their orders too).
+// - The order is created on the first payment attempt and reused if a card is
+//   declined; changing the billing details starts a new one.
+// - Cards go through the payment provider (Services/payments); 3-D Secure cards
+//   get a confirmation dialog before the order is paid.
+// - Promo codes from the cart are priced live (useCartQuote), can be changed on the
+//   review step and are sent with the order; the API re-checks them.
+// - Tax follows the billing country / region; the billing step saves it as the
+//   cart's tax location so the summary shows the tax the order will have.
+// - Prices are in the preferred currency; switching it mid-checkout starts a new order.
+// - After payment the cart is cleared and the user's purchases are refreshed.
+
+import React, { useState } from "react";
+import { motion } from "framer-motion";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useDispatch, useSelector } from "react-redux";
+import { useQueryClient } from "@tanstack/react-query";
+import { ArrowRight, CheckCircle2, ShoppingCart } from "lucide-react";
+import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+import { useCart } from "../../Context/CartContext";
+import { useCurrency } from "../../Context/useCurrency";
+import { cartCleared, selectCouponCodes, selectTaxLocation, taxLocationChanged } from "../../Store/cartSlice";
+import { checkoutService } from "../../Services/checkoutService";
+import { paymentProvider } from "../../Services/payments";
+import { queryKeys, useCartQuote } from "../../Api/queries";
+import VerifyEmailBanner from "../../Components/Auth/VerifyEmailBanner";
+import CheckoutSteps from "../../Components/Checkout/CheckoutSteps";
+import OrderSummary from "../../Components/Checkout/OrderSummary";
+import CouponForm from "../../Components/Checkout/CouponForm";
+import BillingForm from "../../Components/Checkout/BillingForm";
+import PaymentForm from "../../Components/Checkout/PaymentForm";
+import PaymentsUnavailable from "../../Components/Checkout/PaymentsUnavailable";
+import ThreeDSecureDialog from "../../Components/Checkout/ThreeDSecureDialog";
+import CartLineInfo from "../../Components/Cart/CartLineInfo";
+
+const STEPS = ["review", "billing", "payment", "confirmation"];
+
+export default function Checkout() {
+  const { t } = useTranslation();
+  const dispatch = useDispatch();
+  const queryClient = useQueryClient();
+  const { user, needsVerification, refreshUser } = useAuth();
+  const { items } = useCart();
+  const { currency, unitPriceOf, formatPrice: currencyFmt } = useCurrency();
+  const couponCodes = useSelector(selectCouponCodes);
+  const taxLocation = useSelector(selectTaxLocation);
+  const { data: quote } = useCartQuote(items, couponCodes, taxLocation, currency);
+
+  const [step, setStep] = useState(0);
+  const [billing, setBilling] = useState(() => ({
+    name: user?.name || "",
+    email: user?.email || "",
+    country: taxLocation?.country || "",
+    region: taxLocation?.region || "",
+    address: "",
+    city: "",
+    postalCode: "",
+  }));
+  const [order, setOrder] = useState(null); // pending order, then the paid one
+  const [challenge, setChallenge] = useState(null); // 3-D Secure action from the API
+  const [isPaying, setIsPaying] = useState(false);
+  const [paymentError, setPaymentError] = useState(null);
+
+  const steps = STEPS.map((id) => ({ id, label: t(`checkout.steps.${id}`, id) }));
+  const subtotal = items.reduce((sum, item) => sum + unitPriceOf(item) * (Number(item.quantity) || 0), 0);
+  const total = quote ? quote.total : subtotal;
+  const errorMessage = (err) => t(`checkoutErrors.${err.code}`, err.message);
+  const hasUnusableCodes = quote?.rejected.length > 0;
+
+  /* -----------------------
+     Payment
+  ------------------------*/
+  const finish = async (paidOrder) => {
+    setOrder(paidOrder);
+    setChallenge(null);
+    setStep(3);
+    dispatch(cartCleared());
+    queryClient.invalidateQueries({ queryKey: queryKeys.orders.all });
+    refreshUser().catch((err) => console.warn("Could not refresh the signed-in user", err));
+  };
+
+  const handleOutcome = async (outcome) => {
+    setOrder(outcome.order);
+    if (outcome.status === "requires_action") setChallenge(outcome.action);
+    else await finish(outcome.order);
+  };
+
+  const handlePay = async (card) => {
+    setIsPaying(true);
+    setPaymentError(null);
+    try {
+      const paymentMethod = await paymentProvider.createPaymentMethod(card);
+      // an order priced in another currency can't be reused
+      const reusable = order?.currency === currency ? order : null;
+      const pending =
+        reusable ?? (await checkoutService.createOrder({ items, billing, coupons: couponCodes, currency }));
+      setOrder(pending);
+      await handleOutcome(await checkoutService.payOrder(pending.id, paymentMethod));
+    } catch (err) {
+      // a promo code stopped working: the next attempt prices a new order
+      if (err.code?.startsWith("COUPON_")) setOrder(null);
+      setPaymentError(errorMessage(err));
+    } finally {
+      setIsPaying(false);
+    }
+  };
+
+  const handleChallenge = async (response) => {
+    setIsPaying(true);
+    try {
+      await handleOutcome(await checkoutService.confirmPayment(order.id, { paymentId: challenge.paymentId, response }));
+    } catch (err) {
+      setChallenge(null);
+      setPaymentError(errorMessage(err));
+    } finally {
+      setIsPaying(false);
+    }
+  };
+
+  const goToStep = (next) => {
+    if (next === 0) setOrder(null); // the codes may change on the review step
+    setStep(next);
+  };
+
+  const handleBilling = (values) => {
+    setBilling(values);
+    dispatch(taxLocationChanged({ country: values.country, region: values.region }));
+    setOrder(null); // the pending order carries the old billing details
+    setStep(2);
+  };
+
+  /* -----------------------
+     Render
+  ------------------------*/
+  const confirmed = step === 3 && order;
+
+  let content;
+  if (needsVerification && !confirmed) {
+    content = (
+      <div className="max-w-2xl">
+        <VerifyEmailBanner variant="card" />
+      </div>
+    );
+  } else if (!items.length && !confirmed) {
+    content = (
+      <div className="text-center py-16">
+        <ShoppingCart className="w-24 h-24 text-fg/30 mx-auto mb-4" />
+        <h2 className="text-2xl font-bold text-gradient mb-2">{t("dashboard.cart.emptyTitle", "Your cart is empty")}</h2>
+        <p className="text-fg/70 mb-6">{t("dashboard.cart.emptyDesc", "Add some courses to get started!")}</p>
+        <Link to="/courses" className="btn-primary">{t("dashboard.cart.browse", "Browse Courses")}</Link>
+      </div>
+    );
+  } else if (!paymentProvider && !confirmed) {
+    content = (
+      <PaymentsUnavailable>
+        <Link to="/cart" className="btn-primary inline-block">{t("checkout.unavailable.toCart", "Back to cart")}</Link>
+      </PaymentsUnavailable>
+    );
+  } else if (confirmed) {
+    content = (
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="glass rounded-3xl p-8 border border-white/20 text-center max-w-xl mx-auto space-y-4">
+        <CheckCircle2 className="w-16 h-16 text-green-500 mx-auto" aria-hidden />
+        <h2 className="text-2xl font-bold text-gradient">{t("checkout.confirmation.title", "Thank you for your order!")}</h2>
+        <p className="text-fg/70">
+          {t("checkout.confirmation.desc", "Order {{id}} is paid. A receipt was sent to {{email}}.", {
+            id: order.invoiceNumber || `#${order.id.slice(0, 8).toUpperCase()}`,
+            email: order.billing?.email || user?.email,
+          })}
+        </p>
+        <p className="text-xl font-bold">{currencyFmt(order.total, order.currency)}</p>
+        <div className="flex flex-wrap justify-center gap-3">
+          <Link to="/dashboard" className="btn-primary">{t("checkout.confirmation.toCourses", "Start learning")}</Link>
+          <Link to={`/dashboard/orders/${order.id}`} className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors">
+            {t("checkout.confirmation.viewOrder", "View order & invoice")}
+          </Link>
+          <Link to="/courses" className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors">
+            {t("checkout.confirmation.keepBrowsing", "Keep browsing")}
+          </Link>
+        </div>
+      </motion.div>
+    );
+  } else {
+    content = (
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          {step === 0 && (
+            <div className="glass rounded-3xl p-6 border border-white/20 space-y-4">
+              <h2 className="text-xl font-bold">{t("checkout.review.title", "Review your order")}</h2>
+              {items.map((item) => (
+                <div key={item.lineId} className="flex items-center gap-4">
+                  <img src={item.image} alt="" className="w-16 h-16 object-cover rounded-xl" />
+                  <div className="flex-1 min-w-0">
+                    <h3 className="font-semibold truncate">{item.title}</h3>
+                    <CartLineInfo item={item} />
+                  </div>
+                  <div className="font-bold">{currencyFmt(unitPriceOf(item) * item.quantity)}</div>
+                </div>
+              ))}
+              <div className="flex flex-wrap justify-between gap-3 pt-2">
+                <Link to="/cart" className="px-4 py-3 rounded-xl bg-white/10 hover:bg-white/20 transition-colors">
+                  {t("checkout.review.editCart", "Edit cart")}
+                </Link>
+                <button
+                  type="button"
+                  onClick={() => setStep(1)}
+                  disabled={hasUnusableCodes}
+                  className="flex items-center gap-2 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {t("checkout.toBilling", "Continue to billing")}
+                  <ArrowRight className="w-4 h-4 rtl:rotate-180" aria-hidden />
+                </button>
+              </div>
+              {hasUnusableCodes && (
+                <p className="text-sm text-amber-500 text-end">{t("checkout.coupons.removeUnusable", "Remove the promo codes that can't be used to continue.")}</p>
+              )}
+            </div>
+          )}
+
+          {step === 1 && <BillingForm initialValues={billing} onSubmit={handleBilling} onBack={() => goToStep(0)} />}
+
+          {step === 2 && (
+            <PaymentForm
+              total={currencyFmt(total)}
+              onPay={handlePay}
+              onBack={() => setStep(1)}
+              error={paymentError}
+              isPaying={isPaying}
+            />
+          )}
+        </div>
+
+        <OrderSummary items={items} currencyFmt={currencyFmt} quote={quote}>
+          {step === 0 && <CouponForm items={items} quote={quote} currencyFmt={currencyFmt} />}
+        </OrderSummary>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("checkout.title", "Checkout")}</title>
+      </Helmet>
+
+      <div className="py-8 px-4">
+        <h1 className="text-2xl sm:text-3xl font-extrabold text-gradient mb-6">{t("checkout.title", "Checkout")}</h1>
+        {!needsVerification && paymentProvider && (items.length > 0 || confirmed) && <CheckoutSteps steps={steps} current={step} />}
+        {content}
+      </div>
+
+      {challenge && (
+        <ThreeDSecureDialog
+          action={challenge}
+          amount={order ? currencyFmt(order.total, order.currency) : currencyFmt(total)}
+          onSubmit={handleChallenge}
+          onCancel={() => handleChallenge("")}
+          isSubmitting={isPaying}
+        />
+      )}
+    </>
+  );
+}
@@ -3,9 +3,11 @@
 // Uses i18n for translations, defensive checks for missing data,
 // and Framer Motion for small entrance animations.
 
-import React, { useMemo, useState } from "react";
+import React, { useState } from "react";
 import { useParams, Link } from "react-router-dom";
-import { projectData } from "../../../Data/Data";
+import { useCourse, useInstructor } from "../../Api/queries";
+import { CourseDetailsSkeleton } from "../../Components/Feedback/Skeletons";
+import ErrorState from "../../Components/Feedback/ErrorState";
 import { motion } from "framer-motion";
 import {
   Star,
@@ -20,9 +22,17 @@ import {
   ShoppingCart,
   Award,
   Download,
+  Crown,
 } from "lucide-react";
 import { useCart } from "../../Context/CartContext";
 import { useWishlist } from "../../Context/CartContext";
+import { useCurrency } from "../../Context/useCurrency";
+import { useSale } from "../../Context/useSale";
+import SaleBadge from "../../Components/Courses/SaleBadge";
+import { percentOff } from "../../../Data/sales";
+import { PLANS, planCovers } from "../../../Data/plans";
+import { useCourseAccess } from "../../Context/useCourseAccess";
+import PurchaseOptions from "../../Components/Cart/PurchaseOptions";
 import { useTranslation } from "react-i18next";
 import { Helmet } from "react-helmet";
 
@@ -40,21 +50,20 @@ export default function CourseDetails() {
   // read slug from route params
   const { slug } = useParams();
 
-  // safe access to mock data (avoid crashes if projectData missing)
-  const courses = projectData?.courses || [];
-  const instructors = projectData?.instructors || [];
-
-  // find the target course by slug (memoized)
-  const course = useMemo(
-    () => courses.find((c) => c.slug === slug),
-    [courses, slug]
-  );
-
-  // find the course instructor (memoized)
-  const instructor = useMemo(
-    () => instructors.find((i) => i.id === course?.instructorId),
-    [instructors, course]
-  );
+  // price in the preferred currency
+  const { priceOf, regularPriceOf, formatPrice } = useCurrency();
+
+  // course (cached by slug) + its instructor (optional: a missing profile must not hide the course)
+  const courseQuery = useCourse(slug);
+  const course = courseQuery.data;
+  const { data: instructor } = useInstructor(course?.instructorId);
+  // running sale + countdown (re-renders when it starts / ends)
+  const { sale, timeLeft } = useSale(course);
+  const discount = sale ? percentOff(priceOf(course), regularPriceOf(course)) : 0;
+  // bought, or covered by the user's subscription (Data/entitlements.js)
+  const access = useCourseAccess(course);
+  const accessPlan = PLANS.find((plan) => plan.id === access.planId);
+  const inPro = PLANS.some((plan) => planCovers(plan, course));
 
   // local UI state
   const [activeSection, setActiveSection] = useState("overview");
@@ -80,6 +89,23 @@ export default function CourseDetails() {
       ? wishlist.isInWishlist
       : () => false;
 
+  // While the course is loading, show the page skeleton (no "not found" flash)
+  if (courseQuery.isPending) {
+    return <CourseDetailsSkeleton label={t("status.loading", "Loading...")} />;
+  }
+
+  // Network/server error: offer a retry instead of claiming the course doesn't exist
+  if (courseQuery.isError) {
+    return (
+      <div className="min-h-screen flex items-center justify-center px-4">
+        <ErrorState
+          onRetry={() => courseQuery.refetch()}
+          isRetrying={courseQuery.isFetching}
+        />
+      </div>
+    );
+  }
+
   // If course isn't found, show a friendly fallback UI
   if (!course) {
     return (
@@ -321,19 +347,55 @@ export default function CourseDetails() {
 
             {/* Price & action card */}
             <div className="glass shadow rounded-3xl p-6 border border-white/20">
-              <div className="text-center mb-6">
-                <div className="text-4xl font-extrabold text-gradient mb-2">
-                  {t("course.pricePrefix", "$")}
-                  {course.price}
+              {access.access ? (
+                <div className="text-center mb-6 space-y-2">
+                  <CheckCircle className="w-10 h-10 mx-auto text-green-500" />
+                  <div className="text-xl font-bold">
+                    {access.via === "subscription"
+                      ? t("course.access.subscription", "Included in your {{plan}} plan", {
+                          plan: accessPlan?.name[locale.startsWith("ar") ? "ar" : "en"] || accessPlan?.name.en,
+                        })
+                      : t("course.access.purchase", "You own this course")}
+                  </div>
+                  <Link
+                    to="/dashboard"
+                    className="w-full bg-gradient-to-r from-green-500 to-emerald-600 text-white py-4 px-6 rounded-2xl font-semibold hover:from-green-600 hover:to-emerald-700 transition-all duration-200 flex items-center justify-center gap-2"
+                  >
+                    <Play className="w-5 h-5" />
+                    {t("course.access.continue", "Go to my courses")}
+                  </Link>
                 </div>
-                <div className="text-fg/70">
-                  {t("course.oneTimePayment", "One-time payment")}
+              ) : (
+                <div className="text-center mb-6">
+                  {discount > 0 && (
+                    <div className="mb-3">
+                      <SaleBadge percent={discount} timeLeft={timeLeft} />
+                      <div className="text-fg/60 line-through mt-2">
+                        {formatPrice(regularPriceOf(course))}
+                      </div>
+                    </div>
+                  )}
+                  <div className="text-4xl font-extrabold text-gradient mb-2">
+                    {formatPrice(priceOf(course))}
+                  </div>
+                  <div className="text-fg/70">
+                    {t("course.oneTimePayment", "One-time payment")}
+                  </div>
+                  {inPro && (
+                    <Link
+                      to="/pro"
+                      className="inline-flex items-center gap-1 mt-2 text-sm text-amber-400 hover:text-amber-300"
+                    >
+                      <Crown className="w-4 h-4" />
+                      {t("course.access.withPro", "Or get it with Skillverse Pro")}
+                    </Link>
+                  )}
                 </div>
-              </div>
+              )}
 
               <div className="space-y-3">
                 {/* Add to cart / enroll button (toggle based on isInCart) */}
-                {!isInCart(course.id) ? (
+                {access.access ? null : !isInCart(course.id) ? (
                   <button
                     className="w-full bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-4 px-6 rounded-2xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 flex items-center justify-center gap-2"
                     onClick={handleAddToCart}
@@ -379,6 +441,9 @@ export default function CourseDetails() {
                     {t("course.share", "Share")}
                   </button>
                 </div>
+
+                {/* Gift / team seats */}
+                <PurchaseOptions course={course} />
               </div>
 
               {/* Quick feature list */}
@@ -1,54 +1,53 @@
 // Courses.jsx
 // This page displays all available courses with filters for category, level, tags, and search query.
-// It uses local mock data (projectData) and memoized filtering for performance.
+// It reads the catalog through React Query hooks (src/Api/queries.js) with skeleton and error/retry states.
 
-import React, { useMemo, useState } from 'react'
+import React, { useMemo } from 'react'
 import Filters from '../../Components/Filters/Filters'        // Reusable filter component (search, dropdowns, etc.)
-import CourseCard from '../../Components/Courses/CourseCard'  // Component that displays each course card
-import { projectData } from '../../../Data/Data'              // Local mock data (courses, instructors, etc.)
+import CourseResults from '../../Components/Courses/CourseResults' // Count, sort, pages / infinite scroll of course cards
+import { CourseGridSkeleton } from '../../Components/Feedback/Skeletons' // Loading placeholders
+import ErrorState from '../../Components/Feedback/ErrorState' // Error box with retry
+import { useCourseFacets, useCourses, useInstructors, useTaxonomy } from '../../Api/queries' // Cached API data
 import { Helmet } from 'react-helmet'                         // For setting the page title and metadata dynamically
+import { useCourseFilters } from '../../Context/useCourseFilters' // Filters kept in the URL
+import { useCurrency } from '../../Context/useCurrency'         // Prices in the shown currency
 
 export default function Courses() {
   /* ----------------------------------------------
-     Local state to hold filter selections:
+     Filter selections, kept in the URL search params so a filtered view can be
+     bookmarked, shared and restored with the back button:
      - query: search text
-     - category: selected category
+     - categories: selected categories
      - level: selected course difficulty
-     - tag: selected tag (like 'React', 'UI', etc.)
+     - tags: selected tags (like 'React', 'UI', etc.)
+     - price range, free / paid, minimum rating, duration, language, new / popular
+     - sort / page: order and page of the results
   ---------------------------------------------- */
-  const [filters, setFilters] = useState({
-    query: '',
-    category: '',
-    level: '',
-    tag: ''
-  })
-
-  // Destructure the data from projectData
-  const { courses, instructors, categories, levels, tags } = projectData
+  const [filters, setFilters] = useCourseFilters()
 
   /* ----------------------------------------------
-     Filter logic:
-     - Runs only when `filters` or `courses` change.
-     - Filters courses based on the selected filters.
-     - All matching conditions must be true.
+     Cached API data:
+     - useCourses(filters) fetches the list once and filters it client-side;
+       a search query ranks the results by relevance (Utils/courseFilters).
+     - useCourseFacets(filters) counts the results of every filter option.
+     - Instructors and taxonomy (categories, levels, tags) power cards and dropdowns.
   ---------------------------------------------- */
-  const filtered = useMemo(() => {
-    const q = filters.query.trim().toLowerCase()
-
-    return courses.filter((c) => {
-      // Match search query in title or tags
-      const matchesQuery =
-        !q || c.title.toLowerCase().includes(q) || c.tags?.some((t) => t.includes(q))
+  const { priceOf } = useCurrency()
+  const coursesQuery = useCourses(filters, priceOf)
+  const facetsQuery = useCourseFacets(filters, priceOf)
+  const instructorsQuery = useInstructors()
+  const taxonomyQuery = useTaxonomy()
 
-      // Match category, level, and tag if selected
-      const matchesCategory = !filters.category || c.category === filters.category
-      const matchesLevel = !filters.level || c.level === filters.level
-      const matchesTag = !filters.tag || c.tags?.includes(filters.tag)
+  const filtered = coursesQuery.data ?? []
+  const { categories = [], levels = [], tags = [] } = taxonomyQuery.data ?? {}
 
-      // Return only if all selected filters match
-      return matchesQuery && matchesCategory && matchesLevel && matchesTag
-    })
-  }, [courses, filters])
+  const isLoading = coursesQuery.isPending
+  const loadError = coursesQuery.isError || instructorsQuery.isError
+  const retry = () => {
+    coursesQuery.refetch()
+    instructorsQuery.refetch()
+    taxonomyQuery.refetch()
+  }
 
   /* ----------------------------------------------
      Map instructors by ID for quick access:
@@ -56,15 +55,15 @@ export default function Courses() {
      - So we can easily get the instructor for each course.
   ---------------------------------------------- */
   const instructorById = useMemo(
-    () => new Map(instructors.map((i) => [i.id, i])),
-    [instructors]
+    () => new Map((instructorsQuery.data ?? []).map((i) => [i.id, i])),
+    [instructorsQuery.data]
   )
 
   /* ----------------------------------------------
      Render section:
      - Helmet → Sets the browser tab title.
      - Filters → Displays the filter UI.
-     - Course grid → Displays filtered courses as cards.
+     - CourseResults → Count, sort order and the course cards, paged or infinitely scrolled.
   ---------------------------------------------- */
   return (
     <>
@@ -83,18 +82,22 @@ export default function Courses() {
           levels={levels}
           tags={tags}
           selected={filters}
+          facets={facetsQuery.data}
         />
 
-        {/* Display the filtered courses in a responsive grid */}
-        <section className="mt-8 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5">
-          {filtered.map((course) => (
-            <CourseCard
-              key={course.id}
-              course={course}
-              instructor={instructorById.get(course.instructorId)}
-            />
-          ))}
-        </section>
+        {/* Skeleton while loading, error box with retry, otherwise the course grid */}
+        {isLoading ? (
+          <CourseGridSkeleton />
+        ) : loadError ? (
+          <ErrorState onRetry={retry} isRetrying={coursesQuery.isFetching} />
+        ) : (
+          <CourseResults
+            courses={filtered}
+            instructorById={instructorById}
+            filters={filters}
+            onChange={setFilters}
+          />
+        )}
       </div>
     </>
   )
@@ -1,12 +1,14 @@
 // Dashboard.jsx
-// Dashboard page with multiple panels: Overview, My Courses, Cart, Wishlist, Progress, Achievements.
+// Dashboard page with multiple panels: Overview, My Courses, Orders, Cart, Wishlist, Progress, Achievements, Security.
 // - Panels are small components inside this file for clarity.
-// - activeTab is persisted to localStorage.
+// - activeTab is persisted to localStorage (links can open a tab with `state: { tab }`).
 // - Uses i18n for strings and defensive access to Context (cart/wishlist).
 
-import React, { useMemo, useState, useCallback } from "react";
-import { projectData } from "../../../Data/Data";
-import { Link } from "react-router-dom";
+import React, { useEffect, useMemo, useState } from "react";
+import { useCartQuote, useCourses, useOrders } from "../../Api/queries";
+import { DashboardSkeleton } from "../../Components/Feedback/Skeletons";
+import ErrorState from "../../Components/Feedback/ErrorState";
+import { Link, useLocation } from "react-router-dom";
 import { motion } from "framer-motion";
 import {
   BookOpen,
@@ -22,11 +24,29 @@ import {
   Target,
   Zap,
   ShoppingCart,
+  Shield,
+  Receipt,
+  ChevronRight,
+  Crown,
 } from "lucide-react";
+import { useSelector } from "react-redux";
 import { useCart } from "../../Context/CartContext";
+import { selectCouponCodes, selectTaxLocation } from "../../Store/cartSlice";
 import { useWishlist } from "../../Context/CartContext";
 import { useTranslation } from "react-i18next";
 import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+import { useCurrency } from "../../Context/useCurrency";
+import VerifyEmailBanner from "../../Components/Auth/VerifyEmailBanner";
+import ActiveSessions from "../../Components/Auth/ActiveSessions";
+import CouponForm from "../../Components/Checkout/CouponForm";
+import TaxLine from "../../Components/Checkout/TaxLine";
+import TaxLocationSelect from "../../Components/Checkout/TaxLocationSelect";
+import CartLineInfo from "../../Components/Cart/CartLineInfo";
+import SeatsStepper from "../../Components/Cart/SeatsStepper";
+import OrderStatusBadge from "../../Components/Orders/OrderStatusBadge";
+import InvoiceButton from "../../Components/Orders/InvoiceButton";
+import { courseAccess } from "../../../Data/entitlements";
 
 /* -----------------------
   Small reusable stat card
@@ -206,11 +226,12 @@ function OverviewPanel({
 }
 
 /* -----------------------
-  CoursesPanel - shows purchased courses
+  CoursesPanel - shows the courses the user can take, bought or through their
+  subscription (marked "Pro")
 ------------------------*/
 function CoursesPanel({ purchased, numberFmt, t }) {
   if (!purchased.length) {
-    return <div className="text-center py-16">{t("dashboard.courses.empty", "No purchased courses")}</div>;
+    return <div className="text-center py-16">{t("dashboard.courses.empty", "No courses yet")}</div>;
   }
 
   return (
@@ -220,6 +241,12 @@ function CoursesPanel({ purchased, numberFmt, t }) {
           <div className="relative mb-4">
             <img src={course.image} alt={course.title} className="w-full h-32 object-cover rounded-2xl" />
             <div className="absolute top-2 right-2 bg-black/50 text-white px-2 py-1 rounded-lg text-xs">{course.duration}</div>
+            {course.access?.via === "subscription" && (
+              <div className="absolute top-2 left-2 flex items-center gap-1 bg-amber-500 text-white px-2 py-1 rounded-lg text-xs font-semibold">
+                <Crown className="w-3 h-3" />
+                {t("dashboard.courses.pro", "Pro")}
+              </div>
+            )}
           </div>
 
           <h3 className="font-bold text-lg mb-2">{course.title}</h3>
@@ -248,10 +275,78 @@ function CoursesPanel({ purchased, numberFmt, t }) {
   );
 }
 
+/* -----------------------
+  OrdersPanel - the user's orders, newest first: status, lines, total and date,
+  with the order page and the invoice PDF
+------------------------*/
+function OrdersPanel({ orders, courses, currencyFmt, locale, t }) {
+  if (!orders.length) {
+    return (
+      <div className="text-center py-16">
+        <Receipt className="w-24 h-24 text-fg/30 mx-auto mb-4" />
+        <h3 className="text-2xl font-bold text-gradient mb-2">{t("orders.emptyTitle", "No orders yet")}</h3>
+        <p className="text-fg/70 mb-6">{t("orders.emptyDesc", "Courses you buy will show up here with their invoices.")}</p>
+        <Link to="/courses" className="btn-primary">{t("dashboard.cart.browse", "Browse Courses")}</Link>
+      </div>
+    );
+  }
+
+  const dateFmt = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+  const titleOf = (item) => item.title || courses.find((c) => c.id === item.courseId)?.title || `#${item.courseId}`;
+  const sorted = [...orders].sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  return (
+    <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+      {sorted.map((order) => (
+        <div key={order.id} className="glass shadow rounded-3xl p-6 border border-white/20">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div>
+              <div className="flex items-center gap-2">
+                <h4 className="font-bold text-lg" dir="ltr">{order.invoiceNumber || `#${order.id.slice(0, 8).toUpperCase()}`}</h4>
+                <OrderStatusBadge status={order.status} />
+              </div>
+              <p className="text-sm text-fg/70">{dateFmt.format(new Date(order.paidAt || order.createdAt))}</p>
+            </div>
+            <div className="text-xl font-bold text-gradient">{currencyFmt(order.total, order.currency)}</div>
+          </div>
+
+          <ul className="space-y-2 mb-4">
+            {order.items.map((item) => (
+              <li key={item.lineId || item.courseId} className="flex justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium truncate">{titleOf(item)}</p>
+                  <CartLineInfo item={item} showNextTier={false} />
+                </div>
+                <span className="text-fg/80 whitespace-nowrap">
+                  {currencyFmt(item.price * item.quantity - (item.discount || 0), order.currency)}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex flex-wrap gap-2 justify-end">
+            <InvoiceButton order={order} />
+            <Link
+              to={`/dashboard/orders/${order.id}`}
+              className="inline-flex items-center gap-1 px-4 py-2 rounded-xl bg-indigo-500 text-white hover:bg-indigo-600 transition-colors"
+            >
+              {t("orders.viewDetails", "Order details")}
+              <ChevronRight className="w-4 h-4 rtl:rotate-180" aria-hidden />
+            </Link>
+          </div>
+        </div>
+      ))}
+    </motion.div>
+  );
+}
+
 /* -----------------------
   CartPanel - shows items in cart + order summary
 ------------------------*/
-function CartPanel({ cartItems, currencyFmt, t, numberFmt }) {
+function CartPanel({ cartItems, updateSeats, currency, unitPriceOf, currencyFmt, t, numberFmt, needsVerification, couponCodes, taxLocation }) {
+  // promo codes and tax are priced by the API; without them there is no quote
+  const { data: quote } = useCartQuote(cartItems, couponCodes, taxLocation, currency);
+
   if (!cartItems.length) {
     return (
       <div className="text-center py-16">
@@ -263,25 +358,26 @@ function CartPanel({ cartItems, currencyFmt, t, numberFmt }) {
     );
   }
 
-  const subtotal = cartItems.reduce((acc, it) => acc + it.price * it.quantity, 0);
+  const subtotal = cartItems.reduce((acc, it) => acc + unitPriceOf(it) * it.quantity, 0);
 
   return (
     <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6">
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         <div className="lg:col-span-2 space-y-4">
           {cartItems.map((item) => (
-            <div key={item.id} className="glass shadow rounded-3xl p-6 border border-white/20">
-              <div className="flex items-center gap-4">
+            <div key={item.lineId} className="glass shadow rounded-3xl p-6 border border-white/20">
+              <div className="flex flex-wrap sm:flex-nowrap items-center gap-4">
                 <img src={item.image} alt={item.title} className="w-20 h-20 object-cover rounded-xl" />
                 <div className="flex-1">
                   <h4 className="font-bold text-lg">{item.title}</h4>
-                  <p className="text-fg/70 text-sm mb-2">{item.category} • {item.level}</p>
-                  <div className="text-xl font-bold text-gradient">{currencyFmt(item.price)}</div>
-                </div>
-                <div className="text-right">
-                  <div className="text-sm text-fg/70 mb-2">{t("dashboard.quantity", "Quantity")}: {item.quantity}</div>
-                  <div className="text-lg font-bold">{currencyFmt(item.price * item.quantity)}</div>
+                  <p className="text-fg/70 text-sm mb-1">{item.category} • {item.level}</p>
+                  <CartLineInfo item={item} className="mb-2" />
+                  <div className="text-xl font-bold text-gradient">{currencyFmt(unitPriceOf(item))}</div>
                 </div>
+                {item.type === "team" && (
+                  <SeatsStepper seats={item.quantity} onChange={(seats) => updateSeats(item.lineId, seats)} label={item.title} />
+                )}
+                <div className="text-lg font-bold text-right">{currencyFmt(unitPriceOf(item) * item.quantity)}</div>
               </div>
             </div>
           ))}
@@ -294,20 +390,41 @@ function CartPanel({ cartItems, currencyFmt, t, numberFmt }) {
               <span>{t("dashboard.subtotal", "Subtotal")}:</span>
               <span>{currencyFmt(subtotal)}</span>
             </div>
-            <div className="flex justify-between">
-              <span>{t("dashboard.tax", "Tax")}:</span>
-              <span>{t("dashboard.taxAmount", "$0.00")}</span>
-            </div>
+            {quote?.coupons.map((coupon) => (
+              <div key={coupon.code} className="flex justify-between text-green-500">
+                <span>{t("checkout.coupons.discount", "Discount")} <span className="font-mono" dir="ltr">({coupon.code})</span>:</span>
+                <span>−{currencyFmt(coupon.amount)}</span>
+              </div>
+            ))}
+            <TaxLine tax={quote?.tax} currencyFmt={currencyFmt} />
             <div className="border-t border-black/10 dark:border-white/10 pt-3">
               <div className="flex justify-between font-bold text-lg">
                 <span>{t("dashboard.total", "Total")}:</span>
-                <span className="text-gradient">{currencyFmt(subtotal)}</span>
+                <span className="text-gradient">{currencyFmt(quote ? quote.total : subtotal)}</span>
               </div>
             </div>
           </div>
-          <button className="w-full mt-6 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200">
-            {t("dashboard.checkout", "Proceed to Checkout")}
-          </button>
+          <CouponForm items={cartItems} quote={quote} currencyFmt={currencyFmt} />
+          <TaxLocationSelect />
+          {needsVerification ? (
+            <button
+              disabled
+              className="w-full mt-6 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold opacity-50 cursor-not-allowed"
+            >
+              {t("dashboard.checkout", "Proceed to Checkout")}
+            </button>
+          ) : (
+            <Link
+              to="/checkout"
+              className="block text-center w-full mt-6 bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200"
+            >
+              {t("dashboard.checkout", "Proceed to Checkout")}
+            </Link>
+          )}
+          {/* purchases are blocked until the email is verified */}
+          {needsVerification && (
+            <p className="mt-2 text-sm text-amber-500">{t("verify.purchaseBlocked", "Verify your email to purchase.")}</p>
+          )}
         </div>
       </div>
     </motion.div>
@@ -317,7 +434,7 @@ function CartPanel({ cartItems, currencyFmt, t, numberFmt }) {
 /* -----------------------
   WishlistPanel
 ------------------------*/
-function WishlistPanel({ wishlistItems, currencyFmt, t }) {
+function WishlistPanel({ wishlistItems, priceOf, currencyFmt, t }) {
   if (!wishlistItems.length) {
     return (
       <div className="text-center py-16">
@@ -342,7 +459,7 @@ function WishlistPanel({ wishlistItems, currencyFmt, t }) {
           <h4 className="font-bold text-lg mb-2">{course.title}</h4>
           <p className="text-fg/70 text-sm mb-3">{course.category} • {course.level}</p>
           <div className="flex items-center justify-between">
-            <div className="text-xl font-bold text-gradient">{currencyFmt(course.price)}</div>
+            <div className="text-xl font-bold text-gradient">{currencyFmt(priceOf(course))}</div>
             <div className="flex items-center gap-1"><Star className="w-4 h-4 text-yellow-500 fill-current" /><span className="text-sm font-semibold">{course.rating}</span></div>
           </div>
         </div>
@@ -352,32 +469,35 @@ function WishlistPanel({ wishlistItems, currencyFmt, t }) {
 }
 
 /* -----------------------
-  ProgressPanel - simple visual progress for purchased courses
+  ProgressPanel - how far the user is in each purchased course (users[].courseProgress, 0–1)
 ------------------------*/
-function ProgressPanel({ purchased, t }) {
+function ProgressPanel({ purchased, progress = {}, t }) {
   return (
     <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="space-y-6 ">
       <div className="glass shadow rounded-3xl p-6 border border-white/10">
         <h3 className="text-lg font-bold mb-4">{t("dashboard.progress.title", "Learning Progress")}</h3>
         <div className="space-y-4">
-          {purchased.map((course, index) => (
-            <div key={course.id} className="flex items-center gap-4">
-              <div className="w-12 h-12 bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl flex items-center justify-center">
-                <BookOpen className="w-6 h-6 text-white" />
-              </div>
-              <div className="flex-1">
-                <div className="font-semibold">{course.title}</div>
-                <div className="text-sm text-fg/70">{course.category} • {course.level}</div>
-                <div className="mt-2 w-full bg-black/10 dark:bg-white/10 rounded-full h-2">
-                  <div className="bg-gradient-to-r from-indigo-500 to-purple-600 h-2 rounded-full transition-all duration-500" style={{ width: `${Math.min(100, (index + 1) * 20)}%` }} />
+          {purchased.map((course) => {
+            const percent = Math.round(Math.min(1, Number(progress[course.id]) || 0) * 100);
+            return (
+              <div key={course.id} className="flex items-center gap-4">
+                <div className="w-12 h-12 bg-gradient-to-br from-indigo-500 to-purple-600 rounded-xl flex items-center justify-center">
+                  <BookOpen className="w-6 h-6 text-white" />
+                </div>
+                <div className="flex-1">
+                  <div className="font-semibold">{course.title}</div>
+                  <div className="text-sm text-fg/70">{course.category} • {course.level}</div>
+                  <div className="mt-2 w-full bg-black/10 dark:bg-white/10 rounded-full h-2">
+                    <div className="bg-gradient-to-r from-indigo-500 to-purple-600 h-2 rounded-full transition-all duration-500" style={{ width: `${percent}%` }} />
+                  </div>
+                </div>
+                <div className="text-right">
+                  <div className="font-bold">{percent}%</div>
+                  <div className="text-sm text-fg/70">{t("dashboard.progress.complete", "Complete")}</div>
                 </div>
               </div>
-              <div className="text-right">
-                <div className="font-bold">{Math.min(100, (index + 1) * 20)}%</div>
-                <div className="text-sm text-fg/70">{t("dashboard.progress.complete", "Complete")}</div>
-              </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       </div>
     </motion.div>
@@ -421,18 +541,45 @@ export default function Dashboard() {
   const { t, i18n } = useTranslation();
   const locale = i18n.language || "en";
 
-  // fallback user (safe access if projectData missing)
-  const user = projectData?.users?.[0] || { id: null, name: t("dashboard.guest", "Guest"), purchasedCourseIds: [] };
-  const courses = projectData?.courses || [];
+  // account data (cached API queries): course catalog and the user's orders
+  const coursesQuery = useCourses();
+
+  // signed-in account (the route is behind RequireAuth), re-read from /auth/me on
+  // open so purchases, subscription and progress changed by the API show up
+  const { user: currentUser, needsVerification, refreshUser } = useAuth();
+  useEffect(() => {
+    refreshUser().catch((err) => console.warn("Could not refresh the signed-in user", err));
+  }, [refreshUser]);
+  const ordersQuery = useOrders(currentUser?.id);
+
+  // fallback user while loading (or if the API has no users)
+  const user = currentUser || { id: null, name: t("dashboard.guest", "Guest"), purchasedCourseIds: [] };
+  const courses = useMemo(() => coursesQuery.data ?? [], [coursesQuery.data]);
+
+  // courses the user can take — bought or unlocked by their subscription (memoized)
+  const purchased = useMemo(
+    () =>
+      courses
+        .map((c) => ({ ...c, access: courseAccess(currentUser, c) }))
+        .filter((c) => c.access.access),
+    [courses, currentUser]
+  );
 
-  // purchased courses (memoized)
-  const purchased = useMemo(() => courses.filter((c) => user?.purchasedCourseIds?.includes(c.id)), [courses, user]);
+  // user orders (Orders tab)
+  const orders = ordersQuery.data ?? [];
 
-  // user orders (example usage)
-  const orders = projectData?.orders?.filter((o) => o.userId === user.id) || [];
+  // loading / error state shared by all panels
+  const isLoading = coursesQuery.isPending;
+  const loadError = coursesQuery.isError || ordersQuery.isError;
+  const retry = () => {
+    coursesQuery.refetch();
+    if (currentUser) ordersQuery.refetch();
+  };
 
-  // active tab (persisted to localStorage)
+  // active tab (persisted to localStorage; a link may ask for one)
+  const location = useLocation();
   const [activeTab, setActiveTab] = useState(() => {
+    if (location.state?.tab) return location.state.tab;
     try {
       return localStorage.getItem("dashboard.activeTab") || "overview";
     } catch {
@@ -444,23 +591,17 @@ export default function Dashboard() {
   const cartCtx = useCart() || {};
   const wishlistCtx = useWishlist() || {};
   const cartItems = cartCtx.items || [];
+  const couponCodes = useSelector(selectCouponCodes);
+  const taxLocation = useSelector(selectTaxLocation);
   const wishlistItems = wishlistCtx.items || [];
   const getTotalPrice = typeof cartCtx.getTotalPrice === "function" ? cartCtx.getTotalPrice : () => 0;
   const getTotalItems = typeof cartCtx.getTotalItems === "function" ? cartCtx.getTotalItems : () => cartItems.length;
+  const updateSeats = typeof cartCtx.updateQuantity === "function" ? cartCtx.updateQuantity : () => {};
   const getWishlistItems = typeof wishlistCtx.getTotalItems === "function" ? wishlistCtx.getTotalItems : () => wishlistItems.length;
 
   // formatters (locale aware)
   const numberFmt = new Intl.NumberFormat(locale);
-  const currencyFmt = useCallback(
-    (value) => {
-      try {
-        return new Intl.NumberFormat(locale, { style: "currency", currency: "USD" }).format(value);
-      } catch {
-        return `$${Number(value).toFixed(2)}`;
-      }
-    },
-    [locale]
-  );
+  const { currency, priceOf, unitPriceOf, formatPrice: currencyFmt } = useCurrency();
 
   // derived statistics
   const stats = useMemo(() => {
@@ -480,10 +621,12 @@ export default function Dashboard() {
   const tabs = [
     { id: "overview", label: t("dashboard.tabs.overview", "Overview"), icon: TrendingUp },
     { id: "courses", label: t("dashboard.tabs.courses", "My Courses"), icon: BookOpen },
+    { id: "orders", label: t("dashboard.tabs.orders", "Orders"), icon: Receipt },
     { id: "cart", label: t("dashboard.tabs.cart", "Cart"), icon: ShoppingCart },
     { id: "wishlist", label: t("dashboard.tabs.wishlist", "Wishlist"), icon: Heart },
     { id: "progress", label: t("dashboard.tabs.progress", "Progress"), icon: Target },
     { id: "achievements", label: t("dashboard.tabs.achievements", "Achievements"), icon: Award },
+    { id: "security", label: t("dashboard.tabs.security", "Security"), icon: Shield },
   ];
 
   // map tab id -> panel component (keeps JSX compact)
@@ -501,10 +644,12 @@ export default function Dashboard() {
       />
     ),
     courses: <CoursesPanel purchased={purchased} numberFmt={numberFmt} t={t} />,
-    cart: <CartPanel cartItems={cartItems} currencyFmt={currencyFmt} t={t} numberFmt={numberFmt} />,
-    wishlist: <WishlistPanel wishlistItems={wishlistItems} currencyFmt={currencyFmt} t={t} />,
-    progress: <ProgressPanel purchased={purchased} t={t} />,
+    orders: <OrdersPanel orders={orders} courses={courses} currencyFmt={currencyFmt} locale={locale} t={t} />,
+    cart: <CartPanel cartItems={cartItems} updateSeats={updateSeats} currency={currency} unitPriceOf={unitPriceOf} currencyFmt={currencyFmt} t={t} numberFmt={numberFmt} needsVerification={needsVerification} couponCodes={couponCodes} taxLocation={taxLocation} />,
+    wishlist: <WishlistPanel wishlistItems={wishlistItems} priceOf={priceOf} currencyFmt={currencyFmt} t={t} />,
+    progress: <ProgressPanel purchased={purchased} progress={currentUser?.courseProgress} t={t} />,
     achievements: <AchievementsPanel t={t} />,
+    security: <ActiveSessions />,
   };
 
   // persist active tab
@@ -537,6 +682,11 @@ export default function Dashboard() {
             </div>
           </div>
 
+          {/* Unverified email: resend link (purchases stay blocked until verified) */}
+          <div className="mb-4">
+            <VerifyEmailBanner variant="card" />
+          </div>
+
           {/* Tab navigation */}
           <div className="flex gap-2 flex-wrap sm:flex-nowrap pb-2">
             {tabs.map((tab) => {
@@ -557,7 +707,15 @@ export default function Dashboard() {
         </motion.div>
 
         {/* Render the active panel (keeps main render clean) */}
-        <div>{TAB_PANELS[activeTab]}</div>
+        <div>
+          {isLoading ? (
+            <DashboardSkeleton label={t("status.loading", "Loading...")} />
+          ) : loadError ? (
+            <ErrorState onRetry={retry} isRetrying={coursesQuery.isFetching || ordersQuery.isFetching} />
+          ) : (
+            TAB_PANELS[activeTab]
+          )}
+        </div>
       </div>
     </>
   );
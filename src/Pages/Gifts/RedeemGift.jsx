@@ -0,0 +1,106 @@
+// RedeemGift.jsx
+// /gifts/:token — the link in a gift email (server/gifts.js).
+// - Shows who sent which course (works signed out, with a sign-in link that
+//   comes back here).
+// - "Add to my courses" redeems it for the signed-in account and refreshes the
+//   user's purchases everywhere.
+
+import React from "react";
+import { Link, useLocation, useParams } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useMutation, useQuery } from "@tanstack/react-query";
+import { AlertTriangle, CheckCircle, Gift } from "lucide-react";
+import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+import { loginPath } from "../../Components/Auth/guards";
+import checkoutService from "../../Services/checkoutService";
+
+export default function RedeemGift() {
+  const { token } = useParams();
+  const location = useLocation();
+  const { t } = useTranslation();
+  const { isAuthenticated, refreshUser } = useAuth();
+
+  const giftQuery = useQuery({
+    queryKey: ["gifts", token],
+    queryFn: () => checkoutService.previewGift(token),
+    retry: false,
+    staleTime: Infinity,
+  });
+
+  const redeem = useMutation({
+    mutationFn: () => checkoutService.redeemGift(token),
+    onSuccess: () => refreshUser().catch((err) => console.warn("Could not refresh the signed-in user", err)),
+  });
+
+  const gift = redeem.data?.gift || giftQuery.data;
+  const error = redeem.error || giftQuery.error;
+  const courseLink = gift?.courseSlug ? `/courses/${gift.courseSlug}` : "/dashboard";
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("gift.title", "Your gift")}</title>
+      </Helmet>
+
+      <div className="py-16 px-4 flex justify-center">
+        <div className="w-full max-w-md glass shadow rounded-3xl p-8 border border-white/20 text-center space-y-4">
+          {giftQuery.isPending && (
+            <div className="flex items-center justify-center gap-3 text-fg/70" role="status">
+              <div className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+              {t("status.loading", "Loading...")}
+            </div>
+          )}
+
+          {gift && (
+            <>
+              <div className="w-16 h-16 bg-gradient-to-br from-pink-500 to-purple-600 rounded-2xl mx-auto flex items-center justify-center">
+                {redeem.isSuccess ? <CheckCircle className="w-8 h-8 text-white" /> : <Gift className="w-8 h-8 text-white" />}
+              </div>
+              <h1 className="text-2xl font-bold text-gradient">
+                {redeem.isSuccess
+                  ? t("gift.redeemedTitle", "It's yours!")
+                  : t("gift.from", "{{name}} sent you a course", { name: gift.from })}
+              </h1>
+              <p className="text-lg font-semibold">{gift.courseTitle}</p>
+              {gift.message && !redeem.isSuccess && <p className="text-fg/70 italic whitespace-pre-line">“{gift.message}”</p>}
+            </>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-500/20 border border-red-500/30 rounded-xl text-red-400 text-sm flex items-start gap-2 text-start" role="alert">
+              <AlertTriangle className="w-5 h-5 shrink-0" />
+              {t(`checkoutErrors.${error.code}`, error.message)}
+            </div>
+          )}
+
+          {redeem.isSuccess ? (
+            <Link to={courseLink} className="btn-primary inline-block">
+              {t("gift.toCourse", "Start learning")}
+            </Link>
+          ) : (
+            gift &&
+            (isAuthenticated ? (
+              <button type="button" onClick={() => redeem.mutate()} disabled={redeem.isPending} className="btn-primary">
+                {redeem.isPending ? t("gift.redeeming", "Adding...") : t("gift.redeem", "Add to my courses")}
+              </button>
+            ) : (
+              <div className="space-y-2">
+                <Link to={loginPath(location)} className="btn-primary inline-block">
+                  {t("gift.signIn", "Sign in to redeem")}
+                </Link>
+                <p className="text-fg/60 text-sm">{t("gift.signInHint", "New to Skillverse? You can create a free account there.")}</p>
+              </div>
+            ))
+          )}
+
+          {giftQuery.isError && (
+            <Link to="/courses" className="text-indigo-400 hover:text-indigo-300 font-semibold inline-block">
+              {t("gift.browse", "Browse courses")}
+            </Link>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,13 +1,20 @@
-import { useMemo, useState } from "react";
+import { useMemo } from "react";
 import Hero from "../../Components/Hero/Hero";
 import Filters from "../../Components/Filters/Filters";
-import CourseCard from "../../Components/Courses/CourseCard";
+import CourseResults from "../../Components/Courses/CourseResults";
 
+import { StudentsSay, TrendingTechnologies } from "../../../Data/Data";
+import { CourseGridSkeleton } from "../../Components/Feedback/Skeletons";
+import ErrorState from "../../Components/Feedback/ErrorState";
 import {
-  projectData,
-  StudentsSay,
-  TrendingTechnologies,
-} from "../../../Data/Data";
+  useCourseFacets,
+  useCourses,
+  useFaqs,
+  useInstructors,
+  useTaxonomy,
+} from "../../Api/queries";
+import { useCourseFilters } from "../../Context/useCourseFilters";
+import { useCurrency } from "../../Context/useCurrency";
 import { motion } from "motion/react";
 import Marquee from "react-fast-marquee";
 import { useTranslation } from "react-i18next";
@@ -17,32 +24,24 @@ export default function Home() {
   const { t, i18n } = useTranslation();
   const locale = i18n.language;
 
-  /* ========= state & filters ========= */
-  const [filters, setFilters] = useState({
-    query: "",
-    category: "",
-    level: "",
-    tag: "",
-  });
+  /* ========= filters (in the URL, same format as /courses) ========= */
+  const [filters, setFilters] = useCourseFilters();
 
-  /* ========= data extraction ========= */
-  const { courses, instructors, categories, levels, tags } = projectData;
+  /* ========= catalog data (cached API queries) ========= */
+  const { priceOf } = useCurrency();
+  const coursesQuery = useCourses(filters, priceOf);
+  const facetsQuery = useCourseFacets(filters, priceOf);
+  const instructorsQuery = useInstructors();
+  const faqsQuery = useFaqs();
+  const taxonomyQuery = useTaxonomy();
 
-  /* ========= filtered courses (useMemo) ========= */
-  const filtered = useMemo(() => {
-    const q = filters.query.trim().toLowerCase();
-    return courses.filter((c) => {
-      const matchesQuery =
-        !q ||
-        c.title.toLowerCase().includes(q) ||
-        c.tags?.some((t) => t.includes(q));
-      const matchesCategory =
-        !filters.category || c.category === filters.category;
-      const matchesLevel = !filters.level || c.level === filters.level;
-      const matchesTag = !filters.tag || c.tags?.includes(filters.tag);
-      return matchesQuery && matchesCategory && matchesLevel && matchesTag;
-    });
-  }, [courses, filters]);
+  const filtered = coursesQuery.data ?? [];
+  const instructors = useMemo(
+    () => instructorsQuery.data ?? [],
+    [instructorsQuery.data]
+  );
+  const faqs = faqsQuery.data ?? [];
+  const { categories = [], levels = [], tags = [] } = taxonomyQuery.data ?? {};
 
   /* ========= instructor lookup map ========= */
   const instructorById = useMemo(
@@ -101,21 +100,26 @@ export default function Home() {
           levels={levels}
           tags={tags}
           selected={filters}
+          facets={facetsQuery.data}
         />
 
         {/* ========= Courses grid ========= */}
-        <section
-          id="courses"
-          className="mt-8 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5"
-        >
-          {filtered.map((course) => (
-            <CourseCard
-              key={course.id}
-              course={course}
-              instructor={instructorById.get(course.instructorId)}
-            />
-          ))}
-        </section>
+        {coursesQuery.isPending ? (
+          <CourseGridSkeleton />
+        ) : coursesQuery.isError ? (
+          <ErrorState
+            onRetry={() => coursesQuery.refetch()}
+            isRetrying={coursesQuery.isFetching}
+          />
+        ) : (
+          <CourseResults
+            id="courses"
+            courses={filtered}
+            instructorById={instructorById}
+            filters={filters}
+            onChange={setFilters}
+          />
+        )}
 
         {/* ========= Features ========= */}
         <motion.section
@@ -160,7 +164,7 @@ export default function Home() {
         >
           <h2 className="text-xl font-bold">{t("sections.categories")}</h2>
           <div className="mt-4 flex flex-wrap gap-2">
-            {projectData.categories.map((c) => (
+            {categories.map((c) => (
               <span key={c} className="badge badge-soft">
                 {c}
               </span>
@@ -178,7 +182,7 @@ export default function Home() {
         >
           <h2 className="text-xl font-bold">{t("sections.instructors")}</h2>
           <div className="mt-4 grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-            {projectData.instructors.map((i) => (
+            {instructors.map((i) => (
               <div
                 key={i.id}
                 className="glass shadow rounded-2xl p-4 text-center border border-white/10"
@@ -246,7 +250,7 @@ export default function Home() {
         >
           <h2 className="text-xl font-bold">{t("sections.faq")}</h2>
           <div className="mt-4 space-y-3">
-            {projectData.faqs.map((f) => {
+            {faqs.map((f) => {
               // attempt to show question/answer in current locale, fallback to .en
               const q =
                 (f.question &&
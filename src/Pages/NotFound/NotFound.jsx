@@ -4,8 +4,10 @@ import { motion } from "framer-motion";
 import { ArrowLeft } from "lucide-react";
 import { useTranslation } from "react-i18next";
 
-export default function NotFound() {
+// variant="forbidden" reuses the same layout for 403 (signed in, wrong role)
+export default function NotFound({ variant = "notfound" }) {
   const { t } = useTranslation();
+  const ns = variant === "forbidden" ? "forbidden" : "notfound";
 
   return (
     <main className="min-h-screen flex items-center justify-center bg-gradient-to-br from-[#0f172a] via-[#0f172a]/80 to-[#0b1220] p-6">
@@ -41,7 +43,7 @@ export default function NotFound() {
             transition={{ delay: 0.12, duration: 0.45 }}
             className="text-7xl md:text-8xl font-extrabold tracking-tight bg-clip-text text-transparent bg-gradient-to-r from-white/90 via-white to-white/70 drop-shadow-md"
           >
-            {t("notfound.code")}
+            {t(`${ns}.code`)}
           </motion.h1>
 
           <motion.p
@@ -50,7 +52,7 @@ export default function NotFound() {
             transition={{ delay: 0.18, duration: 0.45 }}
             className="mt-6 text-lg md:text-xl text-white/90 max-w-2xl mx-auto"
           >
-            {t("notfound.message")}
+            {t(`${ns}.message`)}
           </motion.p>
 
           <motion.div
@@ -64,14 +66,14 @@ export default function NotFound() {
               className="inline-flex items-center gap-3 px-5 py-3 rounded-full bg-gradient-to-r from-indigo-500 to-cyan-400 text-white font-medium shadow-lg hover:scale-[1.02] focus:outline-none focus:ring-4 focus:ring-indigo-300/30 transition-transform"
             >
               <ArrowLeft size={18} />
-              {t("notfound.home")}
+              {t(`${ns}.home`)}
             </Link>
 
             <Link
               to="/contact"
               className="inline-flex items-center gap-3 px-5 py-3 rounded-full border border-white/10 text-white/90 bg-white/5 hover:bg-white/6 transition"
             >
-              {t("notfound.contact")}
+              {t(`${ns}.contact`)}
             </Link>
           </motion.div>
 
@@ -81,7 +83,7 @@ export default function NotFound() {
             transition={{ delay: 0.4, duration: 0.6 }}
             className="mt-12 pt-6 border-t border-white/5 max-w-2xl mx-auto"
           >
-            <p className="text-sm text-white/60">{t("notfound.footer")}</p>
+            <p className="text-sm text-white/60">{t(`${ns}.footer`)}</p>
           </motion.div>
         </div>
 
@@ -0,0 +1,168 @@
+// OrderDetails.jsx
+// One of the signed-in user's orders (/dashboard/orders/:orderId): status and dates,
+// every line with its discount and tax, the totals, billing and payment details,
+// the invoice PDF and the refund request (RefundPanel). Other users' orders show
+// as not found.
+
+import React, { useMemo } from "react";
+import { Link, useParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, CreditCard, Receipt } from "lucide-react";
+import { useTranslation } from "react-i18next";
+import { Helmet } from "react-helmet";
+import { useCourses, useOrder } from "../../Api/queries";
+import { useAuth } from "../../Context/useAuth";
+import { useCurrency } from "../../Context/useCurrency";
+import { DashboardSkeleton } from "../../Components/Feedback/Skeletons";
+import ErrorState from "../../Components/Feedback/ErrorState";
+import CartLineInfo from "../../Components/Cart/CartLineInfo";
+import TaxLine from "../../Components/Checkout/TaxLine";
+import OrderStatusBadge from "../../Components/Orders/OrderStatusBadge";
+import InvoiceButton from "../../Components/Orders/InvoiceButton";
+import RefundPanel from "../../Components/Orders/RefundPanel";
+import { countryName } from "../../Utils/countries";
+
+export default function OrderDetails() {
+  const { orderId } = useParams();
+  const { t, i18n } = useTranslation();
+  const locale = i18n.language || "en";
+  const { user } = useAuth();
+  const { formatPrice } = useCurrency();
+  const orderQuery = useOrder(orderId, user?.id);
+  const { data: courses } = useCourses();
+
+  const order = orderQuery.data?.userId === user?.id ? orderQuery.data : null;
+  const money = (amount) => formatPrice(amount, order?.currency);
+  const dateFmt = useMemo(() => new Intl.DateTimeFormat(locale, { dateStyle: "long", timeStyle: "short" }), [locale]);
+  const titleOf = (item) => item.title || courses?.find((c) => c.id === item.courseId)?.title || `#${item.courseId}`;
+
+  const backLink = (
+    <Link to="/dashboard" state={{ tab: "orders" }} className="inline-flex items-center gap-2 text-fg/70 hover:text-fg transition-colors">
+      <ArrowLeft className="w-4 h-4 rtl:rotate-180" aria-hidden />
+      {t("orders.back", "All orders")}
+    </Link>
+  );
+
+  let content;
+  if (orderQuery.isPending) {
+    content = <DashboardSkeleton label={t("status.loading", "Loading...")} />;
+  } else if (orderQuery.isError && orderQuery.error?.status !== 404) {
+    content = <ErrorState onRetry={() => orderQuery.refetch()} isRetrying={orderQuery.isFetching} />;
+  } else if (!order) {
+    content = (
+      <div className="text-center py-16">
+        <Receipt className="w-24 h-24 text-fg/30 mx-auto mb-4" />
+        <h2 className="text-2xl font-bold text-gradient mb-2">{t("orders.notFound", "Order not found")}</h2>
+        <p className="text-fg/70">{t("orders.notFoundDesc", "This order doesn't exist or belongs to another account.")}</p>
+      </div>
+    );
+  } else {
+    const subtotal = order.subtotal ?? order.items.reduce((s, i) => s + i.price * i.quantity, 0);
+    const billing = order.billing;
+    content = (
+      <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2 glass shadow rounded-3xl p-6 border border-white/20 space-y-4">
+          <h2 className="text-xl font-bold">{t("orders.items", "Items")}</h2>
+          {order.items.map((item) => (
+            <div key={item.lineId || item.courseId} className="flex flex-wrap sm:flex-nowrap justify-between gap-3 border-b border-black/10 dark:border-white/10 pb-3 last:border-0">
+              <div className="min-w-0">
+                <h3 className="font-semibold">{titleOf(item)}</h3>
+                <CartLineInfo item={item} showNextTier={false} />
+                <p className="text-xs text-fg/60 mt-1">
+                  {item.quantity} × {money(item.price)}
+                  {item.regularPrice || item.listPrice ? (
+                    <span className="line-through ms-2">{money(item.regularPrice || item.listPrice)}</span>
+                  ) : null}
+                </p>
+              </div>
+              <div className="text-end whitespace-nowrap">
+                <div className="font-bold">{money(item.price * item.quantity - (item.discount || 0))}</div>
+                {item.discount > 0 && (
+                  <div className="text-xs text-green-500">
+                    {t("checkout.coupons.discount", "Discount")}: −{money(item.discount)}
+                  </div>
+                )}
+                {item.tax > 0 && (
+                  <div className="text-xs text-fg/60">
+                    {t("dashboard.tax", "Tax")}: {money(item.tax)}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="space-y-6">
+          <div className="glass h-fit shadow rounded-3xl p-6 border border-white/20 space-y-3">
+            <h2 className="text-xl font-bold">{t("dashboard.orderSummary", "Order Summary")}</h2>
+            <div className="flex justify-between">
+              <span>{t("dashboard.subtotal", "Subtotal")}:</span>
+              <span>{money(subtotal)}</span>
+            </div>
+            {(order.coupons || []).map((coupon) => (
+              <div key={coupon.code} className="flex justify-between text-green-500">
+                <span>{t("checkout.coupons.discount", "Discount")} <span className="font-mono" dir="ltr">({coupon.code})</span>:</span>
+                <span>−{money(coupon.amount)}</span>
+              </div>
+            ))}
+            {order.tax && <TaxLine tax={order.tax} currencyFmt={money} />}
+            <div className="border-t border-black/10 dark:border-white/10 pt-3 flex justify-between font-bold text-lg">
+              <span>{t("dashboard.total", "Total")}:</span>
+              <span className="text-gradient">{money(order.total)}</span>
+            </div>
+            <InvoiceButton order={order} className="w-full justify-center mt-2" />
+          </div>
+
+          {billing && (
+            <div className="glass shadow rounded-3xl p-6 border border-white/20 text-sm space-y-1">
+              <h2 className="text-lg font-bold mb-2">{t("invoice.billTo", "Bill to")}</h2>
+              <p className="font-semibold">{billing.name}</p>
+              <p className="text-fg/70">{billing.email}</p>
+              {billing.address && <p className="text-fg/70">{billing.address}</p>}
+              <p className="text-fg/70">
+                {[billing.city, billing.region, billing.postalCode].filter(Boolean).join(", ")}
+              </p>
+              <p className="text-fg/70">{countryName(billing.country, locale)}</p>
+            </div>
+          )}
+
+          {order.payment?.last4 && (
+            <div className="glass shadow rounded-3xl p-6 border border-white/20 text-sm flex items-center gap-3">
+              <CreditCard className="w-5 h-5 text-indigo-500" aria-hidden />
+              <span dir="ltr">{String(order.payment.brand || "").toUpperCase()} •••• {order.payment.last4}</span>
+            </div>
+          )}
+
+          <RefundPanel order={order} courseTitle={(courseId) => titleOf({ courseId })} />
+        </div>
+      </motion.div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("orders.title", "Order")}</title>
+      </Helmet>
+
+      <div className="py-8 px-4 space-y-6">
+        {backLink}
+        {order && (
+          <div>
+            <div className="flex flex-wrap items-center gap-3">
+              <h1 className="text-2xl sm:text-3xl font-extrabold text-gradient" dir="ltr">
+                {order.invoiceNumber || `#${order.id.slice(0, 8).toUpperCase()}`}
+              </h1>
+              <OrderStatusBadge status={order.status} />
+            </div>
+            <p className="text-fg/70 text-sm mt-1">
+              {t("orders.placed", "Placed {{date}}", { date: dateFmt.format(new Date(order.createdAt)) })}
+              {order.paidAt && ` · ${t("orders.paidOn", "Paid {{date}}", { date: dateFmt.format(new Date(order.paidAt)) })}`}
+            </p>
+          </div>
+        )}
+        {content}
+      </div>
+    </>
+  );
+}
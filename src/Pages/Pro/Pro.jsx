@@ -0,0 +1,416 @@
+// Pro.jsx
+// /pro — Skillverse Pro: pick a plan, subscribe, and manage the subscription.
+// - Plans come from Data/plans.js, monthly or annual, priced in the preferred
+//   currency (a running subscription keeps the currency it started in).
+// - The account's first subscription starts with the plan's free trial; the card
+//   is saved and charged when the trial ends. Later ones are charged at once.
+// - With a subscription running, the other plans can be switched to; the prorated
+//   charge (or the credit kept) is previewed first.
+// - Cards go through the payment provider like checkout, including 3-D Secure.
+// - After any change the signed-in user is refreshed: course access comes from
+//   their subscription (Data/entitlements.js).
+
+import React, { useMemo, useState } from "react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { useQueryClient } from "@tanstack/react-query";
+import { Check, Crown, CreditCard } from "lucide-react";
+import { Helmet } from "react-helmet";
+import toast from "react-hot-toast";
+import { useAuth } from "../../Context/useAuth";
+import { useCurrency } from "../../Context/useCurrency";
+import { queryKeys, useCourses, usePlanChangePreview, useSubscription } from "../../Api/queries";
+import { subscriptionService } from "../../Services/subscriptionService";
+import { paymentProvider } from "../../Services/payments";
+import { PLANS, planCovers, planPrice } from "../../../Data/plans";
+import { percentOff } from "../../../Data/sales";
+import VerifyEmailBanner from "../../Components/Auth/VerifyEmailBanner";
+import PaymentForm from "../../Components/Checkout/PaymentForm";
+import ThreeDSecureDialog from "../../Components/Checkout/ThreeDSecureDialog";
+
+const isRunning = (subscription) => ["trialing", "active"].includes(subscription?.status);
+
+const primaryButton =
+  "w-full bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-3 px-6 rounded-xl font-semibold hover:from-indigo-600 hover:to-purple-700 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed";
+const secondaryButton = "px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 transition-colors disabled:opacity-50";
+
+export default function Pro() {
+  const { t, i18n } = useTranslation();
+  const queryClient = useQueryClient();
+  const { user, needsVerification, refreshUser } = useAuth();
+  const { currency: preferred, formatPrice: currencyFmt } = useCurrency();
+  const { data: courses = [] } = useCourses();
+  const { data: subscription } = useSubscription(user?.id);
+
+  const [billing, setBilling] = useState("month");
+  const [selected, setSelected] = useState(null); // plan being subscribed or switched to
+  const [challenge, setChallenge] = useState(null); // 3-D Secure action from the API
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const running = isRunning(subscription);
+  const currency = running ? subscription.currency : preferred;
+  const { data: preview } = usePlanChangePreview(user?.id, running ? selected?.id : null);
+
+  const lang = i18n.language?.startsWith("ar") ? "ar" : "en";
+  const planName = (plan) => plan?.name[lang] || plan?.name.en || "";
+  const dateFmt = useMemo(() => new Intl.DateTimeFormat(i18n.language || "en", { dateStyle: "long" }), [i18n.language]);
+  const formatDate = (iso) => dateFmt.format(new Date(iso));
+  const errorMessage = (err) => t(`checkoutErrors.${err.code}`, err.message);
+
+  const plans = PLANS.filter((plan) => plan.interval === billing);
+  const current = running ? PLANS.find((plan) => plan.id === subscription.planId) : null;
+  const trialFor = (plan) => !running && !user?.trialUsedAt && plan.trialDays > 0;
+  const yearlySaving = percentOff(
+    planPrice(PLANS.find((plan) => plan.id === "pro-annual"), currency),
+    planPrice(PLANS.find((plan) => plan.id === "pro-monthly"), currency) * 12
+  );
+
+  /* -----------------------
+     Actions
+  ------------------------*/
+  const finish = (message) => {
+    setSelected(null);
+    setChallenge(null);
+    setError(null);
+    queryClient.invalidateQueries({ queryKey: queryKeys.subscription.all });
+    refreshUser().catch((err) => console.warn("Could not refresh the signed-in user", err));
+    toast.success(message);
+  };
+
+  const handleOutcome = (outcome, message) => {
+    if (outcome.status === "requires_action") setChallenge(outcome.action);
+    else finish(message);
+  };
+
+  const run = async (action, message) => {
+    setBusy(true);
+    setError(null);
+    try {
+      handleOutcome(await action(), message);
+    } catch (err) {
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSubscribe = (card) =>
+    run(async () => {
+      const paymentMethod = await paymentProvider.createPaymentMethod(card);
+      return subscriptionService.subscribe({ planId: selected.id, paymentMethod, currency });
+    }, t("pro.subscribed", "Welcome to {{plan}}!", { plan: planName(selected) }));
+
+  const handleChange = () =>
+    run(() => subscriptionService.changePlan(selected.id), t("pro.changed", "You're now on {{plan}}.", { plan: planName(selected) }));
+
+  const handleChallenge = async (response) => {
+    setBusy(true);
+    try {
+      handleOutcome(
+        await subscriptionService.confirmPayment({ paymentId: challenge.paymentId, response }),
+        t("pro.subscribed", "Welcome to {{plan}}!", { plan: planName(selected) })
+      );
+    } catch (err) {
+      setChallenge(null);
+      setError(errorMessage(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const choose = (plan) => {
+    setSelected(plan);
+    setError(null);
+  };
+
+  /* -----------------------
+     Render
+  ------------------------*/
+  const chargeNow = selected ? (running ? preview?.due ?? 0 : planPrice(selected, currency)) : 0;
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {t("pro.title", "Skillverse Pro")}</title>
+      </Helmet>
+
+      <div className="py-8 px-4 space-y-8">
+        <header className="text-center space-y-3">
+          <Crown className="w-10 h-10 mx-auto text-amber-400" aria-hidden />
+          <h1 className="text-3xl sm:text-4xl font-extrabold text-gradient">{t("pro.title", "Skillverse Pro")}</h1>
+          <p className="text-fg/70 max-w-2xl mx-auto">
+            {t("pro.subtitle", "Learn without limits: one subscription unlocks every course in the plan, new ones included.")}
+          </p>
+        </header>
+
+        {needsVerification && <VerifyEmailBanner variant="card" />}
+
+        {subscription && (
+          <CurrentSubscription
+            subscription={subscription}
+            plan={PLANS.find((plan) => plan.id === subscription.planId)}
+            planName={planName}
+            formatDate={formatDate}
+            currencyFmt={currencyFmt}
+            busy={busy}
+            onCancel={() => run(() => subscriptionService.cancel(), t("pro.canceled", "Your subscription won't renew."))}
+            onResume={() => run(() => subscriptionService.resume(), t("pro.resumed", "Your subscription will renew."))}
+          />
+        )}
+
+        <div className="flex justify-center" role="group" aria-label={t("pro.billing", "Billing period")}>
+          <div className="inline-flex rounded-xl bg-white/10 p-1">
+            {["month", "year"].map((interval) => (
+              <button
+                key={interval}
+                type="button"
+                aria-pressed={billing === interval}
+                onClick={() => {
+                  setBilling(interval);
+                  setSelected(null);
+                }}
+                className={`px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+                  billing === interval ? "bg-indigo-500 text-white" : "text-fg/70 hover:text-fg"
+                }`}
+              >
+                {interval === "month" ? t("pro.monthly", "Monthly") : t("pro.annual", "Annual")}
+                {interval === "year" && yearlySaving > 0 && (
+                  <span className="ms-2 text-xs text-emerald-400">{t("pro.save", "Save {{percent}}%", { percent: yearlySaving })}</span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid gap-6 md:grid-cols-2 max-w-4xl mx-auto">
+          {plans.map((plan) => {
+            const isCurrent = current?.id === plan.id;
+            const covered = courses.filter((course) => planCovers(plan, course)).length;
+            return (
+              <div
+                key={plan.id}
+                className={`glass rounded-3xl p-6 border space-y-4 ${
+                  selected?.id === plan.id ? "border-indigo-400" : "border-white/20"
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <h2 className="text-xl font-bold">{planName(plan)}</h2>
+                  {isCurrent && (
+                    <span className="text-xs font-semibold px-2 py-1 rounded-full bg-indigo-500/20 text-indigo-300">
+                      {t("pro.currentPlan", "Current plan")}
+                    </span>
+                  )}
+                </div>
+                <p className="text-3xl font-extrabold">
+                  {currencyFmt(planPrice(plan, currency), currency)}
+                  <span className="text-base font-medium text-fg/60">
+                    {plan.interval === "month" ? t("pro.perMonth", " / month") : t("pro.perYear", " / year")}
+                  </span>
+                </p>
+                <ul className="space-y-2 text-sm text-fg/80">
+                  <li className="flex gap-2">
+                    <Check className="w-4 h-4 text-emerald-400 shrink-0" aria-hidden />
+                    {plan.access.all
+                      ? t("pro.coversAll", "Every course on Skillverse")
+                      : t("pro.coversTagged", "{{count}} frontend courses: {{tags}}", {
+                          count: covered,
+                          tags: plan.access.tags.join(", "),
+                        })}
+                  </li>
+                  <li className="flex gap-2">
+                    <Check className="w-4 h-4 text-emerald-400 shrink-0" aria-hidden />
+                    {t("pro.newCourses", "New courses as soon as they're published")}
+                  </li>
+                  <li className="flex gap-2">
+                    <Check className="w-4 h-4 text-emerald-400 shrink-0" aria-hidden />
+                    {t("pro.cancelAnytime", "Cancel anytime — you keep access until the period ends")}
+                  </li>
+                </ul>
+                {trialFor(plan) && (
+                  <p className="text-sm text-emerald-400">
+                    {t("pro.trial", "{{count}}-day free trial", { count: plan.trialDays })}
+                  </p>
+                )}
+
+                {!user ? (
+                  <Link to="/auth?next=/pro" className={`block text-center ${primaryButton}`}>
+                    {t("pro.signIn", "Sign in to subscribe")}
+                  </Link>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={() => choose(plan)}
+                    disabled={isCurrent || needsVerification || busy}
+                    className={primaryButton}
+                  >
+                    {isCurrent
+                      ? t("pro.currentPlan", "Current plan")
+                      : running
+                        ? t("pro.switch", "Switch to this plan")
+                        : trialFor(plan)
+                          ? t("pro.startTrial", "Start free trial")
+                          : t("pro.subscribe", "Subscribe")}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {selected && !running && (
+          <div className="max-w-xl mx-auto space-y-4">
+            <p className="text-center text-fg/70">
+              {trialFor(selected)
+                ? t("pro.trialTerms", "Free for {{count}} days, then {{price}} each period. We'll charge this card when the trial ends.", {
+                    count: selected.trialDays,
+                    price: currencyFmt(planPrice(selected, currency), currency),
+                  })
+                : t("pro.terms", "{{price}} now, then each period until you cancel.", {
+                    price: currencyFmt(planPrice(selected, currency), currency),
+                  })}
+            </p>
+            <PaymentForm
+              total={currencyFmt(trialFor(selected) ? 0 : planPrice(selected, currency), currency)}
+              onPay={handleSubscribe}
+              onBack={() => setSelected(null)}
+              error={error}
+              isPaying={busy}
+            />
+          </div>
+        )}
+
+        {selected && running && (
+          <div className="glass rounded-3xl p-6 border border-white/20 max-w-xl mx-auto space-y-4">
+            <h2 className="text-lg font-bold">
+              {t("pro.changeTitle", "Switch from {{from}} to {{to}}", { from: planName(current), to: planName(selected) })}
+            </h2>
+            {subscription.status === "trialing" ? (
+              <p className="text-fg/70">
+                {t("pro.changeTrial", "Your trial moves to the new plan and still ends on {{date}}.", {
+                  date: formatDate(subscription.currentPeriodEnd),
+                })}
+              </p>
+            ) : !preview ? (
+              <p className="text-fg/60">{t("pro.previewLoading", "Working out the price...")}</p>
+            ) : (
+              <dl className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <dt className="text-fg/70">{t("pro.newPrice", "New plan")}</dt>
+                  <dd>{currencyFmt(preview.price, preview.currency)}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-fg/70">{t("pro.credit", "Credit for unused time")}</dt>
+                  <dd>−{currencyFmt(preview.credit, preview.currency)}</dd>
+                </div>
+                <div className="flex justify-between font-semibold">
+                  <dt>{t("pro.dueToday", "Due today")}</dt>
+                  <dd>{currencyFmt(preview.due, preview.currency)}</dd>
+                </div>
+                {preview.carry > 0 && (
+                  <p className="text-emerald-400">
+                    {t("pro.carry", "{{amount}} of credit is kept for your next renewals.", {
+                      amount: currencyFmt(preview.carry, preview.currency),
+                    })}
+                  </p>
+                )}
+              </dl>
+            )}
+            {error && <p className="text-sm text-red-400" role="alert">{error}</p>}
+            <div className="flex justify-end gap-3">
+              <button type="button" onClick={() => setSelected(null)} disabled={busy} className={secondaryButton}>
+                {t("pro.back", "Back")}
+              </button>
+              <button
+                type="button"
+                onClick={handleChange}
+                disabled={busy || (subscription.status !== "trialing" && !preview)}
+                className="bg-gradient-to-r from-indigo-500 to-purple-600 text-white py-2 px-5 rounded-xl font-semibold disabled:opacity-50"
+              >
+                {busy ? t("checkout.payment.paying", "Processing...") : t("pro.confirmChange", "Confirm switch")}
+              </button>
+            </div>
+          </div>
+        )}
+
+        {!selected && error && <p className="text-center text-sm text-red-400" role="alert">{error}</p>}
+      </div>
+
+      {challenge && (
+        <ThreeDSecureDialog
+          action={challenge}
+          amount={currencyFmt(chargeNow, currency)}
+          onSubmit={handleChallenge}
+          onCancel={() => handleChallenge("")}
+          isSubmitting={busy}
+        />
+      )}
+    </>
+  );
+}
+
+/* -----------------------
+   Current subscription
+------------------------*/
+function CurrentSubscription({ subscription, plan, planName, formatDate, currencyFmt, busy, onCancel, onResume }) {
+  const { t } = useTranslation();
+  const running = isRunning(subscription);
+  const { status, cancelAtPeriodEnd, currentPeriodEnd, paymentMethod } = subscription;
+
+  let note = null;
+  if (status === "trialing" && !cancelAtPeriodEnd) {
+    note = t("pro.trialEnds", "Your free trial ends on {{date}}, then the card is charged.", { date: formatDate(currentPeriodEnd) });
+  } else if (running && cancelAtPeriodEnd) {
+    note = t("pro.endsOn", "Won't renew — you have access until {{date}}.", { date: formatDate(currentPeriodEnd) });
+  } else if (running) {
+    note = t("pro.renewsOn", "Renews on {{date}}.", { date: formatDate(currentPeriodEnd) });
+  } else if (status === "past_due") {
+    note = t("pro.pastDue", "We couldn't charge your card for the renewal. Subscribe again with another card to get access back.");
+  } else if (status === "incomplete") {
+    note = t("pro.incomplete", "The first payment wasn't completed.");
+  } else {
+    note = t("pro.ended", "This subscription has ended.");
+  }
+
+  return (
+    <section className="glass rounded-3xl p-6 border border-white/20 max-w-4xl mx-auto space-y-3" aria-labelledby="current-subscription">
+      <div className="flex flex-wrap items-center gap-3">
+        <h2 id="current-subscription" className="text-lg font-bold">
+          {t("pro.yourPlan", "Your plan: {{plan}}", { plan: planName(plan) })}
+        </h2>
+        <span className="text-xs font-semibold px-2 py-1 rounded-full bg-white/10">
+          {t(`subscription.status.${status}`, status)}
+        </span>
+      </div>
+      <p className="text-fg/70">{note}</p>
+      {paymentMethod?.last4 && (
+        <p className="flex items-center gap-2 text-sm text-fg/60">
+          <CreditCard className="w-4 h-4" aria-hidden />
+          <span dir="ltr">
+            {paymentMethod.brand} •••• {paymentMethod.last4}
+          </span>
+        </p>
+      )}
+      {running && subscription.credit > 0 && (
+        <p className="text-sm text-emerald-400">
+          {t("pro.creditHeld", "Credit for your next renewals: {{amount}}", {
+            amount: currencyFmt(subscription.credit, subscription.currency),
+          })}
+        </p>
+      )}
+      {running && (
+        <div className="flex gap-3">
+          {cancelAtPeriodEnd ? (
+            <button type="button" onClick={onResume} disabled={busy} className={secondaryButton}>
+              {t("pro.resume", "Keep my subscription")}
+            </button>
+          ) : (
+            <button type="button" onClick={onCancel} disabled={busy} className={secondaryButton}>
+              {t("pro.cancel", "Cancel subscription")}
+            </button>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,58 @@
+// RoleArea.jsx
+// Landing page for the role-restricted route trees (/instructor, /admin).
+// - Only reachable through RequireRole, so a signed-in user is always set.
+// - Admins review refund requests here (RefundRequests).
+
+import { motion } from "framer-motion";
+import { ArrowLeft, GraduationCap, ShieldCheck } from "lucide-react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "react-i18next";
+import { Helmet } from "react-helmet";
+import { useAuth } from "../../Context/useAuth";
+import RefundRequests from "../../Components/Orders/RefundRequests";
+
+const AREAS = {
+  instructor: { icon: GraduationCap, gradient: "from-indigo-500 to-purple-600" },
+  admin: { icon: ShieldCheck, gradient: "from-amber-500 to-red-500" },
+};
+
+export default function RoleArea({ area = "instructor" }) {
+  const { t } = useTranslation();
+  const { user } = useAuth();
+  const { icon: Icon, gradient } = AREAS[area] || AREAS.instructor;
+  const title = t(`roleAreas.${area}Title`);
+
+  return (
+    <>
+      <Helmet>
+        <title>Skillverse | {title}</title>
+      </Helmet>
+
+      <div className="py-8 px-4">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} className="mb-8">
+          <Link to="/dashboard" className="flex items-center gap-2 text-fg/70 hover:text-fg transition-colors mb-4">
+            <ArrowLeft className="w-4 h-4" />
+            {t("roleAreas.backToDashboard", "Back to dashboard")}
+          </Link>
+
+          <div className="flex items-center gap-4">
+            <div className={`w-16 h-16 bg-gradient-to-br ${gradient} rounded-2xl flex items-center justify-center`}>
+              <Icon className="w-8 h-8 text-white" />
+            </div>
+            <div>
+              <h1 className="text-4xl font-extrabold text-gradient">{title}</h1>
+              <p className="text-fg/70 mt-1">{t(`roleAreas.${area}Desc`)}</p>
+              {user && (
+                <p className="text-sm text-fg/50 mt-1">
+                  {t("roleAreas.signedInAs", { name: user.name || user.email, role: user.role })}
+                </p>
+              )}
+            </div>
+          </div>
+        </motion.div>
+
+        {area === "admin" && <RefundRequests />}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,45 @@
+// authChannel.js
+// Cross-tab auth messages: { type: "login" | "logout" | "profile", user? }.
+// - Uses BroadcastChannel where available.
+// - Falls back to the `storage` event (a throwaway localStorage key) in
+//   browsers without it. Either way the sending tab never receives its own message.
+
+const CHANNEL_NAME = "skillverse:auth";
+const FALLBACK_KEY = "skillverse:auth-event";
+
+const channel =
+  typeof window !== "undefined" && "BroadcastChannel" in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+export function postAuthMessage(message) {
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+  try {
+    // `at` makes every write a change, so the storage event always fires
+    localStorage.setItem(FALLBACK_KEY, JSON.stringify({ ...message, at: Date.now() }));
+    localStorage.removeItem(FALLBACK_KEY);
+  } catch {
+    /* storage unavailable — other tabs catch up on their next load */
+  }
+}
+
+/** @returns {() => void} unsubscribe */
+export function subscribeAuthMessages(listener) {
+  if (channel) {
+    const onMessage = (event) => listener(event.data);
+    channel.addEventListener("message", onMessage);
+    return () => channel.removeEventListener("message", onMessage);
+  }
+
+  const onStorage = (event) => {
+    if (event.key !== FALLBACK_KEY || !event.newValue) return;
+    try {
+      listener(JSON.parse(event.newValue));
+    } catch {
+      /* ignore malformed messages */
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return () => window.removeEventListener("storage", onStorage);
+}
@@ -0,0 +1,300 @@
+// authService.js
+// Client for the local auth API (server/auth.js).
+// - register / login store the returned token pair (tokenStorage.js): in
+//   localStorage for "remember me", otherwise in this tab's sessionStorage.
+// - The shared axios client sends `Authorization: Bearer <access token>` and,
+//   on a 401, refreshes once and retries the request.
+// - If the refresh fails the tokens are dropped and onSessionExpired listeners
+//   run, so the UI can sign the user out.
+// - Tabs sharing a remembered session refresh it one at a time (Web Locks): the
+//   API ends a session whose old refresh token is sent again, so a tab that waited
+//   for the lock uses the tokens another tab just stored instead of refreshing.
+
+import client from "../Api/client";
+import { clearTokens, getTokens, isRememberedSession, saveTokens } from "./tokenStorage";
+
+/**
+ * Error thrown by every auth call.
+ * `code` matches the server's error codes (EMAIL_TAKEN, WRONG_PASSWORD, ...)
+ * or NETWORK_ERROR when the API could not be reached.
+ */
+export class AuthError extends Error {
+  constructor(code, message, status = 0) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const toAuthError = (err) => {
+  const body = err?.response?.data?.error;
+  if (body?.code) return new AuthError(body.code, body.message, err.response.status);
+  return new AuthError("NETWORK_ERROR", "Could not reach the server", err?.response?.status || 0);
+};
+
+// Public auth endpoints never carry a bearer token and are never retried.
+const PUBLIC_ENDPOINTS = ["/auth/register", "/auth/login", "/auth/refresh", "/auth/logout", "/auth/forgot", "/auth/reset", "/auth/verify"];
+const isAuthRequest = (config) => {
+  const url = config?.url || "";
+  return PUBLIC_ENDPOINTS.includes(url) || url.startsWith("/auth/reset/") || url.startsWith("/auth/oauth/");
+};
+
+/* -----------------------
+   Session-expired listeners
+------------------------*/
+const listeners = new Set();
+
+export const onSessionExpired = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Listeners get { remembered } so tab-only sessions don't sign other tabs out
+const expireSession = () => {
+  const remembered = isRememberedSession();
+  clearTokens();
+  listeners.forEach((listener) => listener({ remembered }));
+};
+
+/* -----------------------
+   API calls
+------------------------*/
+const authenticate = async (url, payload) => {
+  try {
+    const { data } = await client.post(url, payload);
+    saveTokens(data, { remember: payload.remember });
+    return data.user;
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+/** @returns {Promise<import("../Api/api").User>} */
+// New accounts are always remembered on the device they signed up on
+const register = ({ name, email, password, locale }) =>
+  authenticate("/auth/register", { name, email, password, locale, remember: true });
+
+/** @returns {Promise<import("../Api/api").User>} */
+const login = ({ email, password, remember = false }) =>
+  authenticate("/auth/login", { email, password, remember: Boolean(remember) });
+
+/**
+ * Exchanges an OAuth authorization code (see oauth.js) for a session.
+ * @returns {Promise<import("../Api/api").User>}
+ */
+const oauthSignIn = (provider, { code, codeVerifier, redirectUri, remember = false }) =>
+  authenticate(`/auth/oauth/${encodeURIComponent(provider)}`, { code, codeVerifier, redirectUri, remember: Boolean(remember) });
+
+const REFRESH_LOCK = "skillverse:refresh";
+
+// Runs `task` while no other tab of this origin holds the refresh lock
+const withRefreshLock = (task) =>
+  typeof navigator !== "undefined" && navigator.locks ? navigator.locks.request(REFRESH_LOCK, task) : task();
+
+// Only one refresh runs at a time; concurrent 401s wait for the same promise.
+let refreshing = null;
+
+/** @returns {Promise<import("./tokenStorage").TokenPair>} the tokens to retry with */
+const refresh = () => {
+  if (!refreshing) {
+    // the refresh token this tab's failed requests went out with
+    const failedToken = getTokens()?.refreshToken;
+    refreshing = withRefreshLock(async () => {
+      const tokens = getTokens();
+      if (!tokens?.refreshToken) throw new AuthError("NO_SESSION", "Not signed in");
+      // another tab refreshed the shared session while this one waited
+      if (tokens.refreshToken !== failedToken) return tokens;
+      try {
+        const { data } = await client.post("/auth/refresh", { refreshToken: tokens.refreshToken });
+        saveTokens(data);
+        return getTokens();
+      } catch (err) {
+        throw toAuthError(err);
+      }
+    }).finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// Ends the server session; local tokens are cleared even if the call fails.
+const logout = async () => {
+  const refreshToken = getTokens()?.refreshToken;
+  clearTokens();
+  if (!refreshToken) return;
+  try {
+    await client.post("/auth/logout", { refreshToken });
+  } catch (err) {
+    console.warn("logout request failed", err);
+  }
+};
+
+/** @returns {Promise<import("../Api/api").User>} */
+const me = async () => {
+  try {
+    const { data } = await client.get("/auth/me");
+    return data.user;
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+/**
+ * @param {{ name?: string, avatar?: string | null, locale?: "en" | "ar" }} changes
+ * @returns {Promise<import("../Api/api").User>}
+ */
+const updateProfile = async (changes) => {
+  try {
+    const { data } = await client.patch("/auth/me", changes);
+    return data.user;
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+/* -----------------------
+   Password reset (no session needed)
+------------------------*/
+
+// Always resolves for a well-formed email — the API doesn't reveal which emails exist.
+const requestPasswordReset = async (email) => {
+  try {
+    await client.post("/auth/forgot", { email });
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+/** @returns {Promise<{ email: string }>} rejects with INVALID_RESET_TOKEN / RESET_TOKEN_EXPIRED */
+const checkResetToken = async (token) => {
+  try {
+    const { data } = await client.get(`/auth/reset/${encodeURIComponent(token)}`);
+    return data;
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+const resetPassword = async ({ token, password }) => {
+  try {
+    await client.post("/auth/reset", { token, password });
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+/* -----------------------
+   Email verification
+------------------------*/
+
+/** @returns {Promise<import("../Api/api").User>} the verified user */
+const verifyEmail = async (token) => {
+  try {
+    const { data } = await client.post("/auth/verify", { token });
+    return data.user;
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+// Signed-in only; rejects with RESEND_TOO_SOON / ALREADY_VERIFIED
+const resendVerification = async () => {
+  try {
+    await client.post("/auth/verify/resend");
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+/* -----------------------
+   Active sessions (signed-in devices)
+------------------------*/
+
+/**
+ * @typedef {Object} ActiveSession
+ * @property {string} id
+ * @property {string} userAgent
+ * @property {boolean} remember
+ * @property {string} createdAt
+ * @property {string} lastUsedAt
+ * @property {boolean} current  true for this browser
+ */
+
+/** @returns {Promise<ActiveSession[]>} most recently used first */
+const listSessions = async () => {
+  try {
+    const { data } = await client.get("/auth/sessions");
+    return data.sessions;
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+// Signs another device out; rejects with SESSION_NOT_FOUND / CURRENT_SESSION
+const revokeSession = async (id) => {
+  try {
+    await client.delete(`/auth/sessions/${encodeURIComponent(id)}`);
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+const revokeOtherSessions = async () => {
+  try {
+    await client.delete("/auth/sessions");
+  } catch (err) {
+    throw toAuthError(err);
+  }
+};
+
+const hasSession = () => Boolean(getTokens()?.refreshToken);
+
+export const authService = {
+  register,
+  login,
+  oauthSignIn,
+  refresh,
+  logout,
+  me,
+  updateProfile,
+  requestPasswordReset,
+  checkResetToken,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  hasSession,
+  isRememberedSession,
+};
+
+/* -----------------------
+   axios interceptors
+------------------------*/
+client.interceptors.request.use((config) => {
+  const accessToken = getTokens()?.accessToken;
+  if (accessToken && !isAuthRequest(config)) {
+    config.headers.Authorization = `Bearer ${accessToken}`;
+  }
+  return config;
+});
+
+client.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  if (response?.status !== 401 || !config || config._retried || isAuthRequest(config) || !hasSession()) {
+    throw error;
+  }
+  try {
+    await refresh();
+  } catch {
+    expireSession();
+    throw error;
+  }
+  config._retried = true;
+  return client(config);
+});
+
+export default authService;
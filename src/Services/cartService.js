@@ -0,0 +1,67 @@
+// cartService.js
+// Client for the signed-in user's saved cart (server/cart.js).
+// - Carts come back as the cart slice keeps them:
+//   { items, couponCodes, version, updatedAt } (items as in Store/cartSlice).
+// - save sends the whole cart with the version it was based on; when the cart was
+//   saved elsewhere in between it resolves with { conflict: true, cart } (the saved
+//   one) instead of overwriting it.
+// - waitForChange long-polls: it resolves with the cart once its version is past
+//   `after`, or null when nothing changed for a while (ask again).
+
+import client from "../Api/client";
+import { toLines } from "./checkoutService";
+
+// a little over the API's wait (CHANGES_WAIT_MS in server/cart.js)
+const CHANGES_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * @typedef {Object} SavedCart
+ * @property {import("./checkoutService").CartLine[]} items  cart items (the course plus the line)
+ * @property {string[]} couponCodes
+ * @property {number} version    0 until the cart is first saved
+ * @property {string|null} updatedAt
+ */
+
+/** @returns {Promise<SavedCart>} */
+const get = async () => {
+  const { data } = await client.get("/cart");
+  return data.cart;
+};
+
+/**
+ * @param {{ items: import("./checkoutService").CartLine[], couponCodes?: string[], baseVersion: number }} cart
+ * @returns {Promise<{ cart: SavedCart, conflict?: true }>}
+ */
+const save = async ({ items, couponCodes = [], baseVersion }) => {
+  try {
+    const { data } = await client.put("/cart", { items: toLines(items), couponCodes, baseVersion });
+    return { cart: data.cart };
+  } catch (err) {
+    if (err?.response?.status === 409 && err.response.data?.cart) return { cart: err.response.data.cart, conflict: true };
+    throw err;
+  }
+};
+
+/**
+ * Merges a guest cart into the account's saved cart (at sign-in).
+ * @returns {Promise<{ cart: SavedCart, dropped: { courseId: string, reason: string }[] }>}
+ *   dropped: lines left out, e.g. courses the user already owns
+ */
+const merge = async ({ items, couponCodes = [] }) => {
+  const { data } = await client.post("/cart/merge", { items: toLines(items), couponCodes });
+  return { cart: data.cart, dropped: data.dropped || [] };
+};
+
+/**
+ * @param {number} after  the version this device has
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<SavedCart|null>}
+ */
+const waitForChange = async (after, { signal } = {}) => {
+  const response = await client.get("/cart/changes", { params: { after }, signal, timeout: CHANGES_TIMEOUT_MS });
+  return response.status === 204 ? null : response.data.cart;
+};
+
+export const cartService = { get, save, merge, waitForChange };
+
+export default cartService;
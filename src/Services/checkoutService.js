@@ -0,0 +1,265 @@
+// checkoutService.js
+// Client for the checkout API (server/checkout.js).
+// - createOrder sends the cart lines (course id, line type, seats, gift recipient) only;
+//   the API prices the order.
+// - quote prices the cart with promo codes and the tax for a billing country / region
+//   (works signed out too) so the cart and checkout can show discounts, tax and why
+//   a code can't be used.
+// - Both take the shopper's `currency` (Data/currencies.js); amounts come back in it.
+// - payOrder / confirmPayment resolve with a PaymentOutcome:
+//     { status: "succeeded", order, user }        paid — `user` has the new purchases
+//     { status: "requires_action", order, action } show the 3-D Secure challenge, then confirmPayment
+//   and reject with a CheckoutError when the card is declined.
+// - listOrders / getOrder read the signed-in user's orders (orders aren't served
+//   by the public REST routes: they hold billing details).
+// - requestRefund asks for a paid order's money back (Data/orderStatus.js has the
+//   policy); approveRefund / rejectRefund are the admin's answer. All three resolve
+//   with the updated order. listRefunds is the admin's queue of refund requests.
+// - previewGift / redeemGift take the token from a gift email's /gifts/<token> link:
+//   preview works signed out, redeeming adds the course to the signed-in account.
+
+import client from "../Api/client";
+
+/**
+ * Error thrown by every checkout call.
+ * `code` matches the server's error codes (EMAIL_NOT_VERIFIED, CARD_DECLINED, ...),
+ * the client-side card checks (INVALID_CARD_NUMBER, ...) or NETWORK_ERROR.
+ */
+export class CheckoutError extends Error {
+  constructor(code, message, status = 0) {
+    super(message);
+    this.name = "CheckoutError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// axios error → CheckoutError (also used by subscriptionService)
+export const toCheckoutError = (err) => {
+  const body = err?.response?.data?.error;
+  if (body?.code) return new CheckoutError(body.code, body.message, err.response.status);
+  return new CheckoutError("NETWORK_ERROR", "Could not reach the server", err?.response?.status || 0);
+};
+
+/**
+ * @typedef {Object} BillingDetails
+ * @property {string} name
+ * @property {string} email
+ * @property {string} country   ISO 3166 code, e.g. "EG"
+ * @property {string} [address]
+ * @property {string} [city]
+ * @property {string} [postalCode]
+ *
+ * @typedef {Object} CartLine  a cart item (Store/cartSlice)
+ * @property {string} id      course id
+ * @property {"self"|"gift"|"team"} type
+ * @property {number} quantity  1, or the seats of a team line
+ * @property {{ email: string, message?: string }} [gift]
+ *
+ * @typedef {Object} AppliedCoupon
+ * @property {string} code
+ * @property {"percent"|"fixed"} type
+ * @property {number} value   percentage or amount
+ * @property {number} amount  discount it gave on this cart
+ *
+ * @typedef {Object} TaxSummary
+ * @property {string} country
+ * @property {string} region
+ * @property {string} name    "VAT", "Sales tax", "GST + QST", ...
+ * @property {number} rate    fraction, e.g. 0.14
+ * @property {"inclusive"|"exclusive"} mode  inclusive: already part of the prices
+ * @property {number} amount
+ *
+ * @typedef {Object} CartQuote
+ * @property {string} currency
+ * @property {{ lineId: string, courseId: string, type: string, price: number, quantity: number, discount: number,
+ *   tax: number, listPrice?: number, seatDiscount?: number }[]} items  priced lines (price is per seat)
+ * @property {number} subtotal
+ * @property {number} discount
+ * @property {TaxSummary|null} tax  null until the country (and region, where needed) is known
+ * @property {number} total
+ * @property {AppliedCoupon[]} coupons
+ * @property {{ code: string, error: { code: string, message: string, minSubtotal?: number, startsAt?: string, expiresAt?: string } }[]} rejected
+ *   codes that can't be used, with the reason (COUPON_EXPIRED, COUPON_MIN_SUBTOTAL, ...)
+ *
+ * @typedef {Object} PaymentOutcome
+ * @property {"succeeded"|"requires_action"} status
+ * @property {import("../Api/api").Order} order
+ * @property {import("../Api/api").User} [user]
+ * @property {{ type: "three_d_secure", paymentId: string, hint?: string }} [action]
+ */
+
+const toOutcome = (response) =>
+  response.status === 202
+    ? { status: "requires_action", order: response.data.order, action: response.data.action }
+    : { status: "succeeded", order: response.data.order, user: response.data.user };
+
+// cart items → the lines the API takes (also sent by cartService, which keeps the price snapshot)
+export const toLines = (items) =>
+  items.map((item) => ({
+    courseId: String(item.id),
+    type: item.type || "self",
+    quantity: Number(item.quantity) || 1,
+    ...(item.gift ? { gift: item.gift } : {}),
+    ...(item.savedPrice ? { savedPrice: item.savedPrice } : {}),
+  }));
+
+/** @returns {Promise<import("../Api/api").Order[]>} the signed-in user's orders, newest first */
+const listOrders = async () => {
+  try {
+    const { data } = await client.get("/checkout/orders");
+    return data.orders;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * @param {string} orderId
+ * @returns {Promise<import("../Api/api").Order>} rejects with ORDER_NOT_FOUND (status 404) for anyone else's
+ */
+const getOrder = async (orderId) => {
+  try {
+    const { data } = await client.get(`/checkout/orders/${encodeURIComponent(orderId)}`);
+    return data.order;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * @param {{ items: CartLine[], coupons?: string[], country?: string, region?: string, currency?: string }} cart
+ * @returns {Promise<CartQuote>}
+ */
+const quote = async ({ items, coupons = [], country, region, currency }) => {
+  try {
+    const { data } = await client.post("/checkout/quote", { items: toLines(items), coupons, country, region, currency });
+    return data;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * @param {{ items: CartLine[], billing: BillingDetails, coupons?: string[], currency?: string }} checkout
+ *   cart items, billing, promo codes (a code that can't be used fails with its COUPON_* code)
+ *   and the currency to charge in
+ * @returns {Promise<import("../Api/api").Order>} a "pending" order
+ */
+const createOrder = async ({ items, billing, coupons = [], currency }) => {
+  try {
+    const { data } = await client.post("/checkout/orders", { items: toLines(items), billing, coupons, currency });
+    return data.order;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * @param {string} orderId
+ * @param {{ id: string, brand: string, last4: string }} paymentMethod from the payment provider
+ * @returns {Promise<PaymentOutcome>}
+ */
+const payOrder = async (orderId, paymentMethod) => {
+  try {
+    return toOutcome(await client.post(`/checkout/orders/${encodeURIComponent(orderId)}/pay`, { paymentMethod }));
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * Answers a 3-D Secure challenge.
+ * @returns {Promise<PaymentOutcome>}
+ */
+const confirmPayment = async (orderId, { paymentId, response }) => {
+  try {
+    return toOutcome(await client.post(`/checkout/orders/${encodeURIComponent(orderId)}/confirm`, { paymentId, response }));
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+const orderAction = async (orderId, action, body = {}) => {
+  try {
+    const { data } = await client.post(`/checkout/orders/${encodeURIComponent(orderId)}/${action}`, body);
+    return data.order;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * @param {string} orderId
+ * @param {string} [reason]
+ * @returns {Promise<import("../Api/api").Order>}
+ */
+const requestRefund = (orderId, reason = "") => orderAction(orderId, "refund", { reason });
+
+/**
+ * Admin only.
+ * @param {"refund_requested"|"refunded"|"rejected"} [status]
+ * @returns {Promise<import("../Api/api").Order[]>} oldest request first
+ */
+const listRefunds = async (status = "refund_requested") => {
+  try {
+    const { data } = await client.get("/checkout/refunds", { params: { status } });
+    return data.orders;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/** Admin only — refunds the payment and takes the courses back. */
+const approveRefund = (orderId) => orderAction(orderId, "refund/approve");
+
+/** Admin only — `note` is shown to the learner. */
+const rejectRefund = (orderId, note = "") => orderAction(orderId, "refund/reject", { note });
+
+/**
+ * @typedef {Object} Gift
+ * @property {string} id
+ * @property {string} courseId
+ * @property {string} courseTitle
+ * @property {string|null} courseSlug
+ * @property {string} from       the buyer's name
+ * @property {string} message
+ * @property {string|null} redeemedAt
+ */
+
+/** @returns {Promise<Gift>} who sent which course (INVALID_GIFT_TOKEN for a bad or cancelled link) */
+const previewGift = async (token) => {
+  try {
+    const { data } = await client.post("/checkout/gifts/preview", { token });
+    return data.gift;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/** @returns {Promise<{ gift: Gift, user: object }>} `user` owns the course now */
+const redeemGift = async (token) => {
+  try {
+    const { data } = await client.post("/checkout/gifts/redeem", { token });
+    return data;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+export const checkoutService = {
+  quote,
+  listOrders,
+  getOrder,
+  createOrder,
+  payOrder,
+  confirmPayment,
+  requestRefund,
+  listRefunds,
+  approveRefund,
+  rejectRefund,
+  previewGift,
+  redeemGift,
+};
+
+export default checkoutService;
@@ -0,0 +1,130 @@
+// oauth.js
+// Provider-agnostic OAuth 2.0 client (authorization code flow with PKCE).
+// - startOAuth(provider) stores a random `state` + PKCE verifier in
+//   sessionStorage and sends the browser to the provider's authorize URL.
+// - The provider redirects back to /auth/callback/:provider; completeOAuth()
+//   checks `state` and lets the API exchange the code (server/oauth.js), so no
+//   client secret ever reaches the browser.
+// - Providers are configured with VITE_OAUTH_<ID>_AUTHORIZE_URL / _CLIENT_ID /
+//   _SCOPE. Unconfigured ones are left out (UNKNOWN_PROVIDER) and their buttons
+//   hidden, unless VITE_OAUTH_MOCK=1 points them at the local mock provider
+//   (`OAUTH_MOCK=1 npm run api`).
+
+import { API_URL } from "../Api/client";
+import { AuthError, authService } from "./authService";
+
+const PENDING_KEY = "skillverse:oauth";
+
+const providerConfig = (id, scope) => {
+  const env = (name) => import.meta.env[`VITE_OAUTH_${id.toUpperCase()}_${name}`];
+  if (!env("AUTHORIZE_URL") && import.meta.env.VITE_OAUTH_MOCK !== "1") return null;
+  return {
+    id,
+    authorizeUrl: env("AUTHORIZE_URL") || `${API_URL}/oidc/${id}/authorize`,
+    clientId: env("CLIENT_ID") || `skillverse-${id}`,
+    scope: env("SCOPE") || scope,
+  };
+};
+
+export const OAUTH_PROVIDERS = Object.fromEntries(
+  [providerConfig("google", "openid email profile"), providerConfig("facebook", "openid email public_profile")]
+    .filter(Boolean)
+    .map((config) => [config.id, config])
+);
+
+/** Whether any "Continue with …" button should be shown. */
+export const hasOAuthProviders = Object.keys(OAUTH_PROVIDERS).length > 0;
+
+export const callbackUrl = (provider) => `${window.location.origin}/auth/callback/${provider}`;
+
+/* -----------------------
+   PKCE helpers
+------------------------*/
+const base64url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const randomString = (size = 32) => base64url(crypto.getRandomValues(new Uint8Array(size)));
+
+const codeChallengeFor = async (verifier) =>
+  base64url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(verifier)));
+
+/* -----------------------
+   Pending requests (one tab, one sign-in at a time)
+------------------------*/
+const readPending = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(PENDING_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+const takePending = () => {
+  const pending = readPending();
+  try {
+    sessionStorage.removeItem(PENDING_KEY);
+  } catch {
+    /* storage unavailable — nothing to remove */
+  }
+  return pending;
+};
+
+/* -----------------------
+   Flow
+------------------------*/
+
+/**
+ * Sends the browser to the provider's sign-in page.
+ * @param {keyof typeof OAUTH_PROVIDERS} provider
+ * @param {{ next?: string, remember?: boolean }} [options] where to go after signing in, and
+ *   whether to keep the session after the browser closes
+ */
+export async function startOAuth(provider, { next = "/dashboard", remember = false } = {}) {
+  const config = OAUTH_PROVIDERS[provider];
+  if (!config) throw new AuthError("UNKNOWN_PROVIDER", `Unknown provider: ${provider}`);
+
+  const state = randomString(16);
+  const codeVerifier = randomString(32);
+  const redirectUri = callbackUrl(provider);
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify({ provider, state, codeVerifier, redirectUri, next, remember }));
+
+  const url = new URL(config.authorizeUrl, window.location.origin);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: redirectUri,
+    scope: config.scope,
+    state,
+    code_challenge: await codeChallengeFor(codeVerifier),
+    code_challenge_method: "S256",
+  }).toString();
+  window.location.assign(url.toString());
+}
+
+/**
+ * Finishes the flow on /auth/callback/:provider.
+ * @param {string} provider
+ * @param {URLSearchParams} params the callback's query string
+ * @returns {Promise<{ user: import("../Api/api").User, next: string }>}
+ */
+export async function completeOAuth(provider, params) {
+  const pending = takePending();
+
+  if (params.get("error")) {
+    throw new AuthError("OAUTH_DENIED", params.get("error_description") || "Sign-in was cancelled");
+  }
+  if (!pending || pending.provider !== provider || pending.state !== params.get("state")) {
+    throw new AuthError("OAUTH_STATE_MISMATCH", "This sign-in link is no longer valid, please try again");
+  }
+
+  const user = await authService.oauthSignIn(provider, {
+    code: params.get("code"),
+    codeVerifier: pending.codeVerifier,
+    redirectUri: pending.redirectUri,
+    remember: pending.remember,
+  });
+  return { user, next: pending.next };
+}
@@ -0,0 +1,67 @@
+// fakeProvider.js
+// Client half of the local fake payment provider (server/payments.js).
+// - Checks the card like a real provider would (Luhn, expiry, CVC) and returns
+//   a payment method that only carries brand + last four digits.
+// - The last four digits choose what the server simulates (see TEST_CARDS).
+
+import { CheckoutError } from "../checkoutService";
+
+export const TEST_CARDS = [
+  { number: "4242 4242 4242 4242", outcome: "success" },
+  { number: "4000 0000 0000 0002", outcome: "declined" },
+  { number: "4000 0000 0000 9995", outcome: "insufficientFunds" },
+  { number: "4000 0000 0000 3220", outcome: "threeDSecure" },
+];
+
+const digitsOf = (value) => String(value || "").replace(/\D/g, "");
+
+// Luhn checksum used by every card network
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i += 1) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+export const cardBrand = (number) => {
+  const digits = digitsOf(number);
+  if (/^4/.test(digits)) return "visa";
+  if (/^(5[1-5]|2[2-7])/.test(digits)) return "mastercard";
+  if (/^3[47]/.test(digits)) return "amex";
+  return "card";
+};
+
+// "MM/YY" → still valid this month?
+const isExpired = (expiry) => {
+  const [, month, year] = String(expiry || "").match(/^(\d{2})\s*\/\s*(\d{2})$/) || [];
+  if (!month || Number(month) < 1 || Number(month) > 12) return true;
+  const endOfMonth = new Date(2000 + Number(year), Number(month), 1);
+  return endOfMonth <= new Date();
+};
+
+export const fakePaymentProvider = {
+  name: "fake",
+  testCards: TEST_CARDS,
+
+  /**
+   * @param {{ number: string, expiry: string, cvc: string, name: string }} card
+   * @returns {Promise<{ id: string, brand: string, last4: string }>}
+   */
+  async createPaymentMethod(card) {
+    const digits = digitsOf(card.number);
+    if (digits.length < 12 || digits.length > 19 || !passesLuhn(digits)) {
+      throw new CheckoutError("INVALID_CARD_NUMBER", "Your card number is invalid");
+    }
+    if (isExpired(card.expiry)) throw new CheckoutError("CARD_EXPIRED", "Your card has expired");
+    if (!/^\d{3,4}$/.test(digitsOf(card.cvc))) throw new CheckoutError("INVALID_CVC", "Your card's security code is invalid");
+
+    const last4 = digits.slice(-4);
+    return { id: `pm_fake_${last4}_${Date.now().toString(36)}`, brand: cardBrand(digits), last4 };
+  },
+};
@@ -0,0 +1,18 @@
+// payments/index.js
+// The payment provider used by checkout, picked with VITE_PAYMENT_PROVIDER
+// (must match the API's PAYMENT_PROVIDER). Unset or unknown, there is none
+// (null) and checkout shows payments as unavailable (PaymentsUnavailable).
+//
+// A provider turns card details into a payment method the API can charge,
+// so raw card numbers never leave the browser:
+//   name                          "fake", "stripe", ...
+//   testCards?                    [{ number, outcome }] shown as hints in development
+//   createPaymentMethod(card)  →  Promise<{ id, brand, last4 }>, rejects with CheckoutError
+
+import { fakePaymentProvider } from "./fakeProvider";
+
+const PROVIDERS = { fake: fakePaymentProvider };
+
+export const paymentProvider = PROVIDERS[import.meta.env.VITE_PAYMENT_PROVIDER] || null;
+
+export default paymentProvider;
@@ -0,0 +1,88 @@
+// subscriptionService.js
+// Client for the Skillverse Pro subscription API (server/subscriptions.js).
+// - Plans are defined in Data/plans.js; which courses a subscription unlocks is
+//   decided by Data/entitlements.js.
+// - subscribe / changePlan / confirmPayment resolve with a SubscriptionOutcome:
+//     { status: "succeeded", subscription, user }         done — `user` carries the subscription
+//     { status: "requires_action", subscription, action } show the 3-D Secure challenge, then confirmPayment
+//   and reject with a CheckoutError (declined card, UNKNOWN_PLAN, ...).
+
+import client from "../Api/client";
+import { toCheckoutError } from "./checkoutService";
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} id
+ * @property {string} planId
+ * @property {"incomplete"|"trialing"|"active"|"past_due"|"canceled"} status
+ * @property {string} currency
+ * @property {number} amount   what the current period is worth
+ * @property {number} credit   left over from a move to a cheaper plan
+ * @property {string} startedAt
+ * @property {string} [trialEndsAt]
+ * @property {string} currentPeriodStart
+ * @property {string} currentPeriodEnd
+ * @property {boolean} cancelAtPeriodEnd
+ * @property {{ brand: string, last4: string }} paymentMethod
+ *
+ * @typedef {Object} PlanChangePreview
+ * @property {string} currency
+ * @property {number} price   the new plan's price
+ * @property {number} credit  unused time on the current plan plus credit held
+ * @property {number} due     charged now
+ * @property {number} carry   credit kept for the next renewals
+ */
+
+const call = async (request) => {
+  try {
+    const response = await request;
+    return response.status === 202
+      ? { status: "requires_action", subscription: response.data.subscription, action: response.data.action }
+      : { status: "succeeded", subscription: response.data.subscription, user: response.data.user };
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/** @returns {Promise<Subscription|null>} */
+const get = async () => {
+  try {
+    const { data } = await client.get("/checkout/subscription");
+    return data.subscription;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/**
+ * Starts a subscription (with the plan's free trial on the account's first one).
+ * @param {{ planId: string, paymentMethod: { id: string, brand: string, last4: string }, currency?: string }} params
+ */
+const subscribe = ({ planId, paymentMethod, currency }) =>
+  call(client.post("/checkout/subscription", { planId, paymentMethod, currency }));
+
+/** Answers a 3-D Secure challenge for the first payment or a plan change. */
+const confirmPayment = ({ paymentId, response }) =>
+  call(client.post("/checkout/subscription/confirm", { paymentId, response }));
+
+/** @returns {Promise<PlanChangePreview>} */
+const previewChange = async (planId) => {
+  try {
+    const { data } = await client.get("/checkout/subscription/preview", { params: { planId } });
+    return data;
+  } catch (err) {
+    throw toCheckoutError(err);
+  }
+};
+
+/** Switches plan now, charging the prorated difference to the saved card. */
+const changePlan = (planId) => call(client.post("/checkout/subscription/change", { planId }));
+
+/** Stops renewing; access lasts until the current period ends. */
+const cancel = () => call(client.post("/checkout/subscription/cancel"));
+
+const resume = () => call(client.post("/checkout/subscription/resume"));
+
+export const subscriptionService = { get, subscribe, confirmPayment, previewChange, changePlan, cancel, resume };
+
+export default subscriptionService;
@@ -0,0 +1,68 @@
+// tokenStorage.js
+// Where the client keeps its access/refresh token pair.
+// Kept apart from the Redux store so the axios interceptors can read tokens
+// without importing React code.
+// - "Remember me" sessions go to localStorage and survive closing the browser.
+// - Other sessions go to sessionStorage: they belong to this tab only and end
+//   when it is closed.
+
+const TOKENS_KEY = "skillverse:tokens";
+
+/**
+ * @typedef {Object} TokenPair
+ * @property {string} accessToken
+ * @property {string} refreshToken
+ * @property {number} expiresAt  epoch ms when the access token expires
+ * @property {boolean} remember  true when kept in localStorage
+ */
+
+// This tab's own session wins over a remembered one shared by other tabs
+const storages = () => (typeof window === "undefined" ? [] : [sessionStorage, localStorage]);
+
+const read = (storage) => {
+  try {
+    const raw = storage.getItem(TOKENS_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (err) {
+    console.warn("could not read the stored session", err);
+    return null;
+  }
+};
+
+/** @returns {TokenPair | null} */
+export const getTokens = () => {
+  for (const storage of storages()) {
+    const tokens = read(storage);
+    if (tokens) return { ...tokens, remember: storage === localStorage };
+  }
+  return null;
+};
+
+export const clearTokens = () => {
+  for (const storage of storages()) {
+    try {
+      storage.removeItem(TOKENS_KEY);
+    } catch {
+      /* storage unavailable — nothing to remove */
+    }
+  }
+};
+
+/**
+ * @param {{ accessToken: string, refreshToken: string, expiresIn: number }} response
+ * @param {{ remember?: boolean }} [options] pass it when signing in; refreshes
+ *   keep the tokens where they already are
+ */
+export const saveTokens = ({ accessToken, refreshToken, expiresIn }, { remember } = {}) => {
+  if (remember === undefined) remember = getTokens()?.remember ?? true;
+  else clearTokens(); // a new sign-in replaces whatever session this browser had
+  try {
+    const storage = remember ? localStorage : sessionStorage;
+    storage.setItem(TOKENS_KEY, JSON.stringify({ accessToken, refreshToken, expiresAt: Date.now() + expiresIn * 1000 }));
+  } catch (err) {
+    console.warn("could not store the session", err);
+  }
+};
+
+/** True for "remember me" sessions (shared by every tab), false for tab-only sessions. */
+export const isRememberedSession = () => getTokens()?.remember ?? false;
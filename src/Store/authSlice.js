@@ -0,0 +1,31 @@
+// authSlice.js
+// Signed-in user for the current browser.
+// status: "anonymous" | "authenticated"
+import { createSlice } from "@reduxjs/toolkit";
+
+const initialState = { user: null, status: "anonymous" };
+
+const authSlice = createSlice({
+  name: "auth",
+  initialState,
+  reducers: {
+    sessionStarted(state, { payload: user }) {
+      state.user = user;
+      state.status = "authenticated";
+    },
+    sessionEnded() {
+      return initialState;
+    },
+    profileUpdated(state, { payload: changes }) {
+      if (state.user) state.user = { ...state.user, ...changes };
+    },
+  },
+});
+
+export const { sessionStarted, sessionEnded, profileUpdated } = authSlice.actions;
+
+export const selectCurrentUser = (state) => state.auth.user;
+export const selectAuthStatus = (state) => state.auth.status;
+export const selectIsAuthenticated = (state) => state.auth.status === "authenticated";
+
+export default authSlice.reducer;
@@ -0,0 +1,136 @@
+// cartSlice.js
+// Cart state: items = [{ ...course, id, lineId, type, quantity, gift? }] — one per cart line:
+//   type "self" | "gift" | "team" (Data/cartLines.js), lineId from lineKey(), `id` stays the course id,
+//   quantity is 1 except for team seats, gift = { email, message } for gifts.
+//   savedPrice = the course's price when the line was added (Data/sales.js → priceSnapshot).
+// couponCodes = promo codes the user applied (the API prices them, see checkoutService.quote).
+// taxLocation = { country, region } the cart is taxed for (last billing address, or picked in the cart).
+// Sync with the saved cart on the API (Components/Cart/CartSync.jsx):
+//   ownerId = id of the user whose saved cart this is (null for a guest cart),
+//   version = the saved cart's version we last saw, syncedAt = `updatedAt` when the
+//   cart last matched the saved one — the cart has unsaved changes while they differ.
+// Reducers stay pure; toasts live in the compatibility hooks (Context/CartContext.js).
+import { createSlice } from "@reduxjs/toolkit";
+import { coursePrice } from "../../Data/currencies";
+import { clampSeats, isLineType, lineKey, unitPriceFor } from "../../Data/cartLines";
+
+const initialState = {
+  items: [],
+  couponCodes: [],
+  taxLocation: null,
+  updatedAt: null,
+  ownerId: null,
+  version: null,
+  syncedAt: null,
+};
+
+const cartSlice = createSlice({
+  name: "cart",
+  initialState,
+  reducers: {
+    // Add a line ({ ...course, type, quantity?, gift? }). Self and gift lines are
+    // only added once; team seats added to a course already in the cart for a team
+    // are added to that line.
+    itemAdded(state, { payload: line }) {
+      const type = isLineType(line.type) ? line.type : "self";
+      const lineId = lineKey({ type, courseId: line.id, gift: line.gift });
+      const existing = state.items.find((i) => i.lineId === lineId);
+      if (existing) {
+        if (type === "team") existing.quantity = clampSeats(existing.quantity + (Number(line.quantity) || 0));
+      } else {
+        state.items.push({ ...line, type, lineId, quantity: type === "team" ? clampSeats(line.quantity) : 1 });
+      }
+      state.updatedAt = Date.now();
+    },
+    itemRemoved(state, { payload: lineId }) {
+      state.items = state.items.filter((i) => i.lineId !== lineId);
+      state.updatedAt = Date.now();
+    },
+    // Set a team line's seats (kept within the seat limits); 0 removes the line.
+    // Self and gift lines always have quantity 1.
+    quantityUpdated(state, { payload: { lineId, quantity } }) {
+      const line = state.items.find((i) => i.lineId === lineId);
+      if (!line) return;
+      if (Number(quantity) <= 0) state.items = state.items.filter((i) => i.lineId !== lineId);
+      else if (line.type === "team") line.quantity = clampSeats(quantity);
+      state.updatedAt = Date.now();
+    },
+    cartCleared(state) {
+      state.items = [];
+      state.couponCodes = [];
+      state.updatedAt = Date.now();
+    },
+    // Codes are stored upper-case; applying one twice is a no-op
+    couponApplied(state, { payload: code }) {
+      const normalized = String(code).trim().toUpperCase();
+      if (normalized && !state.couponCodes.includes(normalized)) {
+        state.couponCodes.push(normalized);
+        state.updatedAt = Date.now();
+      }
+    },
+    couponRemoved(state, { payload: code }) {
+      state.couponCodes = state.couponCodes.filter((c) => c !== code);
+      state.updatedAt = Date.now();
+    },
+    taxLocationChanged(state, { payload }) {
+      state.taxLocation = payload?.country ? { country: payload.country, region: payload.region || "" } : null;
+    },
+    // The saved cart ({ items, couponCodes, version, ownerId }) replaces this one; it
+    // has no unsaved changes. Another tab's cart slice is taken as it is.
+    cartReplaced(state, { payload: cart }) {
+      const updatedAt = cart.updatedAt ?? Date.now();
+      Object.assign(state, {
+        items: cart.items || [],
+        couponCodes: cart.couponCodes || [],
+        updatedAt,
+        ownerId: cart.ownerId ?? null,
+        version: cart.version ?? null,
+        syncedAt: cart.syncedAt !== undefined ? cart.syncedAt : updatedAt,
+      });
+      if (cart.taxLocation !== undefined) state.taxLocation = cart.taxLocation;
+    },
+    // The cart as of `syncedAt` was saved as `version`
+    cartSynced(state, { payload: { version, syncedAt } }) {
+      state.version = version;
+      state.syncedAt = syncedAt;
+    },
+    // Signed out: the account's cart stays on the API, this device starts a guest cart
+    cartReset() {
+      return initialState;
+    },
+  },
+});
+
+export const {
+  itemAdded,
+  itemRemoved,
+  quantityUpdated,
+  cartCleared,
+  couponApplied,
+  couponRemoved,
+  taxLocationChanged,
+  cartReplaced,
+  cartSynced,
+  cartReset,
+} = cartSlice.actions;
+
+/* -----------------------
+   Selectors
+------------------------*/
+export const selectCartItems = (state) => state.cart.items;
+// lines, not seats: a team of 10 is one item
+export const selectCartCount = (state) => state.cart.items.length;
+export const selectCouponCodes = (state) => state.cart.couponCodes;
+export const selectTaxLocation = (state) => state.cart.taxLocation;
+export const selectCartOwnerId = (state) => state.cart.ownerId;
+export const selectCartUpdatedAt = (state) => state.cart.updatedAt;
+// changed since it was last saved to the API
+export const selectCartDirty = (state) => state.cart.updatedAt !== state.cart.syncedAt;
+// in the preferred currency (preferences slice), with the team seat discounts
+export const selectCartTotal = (state) =>
+  state.cart.items.reduce(
+    (s, i) => s + unitPriceFor(i, coursePrice(i, state.preferences?.currency)) * (Number(i.quantity) || 0),
+    0
+  );
+
+export default cartSlice.reducer;
@@ -0,0 +1,25 @@
+// index.js
+// Application Redux store.
+// - cart / wishlist / auth / preferences / search slices
+// - persisted to localStorage through persistMiddleware (see persist.js)
+import { configureStore } from "@reduxjs/toolkit";
+import cartReducer from "./cartSlice";
+import wishlistReducer from "./wishlistSlice";
+import authReducer from "./authSlice";
+import preferencesReducer from "./preferencesSlice";
+import searchReducer from "./searchSlice";
+import { loadPersistedState, persistMiddleware } from "./persist";
+
+export const store = configureStore({
+  reducer: {
+    cart: cartReducer,
+    wishlist: wishlistReducer,
+    auth: authReducer,
+    preferences: preferencesReducer,
+    search: searchReducer,
+  },
+  preloadedState: loadPersistedState(),
+  middleware: (getDefaultMiddleware) => getDefaultMiddleware().concat(persistMiddleware),
+});
+
+export default store;
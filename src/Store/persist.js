@@ -0,0 +1,195 @@
+// persist.js
+// localStorage persistence for the Redux store.
+// - Everything is written under one versioned key (PERSIST_KEY).
+// - On first load we also read the keys the app used before the store existed
+//   (cart, wishlist, user, isAuthenticated, theme, lang) and migrate them.
+// - Bump PERSIST_VERSION and add an entry to `migrations` whenever a persisted
+//   slice changes shape.
+
+import { clampSeats, lineKey } from "../../Data/cartLines";
+
+export const PERSIST_KEY = "skillverse:state";
+export const PERSIST_VERSION = 8;
+
+// Slices that are written to storage
+const PERSISTED_SLICES = ["cart", "wishlist", "auth", "preferences", "search"];
+
+// Keys used by the old Context/localStorage code
+const LEGACY_KEYS = ["cart", "wishlist", "user", "isAuthenticated", "theme", "lang"];
+
+/* -----------------------
+   localStorage helpers
+   - safeGet / safeSet wrap localStorage calls and avoid breaking in SSR or private mode.
+------------------------*/
+export const safeGet = (key) => {
+  try {
+    if (typeof window === "undefined") return null;
+    const raw = localStorage.getItem(key);
+    if (!raw) return null;
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`safeGet ${key} parse error:`, err);
+    return null;
+  }
+};
+
+export const safeSet = (key, value) => {
+  try {
+    if (typeof window === "undefined") return;
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.warn(`safeSet ${key} error:`, err);
+  }
+};
+
+const safeRaw = (key) => {
+  try {
+    return typeof window === "undefined" ? null : localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+const safeRemove = (key) => {
+  try {
+    if (typeof window !== "undefined") localStorage.removeItem(key);
+  } catch {
+    /* storage unavailable — nothing to remove */
+  }
+};
+
+/* -----------------------
+   Legacy state (version 0)
+   - theme and lang were stored as raw strings, the rest as JSON.
+------------------------*/
+const readLegacyState = () => {
+  const theme = safeRaw("theme");
+  const lang = safeRaw("lang");
+  const user = safeGet("user");
+  const isAuthenticated = safeRaw("isAuthenticated") === "true";
+
+  return {
+    cart: safeGet("cart"),
+    wishlist: safeGet("wishlist"),
+    auth: isAuthenticated && user ? { user, status: "authenticated" } : null,
+    preferences: {
+      theme: theme === "light" || theme === "dark" ? theme : null,
+      language: lang === "en" || lang === "ar" ? lang : "ar",
+    },
+  };
+};
+
+const hasLegacyState = () => LEGACY_KEYS.some((key) => safeRaw(key) !== null);
+
+/* -----------------------
+   Migrations
+   - migrations[n] upgrades a state from version n-1 to n.
+------------------------*/
+
+// Accepts a plain array or the old { items, updatedAt } shape.
+const normalizeItems = (saved) => {
+  const items = Array.isArray(saved) ? saved : Array.isArray(saved?.items) ? saved.items : [];
+  return items
+    .filter((item) => item && item.id != null)
+    .map((item) => ({ ...item, id: String(item.id) }));
+};
+
+const migrations = {
+  1: (state) => ({
+    ...state,
+    cart: { items: normalizeItems(state.cart), updatedAt: state.cart?.updatedAt ?? null },
+    wishlist: { items: normalizeItems(state.wishlist), updatedAt: state.wishlist?.updatedAt ?? null },
+    auth: state.auth?.user ? state.auth : { user: null, status: "anonymous" },
+  }),
+  // cart.couponCodes (promo codes)
+  2: (state) => ({
+    ...state,
+    cart: { ...state.cart, couponCodes: Array.isArray(state.cart?.couponCodes) ? state.cart.couponCodes : [] },
+  }),
+  // cart.taxLocation (billing country / region for tax)
+  3: (state) => ({
+    ...state,
+    cart: { ...state.cart, taxLocation: state.cart?.taxLocation?.country ? state.cart.taxLocation : null },
+  }),
+  // preferences.currency
+  4: (state) => ({
+    ...state,
+    preferences: { ...state.preferences, currency: state.preferences?.currency || "USD" },
+  }),
+  // cart line types: a course bought more than once becomes team seats
+  5: (state) => ({
+    ...state,
+    cart: {
+      ...state.cart,
+      items: (state.cart?.items || []).map((item) => {
+        const type = Number(item.quantity) > 1 ? "team" : "self";
+        return {
+          ...item,
+          type,
+          lineId: lineKey({ type, courseId: item.id }),
+          quantity: type === "team" ? clampSeats(item.quantity) : 1,
+        };
+      }),
+    },
+  }),
+  // cart sync with the API: a cart stored before it is a guest cart
+  6: (state) => ({
+    ...state,
+    cart: { ...state.cart, ownerId: null, version: null, syncedAt: null },
+  }),
+  // recent searches per account
+  7: (state) => ({
+    ...state,
+    search: { recent: state.search?.recent && typeof state.search.recent === "object" ? state.search.recent : {} },
+  }),
+  // preferences.courseListMode (numbered pages or infinite scroll)
+  8: (state) => ({
+    ...state,
+    preferences: { ...state.preferences, courseListMode: state.preferences?.courseListMode === "scroll" ? "scroll" : "pages" },
+  }),
+};
+
+export const migrate = (state, fromVersion) => {
+  let next = state;
+  for (let v = fromVersion + 1; v <= PERSIST_VERSION; v++) {
+    if (migrations[v]) next = migrations[v](next);
+  }
+  return next;
+};
+
+/* -----------------------
+   Load
+   - Returns a preloadedState for configureStore, or undefined when nothing is stored.
+------------------------*/
+export const loadPersistedState = () => {
+  const saved = safeGet(PERSIST_KEY);
+
+  if (saved && typeof saved === "object" && saved.state) {
+    const version = Number(saved.version) || 0;
+    if (version > PERSIST_VERSION) return undefined; // written by a newer build — ignore
+    return migrate(saved.state, version);
+  }
+
+  if (!hasLegacyState()) return undefined;
+
+  const state = migrate(readLegacyState(), 0);
+  safeSet(PERSIST_KEY, { version: PERSIST_VERSION, state });
+  LEGACY_KEYS.forEach(safeRemove);
+  return state;
+};
+
+/* -----------------------
+   Middleware
+   - Writes the persisted slices after any action that changed one of them.
+------------------------*/
+export const persistMiddleware = (store) => (next) => (action) => {
+  const before = store.getState();
+  const result = next(action);
+  const after = store.getState();
+
+  if (PERSISTED_SLICES.some((key) => before[key] !== after[key])) {
+    const state = Object.fromEntries(PERSISTED_SLICES.map((key) => [key, after[key]]));
+    safeSet(PERSIST_KEY, { version: PERSIST_VERSION, state });
+  }
+  return result;
+};
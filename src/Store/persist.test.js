@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { PERSIST_KEY, PERSIST_VERSION, loadPersistedState, migrate } from "./persist";
+
+// A state as version 1 left it; each test upgrades it one step (and the later steps run too)
+const v1State = () => ({
+  cart: { items: [{ id: "7", quantity: 1 }], updatedAt: null },
+  wishlist: { items: [], updatedAt: null },
+  auth: { user: null, status: "anonymous" },
+  preferences: { theme: "dark", language: "en" },
+});
+
+describe("migrate", () => {
+  it("v1 normalizes the cart and wishlist items and the auth state", () => {
+    const state = migrate(
+      { cart: [{ id: 7, quantity: 1 }, null, { title: "no id" }], wishlist: { items: [{ id: 3 }], updatedAt: "x" }, auth: null },
+      0
+    );
+    expect(state.cart.items).toEqual([expect.objectContaining({ id: "7" })]);
+    expect(state.cart.updatedAt).toBeNull();
+    expect(state.wishlist).toEqual({ items: [{ id: "3" }], updatedAt: "x" });
+    expect(state.auth).toEqual({ user: null, status: "anonymous" });
+  });
+
+  it("v1 keeps a signed-in user", () => {
+    const auth = { user: { id: "1" }, status: "authenticated" };
+    expect(migrate({ cart: null, wishlist: null, auth }, 0).auth).toEqual(auth);
+  });
+
+  it("v2 adds empty coupon codes and keeps existing ones", () => {
+    expect(migrate(v1State(), 1).cart.couponCodes).toEqual([]);
+    const state = v1State();
+    state.cart.couponCodes = ["SAVE10"];
+    expect(migrate(state, 1).cart.couponCodes).toEqual(["SAVE10"]);
+  });
+
+  it("v3 keeps a tax location only when it has a country", () => {
+    const state = migrate(v1State(), 1);
+    expect(state.cart.taxLocation).toBeNull();
+    const located = { ...v1State(), cart: { ...v1State().cart, taxLocation: { country: "US", region: "CA" } } };
+    expect(migrate(located, 2).cart.taxLocation).toEqual({ country: "US", region: "CA" });
+    const partial = { ...v1State(), cart: { ...v1State().cart, taxLocation: { region: "CA" } } };
+    expect(migrate(partial, 2).cart.taxLocation).toBeNull();
+  });
+
+  it("v4 defaults the currency to USD", () => {
+    expect(migrate(v1State(), 3).preferences).toMatchObject({ theme: "dark", currency: "USD" });
+    const state = { ...v1State(), preferences: { currency: "EGP" } };
+    expect(migrate(state, 3).preferences.currency).toBe("EGP");
+  });
+
+  it("v5 turns a course bought more than once into team seats", () => {
+    const state = { ...v1State(), cart: { items: [{ id: "7", quantity: 1 }, { id: "8", quantity: 3 }, { id: "9", quantity: 900 }] } };
+    expect(migrate(state, 4).cart.items).toEqual([
+      { id: "7", type: "self", lineId: "self:7", quantity: 1 },
+      { id: "8", type: "team", lineId: "team:8", quantity: 3 },
+      { id: "9", type: "team", lineId: "team:9", quantity: 500 },
+    ]);
+  });
+
+  it("v6 makes a stored cart a guest cart", () => {
+    expect(migrate(v1State(), 5).cart).toMatchObject({ ownerId: null, version: null, syncedAt: null });
+  });
+
+  it("v7 keeps recent searches per account", () => {
+    expect(migrate(v1State(), 6).search).toEqual({ recent: {} });
+    const state = { ...v1State(), search: { recent: { 1: ["react"] } } };
+    expect(migrate(state, 6).search).toEqual({ recent: { 1: ["react"] } });
+  });
+
+  it("v8 defaults the course list to numbered pages", () => {
+    expect(migrate(v1State(), 7).preferences.courseListMode).toBe("pages");
+    const scroll = { ...v1State(), preferences: { courseListMode: "scroll" } };
+    expect(migrate(scroll, 7).preferences.courseListMode).toBe("scroll");
+    const unknown = { ...v1State(), preferences: { courseListMode: "grid" } };
+    expect(migrate(unknown, 7).preferences.courseListMode).toBe("pages");
+  });
+
+  it("leaves a current state alone", () => {
+    const state = migrate(v1State(), 0);
+    expect(migrate(state, PERSIST_VERSION)).toBe(state);
+  });
+});
+
+describe("loadPersistedState", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new Map();
+    vi.stubGlobal("window", {});
+    vi.stubGlobal("localStorage", {
+      getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: (key) => storage.delete(key),
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("returns undefined when nothing is stored", () => {
+    expect(loadPersistedState()).toBeUndefined();
+  });
+
+  it("migrates a stored state from its version", () => {
+    storage.set(PERSIST_KEY, JSON.stringify({ version: 7, state: v1State() }));
+    expect(loadPersistedState().preferences.courseListMode).toBe("pages");
+  });
+
+  it("ignores a state written by a newer build", () => {
+    storage.set(PERSIST_KEY, JSON.stringify({ version: PERSIST_VERSION + 1, state: v1State() }));
+    expect(loadPersistedState()).toBeUndefined();
+  });
+
+  it("moves the legacy keys under the versioned key", () => {
+    storage.set("cart", JSON.stringify([{ id: 7, quantity: 2 }]));
+    storage.set("theme", "light");
+    storage.set("lang", "en");
+
+    const state = loadPersistedState();
+    expect(state.cart.items).toEqual([{ id: "7", type: "team", lineId: "team:7", quantity: 2 }]);
+    expect(state.preferences).toMatchObject({ theme: "light", language: "en", currency: "USD" });
+    expect(JSON.parse(storage.get(PERSIST_KEY))).toEqual({ version: PERSIST_VERSION, state });
+    expect(storage.has("cart")).toBe(false);
+    expect(storage.has("theme")).toBe(false);
+  });
+});
@@ -0,0 +1,37 @@
+// preferencesSlice.js
+// UI preferences that survive reloads.
+// - theme: "light" | "dark" | null (null = follow the OS setting)
+// - language: "ar" | "en"
+// - currency: display / checkout currency (one of SUPPORTED_CURRENCIES in Data/currencies.js)
+// - courseListMode: how course lists page through results — "pages" (numbered) | "scroll" (infinite)
+import { createSlice } from "@reduxjs/toolkit";
+
+const initialState = { theme: null, language: "ar", currency: "USD", courseListMode: "pages" };
+
+const preferencesSlice = createSlice({
+  name: "preferences",
+  initialState,
+  reducers: {
+    themeChanged(state, { payload: theme }) {
+      state.theme = theme;
+    },
+    languageChanged(state, { payload: language }) {
+      state.language = language;
+    },
+    currencyChanged(state, { payload: currency }) {
+      state.currency = currency;
+    },
+    courseListModeChanged(state, { payload: mode }) {
+      state.courseListMode = mode === "scroll" ? "scroll" : "pages";
+    },
+  },
+});
+
+export const { themeChanged, languageChanged, currencyChanged, courseListModeChanged } = preferencesSlice.actions;
+
+export const selectTheme = (state) => state.preferences.theme;
+export const selectLanguage = (state) => state.preferences.language;
+export const selectCurrency = (state) => state.preferences.currency;
+export const selectCourseListMode = (state) => state.preferences.courseListMode || "pages";
+
+export default preferencesSlice.reducer;
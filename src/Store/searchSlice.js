@@ -0,0 +1,42 @@
+// searchSlice.js
+// Recent course searches (Hero search box), kept per account so people sharing a
+// browser don't see each other's searches.
+// - recent: { [userId | "guest"]: string[] } — newest first, at most MAX_RECENT_SEARCHES
+import { createSlice } from "@reduxjs/toolkit";
+
+export const MAX_RECENT_SEARCHES = 8;
+export const GUEST_OWNER = "guest";
+
+const initialState = { recent: {} };
+const NO_SEARCHES = [];
+
+const ownerOf = (ownerId) => (ownerId == null ? GUEST_OWNER : String(ownerId));
+const sameQuery = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const searchSlice = createSlice({
+  name: "search",
+  initialState,
+  reducers: {
+    searchRecorded(state, { payload: { ownerId, query } }) {
+      const text = String(query || "").trim();
+      if (!text) return;
+      const owner = ownerOf(ownerId);
+      const recent = (state.recent[owner] || []).filter((q) => !sameQuery(q, text));
+      state.recent[owner] = [text, ...recent].slice(0, MAX_RECENT_SEARCHES);
+    },
+    recentSearchRemoved(state, { payload: { ownerId, query } }) {
+      const owner = ownerOf(ownerId);
+      state.recent[owner] = (state.recent[owner] || []).filter((q) => !sameQuery(q, query));
+    },
+    recentSearchesCleared(state, { payload: ownerId }) {
+      delete state.recent[ownerOf(ownerId)];
+    },
+  },
+});
+
+export const { searchRecorded, recentSearchRemoved, recentSearchesCleared } = searchSlice.actions;
+
+/** The signed-in user's recent searches (the guest's when signed out). */
+export const selectRecentSearches = (state) => state.search.recent[ownerOf(state.auth.user?.id)] || NO_SEARCHES;
+
+export default searchSlice.reducer;
@@ -0,0 +1,28 @@
+// wishlistSlice.js
+// Wishlist state: items = [course, ...] without duplicates, each with `savedPrice`
+// (the price when it was saved, Data/sales.js → priceSnapshot).
+import { createSlice } from "@reduxjs/toolkit";
+
+const initialState = { items: [], updatedAt: null };
+
+const wishlistSlice = createSlice({
+  name: "wishlist",
+  initialState,
+  reducers: {
+    itemAdded(state, { payload: product }) {
+      if (state.items.some((i) => i.id === product.id)) return; // already saved
+      state.items.push(product);
+      state.updatedAt = Date.now();
+    },
+    itemRemoved(state, { payload: id }) {
+      state.items = state.items.filter((i) => i.id !== id);
+      state.updatedAt = Date.now();
+    },
+  },
+});
+
+export const { itemAdded, itemRemoved } = wishlistSlice.actions;
+
+export const selectWishlistItems = (state) => state.wishlist.items;
+
+export default wishlistSlice.reducer;
@@ -1,14 +1,17 @@
-import React, { createContext, useContext, useEffect, useMemo, useState } from 'react'
+import React, { createContext, useCallback, useContext, useEffect, useMemo } from 'react'
+import { useDispatch, useSelector } from 'react-redux'
+import { selectTheme, themeChanged } from '../Store/preferencesSlice'
 
 const ThemeContext = createContext({ theme: 'light', toggleTheme: () => {} })
 
+// No saved preference → follow the OS setting
+const systemTheme = () =>
+  typeof window !== 'undefined' && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light'
+
 export function ThemeProvider({ children }) {
-  const [theme, setTheme] = useState(() => {
-    const stored = typeof window !== 'undefined' ? window.localStorage.getItem('theme') : null
-    if (stored === 'light' || stored === 'dark') return stored
-    if (typeof window !== 'undefined' && window.matchMedia('(prefers-color-scheme: dark)').matches) return 'dark'
-    return 'light'
-  })
+  const dispatch = useDispatch()
+  const stored = useSelector(selectTheme)
+  const theme = stored === 'light' || stored === 'dark' ? stored : systemTheme()
 
   useEffect(() => {
     const root = document.documentElement
@@ -17,16 +20,17 @@ export function ThemeProvider({ children }) {
     } else {
       root.classList.remove('dark')
     }
-    try {
-      window.localStorage.setItem('theme', theme)
-    } catch {}
   }, [theme])
 
+  const setTheme = useCallback((next) => {
+    dispatch(themeChanged(typeof next === 'function' ? next(theme) : next))
+  }, [dispatch, theme])
+
   const value = useMemo(() => ({
     theme,
     toggleTheme: () => setTheme((t) => (t === 'dark' ? 'light' : 'dark')),
     setTheme
-  }), [theme])
+  }), [theme, setTheme])
 
   return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
 }
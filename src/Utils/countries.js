@@ -0,0 +1,13 @@
+// countries.js
+// Countries offered in the billing form (ISO 3166-1 alpha-2 codes).
+// Names are localized by the browser (Intl.DisplayNames), so no translations are needed.
+
+export const COUNTRY_CODES = ["EG", "SA", "AE", "KW", "QA", "BH", "OM", "JO", "LB", "MA", "TN", "DZ", "US", "CA", "GB", "DE", "FR", "IN"];
+
+export function countryName(code, locale = "en") {
+  try {
+    return new Intl.DisplayNames([locale], { type: "region" }).of(code) || code;
+  } catch {
+    return code;
+  }
+}
@@ -0,0 +1,313 @@
+// courseFilters.js
+// Shared course filtering used by the Courses and Home pages.
+// Filters shape: { query, categories, level, tags, minPrice, maxPrice, pricing,
+// rating, durations, languages, badges, sort, page } — empty strings / lists mean
+// "any". Within a list a course matches any of the chosen values (one of the
+// categories, one of the tags, ...); across filters it must match all of them.
+// `sort` and `page` are the list's order and page (1-based).
+// - minPrice / maxPrice are in the shown currency (priceOf); pricing is "free" |
+//   "paid"; rating is a minimum (RATING_OPTIONS); durations are DURATION_BUCKETS
+//   ids; languages are course languages ("en", "ar"); badges are "new" | "popular".
+// - courseFacets counts, for every option, the courses the list would show with it.
+// - The filters live in the page URL (useCourseFilters); filtersFromParams /
+//   filtersToParams are the one serialization, shared by every link to a list:
+//     ?q=react&category=Frontend&category=Mobile&level=Beginner&tag=hooks&sort=rating&page=2
+//     ?price=10-50&pricing=paid&rating=4.5&duration=6-12&lang=ar&badge=new
+// - The query is a full-text search (searchIndex.js) over the title, tags,
+//   category, instructor name, descriptions (English and Arabic) and curriculum.
+//   Results come back best match first, each with `match: { score, terms, fields }`
+//   for highlighting; without a query the catalog order is kept.
+
+import { createSearchIndex, snippet } from "./searchIndex";
+
+export const EMPTY_FILTERS = {
+  query: "",
+  categories: [],
+  level: "",
+  tags: [],
+  minPrice: "",
+  maxPrice: "",
+  pricing: "",
+  rating: "",
+  durations: [],
+  languages: [],
+  badges: [],
+  sort: "",
+  page: 1,
+};
+
+const NONE = [];
+const basePrice = (c) => Number(c.price) || 0;
+const CARD_FIELDS = ["title", "category", "tags", "shortDescription", "instructor"];
+
+// What the search looks at, and how much a match there counts
+const localized = (value) => (value && typeof value === "object" ? Object.values(value) : value);
+const curriculumTitles = (c) =>
+  (c.curriculum || []).flatMap((section) => [section.title, ...(section.items || []).map((item) => item.title)]);
+
+const courseFields = (instructorById) => [
+  { name: "title", weight: 8, get: (c) => c.title },
+  { name: "tags", weight: 6, get: (c) => c.tags },
+  { name: "category", weight: 4, get: (c) => c.category },
+  { name: "instructor", weight: 4, get: (c) => instructorById.get(c.instructorId)?.name },
+  { name: "shortDescription", weight: 3, get: (c) => localized(c.shortDescription) },
+  { name: "curriculum", weight: 2, get: curriculumTitles },
+  { name: "description", weight: 1, get: (c) => localized(c.description) },
+];
+
+// One index per course list (and instructor list) — rebuilt only when either changes
+const indexes = new WeakMap();
+// Name indexes for the typeahead (instructors, tags, categories), one per list
+const nameIndexes = new WeakMap();
+
+const nameIndex = (items, nameOf) => {
+  if (!nameIndexes.has(items)) nameIndexes.set(items, createSearchIndex(items, [{ name: "name", weight: 1, get: nameOf }]));
+  return nameIndexes.get(items);
+};
+
+export function courseSearchIndex(courses, instructors = NONE) {
+  const cached = indexes.get(courses);
+  if (cached?.instructors === instructors) return cached.index;
+  const instructorById = new Map(instructors.map((i) => [i.id, i]));
+  const index = createSearchIndex(courses, courseFields(instructorById));
+  indexes.set(courses, { instructors, index });
+  return index;
+}
+
+// The courses matching the search query, best match first (all of them without one)
+function searchCourses(courses, query, instructors) {
+  const q = (query || "").trim();
+  if (!q) return courses;
+  return courseSearchIndex(courses, instructors)
+    .search(q)
+    .map(({ doc, score, terms, fields }) => ({ ...doc, match: { score, terms, fields } }));
+}
+
+/**
+ * The courses matching `filters`: ranked by the search query when there is one,
+ * in catalog order otherwise. priceOf(course) is the price in the shown currency
+ * (the price filters).
+ */
+export function filterCourses(courses = [], filters = EMPTY_FILTERS, instructors = NONE, priceOf = basePrice) {
+  return searchCourses(courses, filters.query, instructors).filter(
+    (c) => FACET_KEYS.every((key) => matchesFacet(c, key, filters[key], priceOf)) && inPriceRange(priceOf(c), filters)
+  );
+}
+
+/* -----------------------
+   Facets
+------------------------*/
+export const PRICING_OPTIONS = ["free", "paid"];
+export const RATING_OPTIONS = [4.5, 4, 3.5, 3];
+export const BADGE_OPTIONS = ["new", "popular"];
+// [from, to) in minutes
+export const DURATION_BUCKETS = [
+  { id: "0-3", from: 1, to: 3 * 60 },
+  { id: "3-6", from: 3 * 60, to: 6 * 60 },
+  { id: "6-12", from: 6 * 60, to: 12 * 60 },
+  { id: "12+", from: 12 * 60, to: Infinity },
+];
+
+/** The DURATION_BUCKETS id for a duration like "8h 30m"; "" when it can't be read. */
+export function durationBucket(duration) {
+  const minutes = durationMinutes(duration);
+  return DURATION_BUCKETS.find((bucket) => minutes >= bucket.from && minutes < bucket.to)?.id || "";
+}
+
+// facet → the values a course has for it (a course matches if one of them is chosen)
+const FACETS = {
+  categories: (c) => [c.category],
+  level: (c) => [c.level],
+  tags: (c) => c.tags || NONE,
+  pricing: (c, priceOf) => [priceOf(c) > 0 ? "paid" : "free"],
+  rating: (c) => RATING_OPTIONS.filter((rating) => (Number(c.rating) || 0) >= rating),
+  durations: (c) => [durationBucket(c.duration)],
+  languages: (c) => [].concat(c.language || NONE),
+  badges: (c) => BADGE_OPTIONS.filter((badge) => (badge === "new" ? c.isNew : c.isPopular)),
+};
+const FACET_KEYS = Object.keys(FACETS);
+
+function matchesFacet(course, key, selected, priceOf) {
+  const chosen = [].concat(selected ?? NONE).filter((value) => value !== "");
+  return !chosen.length || FACETS[key](course, priceOf).some((value) => chosen.includes(value));
+}
+
+const inPriceRange = (price, { minPrice, maxPrice }) =>
+  (minPrice === "" || minPrice == null || price >= minPrice) && (maxPrice === "" || maxPrice == null || price <= maxPrice);
+
+/**
+ * Live counts for the filter options: for each facet, how many courses the list
+ * would show with that option picked instead (the other filters staying as they
+ * are). Every value found among the courses matching the query is there, with 0
+ * when nothing would match it. Also the lowest and highest price among the courses matching the query,
+ * for the price slider (rounded outwards).
+ * @returns {{ categories: Object<string, number>, level: Object<string, number>, tags: Object<string, number>,
+ *   pricing: Object<string, number>, rating: Object<string, number>, durations: Object<string, number>,
+ *   languages: Object<string, number>, badges: Object<string, number>, price: { min: number, max: number } }}
+ */
+export function courseFacets(courses = [], filters = EMPTY_FILTERS, instructors = NONE, priceOf = basePrice) {
+  const counts = Object.fromEntries(FACET_KEYS.map((key) => [key, {}]));
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (const course of searchCourses(courses, filters.query, instructors)) {
+    const price = priceOf(course);
+    min = Math.min(min, price);
+    max = Math.max(max, price);
+    const values = {};
+    for (const key of FACET_KEYS) {
+      values[key] = FACETS[key](course, priceOf).filter((value) => value !== "" && value != null);
+      for (const value of values[key]) counts[key][value] ??= 0;
+    }
+
+    // A course counts for every facet if it matches all filters, and only for
+    // the facet it fails if it fails just one (picking another option there
+    // could bring it in). Failing two or more, no single pick shows it.
+    const failed = FACET_KEYS.filter((key) => !matchesFacet(course, key, filters[key], priceOf));
+    if (!inPriceRange(price, filters)) failed.push("price");
+    if (failed.length > 1) continue;
+
+    for (const key of failed.length ? failed : FACET_KEYS) {
+      if (key === "price") continue;
+      for (const value of values[key]) counts[key][value] += 1;
+    }
+  }
+
+  return { ...counts, price: min <= max ? { min: Math.floor(min), max: Math.ceil(max) } : { min: 0, max: 0 } };
+}
+
+/* -----------------------
+   Sorting
+------------------------*/
+export const SORT_OPTIONS = ["relevance", "rating", "students", "newest", "price-asc", "price-desc", "duration"];
+
+/** Minutes in a duration like "8h 30m", "2h" or "45m"; 0 when it can't be read. */
+export function durationMinutes(duration) {
+  const text = String(duration || "");
+  const hours = /(\d+(?:\.\d+)?)\s*h/i.exec(text);
+  const minutes = /(\d+)\s*m/i.exec(text);
+  return Math.round((hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0));
+}
+
+// sort → [key of a course, 1 ascending | -1 descending]
+const SORT_KEYS = {
+  rating: [(c) => Number(c.rating) || 0, -1],
+  students: [(c) => Number(c.studentsCount) || 0, -1],
+  newest: [(c) => Date.parse(c.publishedAt) || 0, -1],
+  "price-asc": [(c, priceOf) => priceOf(c), 1],
+  "price-desc": [(c, priceOf) => priceOf(c), -1],
+  duration: [(c) => durationMinutes(c.duration), 1],
+};
+
+/**
+ * `courses` in `sort` order. "relevance" (or no sort) keeps the order they come in:
+ * best match first when searching, the catalog order otherwise. Ties keep it too.
+ * priceOf(course) is the price in the shown currency (price sorts).
+ */
+export function sortCourses(courses, sort, priceOf = basePrice) {
+  const [keyOf, direction] = SORT_KEYS[sort] || [];
+  if (!keyOf) return courses;
+  return courses
+    .map((course, index) => ({ course, index, key: keyOf(course, priceOf) }))
+    .sort((a, b) => (a.key - b.key) * direction || a.index - b.index)
+    .map((entry) => entry.course);
+}
+
+/* -----------------------
+   URL serialization
+------------------------*/
+const unique = (values) => [...new Set(values.filter(Boolean))];
+const oneOf = (options, values) => unique(values).filter((value) => options.includes(value));
+const priceParam = (value) => (value === "" || value == null ? "" : String(value));
+
+/** Filters from URL search params (URLSearchParams); missing ones are "any". */
+export function filtersFromParams(params) {
+  const page = Number.parseInt(params.get("page"), 10);
+  const sort = params.get("sort");
+  const pricing = params.get("pricing");
+  const rating = Number(params.get("rating"));
+  // price=10-50, price=10- or price=-50
+  const [, minPrice = "", maxPrice = ""] = /^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/.exec(params.get("price") || "") || [];
+  return {
+    query: params.get("q") || "",
+    categories: unique(params.getAll("category")),
+    level: params.get("level") || "",
+    tags: unique(params.getAll("tag")),
+    minPrice: minPrice && Number(minPrice),
+    maxPrice: maxPrice && Number(maxPrice),
+    pricing: PRICING_OPTIONS.includes(pricing) ? pricing : "",
+    rating: RATING_OPTIONS.includes(rating) ? rating : "",
+    durations: oneOf(DURATION_BUCKETS.map((bucket) => bucket.id), params.getAll("duration")),
+    languages: unique(params.getAll("lang")),
+    badges: oneOf(BADGE_OPTIONS, params.getAll("badge")),
+    sort: SORT_OPTIONS.includes(sort) && sort !== "relevance" ? sort : "",
+    page: page > 0 ? page : 1,
+  };
+}
+
+/** URL search params for `filters` (partial filters are fine), leaving out the defaults. */
+export function filtersToParams(filters) {
+  const params = new URLSearchParams();
+  if (filters.query) params.set("q", filters.query);
+  for (const category of unique(filters.categories || NONE)) params.append("category", category);
+  if (filters.level) params.set("level", filters.level);
+  for (const tag of unique(filters.tags || NONE)) params.append("tag", tag);
+  const minPrice = priceParam(filters.minPrice);
+  const maxPrice = priceParam(filters.maxPrice);
+  if (minPrice || maxPrice) params.set("price", `${minPrice}-${maxPrice}`);
+  if (filters.pricing) params.set("pricing", filters.pricing);
+  if (filters.rating) params.set("rating", String(filters.rating));
+  for (const bucket of unique(filters.durations || NONE)) params.append("duration", bucket);
+  for (const language of unique(filters.languages || NONE)) params.append("lang", language);
+  for (const badge of unique(filters.badges || NONE)) params.append("badge", badge);
+  if (filters.sort && filters.sort !== "relevance") params.set("sort", filters.sort);
+  if (filters.page > 1) params.set("page", String(filters.page));
+  return params;
+}
+
+/** Link to the Courses page showing `filters`. */
+export const coursesUrl = (filters = EMPTY_FILTERS) => {
+  const search = filtersToParams(filters).toString();
+  return search ? `/courses?${search}` : "/courses";
+};
+
+/**
+ * Typeahead suggestions for `query`: the best matching courses, instructors, tags
+ * and categories (at most `limit` of each).
+ * @returns {{ courses: object[], instructors: object[], tags: string[], categories: string[] }}
+ */
+export function searchSuggestions(query, { courses = NONE, instructors = NONE, tags = NONE, categories = NONE }, limit = 4) {
+  const q = String(query || "").trim();
+  if (!q) return { courses: [], instructors: [], tags: [], categories: [] };
+  const best = (items, nameOf) =>
+    nameIndex(items, nameOf)
+      .search(q)
+      .slice(0, limit)
+      .map((result) => result.doc);
+
+  return {
+    courses: filterCourses(courses, { ...EMPTY_FILTERS, query: q }, instructors).slice(0, limit),
+    instructors: best(instructors, (instructor) => instructor.name),
+    tags: best(tags, (tag) => tag),
+    categories: best(categories, (category) => category),
+  };
+}
+
+/**
+ * For a search result whose card (title, category, tags, short description,
+ * instructor) doesn't show why it matched: a snippet of the description (in
+ * `language` first) or the curriculum, split for highlighting. null otherwise.
+ */
+export function courseSnippet(course, language = "en") {
+  const { terms = [], fields = [] } = course?.match || {};
+  if (!fields.length || CARD_FIELDS.some((field) => fields.includes(field))) return null;
+
+  const texts = [];
+  if (fields.includes("description")) texts.push(course.description?.[language], ...[].concat(localized(course.description) ?? []));
+  if (fields.includes("curriculum")) texts.push(...curriculumTitles(course));
+  for (const text of texts) {
+    const parts = text ? snippet(text, terms) : null;
+    if (parts) return parts;
+  }
+  return null;
+}
@@ -0,0 +1,160 @@
+import { describe, expect, it } from "vitest";
+import {
+  EMPTY_FILTERS,
+  courseFacets,
+  durationBucket,
+  filterCourses,
+  filtersFromParams,
+  filtersToParams,
+  sortCourses,
+} from "./courseFilters";
+
+const courses = [
+  {
+    id: "1",
+    title: "React from Zero",
+    category: "Frontend",
+    level: "Beginner",
+    tags: ["react", "hooks"],
+    price: 0,
+    rating: 4.8,
+    duration: "2h 30m",
+    language: ["en"],
+    isNew: true,
+    instructorId: "i1",
+    studentsCount: 900,
+  },
+  {
+    id: "2",
+    title: "Node APIs",
+    category: "Backend",
+    level: "Intermediate",
+    tags: ["node"],
+    price: 49.99,
+    rating: 4.2,
+    duration: "8h",
+    language: ["en", "ar"],
+    isPopular: true,
+    instructorId: "i2",
+    studentsCount: 5000,
+  },
+  {
+    id: "3",
+    title: "Vue Essentials",
+    category: "Frontend",
+    level: "Intermediate",
+    tags: ["vue"],
+    price: 19.5,
+    rating: 3.6,
+    duration: "14h",
+    language: ["ar"],
+    instructorId: "i2",
+    studentsCount: 1200,
+  },
+];
+const instructors = [
+  { id: "i1", name: "Sara Ali" },
+  { id: "i2", name: "Omar Khaled" },
+];
+const ids = (list) => list.map((course) => course.id);
+const filters = (extra) => ({ ...EMPTY_FILTERS, ...extra });
+
+describe("filterCourses", () => {
+  it("keeps the catalog order without filters", () => {
+    expect(ids(filterCourses(courses))).toEqual(["1", "2", "3"]);
+  });
+
+  it("matches any chosen value within a facet and every facet across them", () => {
+    expect(ids(filterCourses(courses, filters({ categories: ["Frontend", "Backend"] })))).toEqual(["1", "2", "3"]);
+    expect(ids(filterCourses(courses, filters({ categories: ["Frontend"], level: "Intermediate" })))).toEqual(["3"]);
+  });
+
+  it("filters by pricing, minimum rating, duration, language and badge", () => {
+    expect(ids(filterCourses(courses, filters({ pricing: "free" })))).toEqual(["1"]);
+    expect(ids(filterCourses(courses, filters({ rating: 4 })))).toEqual(["1", "2"]);
+    expect(ids(filterCourses(courses, filters({ durations: ["6-12", "12+"] })))).toEqual(["2", "3"]);
+    expect(ids(filterCourses(courses, filters({ languages: ["ar"] })))).toEqual(["2", "3"]);
+    expect(ids(filterCourses(courses, filters({ badges: ["popular"] })))).toEqual(["2"]);
+  });
+
+  it("filters the price range in the shown currency", () => {
+    const doubled = (course) => course.price * 2;
+    expect(ids(filterCourses(courses, filters({ minPrice: 20, maxPrice: 50 })))).toEqual(["2"]);
+    expect(ids(filterCourses(courses, filters({ minPrice: 20, maxPrice: 50 }), instructors, doubled))).toEqual(["3"]);
+  });
+
+  it("searches instructor names and attaches the match", () => {
+    const [found] = filterCourses(courses, filters({ query: "sara" }), instructors);
+    expect(found.id).toBe("1");
+    expect(found.match.fields).toEqual(["instructor"]);
+  });
+});
+
+describe("courseFacets", () => {
+  it("counts what each option would show with the other filters kept", () => {
+    const facets = courseFacets(courses, filters({ categories: ["Frontend"] }), instructors);
+    // picking another category ignores the current category pick
+    expect(facets.categories).toEqual({ Frontend: 2, Backend: 1 });
+    // other facets only count the Frontend courses
+    expect(facets.level).toEqual({ Beginner: 1, Intermediate: 1 });
+    expect(facets.languages).toEqual({ en: 1, ar: 1 });
+  });
+
+  it("lists options with nothing to show as 0", () => {
+    const facets = courseFacets(courses, filters({ categories: ["Frontend"], pricing: "free" }), instructors);
+    expect(facets.tags).toEqual({ react: 1, hooks: 1, node: 0, vue: 0 });
+  });
+
+  it("gives the price range of the courses matching the query, rounded outwards", () => {
+    expect(courseFacets(courses).price).toEqual({ min: 0, max: 50 });
+    expect(courseFacets([]).price).toEqual({ min: 0, max: 0 });
+  });
+});
+
+describe("sortCourses / durationBucket", () => {
+  it("sorts by a key and keeps ties in their order", () => {
+    expect(ids(sortCourses(courses, "price-desc"))).toEqual(["2", "3", "1"]);
+    expect(ids(sortCourses(courses, "students"))).toEqual(["2", "3", "1"]);
+    expect(ids(sortCourses(courses, "relevance"))).toEqual(["1", "2", "3"]);
+  });
+
+  it("buckets durations", () => {
+    expect(durationBucket("2h 30m")).toBe("0-3");
+    expect(durationBucket("6h")).toBe("6-12");
+    expect(durationBucket("soon")).toBe("");
+  });
+});
+
+describe("filtersFromParams / filtersToParams", () => {
+  it("round-trips filters through the URL", () => {
+    const chosen = filters({
+      query: "react",
+      categories: ["Frontend", "Mobile"],
+      tags: ["hooks"],
+      minPrice: 10,
+      maxPrice: 50,
+      pricing: "paid",
+      rating: 4.5,
+      durations: ["6-12"],
+      languages: ["ar"],
+      badges: ["new"],
+      sort: "rating",
+      page: 2,
+    });
+    const params = filtersToParams(chosen);
+    expect(params.toString()).toBe(
+      "q=react&category=Frontend&category=Mobile&tag=hooks&price=10-50&pricing=paid&rating=4.5&duration=6-12&lang=ar&badge=new&sort=rating&page=2"
+    );
+    expect(filtersFromParams(params)).toEqual(chosen);
+  });
+
+  it("drops values it doesn't know", () => {
+    const parsed = filtersFromParams(new URLSearchParams("pricing=cheap&rating=2&duration=1-2&badge=hot&sort=random&page=-1&price=abc"));
+    expect(parsed).toEqual(EMPTY_FILTERS);
+  });
+
+  it("reads open-ended price ranges", () => {
+    expect(filtersFromParams(new URLSearchParams("price=-50"))).toMatchObject({ minPrice: "", maxPrice: 50 });
+    expect(filtersFromParams(new URLSearchParams("price=10-"))).toMatchObject({ minPrice: 10, maxPrice: "" });
+  });
+});
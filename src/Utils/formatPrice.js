@@ -0,0 +1,19 @@
+// formatPrice.js
+// The one place prices are turned into text ("$29.99", "١٬٤٩٩٫٠٠ ج.م.‏").
+// Components get it through useCurrency(), which fills in the preferred
+// currency and the current language.
+
+/**
+ * @param {number} amount
+ * @param {string} [currency] ISO 4217 code, e.g. "EGP"
+ * @param {string} [locale]   e.g. "ar"
+ */
+export function formatPrice(amount, currency = "USD", locale = "en") {
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).format(Number(amount) || 0);
+  } catch {
+    return `${(Number(amount) || 0).toFixed(2)} ${currency}`;
+  }
+}
+
+export default formatPrice;
@@ -0,0 +1,289 @@
+// invoicePdf.js
+// Invoice PDFs for paid orders, made in the browser.
+// - Drawn on A4 canvases and written out by pdf.js, in the current language:
+//   Arabic invoices run right to left (the layout is mirrored, the browser orders the text).
+// - Shows the seller (settings.seller), the invoice number and dates, who was billed,
+//   one row per order line (gifts and team seats noted), the promo codes, the tax
+//   (added, or included in the prices) and the total, all in the order's currency.
+// - Long orders continue on more pages, with the table header repeated.
+
+import { A4, canvasesToPdf, downloadBlob } from "./pdf";
+import { formatPrice } from "./formatPrice";
+import { countryName } from "./countries";
+
+const SCALE = 2; // canvas pixels per point
+const MARGIN = 48;
+const FOOTER = 56; // space kept free at the bottom of every page
+const ROW_HEIGHT = 34;
+
+const COLORS = { text: "#111827", muted: "#6b7280", line: "#e5e7eb", head: "#f3f4f6", accent: "#4f46e5", green: "#047857" };
+
+// table columns: where each starts (description) or ends (numbers), left to right
+const COLUMNS = { description: MARGIN, quantity: 330, unitPrice: 405, discount: 475, amount: A4.width - MARGIN };
+
+const pick = (text, locale) => (typeof text === "string" ? text : text?.[locale] || text?.en || "");
+
+/** File name for an order's invoice, e.g. "invoice-SV-2026-000012.pdf". */
+export const invoiceFileName = (order) => `invoice-${order.invoiceNumber || order.id}.pdf`;
+
+/**
+ * @param {import("../Api/api").Order} order  a paid order
+ * @param {{
+ *   seller?: import("../Api/api").Settings["seller"],
+ *   locale: string,
+ *   t: import("i18next").TFunction,
+ *   courseTitle?: (courseId: string) => string|undefined  for lines saved without a title,
+ *   customer?: { name: string, email: string }  billed when the order has no billing details
+ * }} options
+ * @returns {Promise<Blob>}
+ */
+export async function createInvoicePdf(order, { seller, locale, t, courseTitle = () => undefined, customer }) {
+  await document.fonts?.ready;
+  const rtl = locale === "ar";
+  const family = getComputedStyle(document.body).fontFamily || "sans-serif";
+  const money = (amount) => formatPrice(amount, order.currency, locale);
+  const date = (iso) => (iso ? new Intl.DateTimeFormat(locale, { dateStyle: "long" }).format(new Date(iso)) : "");
+  const percent = (fraction, digits = 0) =>
+    new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: digits }).format(fraction);
+
+  const pages = [];
+  let ctx;
+  let y;
+
+  /* -----------------------
+     Drawing helpers (x in left-to-right points; mirrored for Arabic)
+  ------------------------*/
+  const X = (x) => (rtl ? A4.width - x : x);
+  const font = (size, weight = 400) => {
+    ctx.font = `${weight} ${size}px ${family}`;
+  };
+  const text = (value, x, top, { size = 10, weight = 400, color = COLORS.text, align = "start", maxWidth } = {}) => {
+    font(size, weight);
+    ctx.fillStyle = color;
+    ctx.textAlign = align;
+    let shown = String(value ?? "");
+    if (maxWidth && ctx.measureText(shown).width > maxWidth) {
+      while (shown.length > 1 && ctx.measureText(`${shown}…`).width > maxWidth) shown = shown.slice(0, -1);
+      shown = `${shown.trimEnd()}…`;
+    }
+    ctx.fillText(shown, X(x), top);
+  };
+  // splits `value` into lines no wider than maxWidth
+  const wrap = (value, maxWidth, size = 10) => {
+    font(size);
+    const lines = [];
+    for (const word of String(value || "").split(/\s+/).filter(Boolean)) {
+      const last = lines[lines.length - 1];
+      if (last && ctx.measureText(`${last} ${word}`).width <= maxWidth) lines[lines.length - 1] = `${last} ${word}`;
+      else lines.push(word);
+    }
+    return lines;
+  };
+  const rule = (top, color = COLORS.line) => {
+    ctx.fillStyle = color;
+    ctx.fillRect(MARGIN, top, A4.width - MARGIN * 2, 1);
+  };
+
+  const newPage = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(A4.width * SCALE);
+    canvas.height = Math.round(A4.height * SCALE);
+    ctx = canvas.getContext("2d");
+    ctx.scale(SCALE, SCALE);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, A4.width, A4.height);
+    ctx.direction = rtl ? "rtl" : "ltr";
+    ctx.textBaseline = "alphabetic";
+    pages.push(canvas);
+    y = MARGIN;
+  };
+
+  const tableHeader = () => {
+    ctx.fillStyle = COLORS.head;
+    ctx.fillRect(MARGIN, y, A4.width - MARGIN * 2, 22);
+    const head = { size: 8.5, weight: 600, color: COLORS.muted };
+    text(t("invoice.columns.description", "Description"), COLUMNS.description + 8, y + 14.5, head);
+    text(t("invoice.columns.quantity", "Qty"), COLUMNS.quantity, y + 14.5, { ...head, align: "end" });
+    text(t("invoice.columns.unitPrice", "Unit price"), COLUMNS.unitPrice, y + 14.5, { ...head, align: "end" });
+    text(t("invoice.columns.discount", "Discount"), COLUMNS.discount, y + 14.5, { ...head, align: "end" });
+    text(t("invoice.columns.amount", "Amount"), COLUMNS.amount - 8, y + 14.5, { ...head, align: "end" });
+    y += 22;
+  };
+
+  // starts a new page when `height` doesn't fit on this one
+  const ensureSpace = (height, { table = false } = {}) => {
+    if (y + height <= A4.height - FOOTER) return;
+    newPage();
+    if (table) tableHeader();
+  };
+
+  /* -----------------------
+     Header: seller and invoice details
+  ------------------------*/
+  newPage();
+  const sellerName = pick(seller?.name, locale) || "Skillverse";
+  text(sellerName, MARGIN, y + 14, { size: 16, weight: 700, color: COLORS.accent, maxWidth: 280 });
+  let sellerY = y + 32;
+  for (const line of wrap(pick(seller?.address, locale), 260, 9)) {
+    text(line, MARGIN, sellerY, { size: 9, color: COLORS.muted });
+    sellerY += 13;
+  }
+  if (seller?.email) {
+    text(seller.email, MARGIN, sellerY, { size: 9, color: COLORS.muted });
+    sellerY += 13;
+  }
+  if (seller?.taxId) {
+    text(t("invoice.taxId", "Tax ID: {{id}}", { id: seller.taxId }), MARGIN, sellerY, { size: 9, color: COLORS.muted });
+    sellerY += 13;
+  }
+
+  const right = A4.width - MARGIN;
+  text(t("invoice.title", "Invoice"), right, y + 16, { size: 22, weight: 700, align: "end" });
+  const details = [
+    [t("invoice.number", "Invoice no."), order.invoiceNumber || "—"],
+    [t("invoice.issued", "Date"), date(order.paidAt || order.createdAt)],
+    [t("invoice.order", "Order"), order.id.slice(0, 8).toUpperCase()],
+    [t("invoice.currency", "Currency"), order.currency],
+  ];
+  let detailsY = y + 36;
+  for (const [label, value] of details) {
+    text(`${label}: ${value}`, right, detailsY, { size: 9, align: "end", color: COLORS.muted });
+    detailsY += 13;
+  }
+  y = Math.max(sellerY, detailsY) + 10;
+  rule(y);
+  y += 24;
+
+  /* -----------------------
+     Bill to
+  ------------------------*/
+  const billing = order.billing || { name: customer?.name, email: customer?.email };
+  text(t("invoice.billTo", "Bill to"), MARGIN, y, { size: 8.5, weight: 600, color: COLORS.muted });
+  y += 15;
+  const billTo = [
+    billing.name,
+    billing.email,
+    billing.address,
+    [billing.city, billing.region, billing.postalCode].filter(Boolean).join(", "),
+    billing.country ? countryName(billing.country, locale) : "",
+  ].filter(Boolean);
+  billTo.forEach((line, i) => {
+    text(line, MARGIN, y, { size: i === 0 ? 11 : 9.5, weight: i === 0 ? 600 : 400, maxWidth: 320 });
+    y += i === 0 ? 15 : 13;
+  });
+  y += 14;
+
+  /* -----------------------
+     Lines
+  ------------------------*/
+  tableHeader();
+  for (const item of order.items || []) {
+    ensureSpace(ROW_HEIGHT, { table: true });
+    const quantity = Number(item.quantity) || 1;
+    const discount = Number(item.discount) || 0;
+    const title = item.title || courseTitle(item.courseId) || `#${item.courseId}`;
+    const type = item.type || "self";
+    let note = t("cart.lines.self", "For you");
+    if (type === "gift") note = t("cart.lines.gift", "Gift for {{email}}", { email: item.gift?.email });
+    if (type === "team") {
+      note = t("cart.lines.team", "Team seats: {{count}}", { count: quantity });
+      if (item.seatDiscount) {
+        note += ` · ${t("invoice.seatDiscount", "{{percent}} volume discount on {{price}}", {
+          percent: percent(item.seatDiscount),
+          price: money(item.listPrice),
+        })}`;
+      }
+    }
+    if (item.regularPrice) {
+      note += ` · ${t("invoice.salePrice", "Sale price (regular {{price}})", { price: money(item.regularPrice) })}`;
+    }
+
+    text(title, COLUMNS.description + 8, y + 14, { size: 10, weight: 600, maxWidth: COLUMNS.quantity - COLUMNS.description - 50 });
+    text(note, COLUMNS.description + 8, y + 27, { size: 8, color: COLORS.muted, maxWidth: COLUMNS.quantity - COLUMNS.description - 50 });
+    text(new Intl.NumberFormat(locale).format(quantity), COLUMNS.quantity, y + 14, { align: "end" });
+    text(money(item.price), COLUMNS.unitPrice, y + 14, { align: "end" });
+    text(discount ? `−${money(discount)}` : "—", COLUMNS.discount, y + 14, { align: "end", color: discount ? COLORS.green : COLORS.muted });
+    text(money(Number(item.price) * quantity - discount), COLUMNS.amount - 8, y + 14, { align: "end", weight: 600 });
+    y += ROW_HEIGHT;
+    rule(y);
+  }
+  y += 16;
+
+  /* -----------------------
+     Totals
+  ------------------------*/
+  const subtotal = order.subtotal ?? (order.items || []).reduce((s, i) => s + Number(i.price) * (Number(i.quantity) || 1), 0);
+  const totals = [[t("dashboard.subtotal", "Subtotal"), money(subtotal)]];
+  for (const coupon of order.coupons || []) {
+    totals.push([`${t("checkout.coupons.discount", "Discount")} (${coupon.code})`, `−${money(coupon.amount)}`, COLORS.green]);
+  }
+  if (order.tax) {
+    const rate = percent(order.tax.rate, 3);
+    totals.push([
+      order.tax.mode === "inclusive"
+        ? t("checkout.tax.inclusive", "Includes {{name}} ({{rate}})", { name: order.tax.name, rate })
+        : t("checkout.tax.exclusive", "{{name}} ({{rate}})", { name: order.tax.name, rate }),
+      money(order.tax.amount),
+    ]);
+  }
+  ensureSpace(totals.length * 18 + 60);
+  const labelX = 300;
+  for (const [label, value, color] of totals) {
+    text(label, labelX, y, { size: 9.5, color: color || COLORS.muted, maxWidth: COLUMNS.amount - labelX - 100 });
+    text(value, COLUMNS.amount - 8, y, { size: 9.5, align: "end", color: color || COLORS.text });
+    y += 18;
+  }
+  y += 2;
+  ctx.fillStyle = COLORS.text;
+  ctx.fillRect(X(rtl ? COLUMNS.amount : labelX), y - 12, COLUMNS.amount - labelX, 1);
+  y += 6;
+  text(t("dashboard.total", "Total"), labelX, y, { size: 12, weight: 700 });
+  text(money(order.total), COLUMNS.amount - 8, y, { size: 12, weight: 700, align: "end" });
+  y += 30;
+
+  /* -----------------------
+     Payment
+  ------------------------*/
+  const card = order.payment?.last4 ? `${String(order.payment.brand || "").toUpperCase()} •••• ${order.payment.last4}` : "";
+  const paid = order.paidAt
+    ? t("invoice.paid", "Paid on {{date}}", { date: date(order.paidAt) }) + (card ? ` · ${card}` : "")
+    : t(`orders.status.${order.status}`, order.status);
+  ensureSpace(20);
+  text(paid, MARGIN, y, { size: 9.5, color: COLORS.muted });
+  if (order.status === "refunded" && order.refund?.resolvedAt) {
+    y += 14;
+    ensureSpace(20);
+    text(
+      t("invoice.refunded", "Refunded on {{date}}: {{amount}}", {
+        date: date(order.refund.resolvedAt),
+        amount: money(order.refund.amount ?? order.total),
+      }),
+      MARGIN,
+      y,
+      { size: 9.5, weight: 700, color: COLORS.muted }
+    );
+  }
+
+  /* -----------------------
+     Footer on every page
+  ------------------------*/
+  pages.forEach((canvas, i) => {
+    ctx = canvas.getContext("2d");
+    const footerY = A4.height - MARGIN / 2 - 8;
+    rule(footerY - 16);
+    text(t("invoice.thanks", "Thank you for learning with {{name}}.", { name: sellerName }), MARGIN, footerY, { size: 8.5, color: COLORS.muted });
+    text(
+      t("invoice.page", "Page {{page}} of {{count}}", { page: i + 1, count: pages.length }),
+      A4.width - MARGIN,
+      footerY,
+      { size: 8.5, color: COLORS.muted, align: "end" }
+    );
+  });
+
+  return canvasesToPdf(pages, { title: `${t("invoice.title", "Invoice")} ${order.invoiceNumber || ""}`.trim() });
+}
+
+/** Creates the invoice PDF and saves it (see createInvoicePdf for the options). */
+export async function downloadInvoicePdf(order, options) {
+  downloadBlob(await createInvoicePdf(order, options), invoiceFileName(order));
+}
@@ -0,0 +1,98 @@
+// pdf.js
+// A small PDF writer for documents drawn on <canvas> (see invoicePdf.js).
+// - Every page is one JPEG image filling an A4 page.
+// - The browser lays out the text on the canvas, so Arabic letters are joined and
+//   mixed right-to-left / left-to-right text is ordered correctly without
+//   embedding a font. The trade-off is that the text can't be selected in the PDF.
+
+export const A4 = { width: 595.28, height: 841.89 }; // points (1/72 inch)
+
+const encoder = new TextEncoder();
+
+const toJpeg = (canvas, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) => (blob ? blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject) : reject(new Error("Could not draw the page"))),
+      "image/jpeg",
+      quality
+    )
+  );
+
+// PDF text string as UTF-16BE hex, so any language fits in the document info
+const pdfText = (text) =>
+  `<FEFF${String(text)
+    .split("")
+    .map((ch) => ch.charCodeAt(0).toString(16).padStart(4, "0"))
+    .join("")}>`;
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, "").slice(0, 14)}Z`;
+
+/**
+ * @param {HTMLCanvasElement[]} pages  one canvas per page, drawn at A4 proportions
+ * @param {{ title?: string, quality?: number }} [options]
+ * @returns {Promise<Blob>} application/pdf
+ */
+export async function canvasesToPdf(pages, { title = "", quality = 0.92 } = {}) {
+  const images = await Promise.all(pages.map((canvas) => toJpeg(canvas, quality)));
+
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, ...parts) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    parts.forEach(write);
+    write("\nendobj\n");
+  };
+
+  // objects 1–3: catalog, page tree, document info; then page, contents and image per page
+  const pageIds = pages.map((_, i) => 4 + i * 3);
+  const size = 4 + pages.length * 3;
+
+  write("%PDF-1.4\n%âãÏÓ\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+  object(3, `<< /Title ${pdfText(title)} /Producer ${pdfText("Skillverse")} /CreationDate (${pdfDate(new Date())}) >>`);
+
+  pages.forEach((canvas, i) => {
+    const id = pageIds[i];
+    const draw = `q ${A4.width} 0 0 ${A4.height} 0 0 cm /Im0 Do Q`;
+    object(
+      id,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.width} ${A4.height}] ` +
+        `/Resources << /XObject << /Im0 ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`
+    );
+    object(id + 1, `<< /Length ${draw.length} >>\nstream\n${draw}\nendstream`);
+    object(
+      id + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB ` +
+        `/BitsPerComponent 8 /Filter /DCTDecode /Length ${images[i].length} >>\nstream\n`,
+      images[i],
+      "\nendstream"
+    );
+  });
+
+  const xref = length;
+  write(`xref\n0 ${size}\n0000000000 65535 f \n`);
+  for (let id = 1; id < size; id++) write(`${String(offsets[id]).padStart(10, "0")} 00000 n \n`);
+  write(`trailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: "application/pdf" });
+}
+
+/** Saves a Blob as a file download. */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
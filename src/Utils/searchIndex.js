@@ -0,0 +1,222 @@
+// searchIndex.js
+// Small in-memory full-text index (English + Arabic) for client-side search.
+// - Text is normalized the same way for indexing and searching: lower case, Latin
+//   accents, Arabic diacritics (tashkeel) and tatweel removed, أ/إ/آ/ٱ → ا,
+//   ى/ئ → ي, ؤ → و, ة → ه, and the Arabic article (ال, وال, بال, ...) dropped.
+// - Every word of the query must match a word of the document: exactly, as the
+//   start of a word (while typing), or within a small edit distance (typos).
+//   Only index terms sharing the word's first letter or one of its letter pairs,
+//   and not too short, are compared, so a query doesn't scan the whole vocabulary.
+// - A document's score adds up, for each query word, its best match weighted by
+//   the field it was found in; a title containing the whole query gets a bonus.
+// - highlight / snippet split the original text into parts so the matched words
+//   can be marked up.
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+const ARABIC_MARKS = /[\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06ed\u0640]/g;
+const WORD = /[\p{L}\p{N}\p{M}]+/gu;
+const ARABIC_ARTICLE = /^(?:وبال|وال|بال|كال|فال|ولل|لل|ال)(?=\p{L}{2})/u;
+
+const PREFIX_QUALITY = 0.7;
+const TYPO_PENALTY = 0.3;
+
+/** Lower case without accents / diacritics, Arabic letter variants folded. */
+export function normalize(text) {
+  return String(text ?? "")
+    .normalize("NFKD")
+    .replace(COMBINING_MARKS, "")
+    .replace(ARABIC_MARKS, "")
+    .toLowerCase()
+    .replace(/[أإآٱ]/g, "ا")
+    .replace(/[ىئ]/g, "ي")
+    .replace(/ؤ/g, "و")
+    .replace(/ة/g, "ه");
+}
+
+// One word as it is indexed and compared
+const termOf = (word) => normalize(word).replace(ARABIC_ARTICLE, "");
+
+/** The index terms of `text`, in order. */
+export const tokenize = (text) => (String(text ?? "").match(WORD) || []).map(termOf).filter(Boolean);
+
+// Typos allowed for a query word of `length` letters
+const maxTypos = (length) => (length < 4 ? 0 : length < 8 ? 1 : 2);
+
+// Edit distance (with transpositions) between a and b, or Infinity above `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return Infinity;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return Infinity;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length] <= max ? previous[b.length] : Infinity;
+}
+
+// Buckets a term is filed under: its first letter and each pair of adjacent letters.
+// A word within the allowed typos of a term (or of its start) always shares one:
+// an edit that changes the first letter leaves the pairs after the second one alone.
+const gramsOf = (term) => {
+  const grams = [`^${term[0]}`];
+  for (let i = 1; i < term.length; i++) grams.push(term.slice(i - 1, i + 1));
+  return grams;
+};
+
+// How well the index term matches a query word: 1 exact, less for a prefix or typos, 0 none
+function matchQuality(word, term) {
+  if (term === word) return 1;
+  if (word.length >= 2 && term.startsWith(word)) return PREFIX_QUALITY;
+  const typos = maxTypos(word.length);
+  if (!typos) return 0;
+  // a word being typed may also be a misspelt prefix
+  const distance = Math.min(editDistance(word, term, typos), editDistance(word, term.slice(0, word.length), typos) + 1);
+  return distance <= typos ? Math.max(0.1, PREFIX_QUALITY - distance * TYPO_PENALTY) : 0;
+}
+
+/**
+ * Indexes `docs` for search.
+ * @param {object[]} docs
+ * @param {{ name: string, weight: number, get: (doc: object) => string | string[] }[]} fields
+ *   what to index in each document and how much a match there counts
+ * @returns {{ search: (query: string) => { doc: object, docIndex: number, score: number, terms: string[], fields: string[] }[] }}
+ *   search results best first (ties in `docs` order); `terms` are the matched index
+ *   terms (for highlighting) and `fields` the names of the fields they were found in
+ */
+export function createSearchIndex(docs, fields) {
+  const postings = new Map(); // term → [[docIndex, fieldIndex], ...]
+  const titles = [];
+
+  docs.forEach((doc, docIndex) => {
+    const seen = new Set();
+    fields.forEach((field, fieldIndex) => {
+      const values = [].concat(field.get(doc) ?? []);
+      for (const term of values.flatMap(tokenize)) {
+        const key = `${term}|${fieldIndex}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (!postings.has(term)) postings.set(term, []);
+        postings.get(term).push([docIndex, fieldIndex]);
+      }
+    });
+    titles.push(tokenize([].concat(fields[0].get(doc) ?? []).join(" ")).join(" "));
+  });
+  const buckets = new Map(); // gram → [term, ...]
+  for (const term of postings.keys()) {
+    for (const gram of new Set(gramsOf(term))) {
+      if (!buckets.has(gram)) buckets.set(gram, []);
+      buckets.get(gram).push(term);
+    }
+  }
+
+  // Index terms worth comparing with `word`: exact and prefix matches share its
+  // first letter; typos need a shared bucket and at most `typos` letters fewer
+  const candidates = (word) => {
+    const typos = maxTypos(word.length);
+    const found = new Set();
+    for (const gram of typos ? gramsOf(word) : [`^${word[0]}`]) {
+      for (const term of buckets.get(gram) || []) {
+        if (term.length >= word.length - typos) found.add(term);
+      }
+    }
+    return found;
+  };
+
+  // best match of one query word in each document
+  const matchWord = (word) => {
+    const best = new Map(); // docIndex → { score, terms, fields }
+    for (const term of candidates(word)) {
+      const quality = matchQuality(word, term);
+      if (!quality) continue;
+      for (const [docIndex, fieldIndex] of postings.get(term)) {
+        const score = quality * fields[fieldIndex].weight;
+        const entry = best.get(docIndex) || { score: 0, terms: new Set(), fields: new Set() };
+        entry.score = Math.max(entry.score, score);
+        entry.terms.add(term);
+        entry.fields.add(fields[fieldIndex].name);
+        best.set(docIndex, entry);
+      }
+    }
+    return best;
+  };
+
+  const search = (query) => {
+    const words = [...new Set(tokenize(query))];
+    if (!words.length) return [];
+
+    const perWord = words.map(matchWord);
+    const phrase = words.join(" ");
+    const results = [];
+    for (const [docIndex] of perWord[0]) {
+      if (!perWord.every((best) => best.has(docIndex))) continue;
+      const entries = perWord.map((best) => best.get(docIndex));
+      const bonus = words.length > 1 && titles[docIndex].includes(phrase) ? fields[0].weight : 0;
+      results.push({
+        doc: docs[docIndex],
+        docIndex,
+        score: entries.reduce((sum, entry) => sum + entry.score, bonus),
+        terms: [...new Set(entries.flatMap((entry) => [...entry.terms]))],
+        fields: [...new Set(entries.flatMap((entry) => [...entry.fields]))],
+      });
+    }
+    return results.sort((a, b) => b.score - a.score || a.docIndex - b.docIndex);
+  };
+
+  return { search };
+}
+
+/**
+ * Splits `text` into parts, marking the words whose term is in `terms`.
+ * @returns {{ text: string, match: boolean }[]}
+ */
+export function highlight(text, terms = []) {
+  const source = String(text ?? "");
+  const wanted = new Set(terms);
+  const parts = [];
+  let last = 0;
+  for (const found of source.matchAll(WORD)) {
+    if (!wanted.has(termOf(found[0]))) continue;
+    if (found.index > last) parts.push({ text: source.slice(last, found.index), match: false });
+    parts.push({ text: found[0], match: true });
+    last = found.index + found[0].length;
+  }
+  if (last < source.length) parts.push({ text: source.slice(last), match: false });
+  return parts;
+}
+
+/**
+ * The part of `text` around its first matched word (about `length` characters),
+ * split like highlight(); null when nothing in `text` matches.
+ */
+export function snippet(text, terms = [], length = 120) {
+  const source = String(text ?? "");
+  const wanted = new Set(terms);
+  const first = [...source.matchAll(WORD)].find((found) => wanted.has(termOf(found[0])));
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - Math.floor(length / 3));
+  let end = Math.min(source.length, start + length);
+  // don't cut words in half
+  if (start > 0) start = source.indexOf(" ", start) + 1 || start;
+  if (end < source.length) {
+    const space = source.lastIndexOf(" ", end);
+    if (space > first.index) end = space;
+  }
+
+  const parts = highlight(source.slice(start, end).trim(), terms);
+  if (start > 0) parts.unshift({ text: "… ", match: false });
+  if (end < source.length) parts.push({ text: " …", match: false });
+  return parts;
+}
@@ -0,0 +1,90 @@
+import { describe, expect, it } from "vitest";
+import { createSearchIndex, highlight, normalize, snippet, tokenize } from "./searchIndex";
+
+const docs = [
+  { title: "React Hooks in Depth", body: "useState, useEffect and custom hooks" },
+  { title: "JavaScript Basics", body: "Variables, functions and the DOM" },
+  { title: "Advanced TypeScript", body: "Generics and type inference for React developers" },
+  { title: "البرمجة بلغة بايثون", body: "مقدمة في البرمجة" },
+];
+const index = createSearchIndex(docs, [
+  { name: "title", weight: 8, get: (doc) => doc.title },
+  { name: "body", weight: 1, get: (doc) => doc.body },
+]);
+const titles = (query) => index.search(query).map((result) => result.doc.title);
+
+describe("normalize / tokenize", () => {
+  it("folds case, Latin accents and Arabic letter variants", () => {
+    expect(normalize("Café Déjà")).toBe("cafe deja");
+    expect(normalize("إسلام أحمد")).toBe("اسلام احمد");
+    expect(normalize("مدرسةُ")).toBe("مدرسه");
+  });
+
+  it("drops the Arabic article but keeps short words whole", () => {
+    expect(tokenize("البرمجة والتصميم")).toEqual(["برمجه", "تصميم"]);
+    expect(tokenize("الم")).toEqual(["الم"]);
+  });
+});
+
+describe("createSearchIndex", () => {
+  it("finds exact words and ranks title matches first", () => {
+    expect(titles("react")).toEqual(["React Hooks in Depth", "Advanced TypeScript"]);
+  });
+
+  it("matches the start of a word while typing", () => {
+    expect(titles("java")).toEqual(["JavaScript Basics"]);
+  });
+
+  it("allows one typo in a medium word and two in a long one", () => {
+    expect(titles("hoks")).toEqual(["React Hooks in Depth"]);
+    expect(titles("typscrpit")).toEqual(["Advanced TypeScript"]);
+  });
+
+  it("still finds a word whose first letter is mistyped", () => {
+    expect(titles("jooks")).toEqual(["React Hooks in Depth"]);
+    expect(titles("ohoks")).toEqual(["React Hooks in Depth"]);
+    expect(titles("ytpescript")).toEqual(["Advanced TypeScript"]);
+  });
+
+  it("allows no typo in a short word", () => {
+    expect(titles("dam")).toEqual([]);
+  });
+
+  it("needs every query word to match", () => {
+    expect(titles("react generics")).toEqual(["Advanced TypeScript"]);
+    expect(titles("react python")).toEqual([]);
+  });
+
+  it("searches Arabic with or without the article", () => {
+    expect(titles("برمجه")).toEqual(["البرمجة بلغة بايثون"]);
+    expect(titles("البرمجة")).toEqual(["البرمجة بلغة بايثون"]);
+  });
+
+  it("reports the matched terms and fields", () => {
+    const [result] = index.search("hooks");
+    expect(result.terms).toEqual(["hooks"]);
+    expect(result.fields).toEqual(["title", "body"]);
+  });
+
+  it("returns nothing for an empty query", () => {
+    expect(index.search("  ")).toEqual([]);
+  });
+});
+
+describe("highlight / snippet", () => {
+  it("marks the matched words", () => {
+    expect(highlight("React Hooks", ["hooks"])).toEqual([
+      { text: "React ", match: false },
+      { text: "Hooks", match: true },
+    ]);
+  });
+
+  it("cuts a long text around the first match without splitting words", () => {
+    const text = `${"lorem ipsum ".repeat(20)}hooks ${"dolor sit ".repeat(20)}`;
+    const parts = snippet(text, ["hooks"], 40);
+    expect(parts[0]).toEqual({ text: "… ", match: false });
+    expect(parts.at(-1)).toEqual({ text: " …", match: false });
+    expect(parts.find((part) => part.match).text).toBe("hooks");
+    expect(snippet(text, ["missing"])).toBeNull();
+  });
+});
@@ -1,6 +1,7 @@
 // i18n.js (مصحح وموحّد)
 import i18n from "i18next";
 import { initReactI18next } from "react-i18next";
+import { store } from "../Store";
 
 const resources = {
   en: {
@@ -12,6 +13,17 @@ const resources = {
       },
       hero: {
         searchPlaceholder: "Search courses, e.g. React",
+        search: {
+          suggestions: "Suggestions",
+          recent: "Recent searches",
+          courses: "Courses",
+          instructors: "Instructors",
+          tags: "Tags",
+          categories: "Categories",
+          searchFor: "Search for “{{query}}”",
+          remove: "Remove {{query}} from recent searches",
+          clearRecent: "Clear recent searches",
+        },
         featuredLibrary: "Featured Library",
         completeLibraryTitle: "Complete Learning Library",
         completeLibraryDesc:
@@ -130,10 +142,12 @@ const resources = {
         tabs: {
           overview: "Overview",
           courses: "My Courses",
+          orders: "Orders",
           cart: "Cart",
           wishlist: "Wishlist",
           progress: "Progress",
           achievements: "Achievements",
+          security: "Security",
         },
         stats: {
           myCourses: "My Courses",
@@ -155,13 +169,12 @@ const resources = {
           shareDesc: "Show your achievements",
         },
         recentActivity: { title: "Recent Activity", empty: "No recent orders" },
+        courses: { empty: "No courses yet", pro: "Pro" },
         order: "Order",
         suborder: "Suborder",
-        quantity: "Quantity",
         orderSummary: "Order Summary",
         subtotal: "Subtotal",
         tax: "Tax",
-        taxAmount: "$0.00",
         total: "Total",
         checkout: "Proceed to Checkout",
         students: "students",
@@ -215,8 +228,13 @@ const resources = {
         defaultDuration: "8h 30m",
         anonInstructor: "Instructor",
         anonInstructorBio: "Instructor profile coming soon.",
-        pricePrefix: "$",
         oneTimePayment: "One-time payment",
+        access: {
+          purchase: "You own this course",
+          subscription: "Included in your {{plan}} plan",
+          continue: "Go to my courses",
+          withPro: "Or get it with Skillverse Pro",
+        },
         addToCart: "Add to Cart",
         enrollNow: "Enroll Now",
         inWishlist: "In Wishlist",
@@ -270,9 +288,11 @@ const resources = {
         home: "Home",
         courses: "Courses",
         dashboard: "Dashboard",
+        pro: "Pro",
         wishlist: "Wishlist",
         cart: "Cart",
         language: "Language",
+        currency: "Currency",
         theme: "Theme",
         dark: "Dark Mode",
         light: "Light Mode",
@@ -333,9 +353,58 @@ const resources = {
         level: "Level",
         tags: "Tags",
         clear: "Clear",
+        price: {
+          title: "Price",
+          min: "Lowest price",
+          max: "Highest price",
+          from: "From {{min}}",
+          upTo: "Up to {{max}}",
+          range: "{{min}} – {{max}}",
+        },
+        pricing: { free: "Free", paid: "Paid" },
+        rating: { title: "Rating", atLeast: "{{rating}}★ & up" },
+        durations: {
+          title: "Duration",
+          "0-3": "Under 3 hours",
+          "3-6": "3–6 hours",
+          "6-12": "6–12 hours",
+          "12+": "12+ hours",
+        },
+        languages: "Language",
+        badges: { title: "Show only", new: "New", popular: "Popular" },
+        active: {
+          title: "Active filters",
+          query: "“{{query}}”",
+          remove: "Remove filter: {{filter}}",
+        },
       },
       card: { by: "By", rating: "Rating", addToCart: "Add to cart" },
 
+      results: {
+        title: "Courses",
+        count_one: "{{count}} course",
+        count_other: "{{count}} courses",
+        showing_one: "Showing {{from}}–{{to}} of {{count}} course",
+        showing_other: "Showing {{from}}–{{to}} of {{count}} courses",
+        empty: "No courses match these filters.",
+        sortBy: "Sort by",
+        sort: {
+          relevance: "Relevance",
+          rating: "Highest rated",
+          students: "Most students",
+          newest: "Newest",
+          "price-asc": "Price: low to high",
+          "price-desc": "Price: high to low",
+          duration: "Shortest",
+        },
+        modes: { pages: "Pages", scroll: "Infinite scroll" },
+        loadMore: "Load more",
+        pagination: "Pagination",
+        previous: "Previous page",
+        next: "Next page",
+        page: "Page {{page}}",
+      },
+
       students: [
         {
           name: "Ahmed Mohamed",
@@ -372,6 +441,426 @@ const resources = {
         sText: "Best investment I made for my skills!",
       },
 
+      status: {
+        loading: "Loading...",
+        errorTitle: "Something went wrong",
+        errorDesc:
+          "We couldn't load this content. Check your connection and try again.",
+        retry: "Try again",
+        retrying: "Retrying...",
+      },
+
+      authErrors: {
+        EMAIL_TAKEN: "Email already taken",
+        EMAIL_NOT_FOUND: "No account found with this email",
+        WRONG_PASSWORD: "Wrong password",
+        INVALID_EMAIL: "Please enter a valid email",
+        INVALID_NAME: "Name must be at least 2 characters",
+        WEAK_PASSWORD: "Password is too weak",
+        SESSION_REVOKED: "Your session has ended, please sign in again",
+        INVALID_REFRESH_TOKEN: "Your session has expired, please sign in again",
+        NETWORK_ERROR: "Could not reach the server. Check your connection and try again.",
+        INVALID_RESET_TOKEN: "This reset link is invalid or was already used",
+        RESET_TOKEN_EXPIRED: "This reset link has expired — request a new one",
+        INVALID_VERIFY_TOKEN: "This verification link is invalid",
+        VERIFY_TOKEN_EXPIRED: "This verification link has expired",
+        ALREADY_VERIFIED: "Your email is already verified",
+        RESEND_TOO_SOON: "Please wait a minute before requesting another email",
+        SESSION_NOT_FOUND: "This session has already ended",
+        CURRENT_SESSION: "Use sign out to end the session on this device",
+        NO_PASSWORD: "This account signs in with Google or Facebook — use that button or reset your password",
+        UNKNOWN_PROVIDER: "This sign-in provider is not available",
+        OAUTH_DENIED: "Sign-in was cancelled",
+        OAUTH_STATE_MISMATCH: "This sign-in link is no longer valid, please try again",
+        OAUTH_FAILED: "Could not sign in with this provider, please try again",
+        OAUTH_NO_EMAIL: "The provider did not share your email address",
+        OAUTH_ACCOUNT_EXISTS: "An account with this email already exists — sign in with your password first",
+      },
+
+      forbidden: {
+        code: "403",
+        message: "You don't have access to this page — it's only available to certain account roles.",
+        home: "Go back home",
+        contact: "Contact us",
+        footer: "If you think this is a mistake, sign in with a different account or contact support.",
+      },
+
+      roleAreas: {
+        instructorTitle: "Instructor area",
+        instructorDesc: "Tools for instructors to manage their courses will live here.",
+        adminTitle: "Admin area",
+        adminDesc: "Platform administration tools will live here.",
+        signedInAs: "Signed in as {{name}} ({{role}})",
+        backToDashboard: "Back to dashboard",
+      },
+
+      forgot: {
+        title: "Forgot your password?",
+        subtitle: "Enter your email and we'll send you a link to reset it.",
+        submit: "Send reset link",
+        sending: "Sending link...",
+        sent: "If an account exists for {{email}}, a reset link is on its way. The link expires in 30 minutes.",
+        resend: "Didn't get it? Send another link",
+        backToLogin: "Back to sign in",
+      },
+
+      reset: {
+        title: "Choose a new password",
+        subtitle: "For {{email}}",
+        checking: "Checking your reset link...",
+        requestNew: "Request a new link from the sign-in page",
+        fields: { password: "New password" },
+        submit: "Set new password",
+        saving: "Saving...",
+        success: "Password updated — sign in with your new password",
+      },
+
+      gift: {
+        title: "Your gift",
+        from: "{{name}} sent you a course",
+        redeem: "Add to my courses",
+        redeeming: "Adding...",
+        redeemedTitle: "It's yours!",
+        toCourse: "Start learning",
+        signIn: "Sign in to redeem",
+        signInHint: "New to Skillverse? You can create a free account there.",
+        browse: "Browse courses",
+      },
+
+      verify: {
+        title: "Verify your email",
+        banner: "Please verify {{email}} — purchases unlock once your email is confirmed.",
+        resend: "Resend verification email",
+        sending: "Sending...",
+        resent: "Verification email sent to {{email}}",
+        purchaseBlocked: "Verify your email to purchase.",
+        checking: "Verifying your email...",
+        successTitle: "Email verified",
+        successDesc: "{{email}} is confirmed. You can now purchase courses.",
+        failedHint: "Sign in and use “Resend verification email” to get a new link.",
+        toDashboard: "Go to dashboard",
+        toLogin: "Sign in",
+      },
+
+      oauth: {
+        title: "Signing in",
+        signingIn: "Signing you in...",
+        backToLogin: "Back to sign in",
+        failed: "Could not sign in, please try again",
+      },
+
+      sessions: {
+        title: "Active sessions",
+        subtitle: "Devices that are signed in to your account.",
+        device: "{{browser}} on {{os}}",
+        unknownDevice: "Unknown device",
+        thisDevice: "This device",
+        notRemembered: "Until the browser closes",
+        lastActive: "Last active {{date}}",
+        revoke: "Sign out",
+        revokeOthers: "Sign out all other devices",
+        revoked: "Device signed out",
+        revokedOthers: "Signed out of all other devices",
+      },
+      idle: {
+        warning: "You will be signed out in a minute because you have been inactive.",
+        stay: "Stay signed in",
+        signedOut: "You were signed out after 30 minutes of inactivity",
+      },
+
+      cart: {
+        title: "Your cart",
+        count_one: "{{count}} course",
+        count_other: "{{count}} courses",
+        sync: {
+          droppedOwned_one: "A course you already own was removed from your cart",
+          droppedOwned_other: "{{count}} courses you already own were removed from your cart",
+        },
+        continueShopping: "Continue shopping",
+        remove: "Remove",
+        lines: {
+          self: "For you",
+          gift: "Gift for {{email}}",
+          team: "Team seats: {{count}}",
+          seatDiscount: "{{percent}}% volume discount",
+          nextTier: "Add {{count}} more seats to save {{percent}}%",
+          seats: "Seats",
+          increaseSeats: "Add a seat",
+          decreaseSeats: "Remove a seat",
+        },
+        purchase: {
+          giftTitle: "Gift this course",
+          giftEmail: "Recipient's email",
+          giftMessage: "Message (optional)",
+          giftMessageMax: "Keep the message under {{max}} characters",
+          giftAdd: "Add gift to cart",
+          teamTitle: "Buy for a team",
+          tier: "{{min}}+ seats: {{percent}}% off",
+          teamTotal: "{{seats}} seats × {{price}} = {{total}}",
+          teamAdd: "Add seats to cart",
+        },
+      },
+      checkout: {
+        title: "Checkout",
+        steps: { review: "Review", billing: "Billing", payment: "Payment", confirmation: "Confirmation" },
+        review: { title: "Review your order", editCart: "Edit cart" },
+        toBilling: "Continue to billing",
+        toPayment: "Continue to payment",
+        back: "Back",
+        billing: {
+          title: "Billing details",
+          name: "Full name",
+          email: "Email for the receipt",
+          country: "Country",
+          chooseCountry: "Choose a country",
+          countryRequired: "Please choose a country",
+          region: "State / province",
+          chooseRegion: "Choose a state / province",
+          regionRequired: "Please choose a state / province",
+          city: "City (optional)",
+          address: "Address (optional)",
+          postalCode: "Postal code (optional)",
+        },
+        payment: {
+          title: "Payment",
+          name: "Name on card",
+          nameRequired: "Name on card is required",
+          number: "Card number",
+          numberRequired: "Card number is required",
+          expiry: "Expiry (MM/YY)",
+          expiryFormat: "Use MM/YY",
+          expiryRequired: "Expiry date is required",
+          cvc: "Security code",
+          cvcFormat: "3 or 4 digits",
+          cvcRequired: "Security code is required",
+          testCards: "Test cards (any future expiry and CVC)",
+          outcomes: {
+            success: "payment succeeds",
+            declined: "card is declined",
+            insufficientFunds: "insufficient funds",
+            threeDSecure: "asks for 3-D Secure (code 123456)",
+          },
+          pay: "Pay {{total}}",
+          paying: "Processing...",
+        },
+        threeDS: {
+          title: "Confirm this payment",
+          desc: "Your bank sent a one-time code to confirm the payment of {{amount}}.",
+          code: "Verification code",
+          cancel: "Cancel",
+          confirm: "Confirm",
+        },
+        tax: {
+          pending: "Calculated from your billing address",
+          inclusive: "Includes {{name}} ({{rate}})",
+          exclusive: "{{name}} ({{rate}})",
+          line: "{{name}}: {{amount}}",
+          estimateFor: "Estimate tax for",
+        },
+        coupons: {
+          label: "Promo code",
+          placeholder: "Promo code",
+          apply: "Apply",
+          applying: "Checking...",
+          remove: "Remove code {{code}}",
+          discount: "Discount",
+          minSubtotal: "Spend at least {{amount}} to use this code.",
+          removeUnusable: "Remove the promo codes that can't be used to continue.",
+        },
+        confirmation: {
+          title: "Thank you for your order!",
+          desc: "Order {{id}} is paid. A receipt was sent to {{email}}.",
+          toCourses: "Start learning",
+          viewOrder: "View order & invoice",
+          keepBrowsing: "Keep browsing",
+        },
+        unavailable: {
+          title: "Checkout is unavailable",
+          toCart: "Back to cart",
+        },
+      },
+
+      sale: {
+        off: "{{percent}}% off",
+        endsIn: "ends in {{time}}",
+        timeDays: "{{days}}d {{hours}}h",
+        timeHours: "{{hours}}h {{minutes}}m",
+        timeMinutes: "{{minutes}}:{{seconds}}",
+      },
+
+      priceDrop: {
+        wishlist: "{{amount}} less than when you saved it ({{was}})",
+        cart: "{{amount}} less than when you added it ({{was}})",
+      },
+
+      orders: {
+        title: "Order",
+        back: "All orders",
+        items: "Items",
+        emptyTitle: "No orders yet",
+        emptyDesc: "Courses you buy will show up here with their invoices.",
+        viewDetails: "Order details",
+        placed: "Placed {{date}}",
+        paidOn: "Paid {{date}}",
+        notFound: "Order not found",
+        notFoundDesc: "This order doesn't exist or belongs to another account.",
+        invoice: "Invoice (PDF)",
+        invoiceFailed: "Could not create the invoice. Please try again.",
+        status: {
+          pending: "Awaiting payment",
+          completed: "Paid",
+          refund_requested: "Refund requested",
+          refunded: "Refunded",
+          rejected: "Refund declined",
+        },
+        refund: {
+          title: "Refund",
+          until: "Refundable until {{date}}.",
+          request: "Request refund",
+          reason: "Why are you asking for a refund? (optional)",
+          cancel: "Keep my order",
+          confirm: "Request refund",
+          requested: "Refund requested. We'll email you once it has been reviewed.",
+          pending: "You asked for a refund on {{date}}. We usually answer within 5 business days.",
+          done: "{{amount}} was refunded on {{date}}. The courses in this order are no longer in your library.",
+          rejected: "Your refund request was declined.",
+          closed: "The 30-day refund window closed on {{date}}.",
+          consumed: "You've gone through more than 30% of {{title}}, so this order can no longer be refunded.",
+        },
+      },
+
+      refundRequests: {
+        title: "Refund requests",
+        empty: "No refund requests to review.",
+        requestedOn: "asked {{date}}",
+        notePlaceholder: "Note for the learner if you decline (optional)",
+        approve: "Approve refund",
+        reject: "Decline",
+        approved: "Refund approved.",
+        rejected: "Refund declined.",
+      },
+
+      invoice: {
+        title: "Invoice",
+        number: "Invoice no.",
+        issued: "Date",
+        order: "Order",
+        currency: "Currency",
+        taxId: "Tax ID: {{id}}",
+        billTo: "Bill to",
+        columns: { description: "Description", quantity: "Qty", unitPrice: "Unit price", discount: "Discount", amount: "Amount" },
+        seatDiscount: "{{percent}} volume discount on {{price}}",
+        salePrice: "Sale price (regular {{price}})",
+        paid: "Paid on {{date}}",
+        refunded: "Refunded on {{date}}: {{amount}}",
+        thanks: "Thank you for learning with {{name}}.",
+        page: "Page {{page}} of {{count}}",
+      },
+      pro: {
+        title: "Skillverse Pro",
+        subtitle: "Learn without limits: one subscription unlocks every course in the plan, new ones included.",
+        billing: "Billing period",
+        monthly: "Monthly",
+        annual: "Annual",
+        save: "Save {{percent}}%",
+        perMonth: " / month",
+        perYear: " / year",
+        coversAll: "Every course on Skillverse",
+        coversTagged_one: "{{count}} frontend course: {{tags}}",
+        coversTagged_other: "{{count}} frontend courses: {{tags}}",
+        newCourses: "New courses as soon as they're published",
+        cancelAnytime: "Cancel anytime — you keep access until the period ends",
+        trial_one: "{{count}}-day free trial",
+        trial_other: "{{count}}-day free trial",
+        signIn: "Sign in to subscribe",
+        currentPlan: "Current plan",
+        switch: "Switch to this plan",
+        startTrial: "Start free trial",
+        subscribe: "Subscribe",
+        trialTerms_one: "Free for {{count}} day, then {{price}} each period. We'll charge this card when the trial ends.",
+        trialTerms_other: "Free for {{count}} days, then {{price}} each period. We'll charge this card when the trial ends.",
+        terms: "{{price}} now, then each period until you cancel.",
+        changeTitle: "Switch from {{from}} to {{to}}",
+        changeTrial: "Your trial moves to the new plan and still ends on {{date}}.",
+        previewLoading: "Working out the price...",
+        newPrice: "New plan",
+        credit: "Credit for unused time",
+        dueToday: "Due today",
+        carry: "{{amount}} of credit is kept for your next renewals.",
+        back: "Back",
+        confirmChange: "Confirm switch",
+        subscribed: "Welcome to {{plan}}!",
+        changed: "You're now on {{plan}}.",
+        canceled: "Your subscription won't renew.",
+        resumed: "Your subscription will renew.",
+        yourPlan: "Your plan: {{plan}}",
+        trialEnds: "Your free trial ends on {{date}}, then the card is charged.",
+        endsOn: "Won't renew — you have access until {{date}}.",
+        renewsOn: "Renews on {{date}}.",
+        pastDue: "We couldn't charge your card for the renewal. Subscribe again with another card to get access back.",
+        incomplete: "The first payment wasn't completed.",
+        ended: "This subscription has ended.",
+        creditHeld: "Credit for your next renewals: {{amount}}",
+        resume: "Keep my subscription",
+        cancel: "Cancel subscription",
+      },
+
+      subscription: {
+        status: {
+          incomplete: "Incomplete",
+          trialing: "Free trial",
+          active: "Active",
+          past_due: "Payment failed",
+          canceled: "Ended",
+        },
+      },
+
+      checkoutErrors: {
+        EMAIL_NOT_VERIFIED: "Verify your email before purchasing.",
+        EMPTY_CART: "Your cart is empty.",
+        UNKNOWN_COURSE: "One of the courses in your cart is no longer available.",
+        ALREADY_PURCHASED: "You already own a course in your cart. Remove it and try again.",
+        INVALID_BILLING: "Please check your billing details.",
+        INVALID_CART_LINE: "Something in your cart needs attention (gift email or number of seats).",
+        UNSUPPORTED_CURRENCY: "This currency isn't supported.",
+        ORDER_NOT_FOUND: "This order could not be found.",
+        ORDER_NOT_PENDING: "This order has already been paid or cancelled.",
+        PAYMENT_IN_PROGRESS: "This order is already being paid. Wait a moment, then check your orders.",
+        INVALID_PAYMENT_METHOD: "This payment method can't be used.",
+        INVALID_PAYMENT: "This payment could not be found.",
+        PAYMENTS_UNAVAILABLE: "Payments are not available right now. Please try again later.",
+        CARD_DECLINED: "Your card was declined.",
+        INSUFFICIENT_FUNDS: "Your card has insufficient funds.",
+        AUTHENTICATION_FAILED: "The payment could not be confirmed with your bank.",
+        INVALID_CARD_NUMBER: "Your card number is invalid.",
+        CARD_EXPIRED: "Your card has expired.",
+        INVALID_CVC: "Your security code is invalid.",
+        COUPON_NOT_FOUND: "This promo code doesn't exist.",
+        COUPON_NOT_STARTED: "This promo code isn't active yet.",
+        COUPON_EXPIRED: "This promo code has expired.",
+        COUPON_USAGE_LIMIT: "This promo code has been used up.",
+        COUPON_ALREADY_USED: "You have already used this promo code.",
+        COUPON_MIN_SUBTOTAL: "Your cart doesn't reach this code's minimum.",
+        COUPON_NOT_APPLICABLE: "This code doesn't apply to the courses in your cart.",
+        COUPON_NOT_STACKABLE: "This code can't be combined with your other codes.",
+        COUPON_DUPLICATE: "This code is already applied.",
+        COUPON_LIMIT: "You can use at most 3 promo codes on one order.",
+        INVALID_GIFT_TOKEN: "This gift link is invalid or the gift was cancelled.",
+        GIFT_ALREADY_REDEEMED: "This gift has already been redeemed.",
+        GIFT_ALREADY_OWNED: "You already own this course. Forward the gift email to someone else.",
+        REFUND_NOT_ALLOWED: "This order can't be refunded.",
+        REFUND_WINDOW_CLOSED: "The 30-day refund window for this order has closed.",
+        REFUND_COURSE_CONSUMED: "You've already gone through too much of a course in this order to get a refund.",
+        INVALID_REFUND_REASON: "Please keep the reason under 1000 characters.",
+        REFUND_FAILED: "The payment provider could not refund this order. Try again later.",
+        FORBIDDEN: "You don't have permission to do this.",
+        UNKNOWN_PLAN: "This plan doesn't exist.",
+        NO_SUBSCRIPTION: "You don't have a subscription.",
+        SUBSCRIPTION_EXISTS: "You already have a subscription — switch its plan instead.",
+        INVALID_PLAN_CHANGE: "You're already on this plan.",
+        NETWORK_ERROR: "Could not reach the server. Check your connection and try again.",
+      },
+
       footer: { rights: "All rights reserved." },
     },
   },
@@ -385,6 +874,17 @@ const resources = {
       },
       hero: {
         searchPlaceholder: "ابحث عن الدورات، مثال: React",
+        search: {
+          suggestions: "اقتراحات",
+          recent: "عمليات البحث الأخيرة",
+          courses: "الدورات",
+          instructors: "المدربون",
+          tags: "الوسوم",
+          categories: "التصنيفات",
+          searchFor: "ابحث عن «{{query}}»",
+          remove: "إزالة {{query}} من عمليات البحث الأخيرة",
+          clearRecent: "مسح عمليات البحث الأخيرة",
+        },
         featuredLibrary: "المكتبة المميزة",
         completeLibraryTitle: "مكتبة التعلم الكاملة",
         completeLibraryDesc: "وصول لآلاف الدورات والكتب ومواد التعلم",
@@ -500,10 +1000,12 @@ const resources = {
         tabs: {
           overview: "نظرة عامة",
           courses: "دوراتي",
+          orders: "الطلبات",
           cart: "عربة التسوق",
           wishlist: "المفضلة",
           progress: "التقدم",
           achievements: "الإنجازات",
+          security: "الأمان",
         },
         stats: {
           myCourses: "دوراتي",
@@ -528,13 +1030,12 @@ const resources = {
           title: "النشاط الأخير",
           empty: "لا توجد طلبات حديثة",
         },
+        courses: { empty: "لا توجد دورات بعد", pro: "Pro" },
         order: "طلب",
         suborder: "فرعي",
-        quantity: "الكمية",
         orderSummary: "ملخص الطلب",
         subtotal: "المجموع الفرعي",
         tax: "الضريبة",
-        taxAmount: "$0.00",
         total: "المجموع",
         checkout: "المتابعة للدفع",
         students: "طلاب",
@@ -587,8 +1088,13 @@ const resources = {
         defaultDuration: "٨س ٣٠د",
         anonInstructor: "المدرّس",
         anonInstructorBio: "ملف المدرّس سيظهر قريبًا.",
-        pricePrefix: "دولار ",
         oneTimePayment: "دفع لمرة واحدة",
+        access: {
+          purchase: "أنت تملك هذه الدورة",
+          subscription: "مشمولة في خطة {{plan}} الخاصة بك",
+          continue: "اذهب إلى دوراتي",
+          withPro: "أو احصل عليها مع Skillverse Pro",
+        },
         addToCart: "إضافة إلى العربة",
         enrollNow: "سجل الآن",
         inWishlist: "موجود بالمفضلة",
@@ -651,9 +1157,11 @@ const resources = {
         home: "الرئيسية",
         courses: "الدورات",
         dashboard: "لوحة التحكم",
+        pro: "Pro",
         wishlist: "المفضلة",
         cart: "عربة التسوق",
         language: "اللغة",
+        currency: "العملة",
         theme: "الوضع",
         dark: "الوضع الداكن",
         light: "الوضع الفاتح",
@@ -700,9 +1208,66 @@ const resources = {
         level: "المستوى",
         tags: "الوسوم",
         clear: "مسح",
+        price: {
+          title: "السعر",
+          min: "أقل سعر",
+          max: "أعلى سعر",
+          from: "من {{min}}",
+          upTo: "حتى {{max}}",
+          range: "{{min}} – {{max}}",
+        },
+        pricing: { free: "مجانية", paid: "مدفوعة" },
+        rating: { title: "التقييم", atLeast: "{{rating}}★ فأكثر" },
+        durations: {
+          title: "المدة",
+          "0-3": "أقل من 3 ساعات",
+          "3-6": "3–6 ساعات",
+          "6-12": "6–12 ساعة",
+          "12+": "12 ساعة فأكثر",
+        },
+        languages: "اللغة",
+        badges: { title: "اعرض فقط", new: "جديدة", popular: "رائجة" },
+        active: {
+          title: "الفلاتر المختارة",
+          query: "“{{query}}”",
+          remove: "إزالة الفلتر: {{filter}}",
+        },
       },
       card: { by: "بواسطة", rating: "التقييم", addToCart: "إضافة للسلة" },
 
+      results: {
+        title: "الدورات",
+        count_zero: "لا توجد دورات",
+        count_one: "دورة واحدة",
+        count_two: "دورتان",
+        count_few: "{{count}} دورات",
+        count_many: "{{count}} دورة",
+        count_other: "{{count}} دورة",
+        showing_zero: "عرض {{from}}–{{to}} من {{count}} دورة",
+        showing_one: "عرض {{from}}–{{to}} من دورة واحدة",
+        showing_two: "عرض {{from}}–{{to}} من دورتين",
+        showing_few: "عرض {{from}}–{{to}} من {{count}} دورات",
+        showing_many: "عرض {{from}}–{{to}} من {{count}} دورة",
+        showing_other: "عرض {{from}}–{{to}} من {{count}} دورة",
+        empty: "لا توجد دورات تطابق هذه الفلاتر.",
+        sortBy: "الترتيب حسب",
+        sort: {
+          relevance: "الأكثر صلة",
+          rating: "الأعلى تقييمًا",
+          students: "الأكثر طلابًا",
+          newest: "الأحدث",
+          "price-asc": "السعر: من الأقل للأعلى",
+          "price-desc": "السعر: من الأعلى للأقل",
+          duration: "الأقصر",
+        },
+        modes: { pages: "صفحات", scroll: "تمرير لا نهائي" },
+        loadMore: "تحميل المزيد",
+        pagination: "الصفحات",
+        previous: "الصفحة السابقة",
+        next: "الصفحة التالية",
+        page: "صفحة {{page}}",
+      },
+
       students: [
         { name: "أحمد محمد", text: "هذه المنصة غيرت مسيرتي المهنية تمامًا!" },
         { name: "سارة علي", text: "أفضل استثمار قمت به لتطوير مهاراتي." },
@@ -727,13 +1292,452 @@ const resources = {
         sText: "أفضل استثمار قمت به لمهاراتي!",
       },
 
+      status: {
+        loading: "جاري التحميل...",
+        errorTitle: "حدث خطأ ما",
+        errorDesc: "تعذر تحميل هذا المحتوى. تحقق من اتصالك وحاول مرة أخرى.",
+        retry: "حاول مرة أخرى",
+        retrying: "جاري إعادة المحاولة...",
+      },
+
+      authErrors: {
+        EMAIL_TAKEN: "البريد الإلكتروني مستخدم بالفعل",
+        EMAIL_NOT_FOUND: "لا يوجد حساب بهذا البريد الإلكتروني",
+        WRONG_PASSWORD: "كلمة المرور غير صحيحة",
+        INVALID_EMAIL: "يرجى إدخال بريد إلكتروني صالح",
+        INVALID_NAME: "يجب أن يتكون الاسم من حرفين على الأقل",
+        WEAK_PASSWORD: "كلمة المرور ضعيفة",
+        SESSION_REVOKED: "انتهت جلستك، يرجى تسجيل الدخول مرة أخرى",
+        INVALID_REFRESH_TOKEN: "انتهت صلاحية جلستك، يرجى تسجيل الدخول مرة أخرى",
+        NETWORK_ERROR: "تعذر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى.",
+        INVALID_RESET_TOKEN: "رابط إعادة التعيين غير صالح أو تم استخدامه من قبل",
+        RESET_TOKEN_EXPIRED: "انتهت صلاحية رابط إعادة التعيين — اطلب رابطًا جديدًا",
+        INVALID_VERIFY_TOKEN: "رابط التأكيد غير صالح",
+        VERIFY_TOKEN_EXPIRED: "انتهت صلاحية رابط التأكيد",
+        ALREADY_VERIFIED: "بريدك الإلكتروني مؤكد بالفعل",
+        RESEND_TOO_SOON: "يرجى الانتظار دقيقة قبل طلب رسالة أخرى",
+        SESSION_NOT_FOUND: "انتهت هذه الجلسة بالفعل",
+        CURRENT_SESSION: "استخدم تسجيل الخروج لإنهاء الجلسة على هذا الجهاز",
+        NO_PASSWORD: "هذا الحساب يسجّل الدخول عبر Google أو Facebook — استخدم الزر المناسب أو أعد تعيين كلمة المرور",
+        UNKNOWN_PROVIDER: "مزوّد تسجيل الدخول هذا غير متاح",
+        OAUTH_DENIED: "تم إلغاء تسجيل الدخول",
+        OAUTH_STATE_MISMATCH: "رابط تسجيل الدخول لم يعد صالحًا، حاول مرة أخرى",
+        OAUTH_FAILED: "تعذّر تسجيل الدخول عبر هذا المزوّد، حاول مرة أخرى",
+        OAUTH_NO_EMAIL: "لم يشارك المزوّد بريدك الإلكتروني",
+        OAUTH_ACCOUNT_EXISTS: "يوجد حساب بهذا البريد الإلكتروني بالفعل — سجّل الدخول بكلمة المرور أولًا",
+      },
+
+      forbidden: {
+        code: "403",
+        message: "ليس لديك صلاحية للوصول لهذه الصفحة — متاحة فقط لأدوار حسابات معينة.",
+        home: "ارجع للصفحة الرئيسية",
+        contact: "تواصل معنا",
+        footer: "لو شايف إن ده خطأ، سجّل الدخول بحساب تاني أو تواصل مع الدعم.",
+      },
+
+      roleAreas: {
+        instructorTitle: "مساحة المدرّس",
+        instructorDesc: "هنا ستكون أدوات المدرّسين لإدارة دوراتهم.",
+        adminTitle: "مساحة الإدارة",
+        adminDesc: "هنا ستكون أدوات إدارة المنصة.",
+        signedInAs: "مسجّل الدخول باسم {{name}} ({{role}})",
+        backToDashboard: "العودة للوحة التحكم",
+      },
+
+      forgot: {
+        title: "نسيت كلمة المرور؟",
+        subtitle: "أدخل بريدك الإلكتروني وسنرسل لك رابطًا لإعادة تعيينها.",
+        submit: "إرسال رابط إعادة التعيين",
+        sending: "جاري الإرسال...",
+        sent: "إذا كان هناك حساب مرتبط بـ {{email}}، فستصلك رسالة بها رابط إعادة التعيين. صلاحية الرابط 30 دقيقة.",
+        resend: "لم تصلك الرسالة؟ أرسل رابطًا آخر",
+        backToLogin: "العودة لتسجيل الدخول",
+      },
+
+      reset: {
+        title: "اختر كلمة مرور جديدة",
+        subtitle: "للحساب {{email}}",
+        checking: "جاري التحقق من الرابط...",
+        requestNew: "اطلب رابطًا جديدًا من صفحة تسجيل الدخول",
+        fields: { password: "كلمة المرور الجديدة" },
+        submit: "تعيين كلمة المرور",
+        saving: "جاري الحفظ...",
+        success: "تم تحديث كلمة المرور — سجّل الدخول بكلمة المرور الجديدة",
+      },
+
+      gift: {
+        title: "هديتك",
+        from: "أرسل لك {{name}} دورة",
+        redeem: "أضفها إلى دوراتي",
+        redeeming: "جاري الإضافة...",
+        redeemedTitle: "أصبحت لك!",
+        toCourse: "ابدأ التعلم",
+        signIn: "سجّل الدخول لاستلامها",
+        signInHint: "جديد على Skillverse؟ يمكنك إنشاء حساب مجاني هناك.",
+        browse: "تصفح الدورات",
+      },
+
+      verify: {
+        title: "تأكيد البريد الإلكتروني",
+        banner: "يرجى تأكيد {{email}} — يمكنك الشراء بعد تأكيد بريدك الإلكتروني.",
+        resend: "إعادة إرسال رسالة التأكيد",
+        sending: "جاري الإرسال...",
+        resent: "تم إرسال رسالة التأكيد إلى {{email}}",
+        purchaseBlocked: "أكّد بريدك الإلكتروني لتتمكن من الشراء.",
+        checking: "جاري تأكيد بريدك الإلكتروني...",
+        successTitle: "تم تأكيد البريد الإلكتروني",
+        successDesc: "تم تأكيد {{email}}. يمكنك الآن شراء الدورات.",
+        failedHint: "سجّل الدخول واستخدم «إعادة إرسال رسالة التأكيد» للحصول على رابط جديد.",
+        toDashboard: "الذهاب للوحة التحكم",
+        toLogin: "تسجيل الدخول",
+      },
+
+      oauth: {
+        title: "جاري تسجيل الدخول",
+        signingIn: "جاري تسجيل دخولك...",
+        backToLogin: "العودة لتسجيل الدخول",
+        failed: "تعذّر تسجيل الدخول، حاول مرة أخرى",
+      },
+
+      sessions: {
+        title: "الجلسات النشطة",
+        subtitle: "الأجهزة المسجّل دخولها إلى حسابك.",
+        device: "{{browser}} على {{os}}",
+        unknownDevice: "جهاز غير معروف",
+        thisDevice: "هذا الجهاز",
+        notRemembered: "حتى إغلاق المتصفح",
+        lastActive: "آخر نشاط {{date}}",
+        revoke: "تسجيل الخروج",
+        revokeOthers: "تسجيل الخروج من كل الأجهزة الأخرى",
+        revoked: "تم تسجيل خروج الجهاز",
+        revokedOthers: "تم تسجيل الخروج من كل الأجهزة الأخرى",
+      },
+      idle: {
+        warning: "سيتم تسجيل خروجك خلال دقيقة بسبب عدم النشاط.",
+        stay: "البقاء متصلًا",
+        signedOut: "تم تسجيل خروجك بعد 30 دقيقة من عدم النشاط",
+      },
+
+      cart: {
+        title: "سلة التسوق",
+        count_zero: "{{count}} دورة",
+        count_one: "دورة واحدة",
+        count_two: "دورتان",
+        count_few: "{{count}} دورات",
+        count_many: "{{count}} دورة",
+        count_other: "{{count}} دورة",
+        sync: {
+          droppedOwned_zero: "لم تتم إزالة أي دورة من سلتك",
+          droppedOwned_one: "أزيلت من سلتك دورة تملكها بالفعل",
+          droppedOwned_two: "أزيلت من سلتك دورتان تملكهما بالفعل",
+          droppedOwned_few: "أزيلت من سلتك {{count}} دورات تملكها بالفعل",
+          droppedOwned_many: "أزيلت من سلتك {{count}} دورة تملكها بالفعل",
+          droppedOwned_other: "أزيلت من سلتك {{count}} دورة تملكها بالفعل",
+        },
+        continueShopping: "متابعة التسوق",
+        remove: "إزالة",
+        lines: {
+          self: "لك",
+          gift: "هدية إلى {{email}}",
+          team: "مقاعد الفريق: {{count}}",
+          seatDiscount: "خصم كمية {{percent}}%",
+          nextTier: "أضف {{count}} مقاعد أخرى لتوفير {{percent}}%",
+          seats: "المقاعد",
+          increaseSeats: "إضافة مقعد",
+          decreaseSeats: "إزالة مقعد",
+        },
+        purchase: {
+          giftTitle: "أهدِ هذه الدورة",
+          giftEmail: "البريد الإلكتروني للمستلم",
+          giftMessage: "رسالة (اختيارية)",
+          giftMessageMax: "يجب ألا تتجاوز الرسالة {{max}} حرف",
+          giftAdd: "إضافة الهدية إلى السلة",
+          teamTitle: "شراء لفريق",
+          tier: "{{min}}+ مقعد: خصم {{percent}}%",
+          teamTotal: "{{seats}} مقعد × {{price}} = {{total}}",
+          teamAdd: "إضافة المقاعد إلى السلة",
+        },
+      },
+      checkout: {
+        title: "إتمام الشراء",
+        steps: { review: "المراجعة", billing: "الفوترة", payment: "الدفع", confirmation: "التأكيد" },
+        review: { title: "راجع طلبك", editCart: "تعديل السلة" },
+        toBilling: "المتابعة إلى الفوترة",
+        toPayment: "المتابعة إلى الدفع",
+        back: "رجوع",
+        billing: {
+          title: "بيانات الفوترة",
+          name: "الاسم الكامل",
+          email: "البريد الإلكتروني للإيصال",
+          country: "الدولة",
+          chooseCountry: "اختر دولة",
+          countryRequired: "يرجى اختيار دولة",
+          region: "الولاية / المقاطعة",
+          chooseRegion: "اختر الولاية / المقاطعة",
+          regionRequired: "يرجى اختيار الولاية / المقاطعة",
+          city: "المدينة (اختياري)",
+          address: "العنوان (اختياري)",
+          postalCode: "الرمز البريدي (اختياري)",
+        },
+        payment: {
+          title: "الدفع",
+          name: "الاسم على البطاقة",
+          nameRequired: "الاسم على البطاقة مطلوب",
+          number: "رقم البطاقة",
+          numberRequired: "رقم البطاقة مطلوب",
+          expiry: "تاريخ الانتهاء (MM/YY)",
+          expiryFormat: "استخدم الصيغة MM/YY",
+          expiryRequired: "تاريخ الانتهاء مطلوب",
+          cvc: "رمز الأمان",
+          cvcFormat: "3 أو 4 أرقام",
+          cvcRequired: "رمز الأمان مطلوب",
+          testCards: "بطاقات تجريبية (أي تاريخ انتهاء مستقبلي وأي رمز أمان)",
+          outcomes: {
+            success: "ينجح الدفع",
+            declined: "تُرفض البطاقة",
+            insufficientFunds: "رصيد غير كافٍ",
+            threeDSecure: "تطلب التحقق 3-D Secure (الرمز 123456)",
+          },
+          pay: "ادفع {{total}}",
+          paying: "جارٍ المعالجة...",
+        },
+        threeDS: {
+          title: "تأكيد الدفع",
+          desc: "أرسل مصرفك رمزًا لمرة واحدة لتأكيد دفع {{amount}}.",
+          code: "رمز التحقق",
+          cancel: "إلغاء",
+          confirm: "تأكيد",
+        },
+        tax: {
+          pending: "تُحسب من عنوان الفوترة",
+          inclusive: "يشمل {{name}} ({{rate}})",
+          exclusive: "{{name}} ({{rate}})",
+          line: "{{name}}: {{amount}}",
+          estimateFor: "تقدير الضريبة لـ",
+        },
+        coupons: {
+          label: "رمز الخصم",
+          placeholder: "رمز الخصم",
+          apply: "تطبيق",
+          applying: "جارٍ التحقق...",
+          remove: "إزالة الرمز {{code}}",
+          discount: "الخصم",
+          minSubtotal: "أنفق {{amount}} على الأقل لاستخدام هذا الرمز.",
+          removeUnusable: "أزل رموز الخصم التي لا يمكن استخدامها للمتابعة.",
+        },
+        confirmation: {
+          title: "شكرًا لطلبك!",
+          desc: "تم دفع الطلب {{id}}. أُرسل الإيصال إلى {{email}}.",
+          toCourses: "ابدأ التعلّم",
+          viewOrder: "عرض الطلب والفاتورة",
+          keepBrowsing: "متابعة التصفح",
+        },
+        unavailable: {
+          title: "الدفع غير متاح",
+          toCart: "العودة إلى السلة",
+        },
+      },
+
+      sale: {
+        off: "خصم {{percent}}٪",
+        endsIn: "ينتهي خلال {{time}}",
+        timeDays: "{{days}} ي {{hours}} س",
+        timeHours: "{{hours}} س {{minutes}} د",
+        timeMinutes: "{{minutes}}:{{seconds}}",
+      },
+
+      priceDrop: {
+        wishlist: "أقل بـ {{amount}} مما كان عند حفظه ({{was}})",
+        cart: "أقل بـ {{amount}} مما كان عند إضافته ({{was}})",
+      },
+
+      orders: {
+        title: "الطلب",
+        back: "كل الطلبات",
+        items: "العناصر",
+        emptyTitle: "لا توجد طلبات بعد",
+        emptyDesc: "ستظهر هنا الدورات التي تشتريها مع فواتيرها.",
+        viewDetails: "تفاصيل الطلب",
+        placed: "تاريخ الطلب {{date}}",
+        paidOn: "تاريخ الدفع {{date}}",
+        notFound: "الطلب غير موجود",
+        notFoundDesc: "هذا الطلب غير موجود أو يخص حسابًا آخر.",
+        invoice: "الفاتورة (PDF)",
+        invoiceFailed: "تعذّر إنشاء الفاتورة. حاول مرة أخرى.",
+        status: {
+          pending: "بانتظار الدفع",
+          completed: "مدفوع",
+          refund_requested: "طُلب الاسترداد",
+          refunded: "مُسترد",
+          rejected: "رُفض الاسترداد",
+        },
+        refund: {
+          title: "استرداد المبلغ",
+          until: "يمكن استرداد المبلغ حتى {{date}}.",
+          request: "طلب استرداد",
+          reason: "لماذا تطلب استرداد المبلغ؟ (اختياري)",
+          cancel: "الاحتفاظ بالطلب",
+          confirm: "طلب استرداد",
+          requested: "تم إرسال طلب الاسترداد. سنراسلك بالبريد الإلكتروني بعد مراجعته.",
+          pending: "طلبت استرداد المبلغ في {{date}}. نرد عادةً خلال 5 أيام عمل.",
+          done: "تم استرداد {{amount}} في {{date}}. لم تعد دورات هذا الطلب في مكتبتك.",
+          rejected: "تم رفض طلب الاسترداد.",
+          closed: "انتهت مهلة الاسترداد البالغة 30 يومًا في {{date}}.",
+          consumed: "لقد أتممت أكثر من 30٪ من {{title}}، لذا لم يعد بالإمكان استرداد مبلغ هذا الطلب.",
+        },
+      },
+
+      refundRequests: {
+        title: "طلبات الاسترداد",
+        empty: "لا توجد طلبات استرداد للمراجعة.",
+        requestedOn: "طُلب في {{date}}",
+        notePlaceholder: "ملاحظة للمتعلّم عند الرفض (اختياري)",
+        approve: "الموافقة على الاسترداد",
+        reject: "رفض",
+        approved: "تمت الموافقة على الاسترداد.",
+        rejected: "تم رفض الاسترداد.",
+      },
+
+      invoice: {
+        title: "فاتورة",
+        number: "رقم الفاتورة",
+        issued: "التاريخ",
+        order: "الطلب",
+        currency: "العملة",
+        taxId: "الرقم الضريبي: {{id}}",
+        billTo: "فاتورة إلى",
+        columns: { description: "الوصف", quantity: "الكمية", unitPrice: "سعر الوحدة", discount: "الخصم", amount: "المبلغ" },
+        seatDiscount: "خصم كمية {{percent}} على {{price}}",
+        salePrice: "سعر التخفيض (السعر العادي {{price}})",
+        paid: "دُفعت في {{date}}",
+        refunded: "استُرد في {{date}}: {{amount}}",
+        thanks: "شكرًا لتعلّمك مع {{name}}.",
+        page: "صفحة {{page}} من {{count}}",
+      },
+      pro: {
+        title: "Skillverse Pro",
+        subtitle: "تعلّم بلا حدود: اشتراك واحد يفتح كل دورات الخطة، بما فيها الدورات الجديدة.",
+        billing: "فترة الفوترة",
+        monthly: "شهري",
+        annual: "سنوي",
+        save: "وفّر {{percent}}%",
+        perMonth: " / شهر",
+        perYear: " / سنة",
+        coversAll: "كل الدورات على Skillverse",
+        coversTagged_zero: "لا توجد دورات واجهات أمامية: {{tags}}",
+        coversTagged_one: "دورة واجهات أمامية واحدة: {{tags}}",
+        coversTagged_two: "دورتا واجهات أمامية: {{tags}}",
+        coversTagged_few: "{{count}} دورات واجهات أمامية: {{tags}}",
+        coversTagged_many: "{{count}} دورة واجهات أمامية: {{tags}}",
+        coversTagged_other: "{{count}} دورة واجهات أمامية: {{tags}}",
+        newCourses: "الدورات الجديدة فور نشرها",
+        cancelAnytime: "ألغِ في أي وقت — يبقى وصولك حتى نهاية الفترة",
+        trial_zero: "تجربة مجانية",
+        trial_one: "تجربة مجانية ليوم واحد",
+        trial_two: "تجربة مجانية ليومين",
+        trial_few: "تجربة مجانية لمدة {{count}} أيام",
+        trial_many: "تجربة مجانية لمدة {{count}} يومًا",
+        trial_other: "تجربة مجانية لمدة {{count}} يوم",
+        signIn: "سجّل الدخول للاشتراك",
+        currentPlan: "الخطة الحالية",
+        switch: "انتقل إلى هذه الخطة",
+        startTrial: "ابدأ التجربة المجانية",
+        subscribe: "اشترك",
+        trialTerms_zero: "مجانًا، ثم {{price}} كل فترة. سنخصم من هذه البطاقة عند انتهاء التجربة.",
+        trialTerms_one: "مجانًا ليوم واحد، ثم {{price}} كل فترة. سنخصم من هذه البطاقة عند انتهاء التجربة.",
+        trialTerms_two: "مجانًا ليومين، ثم {{price}} كل فترة. سنخصم من هذه البطاقة عند انتهاء التجربة.",
+        trialTerms_few: "مجانًا لمدة {{count}} أيام، ثم {{price}} كل فترة. سنخصم من هذه البطاقة عند انتهاء التجربة.",
+        trialTerms_many: "مجانًا لمدة {{count}} يومًا، ثم {{price}} كل فترة. سنخصم من هذه البطاقة عند انتهاء التجربة.",
+        trialTerms_other: "مجانًا لمدة {{count}} يوم، ثم {{price}} كل فترة. سنخصم من هذه البطاقة عند انتهاء التجربة.",
+        terms: "{{price}} الآن، ثم كل فترة حتى تلغي.",
+        changeTitle: "الانتقال من {{from}} إلى {{to}}",
+        changeTrial: "تنتقل تجربتك إلى الخطة الجديدة وتنتهي كما هي في {{date}}.",
+        previewLoading: "جارٍ حساب السعر...",
+        newPrice: "الخطة الجديدة",
+        credit: "رصيد الوقت غير المستخدم",
+        dueToday: "المستحق اليوم",
+        carry: "يُحتفظ برصيد {{amount}} لتجديداتك القادمة.",
+        back: "رجوع",
+        confirmChange: "تأكيد الانتقال",
+        subscribed: "مرحبًا بك في {{plan}}!",
+        changed: "أنت الآن على {{plan}}.",
+        canceled: "لن يتجدد اشتراكك.",
+        resumed: "سيتجدد اشتراكك.",
+        yourPlan: "خطتك: {{plan}}",
+        trialEnds: "تنتهي تجربتك المجانية في {{date}}، ثم يتم الخصم من البطاقة.",
+        endsOn: "لن يتجدد — يبقى وصولك حتى {{date}}.",
+        renewsOn: "يتجدد في {{date}}.",
+        pastDue: "تعذّر الخصم من بطاقتك للتجديد. اشترك مجددًا ببطاقة أخرى لاستعادة الوصول.",
+        incomplete: "لم تكتمل الدفعة الأولى.",
+        ended: "انتهى هذا الاشتراك.",
+        creditHeld: "رصيد تجديداتك القادمة: {{amount}}",
+        resume: "أبقِ على اشتراكي",
+        cancel: "إلغاء الاشتراك",
+      },
+
+      subscription: {
+        status: {
+          incomplete: "غير مكتمل",
+          trialing: "تجربة مجانية",
+          active: "نشط",
+          past_due: "فشل الدفع",
+          canceled: "منتهٍ",
+        },
+      },
+
+      checkoutErrors: {
+        EMAIL_NOT_VERIFIED: "أكّد بريدك الإلكتروني قبل الشراء.",
+        EMPTY_CART: "سلة التسوق فارغة.",
+        UNKNOWN_COURSE: "إحدى الدورات في سلتك لم تعد متاحة.",
+        ALREADY_PURCHASED: "أنت تملك بالفعل دورة في سلتك. أزلها وحاول مرة أخرى.",
+        INVALID_BILLING: "يرجى التحقق من بيانات الفوترة.",
+        INVALID_CART_LINE: "هناك عنصر في سلتك يحتاج إلى مراجعة (بريد الهدية أو عدد المقاعد).",
+        UNSUPPORTED_CURRENCY: "هذه العملة غير مدعومة.",
+        ORDER_NOT_FOUND: "تعذّر العثور على هذا الطلب.",
+        ORDER_NOT_PENDING: "تم دفع هذا الطلب أو إلغاؤه بالفعل.",
+        PAYMENT_IN_PROGRESS: "يجري دفع هذا الطلب بالفعل. انتظر قليلًا ثم راجع طلباتك.",
+        INVALID_PAYMENT_METHOD: "لا يمكن استخدام وسيلة الدفع هذه.",
+        INVALID_PAYMENT: "تعذّر العثور على عملية الدفع هذه.",
+        PAYMENTS_UNAVAILABLE: "الدفع غير متاح حاليًا. يرجى المحاولة لاحقًا.",
+        CARD_DECLINED: "تم رفض بطاقتك.",
+        INSUFFICIENT_FUNDS: "رصيد بطاقتك غير كافٍ.",
+        AUTHENTICATION_FAILED: "تعذّر تأكيد الدفع مع مصرفك.",
+        INVALID_CARD_NUMBER: "رقم البطاقة غير صالح.",
+        CARD_EXPIRED: "انتهت صلاحية بطاقتك.",
+        INVALID_CVC: "رمز الأمان غير صالح.",
+        COUPON_NOT_FOUND: "رمز الخصم هذا غير موجود.",
+        COUPON_NOT_STARTED: "رمز الخصم هذا غير مفعّل بعد.",
+        COUPON_EXPIRED: "انتهت صلاحية رمز الخصم هذا.",
+        COUPON_USAGE_LIMIT: "تم استنفاد رمز الخصم هذا.",
+        COUPON_ALREADY_USED: "لقد استخدمت رمز الخصم هذا من قبل.",
+        COUPON_MIN_SUBTOTAL: "سلتك لا تبلغ الحد الأدنى لهذا الرمز.",
+        COUPON_NOT_APPLICABLE: "هذا الرمز لا ينطبق على الدورات في سلتك.",
+        COUPON_NOT_STACKABLE: "لا يمكن الجمع بين هذا الرمز ورموزك الأخرى.",
+        COUPON_DUPLICATE: "هذا الرمز مطبّق بالفعل.",
+        COUPON_LIMIT: "يمكنك استخدام 3 رموز خصم على الأكثر في الطلب الواحد.",
+        INVALID_GIFT_TOKEN: "رابط الهدية غير صالح أو تم إلغاء الهدية.",
+        GIFT_ALREADY_REDEEMED: "تم استلام هذه الهدية بالفعل.",
+        GIFT_ALREADY_OWNED: "أنت تملك هذه الدورة بالفعل. أعد توجيه رسالة الهدية إلى شخص آخر.",
+        REFUND_NOT_ALLOWED: "لا يمكن استرداد مبلغ هذا الطلب.",
+        REFUND_WINDOW_CLOSED: "انتهت مهلة الاسترداد البالغة 30 يومًا لهذا الطلب.",
+        REFUND_COURSE_CONSUMED: "لقد أتممت جزءًا كبيرًا من إحدى دورات هذا الطلب، لذا لا يمكن استرداد المبلغ.",
+        INVALID_REFUND_REASON: "يرجى ألا يتجاوز السبب 1000 حرف.",
+        REFUND_FAILED: "تعذّر على مزوّد الدفع استرداد مبلغ هذا الطلب. حاول لاحقًا.",
+        FORBIDDEN: "ليست لديك صلاحية للقيام بذلك.",
+        UNKNOWN_PLAN: "هذه الخطة غير موجودة.",
+        NO_SUBSCRIPTION: "ليس لديك اشتراك.",
+        SUBSCRIPTION_EXISTS: "لديك اشتراك بالفعل — غيّر خطته بدلًا من ذلك.",
+        INVALID_PLAN_CHANGE: "أنت مشترك في هذه الخطة بالفعل.",
+        NETWORK_ERROR: "تعذّر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى.",
+      },
+
       footer: { rights: "جميع الحقوق محفوظة." },
     },
   },
 };
 
-const savedLang =
-  typeof window !== "undefined" ? localStorage.getItem("lang") || "ar" : "ar";
+// Initial language comes from the persisted preferences slice
+const savedLang = store.getState().preferences.language || "ar";
 
 i18n.use(initReactI18next).init({
   resources,